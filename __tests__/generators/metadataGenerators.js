@@ -3,11 +3,12 @@
  * Requirements: 1.1, 1.2, 1.3, 1.4
  */
 const fc = require('fast-check');
+const { getProviderNames } = require('../../services/providers/index.js');
 
 /**
- * Valid LLM provider types
+ * Valid LLM provider types (the registered provider adapters)
  */
-const VALID_PROVIDERS = ['google', 'anthropic', 'openai'];
+const VALID_PROVIDERS = getProviderNames();
 
 /**
  * Valid LLM persona names
@@ -137,12 +137,28 @@ describe("generateAiResponse", () => {
     expect(consoleLogSpy).toHaveBeenCalledWith("Generated prompt:", expect.stringContaining(userInput));
     expect(consoleLogSpy).toHaveBeenCalledWith("Generated response text:", expectedResponse);
   });
+  test("should report the token usage of the reply", async () => {
+    const onUsage = jest.fn();
+    mockGenAIGenerateContent.mockResolvedValueOnce({
+      response: { text: () => "Hi", usageMetadata: { promptTokenCount: 12, candidatesTokenCount: 3 } }
+    });
+    await generateAiResponse("user input", testPersonality, false, { onUsage });
+    expect(onUsage).toHaveBeenCalledWith({ model: "test-model-name", inputTokens: 12, outputTokens: 3 });
+  });
   test("should throw error if AI model call fails", async () => {
     const aiError = new Error("AI model error");
     mockGenAIGenerateContent.mockRejectedValueOnce(aiError);
     await expect(generateAiResponse("any input", testPersonality, false)).rejects.toThrow("AI model error");
     expect(consoleErrorSpy).toHaveBeenCalledWith("Error generating response:", aiError);
   });
+  test("should use the override provider instead of Gemini when LLM_PROVIDER_OVERRIDE is set", async () => {
+    jest.resetModules();
+    process.env = { ...process.env, LLM_PROVIDER_OVERRIDE: "mock" };
+    generateAiResponse = require("../services/generativeAiService").generateAiResponse;
+    const result = await generateAiResponse("the weather", testPersonality, false);
+    expect(testPersonality.moods.map(mood => `Echo: ${mood}the weather`)).toContain(result);
+    expect(mockGenAIGenerateContent).not.toHaveBeenCalled();
+  });
 });
 
 describe("getNews", () => {
@@ -234,20 +250,31 @@ describe("storeChatMessage", () => {
 
   test("should store chat message successfully", async () => {
     const itemMatcher = { id: "chat", message: "Hello", sender: "User1", email: "user1@example.com" };
-    await storeChatMessage("Hello", "User1", "user1@example.com", false);
+    await storeChatMessage("chat", "Hello", "User1", "user1@example.com", false);
     expect(mockActualDDBPutMethod).toHaveBeenCalledTimes(1);
     expect(mockDDBPutPromiseFn).toHaveBeenCalledTimes(1); // Since SUT calls .promise()
     expect(mockActualDDBPutMethod).toHaveBeenCalledWith(expect.objectContaining({ TableName: process.env.CHAT_TABLE_NAME, Item: expect.objectContaining(itemMatcher) }));
   });
+  test("should store chat message in the given room", async () => {
+    await storeChatMessage("team-alpha", "Hello", "User1", "user1@example.com", false);
+    expect(mockActualDDBPutMethod).toHaveBeenCalledWith(expect.objectContaining({ Item: expect.objectContaining({ id: "team-alpha", message: "Hello" }) }));
+  });
+  test("should store mentions only when there are some", async () => {
+    const mentions = [{ name: "claude", offset: 0, length: 7 }];
+    await storeChatMessage("chat", "@claude hi", "User1", "user1@example.com", false, { mentions });
+    await storeChatMessage("chat", "hi", "User1", "user1@example.com", false, { mentions: [] });
+    expect(mockActualDDBPutMethod.mock.calls[0][0].Item.mentions).toEqual(mentions);
+    expect(mockActualDDBPutMethod.mock.calls[1][0].Item).not.toHaveProperty("mentions");
+  });
   test("should throw error if DynamoDB put operation fails", async () => {
     const dbError = new Error("Dynamo Put Error");
     mockDDBPutPromiseFn.mockRejectedValueOnce(dbError);
-    await expect(storeChatMessage("Hi", "User2", "user2@example.com", false)).rejects.toThrow("Dynamo Put Error");
+    await expect(storeChatMessage("chat", "Hi", "User2", "user2@example.com", false)).rejects.toThrow("Dynamo Put Error");
     expect(consoleErrorSpy).toHaveBeenCalledWith("Error storing chat message:", dbError);
   });
   test("should include debug logs when debug is true", async () => {
     process.env.NODE_ENV = 'test'; // Ensure test path
-    await storeChatMessage("Debug", "User3", "user3@example.com", true);
+    await storeChatMessage("chat", "Debug", "User3", "user3@example.com", true);
     expect(consoleLogSpy).toHaveBeenCalledWith("Stored chat message in DynamoDB (test):", expect.any(Object));
   });
 });
@@ -270,35 +297,102 @@ describe("getChatLog", () => {
   test("should retrieve chat messages successfully", async () => {
     const chatItems = [{ message: "Hello" }];
     mockDDBQueryPromiseFn.mockResolvedValueOnce({ Items: chatItems });
-    const response = await getChatLog(false);
+    const response = await getChatLog("chat", {}, false);
     expect(mockActualDDBQueryMethod).toHaveBeenCalledTimes(1);
-    expect(JSON.parse(response.body)).toEqual(chatItems);
+    expect(JSON.parse(response.body)).toEqual({ items: chatItems, nextCursor: null, latestDatetime: null });
+  });
+  test("should query the partition of the given room", async () => {
+    await getChatLog("team-alpha", {}, false);
+    expect(mockActualDDBQueryMethod.mock.calls[0][0].ExpressionAttributeValues[":id"]).toBe("team-alpha");
   });
   test("should return empty array if no chat messages found", async () => {
-    const response = await getChatLog(false); // Default mock is Items: []
-    expect(JSON.parse(response.body)).toEqual([]);
+    const response = await getChatLog("chat", {}, false); // Default mock is Items: []
+    expect(JSON.parse(response.body).items).toEqual([]);
   });
   test("should return empty array if DynamoDB response has no 'Items' property", async () => {
     mockDDBQueryPromiseFn.mockResolvedValueOnce({}); // No Items
-    const response = await getChatLog(false);
-    expect(JSON.parse(response.body)).toEqual([]);
+    const response = await getChatLog("chat", {}, false);
+    expect(JSON.parse(response.body).items).toEqual([]);
   });
   test("should return empty array if DynamoDB response 'Items' is null", async () => {
     mockDDBQueryPromiseFn.mockResolvedValueOnce({ Items: null }); // Items is null
-    const response = await getChatLog(false);
-    expect(JSON.parse(response.body)).toEqual([]);
+    const response = await getChatLog("chat", {}, false);
+    expect(JSON.parse(response.body).items).toEqual([]);
   });
   test("should return 500 error if DynamoDB query operation fails", async () => {
     const dbError = new Error("Dynamo Query Error");
     mockDDBQueryPromiseFn.mockRejectedValueOnce(dbError);
     process.env.NODE_ENV = 'test'; // To hit the specific catch block in SUT
-    const response = await getChatLog(false);
+    const response = await getChatLog("chat", {}, false);
     expect(response.statusCode).toBe(500);
     expect(consoleErrorSpy).toHaveBeenCalledWith("Error retrieving chat messages in test:", dbError);
   });
+  test("should read the newest messages, excluding the metadata item, by default", async () => {
+    await getChatLog("chat", {}, false);
+    const params = mockActualDDBQueryMethod.mock.calls[0][0];
+    expect(params.KeyConditionExpression).toBe("id = :id AND #dt >= :lower");
+    expect(params.ExpressionAttributeValues[":lower"]).toBe(1);
+    expect(params.ScanIndexForward).toBe(false);
+    expect(params.Limit).toBe(30);
+  });
+  test("should return only messages newer than since, newest first", async () => {
+    mockDDBQueryPromiseFn.mockResolvedValueOnce({ Items: [{ datetime: 101 }, { datetime: 102 }] });
+    const response = await getChatLog("chat", { since: "100" }, false);
+    const params = mockActualDDBQueryMethod.mock.calls[0][0];
+    expect(params.ExpressionAttributeValues[":lower"]).toBe(101);
+    expect(params.ScanIndexForward).toBe(true);
+    expect(JSON.parse(response.body)).toEqual({ items: [{ datetime: 102 }, { datetime: 101 }], nextCursor: null, latestDatetime: 102 });
+  });
+  test("should keep since as latestDatetime when nothing new arrived", async () => {
+    const response = await getChatLog("chat", { since: 100 }, false);
+    expect(JSON.parse(response.body)).toEqual({ items: [], nextCursor: null, latestDatetime: 100 });
+  });
+  test("should hold latestDatetime below a reply that is still streaming", async () => {
+    mockDDBQueryPromiseFn.mockResolvedValueOnce({
+      Items: [{ datetime: 101 }, { datetime: 102, status: "streaming" }, { datetime: 103 }]
+    });
+    const response = await getChatLog("chat", { since: "100" }, false);
+    expect(JSON.parse(response.body).latestDatetime).toBe(101);
+  });
+  test("should page history with before and limit", async () => {
+    await getChatLog("chat", { before: 500, limit: "10" }, false);
+    const params = mockActualDDBQueryMethod.mock.calls[0][0];
+    expect(params.KeyConditionExpression).toBe("id = :id AND #dt BETWEEN :lower AND :upper");
+    expect(params.ExpressionAttributeValues[":upper"]).toBe(499);
+    expect(params.ScanIndexForward).toBe(false);
+    expect(params.Limit).toBe(10);
+  });
+  test("should return a cursor that continues the same query", async () => {
+    const lastKey = { id: "chat", datetime: 450 };
+    mockDDBQueryPromiseFn.mockResolvedValueOnce({ Items: [{ datetime: 451 }], LastEvaluatedKey: lastKey });
+    const first = JSON.parse((await getChatLog("chat", { before: 500, limit: 1 }, false)).body);
+    expect(first.nextCursor).toEqual(expect.any(String));
+
+    await getChatLog("chat", { cursor: first.nextCursor, limit: 1 }, false);
+    const params = mockActualDDBQueryMethod.mock.calls[1][0];
+    expect(params.ExclusiveStartKey).toEqual(lastKey);
+    expect(params.ExpressionAttributeValues[":upper"]).toBe(499);
+  });
+  test("should reject a cursor from another room", async () => {
+    const { encodeChatLogCursor } = require("../services/dynamoDbService");
+    const cursor = encodeChatLogCursor({ lastKey: { id: "other", datetime: 1 }, since: null, before: null });
+    const response = await getChatLog("chat", { cursor }, false);
+    expect(response.statusCode).toBe(400);
+    expect(mockActualDDBQueryMethod).not.toHaveBeenCalled();
+  });
+  test("should reject invalid since and limit values", async () => {
+    expect((await getChatLog("chat", { since: "yesterday" }, false)).statusCode).toBe(400);
+    expect((await getChatLog("chat", { limit: 0 }, false)).statusCode).toBe(400);
+    expect((await getChatLog("chat", { limit: 101 }, false)).statusCode).toBe(400);
+  });
+  test("should return an empty page without querying when the bounds leave no room", async () => {
+    const response = await getChatLog("chat", { since: 10, before: 11 }, false);
+    expect(JSON.parse(response.body).items).toEqual([]);
+    expect(mockActualDDBQueryMethod).not.toHaveBeenCalled();
+  });
   test("should include debug logs when debug is true", async () => {
     process.env.NODE_ENV = 'test';
-    await getChatLog(true);
+    await getChatLog("chat", {}, true);
     expect(consoleLogSpy).toHaveBeenCalledWith("Executing getChatLog in test environment");
   });
 });
@@ -360,3 +454,202 @@ describe("checkMessageRateLimit", () => {
     expect(consoleLogSpy).toHaveBeenCalledWith("Mock result in checkMessageRateLimit:", mockDynamoResp);
   });
 });
+
+describe("handler /init-chat", () => {
+  let handler, dynamoDbService, initializeChatSystem;
+
+  const initChat = roomId => ({
+    rawPath: "/init-chat",
+    queryStringParameters: roomId ? { roomId } : undefined,
+    headers: {},
+    requestContext: { http: { method: "POST" } }
+  });
+
+  beforeEach(() => {
+    jest.resetModules();
+    jest.doMock("../scripts/init-chat-metadata", () => ({ initializeChatSystem: jest.fn(async () => {}) }));
+    jest.doMock("../services/dynamoDbService", () => ({
+      ...jest.requireActual("../services/dynamoDbService"),
+      getChatMetadata: jest.fn(async () => null)
+    }));
+    dynamoDbService = require("../services/dynamoDbService");
+    initializeChatSystem = require("../scripts/init-chat-metadata").initializeChatSystem;
+    handler = require("../index").handler;
+  });
+  afterEach(() => {
+    jest.dontMock("../scripts/init-chat-metadata");
+    jest.dontMock("../services/dynamoDbService");
+  });
+
+  test("should only seed the default room", async () => {
+    const rejected = await handler(initChat("team"));
+    expect(rejected.statusCode).toBe(400);
+    expect(JSON.parse(rejected.body).error).toContain("POST /rooms");
+
+    const seeded = await handler(initChat());
+    expect(seeded.statusCode).toBe(200);
+    expect(initializeChatSystem).toHaveBeenCalledTimes(1);
+    expect(initializeChatSystem).toHaveBeenCalledWith("chat");
+  });
+
+  test("should leave an existing default room alone", async () => {
+    dynamoDbService.getChatMetadata.mockResolvedValue({ id: "chat", datetime: 0, llmParticipants: [] });
+
+    const response = await handler(initChat("chat"));
+
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body).message).toBe("Chat system already initialized");
+    expect(initializeChatSystem).not.toHaveBeenCalled();
+  });
+});
+
+describe("handler room management", () => {
+  const OLD_ENV = process.env;
+  let handler, dynamoDbService, consoleErrorSpy;
+
+  const roomItem = (id, extra = {}) => ({
+    id,
+    datetime: 0,
+    nextSpeakerIndex: 0,
+    llmParticipants: [{ name: "gemini", provider: "google", personality: { moods: ["curious"], phrase: "I think..." } }],
+    ...extra
+  });
+  const request = (method, rawPath, body) => ({
+    rawPath,
+    headers: { authorization: "Bearer token" },
+    requestContext: { http: { method } },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const signIn = email => require("../auth").verifyAccessToken.mockResolvedValue({ email });
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env = { ...OLD_ENV, ADMIN_EMAILS: "admin@example.com" };
+    jest.doMock("../auth", () => ({ verifyAccessToken: jest.fn() }));
+    jest.doMock("../services/dynamoDbService", () => ({
+      ...jest.requireActual("../services/dynamoDbService"),
+      getChatMetadata: jest.fn(async roomId => roomItem(roomId, roomId === "team" ? { createdBy: "owner@example.com" } : {})),
+      getLatestMessage: jest.fn(async () => null),
+      updateRoomMetadata: jest.fn(async (roomId, updates) => roomItem(roomId, updates))
+    }));
+    dynamoDbService = require("../services/dynamoDbService");
+    handler = require("../index").handler;
+    consoleErrorSpy = jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+  afterEach(() => {
+    process.env = OLD_ENV;
+    consoleErrorSpy.mockRestore();
+    jest.dontMock("../auth");
+    jest.dontMock("../services/dynamoDbService");
+  });
+
+  test("should not let other users reconfigure or archive a room", async () => {
+    signIn("intruder@example.com");
+
+    const patched = await handler(request("PATCH", "/rooms/team", { name: "Renamed" }));
+    const archived = await handler(request("DELETE", "/rooms/chat"));
+
+    expect(patched.statusCode).toBe(403);
+    expect(JSON.parse(patched.body).error).toBe("Not allowed to manage room team");
+    expect(archived.statusCode).toBe(403);
+    expect(dynamoDbService.updateRoomMetadata).not.toHaveBeenCalled();
+  });
+
+  test("should let the room's creator and admins change it", async () => {
+    signIn("owner@example.com");
+    const patched = await handler(request("PATCH", "/rooms/team", { name: "Renamed" }));
+    expect(patched.statusCode).toBe(200);
+
+    signIn("admin@example.com");
+    const archived = await handler(request("DELETE", "/rooms/chat"));
+    expect(archived.statusCode).toBe(200);
+    expect(JSON.parse(archived.body).archived).toBe(true);
+  });
+
+  test("should list participants without connection settings to other users", async () => {
+    const local = {
+      name: "local", provider: "openai-compatible", baseUrl: "http://10.0.0.5:8000/v1", apiKeyEnv: "OPENAI_COMPATIBLE_VLLM_KEY",
+      personality: { moods: ["calm"], phrase: "hey" }
+    };
+    dynamoDbService.getChatMetadata.mockResolvedValue(roomItem("team", { createdBy: "owner@example.com", llmParticipants: [local] }));
+
+    signIn("intruder@example.com");
+    const listed = JSON.parse((await handler(request("GET", "/rooms/team/participants"))).body);
+    expect(listed.llmParticipants[0]).not.toHaveProperty("baseUrl");
+    expect(listed.llmParticipants[0]).not.toHaveProperty("apiKeyEnv");
+
+    signIn("owner@example.com");
+    const managed = JSON.parse((await handler(request("GET", "/rooms/team/participants"))).body);
+    expect(managed.llmParticipants[0]).toEqual(local);
+  });
+});
+
+describe("handler direct replies under budgets", () => {
+  const OLD_ENV = process.env;
+  let handler, dynamoDbService, generateAiResponse, consoleErrorSpy;
+
+  const post = () => ({
+    rawPath: "/",
+    headers: { authorization: "Bearer token" },
+    requestContext: { http: { method: "POST" } },
+    body: JSON.stringify({ userInput: "Hello", userName: "Ann" })
+  });
+  const load = env => {
+    jest.resetModules();
+    process.env = { ...OLD_ENV, LLM_PROVIDER_OVERRIDE: "mock", ...env };
+    jest.doMock("../auth", () => ({ verifyAccessToken: jest.fn(async () => ({ email: "ann@example.com" })) }));
+    jest.doMock("../services/generativeAiService", () => ({ generateAiResponse: jest.fn(async () => "Hi Ann") }));
+    jest.doMock("../services/dynamoDbService", () => ({
+      ...jest.requireActual("../services/dynamoDbService"),
+      getChatMetadata: jest.fn(async () => null),
+      checkMessageRateLimit: jest.fn(async () => ({ canSend: true })),
+      storeChatMessage: jest.fn(async () => {}),
+      getProviderUsage: jest.fn(async () => [
+        { datetime: require("../services/usageService").toUsageDay(Date.now()), inputTokens: 10, outputTokens: 10, costUsd: 2 }
+      ]),
+      putBudgetStatus: jest.fn(async () => {}),
+      addProviderUsage: jest.fn(async () => {})
+    }));
+    dynamoDbService = require("../services/dynamoDbService");
+    generateAiResponse = require("../services/generativeAiService").generateAiResponse;
+    handler = require("../index").handler;
+  };
+
+  beforeEach(() => { consoleErrorSpy = jest.spyOn(console, "error").mockImplementation(() => {}); });
+  afterEach(() => {
+    process.env = OLD_ENV;
+    consoleErrorSpy.mockRestore();
+    ["../auth", "../services/generativeAiService", "../services/dynamoDbService"].forEach(name => jest.dontMock(name));
+  });
+
+  test("should store the message but not reply once the global budget is spent", async () => {
+    load({ LLM_BUDGETS: '{"daily":{"usd":1}}' });
+
+    const response = await handler(post());
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(200);
+    expect(body).toMatchObject({ responses: [], reason: "Budget exceeded" });
+    expect(body.retryAfterMs).toBeGreaterThanOrEqual(0);
+    expect(dynamoDbService.storeChatMessage).toHaveBeenCalledTimes(1);
+    expect(generateAiResponse).not.toHaveBeenCalled();
+  });
+
+  test("should not reply when the provider is over its own budget", async () => {
+    load({ LLM_BUDGETS: '{"providers":{"mock":{"monthly":{"usd":1}}}}', LLM_BUDGET_ACTION: "cheapest" });
+
+    const body = JSON.parse((await handler(post())).body);
+
+    expect(body.responses).toEqual([]);
+    expect(generateAiResponse).not.toHaveBeenCalled();
+  });
+
+  test("should let a single personality reply with the cheapest action", async () => {
+    load({ LLM_BUDGETS: '{"daily":{"usd":1}}', LLM_BUDGET_ACTION: "cheapest" });
+
+    const body = JSON.parse((await handler(post())).body);
+
+    expect(body.responses).toHaveLength(1);
+    expect(generateAiResponse).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Unit tests for the AI-to-AI autonomy policy
+ */
+const {
+  validateAutonomy,
+  resolveAutonomy,
+  countConsecutiveAiTurns,
+  checkAiTurn,
+  DEFAULT_AUTONOMY
+} = require('../../services/autonomyService');
+
+describe('Autonomy Service', () => {
+  const participantNames = ['gemini', 'claude', 'openai'];
+  const message = (datetime, sender) => ({ id: 'chat', datetime, sender, message: `from ${sender}` });
+  const minute = 60 * 1000;
+
+  describe('validateAutonomy', () => {
+    it('should accept enabled alone or with settings', () => {
+      expect(() => validateAutonomy({ enabled: false })).not.toThrow();
+      expect(() => validateAutonomy({ enabled: true, maxConsecutiveAiTurns: 10, minTurnSpacingSeconds: 0, idleCutoffMinutes: 5 })).not.toThrow();
+    });
+
+    it('should reject invalid settings', () => {
+      expect(() => validateAutonomy(true)).toThrow('Room autonomy must be an object');
+      expect(() => validateAutonomy({ enabled: true, maxConsecutiveAiTurns: 0 })).toThrow('maxConsecutiveAiTurns');
+      expect(() => validateAutonomy({ enabled: true, maxConsecutiveAiTurns: 51 })).toThrow('maxConsecutiveAiTurns');
+      expect(() => validateAutonomy({ enabled: true, minTurnSpacingSeconds: -1 })).toThrow('minTurnSpacingSeconds');
+    });
+  });
+
+  describe('resolveAutonomy', () => {
+    it('should fill in defaults', () => {
+      expect(resolveAutonomy({})).toEqual({ enabled: true, maxConsecutiveAiTurns: 6, minTurnSpacingSeconds: 0, idleCutoffMinutes: 30 });
+      expect(resolveAutonomy({ autonomy: { enabled: false, idleCutoffMinutes: 5 } }))
+        .toEqual({ ...DEFAULT_AUTONOMY, enabled: false, idleCutoffMinutes: 5 });
+    });
+  });
+
+  describe('countConsecutiveAiTurns', () => {
+    it('should count AI messages after the last user message', () => {
+      const messages = [message(1, 'gemini'), message(2, 'ann'), message(3, 'claude'), message(4, 'gemini')];
+      expect(countConsecutiveAiTurns(messages, participantNames)).toBe(2);
+      expect(countConsecutiveAiTurns(messages.slice(0, 2), participantNames)).toBe(0);
+    });
+  });
+
+  describe('checkAiTurn', () => {
+    const autonomy = { enabled: true, maxConsecutiveAiTurns: 3, minTurnSpacingSeconds: 60, idleCutoffMinutes: 30 };
+    const now = 100 * minute;
+
+    it('should always allow answering a user message', () => {
+      expect(checkAiTurn({ ...autonomy, enabled: false }, [message(now, 'ann')], participantNames, now))
+        .toEqual({ allowed: true, remainingTurns: 3 });
+    });
+
+    it('should not answer AI messages when autonomy is disabled', () => {
+      const messages = [message(now - 5 * minute, 'ann'), message(now - 2 * minute, 'claude')];
+      expect(checkAiTurn({ ...autonomy, enabled: false }, messages, participantNames, now))
+        .toMatchObject({ allowed: false, reason: 'Autonomy disabled' });
+    });
+
+    it('should allow AI turns up to the chain limit', () => {
+      const messages = [message(now - 5 * minute, 'ann'), message(now - 4 * minute, 'claude'), message(now - 2 * minute, 'gemini')];
+      expect(checkAiTurn(autonomy, messages, participantNames, now)).toEqual({ allowed: true, remainingTurns: 1 });
+      expect(checkAiTurn(autonomy, [...messages, message(now - minute - 1, 'openai')], participantNames, now))
+        .toMatchObject({ allowed: false, reason: 'AI turn limit reached' });
+    });
+
+    it('should stop once no user has spoken within the idle cutoff', () => {
+      const messages = [message(now - 31 * minute, 'ann'), message(now - 2 * minute, 'claude')];
+      expect(checkAiTurn(autonomy, messages, participantNames, now)).toMatchObject({ allowed: false, reason: 'Room idle' });
+      expect(checkAiTurn(autonomy, [message(now - 2 * minute, 'claude')], participantNames, now))
+        .toMatchObject({ allowed: false, reason: 'Room idle' });
+    });
+
+    it('should ask to retry until the minimum spacing has passed', () => {
+      const messages = [message(now - 5 * minute, 'ann'), message(now - 20 * 1000, 'claude')];
+      expect(checkAiTurn(autonomy, messages, participantNames, now)).toEqual({
+        allowed: false,
+        remainingTurns: 2,
+        reason: 'Waiting for turn spacing',
+        retryAfterMs: 40 * 1000
+      });
+    });
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Unit tests for spend budgets
+ */
+jest.mock('../../services/dynamoDbService', () => ({
+  getProviderUsage: jest.fn(async () => []),
+  putBudgetStatus: jest.fn(async () => {}),
+  getBudgetStatus: jest.fn(async () => null),
+  addProviderUsage: jest.fn(async () => {})
+}));
+
+const { getProviderUsage, putBudgetStatus, getBudgetStatus } = require('../../services/dynamoDbService');
+const {
+  evaluateBudgets,
+  createBudgetState,
+  checkBudgets,
+  getBudgetNotice,
+  selectCheapestParticipant
+} = require('../../services/budgetService');
+
+const NOW = Date.UTC(2025, 0, 31, 18, 30);
+const END_OF_DAY = Date.UTC(2025, 1, 1);
+const END_OF_MONTH = Date.UTC(2025, 1, 1);
+
+describe('Budget service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('evaluateBudgets', () => {
+    const itemsByProvider = {
+      anthropic: [
+        { datetime: 20250110, inputTokens: 900, outputTokens: 100, costUsd: 3 },
+        { datetime: 20250131, inputTokens: 400, outputTokens: 100, costUsd: 1.5 }
+      ],
+      openai: [{ datetime: 20250131, inputTokens: 50, outputTokens: 50, costUsd: 0.5 }]
+    };
+
+    it('should report global budgets reached today or this month', () => {
+      const budgets = { global: { daily: { usd: 2 }, monthly: { usd: 10, tokens: 1500 } }, providers: {} };
+      expect(evaluateBudgets(budgets, itemsByProvider, NOW)).toEqual([
+        { period: 'daily', unit: 'usd', used: 2, limit: 2, resetsAt: END_OF_DAY },
+        { period: 'monthly', unit: 'tokens', used: 1600, limit: 1500, resetsAt: END_OF_MONTH }
+      ]);
+    });
+
+    it('should report provider budgets against that provider\'s usage only', () => {
+      const budgets = {
+        global: {},
+        providers: { anthropic: { monthly: { usd: 4 } }, openai: { daily: { usd: 1 } }, google: { daily: { tokens: 1 } } }
+      };
+      expect(evaluateBudgets(budgets, itemsByProvider, NOW)).toEqual([
+        { provider: 'anthropic', period: 'monthly', unit: 'usd', used: 4.5, limit: 4, resetsAt: END_OF_MONTH }
+      ]);
+    });
+  });
+
+  describe('createBudgetState', () => {
+    it('should tell global from provider budgets and when they reset', () => {
+      const budget = createBudgetState([
+        { period: 'daily', unit: 'usd', used: 2, limit: 2, resetsAt: 100 },
+        { provider: 'anthropic', period: 'daily', unit: 'usd', used: 1, limit: 1, resetsAt: 100 },
+        { provider: 'anthropic', period: 'monthly', unit: 'tokens', used: 9, limit: 5, resetsAt: 900 }
+      ], 'cheapest');
+
+      expect(budget.action).toBe('cheapest');
+      expect(budget.isGlobalExceeded()).toBe(true);
+      expect(budget.isExceeded('Anthropic')).toBe(true);
+      expect(budget.isExceeded('openai')).toBe(false);
+      expect(budget.resetsAt('anthropic')).toBe(900);
+      expect(budget.resetsAt()).toBe(100);
+      expect(budget.resetsAt('openai')).toBeUndefined();
+    });
+  });
+
+  describe('checkBudgets', () => {
+    const budgets = { global: {}, providers: { anthropic: { daily: { usd: 1 } } } };
+
+    it('should not read any counters without budgets', async () => {
+      const budget = await checkBudgets(false, NOW, { global: {}, providers: {} });
+      expect(budget.exceeded).toEqual([]);
+      expect(getProviderUsage).not.toHaveBeenCalled();
+      expect(putBudgetStatus).not.toHaveBeenCalled();
+    });
+
+    it('should read this month\'s counters of budgeted providers and save the outcome', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      getProviderUsage.mockResolvedValueOnce([{ datetime: 20250131, inputTokens: 10, outputTokens: 10, costUsd: 1.2 }]);
+
+      const budget = await checkBudgets(false, NOW, budgets);
+
+      expect(getProviderUsage).toHaveBeenCalledTimes(1);
+      expect(getProviderUsage).toHaveBeenCalledWith('anthropic', 20250101, 20250131, false);
+      expect(budget.isExceeded('anthropic')).toBe(true);
+      expect(putBudgetStatus).toHaveBeenCalledWith({ exceeded: budget.exceeded, checkedAt: NOW }, false);
+      console.error.mockRestore();
+    });
+
+    it('should treat every budget as available when the counters cannot be read', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      getProviderUsage.mockRejectedValueOnce(new Error('throttled'));
+
+      const budget = await checkBudgets(false, NOW, budgets);
+
+      expect(budget.exceeded).toEqual([]);
+      expect(putBudgetStatus).not.toHaveBeenCalled();
+      console.error.mockRestore();
+    });
+  });
+
+  describe('getBudgetNotice', () => {
+    const budgets = { global: { daily: { usd: 1 } }, providers: {} };
+
+    it('should report budgets that have not reset since the last check', async () => {
+      const current = { period: 'monthly', unit: 'usd', used: 30, limit: 25, resetsAt: END_OF_MONTH };
+      getBudgetStatus.mockResolvedValueOnce({
+        exceeded: [{ period: 'daily', unit: 'usd', used: 1, limit: 1, resetsAt: NOW - 1 }, current],
+        checkedAt: NOW - 60000
+      });
+
+      expect(await getBudgetNotice(false, NOW, budgets)).toEqual({ exceeded: [current], checkedAt: NOW - 60000 });
+    });
+
+    it('should return null when nothing is exceeded or the status cannot be read', async () => {
+      expect(await getBudgetNotice(false, NOW, budgets)).toBeNull();
+      getBudgetStatus.mockRejectedValueOnce(new Error('throttled'));
+      expect(await getBudgetNotice(false, NOW, budgets)).toBeNull();
+      expect(await getBudgetNotice(false, NOW, { global: {}, providers: {} })).toBeNull();
+      expect(getBudgetStatus).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('selectCheapestParticipant', () => {
+    const participants = [
+      { name: 'pro', provider: 'google', model: 'gemini-1.5-pro' },
+      { name: 'local', provider: 'openai-compatible', model: 'llama3' },
+      { name: 'haiku', provider: 'anthropic', model: 'claude-3-haiku-20240307' },
+      { name: 'mini', provider: 'openai', model: 'gpt-4o-mini' }
+    ];
+
+    it('should pick the available participant with the lowest known price', () => {
+      expect(selectCheapestParticipant(participants)).toEqual({ participant: participants[3], index: 3 });
+      expect(selectCheapestParticipant(participants, participant => participant.name !== 'mini'))
+        .toEqual({ participant: participants[2], index: 2 });
+    });
+
+    it('should fall back to participants without a known price, in room order', () => {
+      expect(selectCheapestParticipant(participants.slice(0, 2), participant => participant.name === 'local'))
+        .toEqual({ participant: participants[1], index: 1 });
+      expect(selectCheapestParticipant(participants, () => false)).toBeNull();
+    });
+  });
+});
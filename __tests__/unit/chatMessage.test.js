@@ -4,6 +4,7 @@
  */
 const {
   validateChatMessage,
+  validateMentions,
   serializeChatMessage,
   deserializeChatMessage,
   prettyPrintChatMessage,
@@ -23,28 +24,61 @@ describe('ChatMessage Model', () => {
       expect(() => validateChatMessage(message)).not.toThrow();
     });
 
+    it('should accept message in a non-default room', () => {
+      const message = {
+        id: 'team-alpha_1',
+        datetime: Date.now(),
+        sender: 'user',
+        message: 'Hello',
+        isProcessed: false
+      };
+      expect(() => validateChatMessage(message)).not.toThrow();
+    });
+
     it('should reject message with invalid id', () => {
       const message = {
-        id: 'invalid',
+        id: 'not a room!',
         datetime: Date.now(),
         sender: 'user',
         message: 'Hello',
         isProcessed: false
       };
-      expect(() => validateChatMessage(message)).toThrow('Message id must be "chat"');
+      expect(() => validateChatMessage(message)).toThrow('Message id must be a valid room id');
+    });
+
+    it('should reject message with empty id', () => {
+      const message = {
+        id: '',
+        datetime: Date.now(),
+        sender: 'user',
+        message: 'Hello',
+        isProcessed: false
+      };
+      expect(() => validateChatMessage(message)).toThrow('Message id must be a valid room id');
     });
 
     it('should reject message with invalid sender', () => {
       const message = {
         id: 'chat',
         datetime: Date.now(),
-        sender: 'invalid',
+        sender: 'not a sender!',
         message: 'Hello',
         isProcessed: false
       };
       expect(() => validateChatMessage(message)).toThrow();
     });
 
+    it('should accept any well-formed participant name as sender', () => {
+      const message = {
+        id: 'chat',
+        datetime: Date.now(),
+        sender: 'mistral-large',
+        message: 'Hello',
+        isProcessed: false
+      };
+      expect(() => validateChatMessage(message)).not.toThrow();
+    });
+
     it('should reject message with empty content', () => {
       const message = {
         id: 'chat',
@@ -264,6 +298,16 @@ describe('ChatMessage Model', () => {
       expect(message.datetime > 0).toBe(true);
     });
 
+    it('should create message in the given room', () => {
+      const message = createChatMessage('gemini', 'Hi', undefined, 'topic-42');
+      expect(message.id).toBe('topic-42');
+      expect(message.email).toBeUndefined();
+    });
+
+    it('should throw on invalid room id', () => {
+      expect(() => createChatMessage('gemini', 'Hi', undefined, 'bad/room')).toThrow();
+    });
+
     it('should create message without email when not provided', () => {
       const message = createChatMessage('gemini', 'Hi');
       expect(message.email).toBeUndefined();
@@ -271,7 +315,7 @@ describe('ChatMessage Model', () => {
     });
 
     it('should throw on invalid sender', () => {
-      expect(() => createChatMessage('invalid', 'Hello')).toThrow();
+      expect(() => createChatMessage('', 'Hello')).toThrow();
     });
 
     it('should throw on empty message content', () => {
@@ -306,5 +350,26 @@ describe('ChatMessage Model', () => {
       const deserialized = deserializeChatMessage(serialized);
       expect(deserialized).toEqual(original);
     });
+
+    it('should preserve mentions through round-trip', () => {
+      const original = {
+        id: 'chat',
+        datetime: 1234567890,
+        sender: 'user',
+        message: '@claude @gemini thoughts?',
+        mentions: [{ name: 'claude', offset: 0, length: 7 }, { name: 'gemini', offset: 8, length: 7 }],
+        isProcessed: false
+      };
+      expect(deserializeChatMessage(serializeChatMessage(original))).toEqual(original);
+    });
+  });
+
+  describe('validateMentions', () => {
+    it('should reject malformed mentions', () => {
+      expect(() => validateMentions('claude')).toThrow('Message mentions must be an array');
+      expect(() => validateMentions([{ name: '', offset: 0, length: 1 }])).toThrow('Mention name must be a non-empty string');
+      expect(() => validateMentions([{ name: 'claude', offset: -1, length: 7 }])).toThrow('Mention offset must be a non-negative integer');
+      expect(() => validateMentions([{ name: 'claude', offset: 0, length: 0 }])).toThrow('Mention length must be a positive integer');
+    });
   });
 });
@@ -83,9 +83,14 @@ describe('ChatMetadata Model', () => {
       expect(() => validateChatMetadata(validMetadata)).not.toThrow();
     });
 
+    it('should accept metadata for a non-default room', () => {
+      const metadata = { ...validMetadata, id: 'team-alpha' };
+      expect(() => validateChatMetadata(metadata)).not.toThrow();
+    });
+
     it('should reject metadata with invalid id', () => {
-      const metadata = { ...validMetadata, id: 'invalid' };
-      expect(() => validateChatMetadata(metadata)).toThrow('Metadata id must be "chat"');
+      const metadata = { ...validMetadata, id: 'in valid' };
+      expect(() => validateChatMetadata(metadata)).toThrow('Metadata id must be a valid room id');
     });
 
     it('should reject metadata with invalid datetime', () => {
@@ -108,6 +113,35 @@ describe('ChatMetadata Model', () => {
       expect(() => validateChatMetadata(metadata)).toThrow();
     });
 
+    it('should accept metadata with room attributes', () => {
+      const metadata = { ...validMetadata, name: 'Team room', archived: true, createdBy: 'a@b.c', createdAt: 1 };
+      expect(() => validateChatMetadata(metadata)).not.toThrow();
+    });
+
+    it('should reject metadata with non-boolean archived', () => {
+      const metadata = { ...validMetadata, archived: 'yes' };
+      expect(() => validateChatMetadata(metadata)).toThrow('Room archived must be a boolean');
+    });
+
+    it('should validate the speaker strategy', () => {
+      expect(() => validateChatMetadata({ ...validMetadata, speakerStrategy: 'weighted-random' })).not.toThrow();
+      expect(() => validateChatMetadata({ ...validMetadata, speakerStrategy: 'loudest' }))
+        .toThrow('Room speakerStrategy must be one of');
+    });
+
+    it('should validate the autonomy settings', () => {
+      expect(() => validateChatMetadata({ ...validMetadata, autonomy: { enabled: true, maxConsecutiveAiTurns: 4 } })).not.toThrow();
+      expect(() => validateChatMetadata({ ...validMetadata, autonomy: { maxConsecutiveAiTurns: 4 } }))
+        .toThrow('Room autonomy.enabled must be a boolean');
+      expect(() => validateChatMetadata({ ...validMetadata, autonomy: { enabled: true, idleCutoffMinutes: 0 } }))
+        .toThrow('Room autonomy.idleCutoffMinutes must be a positive number');
+    });
+
+    it('should reject metadata with empty room name', () => {
+      const metadata = { ...validMetadata, name: '  ' };
+      expect(() => validateChatMetadata(metadata)).toThrow();
+    });
+
     it('should reject metadata with invalid participant', () => {
       const metadata = {
         ...validMetadata,
@@ -119,6 +153,85 @@ describe('ChatMetadata Model', () => {
     });
   });
 
+  describe('validateParticipant systemPrompt', () => {
+    const systemPrompt = { description: 'A pattern spotter.', styleRules: ['Be brief.'] };
+
+    it('should accept a participant with a system prompt', () => {
+      expect(() => validateParticipant({ ...validParticipant, systemPrompt })).not.toThrow();
+      expect(() => validateParticipant({ ...validParticipant, systemPrompt: { description: 'Only a description.' } })).not.toThrow();
+    });
+
+    it('should reject an invalid system prompt', () => {
+      expect(() => validateParticipant({ ...validParticipant, systemPrompt: 'text' }))
+        .toThrow('Participant systemPrompt must be an object');
+      expect(() => validateParticipant({ ...validParticipant, systemPrompt: { description: ' ' } }))
+        .toThrow('Participant systemPrompt.description must be a non-empty string');
+      expect(() => validateParticipant({ ...validParticipant, systemPrompt: { ...systemPrompt, styleRules: ['ok', ''] } }))
+        .toThrow('Participant systemPrompt.styleRules must be an array of non-empty strings');
+    });
+
+    it('should round-trip a system prompt through DynamoDB format', () => {
+      const participant = { ...validParticipant, systemPrompt };
+      expect(deserializeParticipant(serializeParticipant(participant))).toEqual(participant);
+      expect(deserializeParticipant(serializeParticipant(validParticipant)).systemPrompt).toBeUndefined();
+    });
+  });
+
+  describe('validateParticipant weight', () => {
+    it('should accept a positive weight and round-trip it', () => {
+      const participant = { ...validParticipant, weight: 2.5 };
+      expect(() => validateParticipant(participant)).not.toThrow();
+      expect(deserializeParticipant(serializeParticipant(participant))).toEqual(participant);
+    });
+
+    it('should reject a weight that is not a positive number', () => {
+      expect(() => validateParticipant({ ...validParticipant, weight: 0 })).toThrow('Participant weight must be a positive number');
+      expect(() => validateParticipant({ ...validParticipant, weight: '2' })).toThrow('Participant weight must be a positive number');
+    });
+  });
+
+  describe('validateParticipant generation settings', () => {
+    const settings = { model: 'gemini-1.5-pro', temperature: 1.5, maxTokens: 512, topP: 0.9, stopSequences: ['END'], timeoutMs: 15000 };
+
+    it('should accept settings and round-trip them', () => {
+      const participant = { ...validParticipant, ...settings };
+      expect(() => validateParticipant(participant)).not.toThrow();
+      expect(deserializeParticipant(serializeParticipant(participant))).toEqual(participant);
+    });
+
+    it('should check temperature against the provider range', () => {
+      expect(() => validateParticipant({ ...validParticipant, provider: 'anthropic', temperature: 1.5 }))
+        .toThrow('Participant temperature must be a number between 0 and 1 for provider anthropic');
+    });
+
+    it('should reject invalid settings', () => {
+      expect(() => validateParticipant({ ...validParticipant, model: '' })).toThrow('Participant model');
+      expect(() => validateParticipant({ ...validParticipant, maxTokens: 1.5 })).toThrow('Participant maxTokens');
+      expect(() => validateParticipant({ ...validParticipant, topP: 0 })).toThrow('Participant topP');
+      expect(() => validateParticipant({ ...validParticipant, stopSequences: ['a', 'b', 'c', 'd', 'e'] })).toThrow('Participant stopSequences');
+      expect(() => validateParticipant({ ...validParticipant, timeoutMs: 500 })).toThrow('Participant timeoutMs must be an integer between 1000 and 120000');
+    });
+  });
+
+  describe('validateParticipant fallbackProviders', () => {
+    it('should accept other registered providers and round-trip them', () => {
+      const participant = { ...validParticipant, fallbackProviders: ['anthropic', 'openai'] };
+      expect(() => validateParticipant(participant)).not.toThrow();
+      expect(deserializeParticipant(serializeParticipant(participant))).toEqual(participant);
+    });
+
+    it('should reject unknown, repeated or own providers', () => {
+      expect(() => validateParticipant({ ...validParticipant, fallbackProviders: [] }))
+        .toThrow('Participant fallbackProviders must be an array of 1-3 provider names');
+      expect(() => validateParticipant({ ...validParticipant, fallbackProviders: ['mistral'] }))
+        .toThrow('Participant fallbackProviders must be among');
+      expect(() => validateParticipant({ ...validParticipant, fallbackProviders: ['openai', 'openai'] }))
+        .toThrow('must not repeat a provider');
+      expect(() => validateParticipant({ ...validParticipant, fallbackProviders: [validParticipant.provider] }))
+        .toThrow('must not repeat a provider');
+    });
+  });
+
   describe('serializeParticipant', () => {
     it('should serialize valid participant to DynamoDB format', () => {
       const serialized = serializeParticipant(validParticipant);
@@ -231,6 +344,12 @@ describe('ChatMetadata Model', () => {
       expect(metadata.nextSpeakerIndex).toBe(0);
     });
 
+    it('should create metadata for the given room', () => {
+      const metadata = createChatMetadata([validParticipant], 'topic-42');
+      expect(metadata.id).toBe('topic-42');
+      expect(metadata.nextSpeakerIndex).toBe(0);
+    });
+
     it('should throw on empty participants array', () => {
       expect(() => createChatMetadata([])).toThrow();
     });
@@ -248,6 +367,13 @@ describe('ChatMetadata Model', () => {
       expect(deserialized).toEqual(validMetadata);
     });
 
+    it('should preserve room attributes through serialize/deserialize cycle', () => {
+      const metadata = { ...validMetadata, id: 'team', name: 'Team room', archived: false, speakerStrategy: 'never-twice-in-a-row',
+        autonomy: { enabled: true, maxConsecutiveAiTurns: 8, minTurnSpacingSeconds: 30, idleCutoffMinutes: 15 }, createdBy: 'a@b.c', createdAt: 1700000000000 };
+      const deserialized = deserializeChatMetadata(serializeChatMetadata(metadata));
+      expect(deserialized).toEqual(metadata);
+    });
+
     it('should preserve metadata with multiple participants', () => {
       const metadata = {
         id: 'chat',
@@ -0,0 +1,106 @@
+/**
+ * Unit tests for the provider circuit breaker
+ */
+jest.mock('../../services/dynamoDbService', () => ({
+  getCircuitStates: jest.fn(async () => ({})),
+  recordCircuitFailure: jest.fn(),
+  resetCircuit: jest.fn(async () => {})
+}));
+
+const { getCircuitStates, recordCircuitFailure, resetCircuit } = require('../../services/dynamoDbService');
+const {
+  getCircuitStatus,
+  createCircuitBreaker,
+  loadCircuitBreaker,
+  CIRCUIT_STATUS
+} = require('../../services/circuitBreakerService');
+
+const NOW = 1000000;
+const outage = () => Object.assign(new Error('Anthropic API error: 529 - overloaded'), { status: 529 });
+
+describe('Circuit breaker', () => {
+  const options = { threshold: 3, openMs: 60000, now: () => NOW };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getCircuitStatus', () => {
+    it('should open at the threshold and half-open once the open period is over', () => {
+      expect(getCircuitStatus(undefined, NOW, 3)).toBe(CIRCUIT_STATUS.CLOSED);
+      expect(getCircuitStatus({ failureCount: 2 }, NOW, 3)).toBe(CIRCUIT_STATUS.CLOSED);
+      expect(getCircuitStatus({ failureCount: 3, openUntil: NOW + 1 }, NOW, 3)).toBe(CIRCUIT_STATUS.OPEN);
+      expect(getCircuitStatus({ failureCount: 3, openUntil: NOW }, NOW, 3)).toBe(CIRCUIT_STATUS.HALF_OPEN);
+      expect(getCircuitStatus({ failureCount: 0, openUntil: NOW + 1 }, NOW, 3)).toBe(CIRCUIT_STATUS.CLOSED);
+    });
+  });
+
+  describe('createCircuitBreaker', () => {
+    it('should record outages and open the circuit when the threshold is reached', async () => {
+      recordCircuitFailure.mockResolvedValueOnce({ provider: 'anthropic', failureCount: 3, openUntil: NOW + 60000 });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const breaker = createCircuitBreaker({ anthropic: { failureCount: 2 } }, false, options);
+
+      expect(breaker.isOpen('anthropic')).toBe(false);
+      await breaker.recordFailure('anthropic', outage());
+
+      expect(recordCircuitFailure).toHaveBeenCalledWith('anthropic', {
+        now: NOW, message: 'Anthropic API error: 529 - overloaded', threshold: 3, openMs: 60000
+      }, false);
+      expect(breaker.isOpen('anthropic')).toBe(true);
+      expect(breaker.openUntil('anthropic')).toBe(NOW + 60000);
+      console.error.mockRestore();
+    });
+
+    it('should not count errors that are not outages', async () => {
+      const breaker = createCircuitBreaker({}, false, options);
+      await breaker.recordFailure('anthropic', Object.assign(new Error('bad request'), { status: 400 }));
+      await breaker.recordFailure('anthropic', new Error('ANTHROPIC_API_KEY environment variable is not set'));
+      expect(recordCircuitFailure).not.toHaveBeenCalled();
+    });
+
+    it('should close a circuit with failures after a success, and only then', async () => {
+      const breaker = createCircuitBreaker({ anthropic: { failureCount: 3, openUntil: NOW - 1 } }, false, options);
+      expect(breaker.status('anthropic')).toBe(CIRCUIT_STATUS.HALF_OPEN);
+
+      await breaker.recordSuccess('anthropic');
+      await breaker.recordSuccess('anthropic');
+      await breaker.recordSuccess('openai');
+
+      expect(resetCircuit).toHaveBeenCalledTimes(1);
+      expect(resetCircuit).toHaveBeenCalledWith('anthropic', false);
+      expect(breaker.status('anthropic')).toBe(CIRCUIT_STATUS.CLOSED);
+    });
+
+    it('should keep a participant available while one provider of its chain is not open', () => {
+      const breaker = createCircuitBreaker({ anthropic: { failureCount: 5, openUntil: NOW + 1 } }, false, options);
+      expect(breaker.isAvailable({ name: 'claude', provider: 'anthropic' })).toBe(false);
+      expect(breaker.isAvailable({ name: 'claude', provider: 'anthropic', fallbackProviders: ['openai'] })).toBe(true);
+    });
+
+    it('should carry on when recording fails', async () => {
+      recordCircuitFailure.mockRejectedValueOnce(new Error('throttled'));
+      const breaker = createCircuitBreaker({}, false, options);
+      await expect(breaker.recordFailure('anthropic', outage())).resolves.toBeUndefined();
+    });
+  });
+
+  describe('loadCircuitBreaker', () => {
+    it('should load the circuits of every provider the participants use', async () => {
+      getCircuitStates.mockResolvedValueOnce({ google: { failureCount: 3, openUntil: NOW + 1 } });
+      const breaker = await loadCircuitBreaker([
+        { name: 'gemini', provider: 'google' },
+        { name: 'claude', provider: 'anthropic', fallbackProviders: ['google', 'openai'] }
+      ], false, options);
+
+      expect(getCircuitStates).toHaveBeenCalledWith(['google', 'anthropic', 'openai'], false);
+      expect(breaker.isOpen('google')).toBe(true);
+    });
+
+    it('should treat every circuit as closed when the states cannot be read', async () => {
+      getCircuitStates.mockRejectedValueOnce(new Error('table missing'));
+      const breaker = await loadCircuitBreaker([{ name: 'gemini', provider: 'google' }], false, options);
+      expect(breaker.isOpen('google')).toBe(false);
+    });
+  });
+});
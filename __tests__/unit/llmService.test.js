@@ -0,0 +1,353 @@
+/**
+ * Unit tests for LLM Service conversation mapping
+ */
+process.env.ANTHROPIC_API_KEY = 'test-anthropic-key';
+process.env.OPENAI_API_KEY = 'test-openai-key';
+process.env.LLM_RETRY_BASE_DELAY_MS = '1';
+
+const {
+  buildConversationTurns,
+  toGeminiContents,
+  toAnthropicMessages,
+  toOpenAIMessages,
+  buildPrompt,
+  generateResponse,
+  getGenerationSettings,
+  toGeminiModelParams,
+  parseOrchestratorResponse,
+  buildOrchestratorPrompt,
+  buildProviderChain,
+  generateWithFallback
+} = require('../../services/llmService');
+const { LLMTimeoutError } = require('../../services/timeoutService');
+
+const history = [
+  { role: 'user', content: 'What is the capital of France?' },
+  { role: 'persona', name: 'gemini', content: 'Paris.' },
+  { role: 'assistant', name: 'claude', content: 'Indeed, Paris.' },
+  { role: 'user', content: 'And of Spain?' }
+];
+
+describe('LLM Service conversation mapping', () => {
+  describe('buildConversationTurns', () => {
+    it('should wrap a plain prompt in a single user turn', () => {
+      expect(buildConversationTurns('Hi')).toEqual([{ role: 'user', content: 'Hi' }]);
+    });
+
+    it('should label other personas and merge consecutive user turns', () => {
+      expect(buildConversationTurns(history)).toEqual([
+        { role: 'user', content: 'What is the capital of France?\n\ngemini: Paris.' },
+        { role: 'assistant', content: 'Indeed, Paris.' },
+        { role: 'user', content: 'And of Spain?' }
+      ]);
+    });
+
+    it('should start and end on a user turn', () => {
+      const turns = buildConversationTurns([
+        { role: 'assistant', content: 'Earlier reply' },
+        { role: 'user', content: 'Question' },
+        { role: 'assistant', content: 'Latest reply' }
+      ]);
+      expect(turns.map(turn => turn.role)).toEqual(['user', 'assistant', 'user']);
+      expect(turns[0].content).toBe('Question');
+      expect(turns[2].content).toBe('Continue the conversation.');
+    });
+  });
+
+  describe('provider formats', () => {
+    it('should map assistant turns to the Gemini model role', () => {
+      expect(toGeminiContents(history).map(content => content.role)).toEqual(['user', 'model', 'user']);
+      expect(toGeminiContents(history)[2]).toEqual({ role: 'user', parts: [{ text: 'And of Spain?' }] });
+    });
+
+    it('should map to Anthropic and OpenAI messages', () => {
+      const expected = ['user', 'assistant', 'user'];
+      expect(toAnthropicMessages(history).map(message => message.role)).toEqual(expected);
+      expect(toOpenAIMessages(history).map(message => message.role)).toEqual(expected);
+      expect(toOpenAIMessages(history)[1]).toEqual({ role: 'assistant', content: 'Indeed, Paris.' });
+    });
+  });
+
+  describe('buildPrompt', () => {
+    it('should prefix the mood to the latest non-assistant turn of a history', () => {
+      const prompt = buildPrompt(history, { moods: ['Cheerfully: '] });
+      expect(prompt[3].content).toBe('Cheerfully: And of Spain?');
+      expect(history[3].content).toBe('And of Spain?');
+    });
+  });
+
+  describe('generateResponse', () => {
+    const originalFetch = global.fetch;
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    it('should send the history to Anthropic as messages', async () => {
+      global.fetch = jest.fn(async () => ({
+        ok: true,
+        json: async () => ({ content: [{ type: 'text', text: 'Madrid.' }] })
+      }));
+
+      expect(await generateResponse('anthropic', history, null, false)).toBe('Madrid.');
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(body.messages).toEqual(toAnthropicMessages(history));
+    });
+
+    it('should send the system prompt as Anthropic system', async () => {
+      global.fetch = jest.fn(async () => ({
+        ok: true,
+        json: async () => ({ content: [{ type: 'text', text: 'Madrid.' }] })
+      }));
+
+      await generateResponse('anthropic', history, null, false, { systemPrompt: 'You are claude.' });
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(body.system).toBe('You are claude.');
+      expect(body.messages[0].role).toBe('user');
+    });
+
+    it('should send the system prompt as the first OpenAI message', async () => {
+      global.fetch = jest.fn(async () => ({
+        ok: true,
+        json: async () => ({ choices: [{ message: { content: 'Madrid.' } }] })
+      }));
+
+      await generateResponse('openai', 'Hi', null, false, { systemPrompt: 'You are openai.' });
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(body.messages).toEqual([
+        { role: 'system', content: 'You are openai.' },
+        { role: 'user', content: 'Hi' }
+      ]);
+    });
+
+    it('should send the history to OpenAI as chat messages', async () => {
+      global.fetch = jest.fn(async () => ({
+        ok: true,
+        json: async () => ({ choices: [{ message: { content: 'Madrid.' } }] })
+      }));
+
+      expect(await generateResponse('openai', history, null, false)).toBe('Madrid.');
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(body.messages).toEqual(toOpenAIMessages(history));
+      expect(body.max_tokens).toBe(1024);
+      expect(body).not.toHaveProperty('temperature');
+    });
+
+    it('should send per-participant model and sampling settings to Anthropic', async () => {
+      global.fetch = jest.fn(async () => ({
+        ok: true,
+        json: async () => ({ content: [{ type: 'text', text: 'Madrid.' }] })
+      }));
+
+      await generateResponse('anthropic', 'Hi', null, false, {
+        model: 'claude-3-5-sonnet-latest', temperature: 0.3, maxTokens: 200, topP: 0.9, stopSequences: ['END']
+      });
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toMatchObject({
+        model: 'claude-3-5-sonnet-latest', temperature: 0.3, max_tokens: 200, top_p: 0.9, stop_sequences: ['END']
+      });
+    });
+
+    it('should send per-participant model and sampling settings to OpenAI', async () => {
+      global.fetch = jest.fn(async () => ({
+        ok: true,
+        json: async () => ({ choices: [{ message: { content: 'Madrid.' } }] })
+      }));
+
+      await generateResponse('openai', 'Hi', null, false, { model: 'gpt-4o', temperature: 1.2, maxTokens: 300, stopSequences: ['\n\n'] });
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toMatchObject({
+        model: 'gpt-4o', temperature: 1.2, max_tokens: 300, stop: ['\n\n']
+      });
+    });
+  });
+
+  describe('token usage', () => {
+    const originalFetch = global.fetch;
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    it('should report the tokens of Anthropic and OpenAI replies', async () => {
+      const onUsage = jest.fn();
+      global.fetch = jest.fn(async () => ({
+        ok: true,
+        json: async () => ({ content: [{ type: 'text', text: 'Madrid.' }], usage: { input_tokens: 30, output_tokens: 4 } })
+      }));
+      await generateResponse('anthropic', 'Hi', null, false, { onUsage });
+      expect(onUsage).toHaveBeenLastCalledWith({ model: 'claude-3-haiku-20240307', inputTokens: 30, outputTokens: 4 });
+
+      global.fetch = jest.fn(async () => ({
+        ok: true,
+        json: async () => ({ choices: [{ message: { content: 'Madrid.' } }], usage: { prompt_tokens: 25, completion_tokens: 3 } })
+      }));
+      await generateResponse('openai', 'Hi', null, false, { model: 'gpt-4o', onUsage });
+      expect(onUsage).toHaveBeenLastCalledWith({ model: 'gpt-4o', inputTokens: 25, outputTokens: 3 });
+    });
+
+    it('should not report usage the provider left out', async () => {
+      const onUsage = jest.fn();
+      global.fetch = jest.fn(async () => ({
+        ok: true,
+        json: async () => ({ choices: [{ message: { content: 'Madrid.' } }] })
+      }));
+      await generateResponse('openai', 'Hi', null, false, { onUsage });
+      expect(onUsage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('generation settings', () => {
+    it('should pick only the generation settings of a participant', () => {
+      expect(getGenerationSettings({ name: 'gemini', provider: 'google', temperature: 0, topP: 0.5, weight: 2 }))
+        .toEqual({ temperature: 0, topP: 0.5 });
+    });
+
+    it('should map settings to Gemini generationConfig', () => {
+      expect(toGeminiModelParams({ model: 'gemini-1.5-pro', temperature: 0.7, maxTokens: 256, stopSequences: ['END'] })).toEqual({
+        model: 'gemini-1.5-pro',
+        generationConfig: { temperature: 0.7, maxOutputTokens: 256, stopSequences: ['END'] }
+      });
+      expect(toGeminiModelParams({ systemPrompt: 'Be brief.' })).not.toHaveProperty('generationConfig');
+    });
+  });
+
+  describe('timeouts', () => {
+    it('should abort a slow provider and retry it', async () => {
+      const error = await generateResponse('mock', 'Hi', null, false, { mock: { latencyMs: 5000 }, timeoutMs: 20 })
+        .catch(caught => caught);
+      expect(error).toBeInstanceOf(LLMTimeoutError);
+      expect(error.message).toBe('mock timed out after 20 ms');
+      expect(error.attempts).toBe(3);
+    });
+
+    it('should not call a provider once the deadline has passed', async () => {
+      const error = await generateResponse('mock', 'Hi', null, false, { deadline: Date.now() - 1 }).catch(caught => caught);
+      expect(error).toMatchObject({ budgetExceeded: true, attempts: 1 });
+    });
+  });
+
+  describe('provider fallback', () => {
+    it('should give fallbacks the portable settings with temperature capped', () => {
+      const participant = {
+        name: 'gemini', provider: 'google', model: 'gemini-1.5-pro', temperature: 1.8, maxTokens: 200,
+        fallbackProviders: ['anthropic', 'openai']
+      };
+      expect(buildProviderChain(participant, { systemPrompt: 'Be brief.' })).toEqual([
+        { provider: 'google', options: { model: 'gemini-1.5-pro', temperature: 1.8, maxTokens: 200, systemPrompt: 'Be brief.' } },
+        { provider: 'anthropic', options: { temperature: 1, maxTokens: 200, systemPrompt: 'Be brief.' } },
+        { provider: 'openai', options: { temperature: 1.8, maxTokens: 200, systemPrompt: 'Be brief.' } }
+      ]);
+    });
+
+    it('should answer from the first provider that succeeds', async () => {
+      const chain = [
+        { provider: 'mock', options: { mock: { errorRate: 1 } } },
+        { provider: 'openai-compatible', options: {} }
+      ];
+      const reply = await generateWithFallback([...chain, { provider: 'mock', options: {} }], 'Hi', false);
+      expect(reply).toEqual({
+        text: 'Echo: Hi',
+        provider: 'mock',
+        fallbackFrom: ['mock', 'openai-compatible'],
+        usage: { model: 'mock', inputTokens: 1, outputTokens: 2 }
+      });
+    });
+
+    it('should list every failure when the whole chain fails', async () => {
+      const chain = [
+        { provider: 'mock', options: { mock: { blockRate: 1 } } },
+        { provider: 'openai-compatible', options: {} }
+      ];
+      const error = await generateWithFallback(chain, 'Hi', false).catch(caught => caught);
+      expect(error.message).toMatch(/^All providers failed: mock: Mock response was blocked/);
+      expect(error.failures).toEqual([
+        { provider: 'mock', message: 'Mock response was blocked due to SAFETY' },
+        { provider: 'openai-compatible', message: expect.stringContaining('OPENAI_COMPATIBLE_BASE_URL') }
+      ]);
+    });
+
+    it('should skip providers whose circuit is open and record the outcome', async () => {
+      const circuitBreaker = {
+        isOpen: provider => provider === 'openai-compatible',
+        recordSuccess: jest.fn(async () => {}),
+        recordFailure: jest.fn(async () => {})
+      };
+      const chain = [
+        { provider: 'openai-compatible', options: {} },
+        { provider: 'mock', options: {} }
+      ];
+
+      const reply = await generateWithFallback(chain, 'Hi', false, { circuitBreaker });
+      expect(reply).toMatchObject({ text: 'Echo: Hi', provider: 'mock', fallbackFrom: ['openai-compatible'] });
+      expect(circuitBreaker.recordSuccess).toHaveBeenCalledWith('mock');
+      expect(circuitBreaker.recordFailure).not.toHaveBeenCalled();
+    });
+
+    it('should skip providers that are over budget', async () => {
+      const budget = { isExceeded: provider => provider === 'openai-compatible' };
+      const chain = [
+        { provider: 'openai-compatible', options: {} },
+        { provider: 'mock', options: {} }
+      ];
+
+      const reply = await generateWithFallback(chain, 'Hi', false, { budget });
+      expect(reply).toMatchObject({ text: 'Echo: Hi', provider: 'mock', fallbackFrom: ['openai-compatible'] });
+      const error = await generateWithFallback([chain[0], chain[0]], 'Hi', false, { budget }).catch(caught => caught);
+      expect(error.failures).toEqual([
+        { provider: 'openai-compatible', message: 'Over budget' },
+        { provider: 'openai-compatible', message: 'Over budget' }
+      ]);
+    });
+
+    it('should report a timeout when every provider timed out', async () => {
+      const slow = { mock: { latencyMs: 5000 }, timeoutMs: 20 };
+      const chain = [{ provider: 'mock', options: slow }, { provider: 'mock', options: slow }];
+      const error = await generateWithFallback(chain, 'Hi', false).catch(caught => caught);
+      expect(error).toBeInstanceOf(LLMTimeoutError);
+      expect(error.failures).toHaveLength(2);
+    });
+
+    it('should rethrow the provider error of a single-entry chain', async () => {
+      await expect(generateWithFallback([{ provider: 'mock', options: { mock: { blockRate: 1 } } }], 'Hi', false))
+        .rejects.toThrow('Mock response was blocked due to SAFETY');
+    });
+  });
+
+  describe('parseOrchestratorResponse', () => {
+    const names = ['gemini', 'claude', 'openai'];
+
+    it('should keep a valid speaker and reason', () => {
+      expect(parseOrchestratorResponse('{"action": "respond", "speaker": "claude", "reason": "asked"}', names))
+        .toEqual({ action: 'RESPOND', speaker: 'claude', reason: 'asked' });
+    });
+
+    it('should fall back to round-robin for an unknown speaker', () => {
+      expect(parseOrchestratorResponse('{"action": "RESPOND", "speaker": "bard"}', names))
+        .toEqual({ action: 'RESPOND', rejectedSpeakers: ['bard'] });
+      expect(parseOrchestratorResponse('{"action": "RESPOND"}', names)).toEqual({ action: 'RESPOND' });
+    });
+
+    it('should keep valid, distinct RESPOND_MANY speakers in order', () => {
+      const decision = parseOrchestratorResponse(
+        '```json\n{"action": "RESPOND_MANY", "speakers": ["openai", "bard", "gemini", "openai"]}\n```',
+        names
+      );
+      expect(decision).toEqual({ action: 'RESPOND_MANY', speakers: ['openai', 'gemini'], rejectedSpeakers: ['bard'] });
+    });
+
+    it('should turn RESPOND_MANY with a single valid speaker into RESPOND', () => {
+      expect(parseOrchestratorResponse('{"action": "RESPOND_MANY", "speakers": ["claude"]}', names))
+        .toEqual({ action: 'RESPOND', speaker: 'claude' });
+    });
+
+    it('should parse WAIT and reject unknown actions', () => {
+      expect(parseOrchestratorResponse('{"action": "WAIT", "reason": "typing"}', names)).toEqual({ action: 'WAIT', reason: 'typing' });
+      expect(() => parseOrchestratorResponse('{"action": "SHOUT"}', names)).toThrow('Invalid orchestrator decision');
+    });
+  });
+
+  describe('buildOrchestratorPrompt', () => {
+    it('should list the participants to choose from', () => {
+      expect(buildOrchestratorPrompt('[t] User: hi', ['gemini', 'claude'])).toContain('AI participants: gemini, claude');
+    });
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Unit tests for the mock provider
+ */
+const {
+  validateMockSettings,
+  buildMockReply,
+  generateMockResponse,
+  streamMockResponse
+} = require('../../services/providers/mock');
+const { generateResponse } = require('../../services/llmService');
+const { validateParticipant, serializeChatMetadata, deserializeChatMetadata } = require('../../models/chatMetadata');
+
+const history = [
+  { role: 'user', content: 'Hello' },
+  { role: 'assistant', content: 'Hi!' },
+  { role: 'user', content: 'How are you?' }
+];
+
+describe('Mock provider', () => {
+  describe('validateMockSettings', () => {
+    it('should accept every mode with its settings', () => {
+      expect(() => validateMockSettings({ mode: 'echo' })).not.toThrow();
+      expect(() => validateMockSettings({ mode: 'script', replies: ['a', 'b'] })).not.toThrow();
+      expect(() => validateMockSettings({ mode: 'template', template: '{{message}}' })).not.toThrow();
+      expect(() => validateMockSettings({
+        mode: 'random', replies: ['a'], seed: 7, latencyMs: 100, errorRate: 0.5, blockRate: 0
+      })).not.toThrow();
+    });
+
+    it('should require replies or a template for the modes that use them', () => {
+      expect(() => validateMockSettings({ mode: 'script' })).toThrow('Participant mock.replies is required in script mode');
+      expect(() => validateMockSettings({ mode: 'template' })).toThrow('Participant mock.template is required in template mode');
+    });
+
+    it('should reject unknown modes and out-of-range rates', () => {
+      expect(() => validateMockSettings({ mode: 'parrot' })).toThrow('Participant mock.mode must be one of');
+      expect(() => validateMockSettings({ errorRate: 2 })).toThrow('Participant mock.errorRate must be a number between 0 and 1');
+      expect(() => validateMockSettings({ latencyMs: -1 })).toThrow('Participant mock.latencyMs must be an integer');
+    });
+
+    it('should be checked when validating a mock participant', () => {
+      const participant = { name: 'tester', provider: 'mock', personality: { moods: ['calm'], phrase: 'hey' } };
+      expect(() => validateParticipant({ ...participant, mock: { mode: 'script', replies: ['Hi'] } })).not.toThrow();
+      expect(() => validateParticipant({ ...participant, mock: { mode: 'script' } })).toThrow('mock.replies is required');
+      expect(() => validateParticipant({ ...participant, provider: 'google', mock: { mode: 'echo' } }))
+        .toThrow('Participant mock is not supported by provider google');
+    });
+  });
+
+  describe('buildMockReply', () => {
+    it('should echo the latest turn by default', () => {
+      expect(buildMockReply(history).text).toBe('Echo: How are you?');
+      expect(buildMockReply('Hi').text).toBe('Echo: Hi');
+    });
+
+    it('should follow the script one reply per own turn', () => {
+      const mock = { mode: 'script', replies: ['First', 'Second'] };
+      expect(buildMockReply('Hello', mock).text).toBe('First');
+      expect(buildMockReply(history, mock).text).toBe('Second');
+      expect(buildMockReply([...history, { role: 'assistant', content: 'x' }, { role: 'user', content: 'y' }], mock).text)
+        .toBe('First');
+    });
+
+    it('should fill templates', () => {
+      const mock = { mode: 'template', template: '[{{model}} #{{turn}}] {{message}}' };
+      expect(buildMockReply(history, mock, { model: 'tiny' }).text).toBe('[tiny #2] How are you?');
+    });
+
+    it('should pick the same random reply for the same seed and conversation', () => {
+      const mock = { mode: 'random', replies: ['a', 'b', 'c', 'd', 'e', 'f'], seed: 1 };
+      const picks = [1, 2, 3, 4, 5].map(() => buildMockReply(history, mock).text);
+      expect(new Set(picks).size).toBe(1);
+
+      const seeds = [1, 2, 3, 4, 5, 6, 7, 8].map(seed => buildMockReply(history, { ...mock, seed }).text);
+      expect(new Set(seeds).size).toBeGreaterThan(1);
+    });
+
+    it('should always fail or block at rate 1', () => {
+      expect(buildMockReply(history, { errorRate: 1 }).error).toBe('Mock API error: 500 - simulated failure');
+      expect(buildMockReply(history, { blockRate: 1 }).blocked).toBe(true);
+    });
+  });
+
+  describe('generate and stream', () => {
+    it('should reply after the configured latency', async () => {
+      jest.useFakeTimers();
+      try {
+        const reply = generateMockResponse('Hi', { mock: { latencyMs: 1000 } });
+        let settled = false;
+        reply.then(() => { settled = true; });
+        await jest.advanceTimersByTimeAsync(999);
+        expect(settled).toBe(false);
+        await jest.advanceTimersByTimeAsync(1);
+        await expect(reply).resolves.toBe('Echo: Hi');
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    it('should throw simulated errors and blocks', async () => {
+      await expect(generateMockResponse('Hi', { mock: { errorRate: 1 } })).rejects.toThrow('Mock API error: 500');
+      await expect(generateMockResponse('Hi', { mock: { blockRate: 1 } }))
+        .rejects.toThrow('Mock response was blocked due to SAFETY');
+    });
+
+    it('should stream the reply word by word', async () => {
+      const onText = jest.fn();
+      expect(await streamMockResponse('Hi there', onText)).toBe('Echo: Hi there');
+      expect(onText.mock.calls.map(call => call[0])).toEqual(['Echo: ', 'Echo: Hi ', 'Echo: Hi there']);
+    });
+
+    it('should be available through llmService with the participant settings', async () => {
+      const text = await generateResponse('mock', history, null, false, { mock: { mode: 'script', replies: ['One', 'Two'] } });
+      expect(text).toBe('Two');
+    });
+  });
+
+  describe('serialization', () => {
+    it('should round-trip mock settings', () => {
+      const metadata = {
+        id: 'chat',
+        datetime: 0,
+        nextSpeakerIndex: 0,
+        llmParticipants: [{
+          name: 'tester',
+          provider: 'mock',
+          personality: { moods: ['calm'], phrase: 'hey' },
+          mock: { mode: 'random', replies: ['a', 'b'], seed: 3, latencyMs: 10, errorRate: 0.1, blockRate: 0 }
+        }]
+      };
+      expect(deserializeChatMetadata(serializeChatMetadata(metadata))).toEqual(metadata);
+    });
+  });
+
+  describe('as the orchestrator decision model', () => {
+    const OLD_ENV = process.env;
+
+    beforeEach(() => {
+      jest.resetModules();
+    });
+
+    afterEach(() => {
+      process.env = OLD_ENV;
+    });
+
+    it('should RESPOND by default so the speaker strategy picks the speaker', async () => {
+      process.env = { ...OLD_ENV, ORCHESTRATOR_PROVIDER: 'mock' };
+      const { getOrchestratorDecision } = require('../../services/llmService');
+      await expect(getOrchestratorDecision('User: Hi', ['gemini'], false))
+        .resolves.toEqual({ action: 'RESPOND', reason: 'Mock orchestrator' });
+    });
+
+    it('should use ORCHESTRATOR_MOCK_SETTINGS', async () => {
+      process.env = {
+        ...OLD_ENV,
+        ORCHESTRATOR_PROVIDER: 'mock',
+        ORCHESTRATOR_MOCK_SETTINGS: JSON.stringify({
+          mode: 'script', replies: ['{"action": "RESPOND", "speaker": "claude", "reason": "scripted"}']
+        })
+      };
+      const { getOrchestratorDecision } = require('../../services/llmService');
+      await expect(getOrchestratorDecision('User: Hi', ['gemini', 'claude'], false))
+        .resolves.toEqual({ action: 'RESPOND', speaker: 'claude', reason: 'scripted' });
+    });
+
+    it('should route every call to the mock when LLM_PROVIDER_OVERRIDE is set', async () => {
+      process.env = { ...OLD_ENV, LLM_PROVIDER_OVERRIDE: 'mock' };
+      delete process.env.GOOGLE_API_KEY;
+      const { getOrchestratorDecision, generateResponse: generate } = require('../../services/llmService');
+      await expect(getOrchestratorDecision('User: Hi', ['gemini'], false)).resolves.toMatchObject({ action: 'RESPOND' });
+      await expect(generate('google', 'Hi', null, false)).resolves.toBe('Echo: Hi');
+    });
+  });
+});
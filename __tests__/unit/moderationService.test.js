@@ -0,0 +1,174 @@
+/**
+ * Unit tests for content moderation
+ */
+jest.mock('../../services/dynamoDbService', () => ({
+  addProviderUsage: jest.fn(async () => {}),
+  getProviderUsage: jest.fn(async () => []),
+  getCircuitStates: jest.fn(async () => ({})),
+  recordCircuitFailure: jest.fn(async () => ({})),
+  resetCircuit: jest.fn(async () => {}),
+  putBudgetStatus: jest.fn(async () => {}),
+  getBudgetStatus: jest.fn(async () => null)
+}));
+
+const { addProviderUsage, getCircuitStates } = require('../../services/dynamoDbService');
+const { createCircuitBreaker } = require('../../services/circuitBreakerService');
+const { createBudgetState } = require('../../services/budgetService');
+const {
+  createRuleChecker,
+  createLlmChecker,
+  parseModerationResponse,
+  moderateText,
+  moderateReply,
+  MODERATION_BLOCKED_TEXT
+} = require('../../services/moderationService');
+const { serializeChatMessage, deserializeChatMessage, validateModeration } = require('../../models/chatMessage');
+
+const checker = (name, verdict) => ({ name, check: jest.fn(async () => verdict) });
+
+describe('Moderation service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createRuleChecker', () => {
+    const rules = createRuleChecker([
+      { pattern: '\\bfree money\\b', flags: 'i', outcome: 'flag', reason: 'Spam' },
+      { pattern: '\\d{4}-\\d{4}-\\d{4}-\\d{4}', flags: 'g', outcome: 'block' }
+    ]);
+
+    it('should allow text no rule matches', async () => {
+      expect(await rules.check('Hello there')).toEqual({ outcome: 'allow' });
+    });
+
+    it('should report the most severe matching rule', async () => {
+      expect(await rules.check('FREE MONEY here')).toEqual({ outcome: 'flag', reason: 'Spam' });
+      expect(await rules.check('free money: 1234-5678-9012-3456')).toEqual({
+        outcome: 'block',
+        reason: 'Matched \\d{4}-\\d{4}-\\d{4}-\\d{4}'
+      });
+      // A global pattern matches on every call, not only every other one
+      expect((await rules.check('1234-5678-9012-3456')).outcome).toBe('block');
+    });
+
+    it('should leave out invalid patterns', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const invalid = createRuleChecker([{ pattern: '(unclosed', outcome: 'block' }]);
+      expect(console.error).toHaveBeenCalledWith('Invalid moderation pattern (unclosed:', expect.any(String));
+      expect(await invalid.check('(unclosed')).toEqual({ outcome: 'allow' });
+      console.error.mockRestore();
+    });
+
+    it('should turn MODERATION_RULES keyword lists into whole-word rules', async () => {
+      const OLD_ENV = process.env;
+      await jest.isolateModulesAsync(async () => {
+        process.env = { ...OLD_ENV, MODERATION_RULES: '[{"keywords":["C++","scam"],"outcome":"flag"},{"pattern":"x","outcome":"maybe"}]' };
+        const { MODERATION_RULES } = require('../../config');
+        expect(MODERATION_RULES).toHaveLength(1);
+        const keywords = createRuleChecker(MODERATION_RULES);
+        expect((await keywords.check('Is this a SCAM?')).outcome).toBe('flag');
+        expect((await keywords.check('I write c++ daily')).outcome).toBe('flag');
+        expect((await keywords.check('scampi for dinner')).outcome).toBe('allow');
+      });
+      process.env = OLD_ENV;
+    });
+  });
+
+  describe('LLM checker', () => {
+    it('should parse the classifier\'s verdict', () => {
+      expect(parseModerationResponse('```json\n{"outcome": "flag", "reason": "Insult"}\n```'))
+        .toEqual({ outcome: 'flag', reason: 'Insult' });
+      expect(() => parseModerationResponse('{"outcome": "maybe"}')).toThrow('Invalid moderation response');
+      expect(() => parseModerationResponse('I cannot help with that.')).toThrow('Invalid moderation response');
+    });
+
+    it('should classify with the provider and count the call\'s tokens', async () => {
+      const verdict = await createLlmChecker('mock').check('Hello there', false);
+
+      expect(verdict).toEqual({ outcome: 'allow' });
+      expect(getCircuitStates).toHaveBeenCalledWith(['mock'], false);
+      expect(addProviderUsage).toHaveBeenCalledWith('mock', expect.any(Number), expect.objectContaining({ model: 'mock' }), false);
+    });
+
+    it('should not call a provider whose circuit is open or that is over budget', async () => {
+      const openCircuit = createCircuitBreaker({ mock: { failureCount: 5, openUntil: Date.now() + 60000 } }, false);
+      const overBudget = (provider) => createBudgetState([{ provider, period: 'daily', unit: 'usd', used: 2, limit: 1, resetsAt: 1 }]);
+      const checker = createLlmChecker('mock');
+
+      await expect(checker.check('Hi', false, { circuitBreaker: openCircuit })).rejects.toThrow('mock: Circuit open');
+      await expect(checker.check('Hi', false, { budget: overBudget('mock') })).rejects.toThrow('mock: Over budget');
+      await expect(checker.check('Hi', false, { budget: overBudget(undefined) })).rejects.toThrow('Over budget');
+      expect(addProviderUsage).not.toHaveBeenCalled();
+    });
+    it('should redact the text as the room asks before classifying it', async () => {
+      await jest.isolateModulesAsync(async () => {
+        const generateWithFallback = jest.fn(async () => ({ text: '{"outcome": "allow"}', provider: 'google' }));
+        jest.doMock('../../services/llmService', () => ({ generateWithFallback }));
+        const llm = require('../../services/moderationService').createLlmChecker('google');
+        const budget = createBudgetState([]);
+
+        await llm.check('Mail ann@example.com', false, { budget, redaction: { mode: 'mask', types: ['email'] } });
+        await llm.check('Mail ann@example.com', false, { budget, redaction: { mode: 'off', types: [] } });
+
+        expect(generateWithFallback.mock.calls[0][1]).toContain('Mail [EMAIL]');
+        expect(generateWithFallback.mock.calls[1][1]).toContain('Mail ann@example.com');
+      });
+      jest.dontMock('../../services/llmService');
+    });
+  });
+
+  describe('moderateText', () => {
+    it('should skip moderation when no checker is configured', async () => {
+      expect(await moderateText('Hello', false, { checkers: [] })).toBeNull();
+    });
+
+    it('should record the most severe outcome with the reasons of each checker', async () => {
+      const llm = checker('llm', { outcome: 'flag', reason: 'Explicit language' });
+      const moderation = await moderateText('Hello', false, {
+        checkers: [checker('rules', { outcome: 'allow' }), llm],
+        deadline: 5000
+      });
+      expect(moderation).toEqual({ outcome: 'flag', reasons: ['llm: Explicit language'] });
+      expect(llm.check).toHaveBeenCalledWith('Hello', false, { deadline: 5000 });
+      expect(() => validateModeration(moderation)).not.toThrow();
+    });
+
+    it('should stop at the first block', async () => {
+      const llm = checker('llm', { outcome: 'allow' });
+      const moderation = await moderateText('Hello', false, { checkers: [checker('rules', { outcome: 'block', reason: 'Threat' }), llm] });
+      expect(moderation).toEqual({ outcome: 'block', reasons: ['rules: Threat'] });
+      expect(llm.check).not.toHaveBeenCalled();
+    });
+
+    it('should allow the text when a checker fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const failing = { name: 'llm', check: async () => { throw new Error('API error: 503'); } };
+      expect(await moderateText('Hello', false, { checkers: [failing] })).toEqual({ outcome: 'allow' });
+      console.error.mockRestore();
+    });
+  });
+
+  describe('moderateReply', () => {
+    it('should replace a blocked reply and keep flagged ones', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      expect(await moderateReply('Bad reply', false, { checkers: [checker('rules', { outcome: 'block', reason: 'Threat' })] }))
+        .toEqual({ text: MODERATION_BLOCKED_TEXT, moderation: { outcome: 'block', reasons: ['rules: Threat'] } });
+      expect(await moderateReply('Edgy reply', false, { checkers: [checker('rules', { outcome: 'flag', reason: 'Edgy' })] }))
+        .toEqual({ text: 'Edgy reply', moderation: { outcome: 'flag', reasons: ['rules: Edgy'] } });
+      expect(await moderateReply('Fine reply', false, { checkers: [] })).toEqual({ text: 'Fine reply' });
+      console.error.mockRestore();
+    });
+  });
+
+  describe('message moderation', () => {
+    it('should validate and round-trip the outcome through DynamoDB format', () => {
+      const message = {
+        id: 'chat', datetime: 1, sender: 'user', message: 'Hi', isProcessed: false,
+        moderation: { outcome: 'flag', reasons: ['rules: Spam'] }
+      };
+      expect(deserializeChatMessage(serializeChatMessage(message))).toEqual(message);
+      expect(() => validateModeration({ outcome: 'maybe' })).toThrow('Moderation outcome must be one of');
+      expect(() => validateModeration({ outcome: 'flag', reasons: 'Spam' })).toThrow('array of strings');
+    });
+  });
+});
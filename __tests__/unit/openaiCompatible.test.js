@@ -0,0 +1,218 @@
+/**
+ * Unit tests for the OpenAI-compatible provider, run against a local stand-in server
+ */
+jest.mock('../../services/dynamoDbService', () => ({
+  getChatMetadata: jest.fn(),
+  listRoomIds: jest.fn(),
+  getLatestMessage: jest.fn(),
+  getRecentMessages: jest.fn(),
+  markMessageProcessed: jest.fn(async () => {}),
+  deleteMessage: jest.fn(async () => {}),
+  storeStreamingMessage: jest.fn(async () => {}),
+  batchWriteResponseAndUpdate: jest.fn(async () => {}),
+  getCircuitStates: jest.fn(async () => ({})),
+  recordCircuitFailure: jest.fn(async () => ({})),
+  resetCircuit: jest.fn(async () => {}),
+  STREAMING_STATUS: 'streaming'
+}));
+
+process.env.OPENAI_COMPATIBLE_LOCAL_KEY = 'local-key';
+process.env.OPENAI_COMPATIBLE_API_KEY = 'default-key';
+process.env.OPENAI_COMPATIBLE_ENDPOINTS = JSON.stringify({ 'http://localhost:11434/v1': 'OPENAI_COMPATIBLE_OLLAMA_KEY' });
+
+const http = require('http');
+const {
+  getChatMetadata,
+  getLatestMessage,
+  getRecentMessages,
+  batchWriteResponseAndUpdate
+} = require('../../services/dynamoDbService');
+const { generateResponse, streamResponse } = require('../../services/llmService');
+const { resolveEndpoint } = require('../../services/providers/openaiCompatible');
+const { validateParticipant } = require('../../models/chatMetadata');
+const { processRoom } = require('../../orchestrator');
+
+/**
+ * Minimal /v1/chat/completions server answering "Echo: <last message>"
+ */
+function startStandInServer(requests) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const parsed = JSON.parse(body);
+      requests.push({ url: req.url, headers: req.headers, body: parsed });
+      if (parsed.model === 'missing-model') {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: 'model not found' } }));
+        return;
+      }
+
+      const reply = `Echo: ${parsed.messages[parsed.messages.length - 1].content}`;
+      if (!parsed.stream) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content: reply } }] }));
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      reply.split(' ').forEach((word, index) => {
+        const content = index === 0 ? word : ` ${word}`;
+        res.write(`data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`);
+      });
+      res.end('data: [DONE]\n\n');
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+describe('OpenAI-compatible provider', () => {
+  const requests = [];
+  let server;
+  let baseUrl;
+  let keylessUrl;
+
+  beforeAll(async () => {
+    server = await startStandInServer(requests);
+    baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+    keylessUrl = `http://127.0.0.1:${server.address().port}/keyless/v1`;
+    process.env.OPENAI_COMPATIBLE_ENDPOINTS = JSON.stringify({
+      'http://localhost:11434/v1': 'OPENAI_COMPATIBLE_OLLAMA_KEY',
+      [baseUrl]: 'OPENAI_COMPATIBLE_LOCAL_KEY',
+      [keylessUrl]: ''
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    requests.length = 0;
+    jest.clearAllMocks();
+  });
+
+  describe('validation', () => {
+    const participant = {
+      name: 'local', provider: 'openai-compatible', personality: { moods: ['calm'], phrase: 'hey' }
+    };
+
+    it('should accept an endpoint and key variable', () => {
+      expect(() => validateParticipant({
+        ...participant, baseUrl: 'http://localhost:11434/v1', apiKeyEnv: 'OPENAI_COMPATIBLE_OLLAMA_KEY', model: 'llama3'
+      })).not.toThrow();
+    });
+
+    it('should reject a base URL the operator has not allowed', () => {
+      expect(() => validateParticipant({ ...participant, baseUrl: 'https://attacker.example.com/v1' }))
+        .toThrow('Participant baseUrl must be OPENAI_COMPATIBLE_BASE_URL or listed in OPENAI_COMPATIBLE_ENDPOINTS');
+      expect(() => validateParticipant({ ...participant, baseUrl: 'http://169.254.169.254/latest' }))
+        .toThrow('Participant baseUrl must be OPENAI_COMPATIBLE_BASE_URL or listed in OPENAI_COMPATIBLE_ENDPOINTS');
+    });
+
+    it('should reject a base URL that is not http(s)', () => {
+      expect(() => validateParticipant({ ...participant, baseUrl: 'file:///etc/passwd' }))
+        .toThrow('Participant baseUrl must be an http(s) URL');
+      expect(() => validateParticipant({ ...participant, baseUrl: 'not a url' }))
+        .toThrow('Participant baseUrl must be an http(s) URL');
+    });
+
+    it('should only allow the key variable configured for the endpoint', () => {
+      expect(() => validateParticipant({ ...participant, baseUrl: 'http://localhost:11434/v1', apiKeyEnv: 'OPENAI_API_KEY' }))
+        .toThrow('Participant apiKeyEnv must be the key variable configured for its baseUrl');
+      expect(() => validateParticipant({ ...participant, baseUrl: 'http://localhost:11434/v1', apiKeyEnv: 'OPENAI_COMPATIBLE_API_KEY' }))
+        .toThrow('Participant apiKeyEnv must be the key variable configured for its baseUrl');
+    });
+
+    it('should reject endpoint settings on other providers', () => {
+      expect(() => validateParticipant({ ...participant, provider: 'openai', baseUrl: 'http://localhost/v1' }))
+        .toThrow('Participant baseUrl is not supported by provider openai');
+    });
+  });
+
+  describe('resolveEndpoint', () => {
+    const env = {
+      OPENAI_COMPATIBLE_BASE_URL: 'http://default:8080/v1',
+      OPENAI_COMPATIBLE_API_KEY: 'default-key',
+      OPENAI_COMPATIBLE_ENDPOINTS: JSON.stringify({ 'http://localhost:8080/v1': 'OPENAI_COMPATIBLE_X', 'http://open:8080/v1': '' }),
+      OPENAI_COMPATIBLE_X: 'k'
+    };
+
+    it('should build the chat/completions URL and read the endpoint\'s key from the environment', () => {
+      expect(resolveEndpoint({ baseUrl: 'http://localhost:8080/v1/' }, env))
+        .toMatchObject({ url: 'http://localhost:8080/v1/chat/completions', apiKey: 'k' });
+      expect(resolveEndpoint({}, env)).toMatchObject({ url: 'http://default:8080/v1/chat/completions', apiKey: 'default-key' });
+    });
+
+    it('should only send a key to the endpoint configured for it', () => {
+      expect(resolveEndpoint({ baseUrl: 'http://open:8080/v1', apiKeyEnv: 'OPENAI_COMPATIBLE_X' }, env).apiKey).toBeUndefined();
+      expect(() => resolveEndpoint({ baseUrl: 'https://attacker.example.com/v1', apiKeyEnv: 'OPENAI_COMPATIBLE_X' }, env))
+        .toThrow('OpenAI-compatible endpoint https://attacker.example.com/v1 is not allowed');
+    });
+
+    it('should require a base URL', () => {
+      expect(() => resolveEndpoint({}, {}))
+        .toThrow('OPENAI_COMPATIBLE_BASE_URL environment variable is not set and the participant has no baseUrl');
+    });
+  });
+
+  describe('against the stand-in server', () => {
+    it('should generate a reply with the participant\'s model and key', async () => {
+      const text = await generateResponse('openai-compatible', 'Hi', null, false, {
+        baseUrl, apiKeyEnv: 'OPENAI_COMPATIBLE_LOCAL_KEY', model: 'llama3', systemPrompt: 'Be brief.'
+      });
+
+      expect(text).toBe('Echo: Hi');
+      expect(requests[0].url).toBe('/v1/chat/completions');
+      expect(requests[0].headers.authorization).toBe('Bearer local-key');
+      expect(requests[0].body).toMatchObject({
+        model: 'llama3',
+        messages: [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'Hi' }]
+      });
+    });
+
+    it('should send no Authorization header or model when none is configured', async () => {
+      await generateResponse('openai-compatible', 'Hi', null, false, { baseUrl: keylessUrl });
+
+      expect(requests[0].headers).not.toHaveProperty('authorization');
+      expect(requests[0].body).not.toHaveProperty('model');
+    });
+
+    it('should stream a reply', async () => {
+      const onText = jest.fn();
+      const text = await streamResponse('openai-compatible', 'Hi there', null, onText, false, { baseUrl });
+
+      expect(text).toBe('Echo: Hi there');
+      expect(onText).toHaveBeenLastCalledWith('Echo: Hi there');
+      expect(onText.mock.calls.length).toBeGreaterThan(1);
+    });
+
+    it('should report server errors', async () => {
+      await expect(generateResponse('openai-compatible', 'Hi', null, false, { baseUrl, model: 'missing-model' }))
+        .rejects.toThrow('OpenAI-compatible API error: 404');
+    });
+
+    it('should run an orchestrator tick end to end', async () => {
+      const latest = {
+        id: 'chat', datetime: 1000, sender: 'user', email: 'ann@example.com', message: '@local Hello',
+        mentions: [{ name: 'local', offset: 0, length: 6 }], isProcessed: false
+      };
+      getChatMetadata.mockResolvedValue({
+        id: 'chat',
+        datetime: 0,
+        nextSpeakerIndex: 0,
+        llmParticipants: [{ name: 'local', provider: 'openai-compatible', baseUrl, personality: { moods: ['calm'], phrase: 'hey' } }]
+      });
+      getLatestMessage.mockResolvedValue(latest);
+      getRecentMessages.mockResolvedValue([latest]);
+
+      const result = await processRoom('chat', false);
+
+      expect(result.body).toMatchObject({ action: 'RESPOND', speaker: 'local' });
+      expect(requests[0].body.messages[0].content).toContain('You are local');
+      expect(batchWriteResponseAndUpdate.mock.calls[0][0]).toMatchObject({
+        sender: 'local',
+        message: 'Echo: @local Hello'
+      });
+    });
+  });
+});
@@ -0,0 +1,690 @@
+/**
+ * Unit tests for the orchestrator
+ */
+jest.mock('../../services/dynamoDbService', () => ({
+  getChatMetadata: jest.fn(),
+  listRoomIds: jest.fn(),
+  getLatestMessage: jest.fn(),
+  getRecentMessages: jest.fn(),
+  markMessageProcessed: jest.fn(async () => {}),
+  deleteMessage: jest.fn(async () => {}),
+  batchWriteResponseAndUpdate: jest.fn(async () => {}),
+  getCircuitStates: jest.fn(async () => ({})),
+  recordCircuitFailure: jest.fn(async () => ({})),
+  resetCircuit: jest.fn(async () => {}),
+  addProviderUsage: jest.fn(async () => {}),
+  STREAMING_STATUS: 'streaming'
+}));
+
+jest.mock('../../services/llmService', () => ({
+  getOrchestratorDecision: jest.fn(),
+  getOrchestratorProvider: jest.fn(() => 'google'),
+  generateWithFallback: jest.fn(),
+  buildProviderChain: jest.requireActual('../../services/llmService').buildProviderChain
+}));
+
+jest.mock('../../services/streamingService', () => ({
+  streamReply: jest.fn(),
+  isStaleStreamingMessage: jest.fn(() => false)
+}));
+
+jest.mock('../../services/moderationService', () => ({
+  moderateReply: jest.fn(async text => ({ text })),
+  isModerationConfigured: jest.fn(() => false)
+}));
+
+const {
+  getChatMetadata,
+  getLatestMessage,
+  getRecentMessages,
+  markMessageProcessed,
+  batchWriteResponseAndUpdate,
+  getCircuitStates,
+  recordCircuitFailure,
+  addProviderUsage
+} = require('../../services/dynamoDbService');
+const { getOrchestratorDecision, generateWithFallback } = require('../../services/llmService');
+const { streamReply } = require('../../services/streamingService');
+const { moderateReply, isModerationConfigured } = require('../../services/moderationService');
+const { LLMTimeoutError } = require('../../services/timeoutService');
+const { createBudgetState } = require('../../services/budgetService');
+const {
+  getSpeakerLabel,
+  buildContextFromMessage,
+  buildConversationContext,
+  buildPersonaHistory,
+  getMentionedSpeakers,
+  processRoom,
+  handler
+} = require('../../orchestrator');
+
+const participantNames = ['gemini', 'claude', 'openai'];
+const providers = { gemini: 'google', claude: 'anthropic', openai: 'openai' };
+
+const userMessage = (datetime, text, email = 'ann@example.com') => ({
+  id: 'chat', datetime, sender: 'user', email, message: text, isProcessed: true
+});
+const aiMessage = (datetime, sender, text) => ({
+  id: 'chat', datetime, sender, message: text, isProcessed: true
+});
+const streamReplies = (...texts) => texts.forEach(text => {
+  streamReply.mockImplementationOnce(async (message, speaker) => ({ text, provider: speaker.provider }));
+});
+
+describe('Orchestrator', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getSpeakerLabel', () => {
+    it('should label AI participants and users differently', () => {
+      expect(getSpeakerLabel(aiMessage(1, 'claude', 'Hi'), participantNames)).toBe('AI (claude)');
+      expect(getSpeakerLabel(userMessage(1, 'Hi'), participantNames)).toBe('User <ann@example.com>');
+      expect(getSpeakerLabel({ sender: 'user', message: 'Hi' }, participantNames)).toBe('User');
+    });
+  });
+
+  describe('buildContextFromMessage', () => {
+    it('should format one line with timestamp and label', () => {
+      expect(buildContextFromMessage(aiMessage(0, 'gemini', 'Hello'), participantNames))
+        .toBe('[1970-01-01T00:00:00.000Z] AI (gemini): Hello');
+    });
+  });
+
+  describe('buildConversationContext', () => {
+    const messages = [
+      userMessage(1000, 'What is the capital of France?'),
+      aiMessage(2000, 'gemini', 'Paris.'),
+      userMessage(3000, 'And of Spain')
+    ];
+
+    it('should list messages oldest first, one per line', () => {
+      const lines = buildConversationContext(messages, participantNames).split('\n');
+      expect(lines).toHaveLength(3);
+      expect(lines[0]).toContain('User <ann@example.com>: What is the capital of France?');
+      expect(lines[1]).toContain('AI (gemini): Paris.');
+      expect(lines[2]).toContain('User <ann@example.com>: And of Spain');
+    });
+
+    it('should keep only the newest maxMessages', () => {
+      const lines = buildConversationContext(messages, participantNames, { maxMessages: 2 }).split('\n');
+      expect(lines).toHaveLength(2);
+      expect(lines[0]).toContain('Paris.');
+    });
+
+    it('should drop older messages that do not fit the character budget', () => {
+      const latestLine = buildContextFromMessage(messages[2], participantNames);
+      const context = buildConversationContext(messages, participantNames, { maxChars: latestLine.length + 10 });
+      expect(context).toBe(latestLine);
+    });
+
+    it('should cut the latest message when it alone exceeds the budget', () => {
+      const context = buildConversationContext([userMessage(1000, 'x'.repeat(500))], participantNames, { maxChars: 100 });
+      expect(context).toHaveLength(100);
+      expect(context.endsWith('…')).toBe(true);
+    });
+
+    it('should return an empty context for no messages', () => {
+      expect(buildConversationContext([], participantNames)).toBe('');
+    });
+  });
+
+  describe('buildPersonaHistory', () => {
+    it('should tag the speaker, other personas and users', () => {
+      const history = buildPersonaHistory([
+        userMessage(1000, 'Hi all'),
+        aiMessage(2000, 'gemini', 'Hello!'),
+        aiMessage(3000, 'claude', 'Hey.')
+      ], 'claude', participantNames);
+
+      expect(history).toEqual([
+        { role: 'user', content: 'Hi all' },
+        { role: 'persona', name: 'gemini', content: 'Hello!' },
+        { role: 'assistant', name: 'claude', content: 'Hey.' }
+      ]);
+    });
+
+    it('should keep only the newest maxMessages', () => {
+      const messages = [userMessage(1, 'a'), userMessage(2, 'b'), userMessage(3, 'c')];
+      expect(buildPersonaHistory(messages, 'claude', participantNames, 2).map(turn => turn.content)).toEqual(['b', 'c']);
+    });
+  });
+
+  describe('getMentionedSpeakers', () => {
+    const participants = participantNames.map(name => ({ name, provider: providers[name] }));
+
+    it('should use stored mentions, deduplicated, and drop unknown names', () => {
+      const message = {
+        ...userMessage(1000, '@openai @claude @openai'),
+        mentions: [{ name: 'openai', offset: 0, length: 7 }, { name: 'bard', offset: 8, length: 5 }, { name: 'openai', offset: 16, length: 7 }]
+      };
+      expect(getMentionedSpeakers(message, participants)).toEqual(['openai']);
+    });
+
+    it('should parse the text of messages stored without mentions', () => {
+      expect(getMentionedSpeakers(userMessage(1000, 'Hey @gemini and @claude'), participants)).toEqual(['gemini', 'claude']);
+    });
+
+    it('should ignore mentions in AI messages', () => {
+      expect(getMentionedSpeakers(aiMessage(1000, 'claude', 'Over to you, @gemini'), participants)).toEqual([]);
+    });
+  });
+
+  describe('processRoom', () => {
+    const metadata = {
+      id: 'chat',
+      datetime: 0,
+      nextSpeakerIndex: 0,
+      llmParticipants: participantNames.map(name => ({ name, provider: providers[name] }))
+    };
+
+    it('should give the orchestrator the recent conversation without streaming replies', async () => {
+      const latest = { ...userMessage(3000, 'And of Spain'), isProcessed: false };
+      getChatMetadata.mockResolvedValue(metadata);
+      getLatestMessage.mockResolvedValue(latest);
+      getRecentMessages.mockResolvedValue([
+        userMessage(1000, 'What is the capital of France?'),
+        aiMessage(2000, 'gemini', 'Paris.'),
+        { ...aiMessage(2500, 'claude', 'Par'), status: 'streaming' },
+        latest
+      ]);
+      getOrchestratorDecision.mockResolvedValue({ action: 'WAIT' });
+
+      const result = await processRoom('chat', false);
+
+      expect(result.body).toEqual({ action: 'WAIT', messageProcessed: 3000 });
+      expect(markMessageProcessed).toHaveBeenCalledWith('chat', 3000, false);
+      const context = getOrchestratorDecision.mock.calls[0][0];
+      expect(context.split('\n')).toHaveLength(3);
+      expect(context).toContain('AI (gemini): Paris.');
+      expect(context).not.toContain('Par\n');
+    });
+
+    it('should answer with the speaker\'s role-tagged history', async () => {
+      const latest = { ...userMessage(3000, 'And of Spain?'), isProcessed: false };
+      getChatMetadata.mockResolvedValue({ ...metadata, nextSpeakerIndex: 1 });
+      getLatestMessage.mockResolvedValue(latest);
+      getRecentMessages.mockResolvedValue([aiMessage(2000, 'gemini', 'Paris.'), latest]);
+      getOrchestratorDecision.mockResolvedValue({ action: 'RESPOND' });
+      streamReplies('Madrid.');
+
+      const result = await processRoom('chat', false);
+
+      expect(result.body).toMatchObject({ action: 'RESPOND', speaker: 'claude', newSpeakerIndex: 2 });
+      expect(streamReply.mock.calls[0][2]).toEqual([
+        { role: 'persona', name: 'gemini', content: 'Paris.' },
+        { role: 'user', content: 'And of Spain?' }
+      ]);
+      const { systemPrompt } = streamReply.mock.calls[0][4].generationOptions;
+      expect(systemPrompt).toContain('You are claude');
+      expect(systemPrompt).toContain('gemini, openai');
+      expect(batchWriteResponseAndUpdate.mock.calls[0][0]).toMatchObject({ sender: 'claude', message: 'Madrid.' });
+    });
+
+    it('should send personal data to providers only as placeholders', async () => {
+      const latest = { ...userMessage(3000, 'Mail me at ann@example.com or call +1 555 123 4567'), isProcessed: false };
+      getChatMetadata.mockResolvedValue({ ...metadata, nextSpeakerIndex: 1 });
+      getLatestMessage.mockResolvedValue(latest);
+      getRecentMessages.mockResolvedValue([latest]);
+      getOrchestratorDecision.mockResolvedValue({ action: 'RESPOND' });
+      streamReplies('Noted.');
+
+      await processRoom('chat', false);
+
+      const context = getOrchestratorDecision.mock.calls[0][0];
+      expect(context).toContain('User <[EMAIL_1]>: Mail me at [EMAIL_1] or call [PHONE_1]');
+      expect(context).not.toContain('ann@example.com');
+      expect(streamReply.mock.calls[0][2]).toEqual([
+        { role: 'user', content: 'Mail me at [EMAIL_1] or call [PHONE_1]' }
+      ]);
+      expect(latest.email).toBe('ann@example.com');
+    });
+
+    it('should pass the speaker\'s model and sampling settings', async () => {
+      const latest = { ...userMessage(3000, 'Hi'), isProcessed: false };
+      getChatMetadata.mockResolvedValue({
+        ...metadata,
+        llmParticipants: [{ name: 'gemini', provider: 'google', model: 'gemini-1.5-pro', temperature: 0.2, stopSequences: ['\n\n'] }]
+      });
+      getLatestMessage.mockResolvedValue(latest);
+      getRecentMessages.mockResolvedValue([latest]);
+      getOrchestratorDecision.mockResolvedValue({ action: 'RESPOND' });
+      streamReplies('Hello.');
+
+      await processRoom('chat', false);
+
+      expect(streamReply.mock.calls[0][1]).toMatchObject({
+        model: 'gemini-1.5-pro',
+        temperature: 0.2,
+        stopSequences: ['\n\n']
+      });
+      expect(streamReply.mock.calls[0][4].generationOptions).toEqual({
+        systemPrompt: expect.stringContaining('You are gemini')
+      });
+    });
+
+    it('should let the orchestrator choose the speaker and continue round-robin after it', async () => {
+      const latest = { ...userMessage(3000, 'OpenAI, what do you think?'), isProcessed: false };
+      getChatMetadata.mockResolvedValue(metadata);
+      getLatestMessage.mockResolvedValue(latest);
+      getRecentMessages.mockResolvedValue([latest]);
+      getOrchestratorDecision.mockResolvedValue({ action: 'RESPOND', speaker: 'openai', reason: 'addressed' });
+      streamReplies('Here is my view.');
+
+      const result = await processRoom('chat', false);
+
+      expect(getOrchestratorDecision).toHaveBeenCalledWith(expect.any(String), participantNames, false, {
+        deadline: undefined,
+        onUsage: expect.any(Function)
+      });
+      expect(result.body).toMatchObject({
+        action: 'RESPOND',
+        speaker: 'openai',
+        newSpeakerIndex: 0,
+        speakerSource: 'orchestrator',
+        reason: 'addressed'
+      });
+    });
+
+    it('should store the priced usage of a reply and count it with the decision', async () => {
+      const latest = { ...userMessage(3000, 'Hi'), isProcessed: false };
+      getChatMetadata.mockResolvedValue(metadata);
+      getLatestMessage.mockResolvedValue(latest);
+      getRecentMessages.mockResolvedValue([latest]);
+      getOrchestratorDecision.mockImplementation(async (context, names, debug, options) => {
+        options.onUsage({ model: 'gemini-1.5-flash', inputTokens: 1000, outputTokens: 20 }, 'google');
+        return { action: 'RESPOND', speaker: 'claude' };
+      });
+      streamReply.mockResolvedValueOnce({
+        text: 'Hello.',
+        provider: 'anthropic',
+        usage: { model: 'claude-3-haiku-20240307', inputTokens: 2000, outputTokens: 400 }
+      });
+
+      const result = await processRoom('chat', false);
+
+      const usage = { model: 'claude-3-haiku-20240307', inputTokens: 2000, outputTokens: 400, costUsd: 0.001 };
+      expect(batchWriteResponseAndUpdate.mock.calls[0][0]).toMatchObject({ provider: 'anthropic', usage });
+      expect(result.body).toMatchObject({ speaker: 'claude', usage });
+      expect(addProviderUsage).toHaveBeenCalledWith('anthropic', expect.any(Number), usage, false);
+      expect(addProviderUsage).toHaveBeenCalledWith('google', expect.any(Number), {
+        model: 'gemini-1.5-flash', inputTokens: 1000, outputTokens: 20, costUsd: 0.000081
+      }, false);
+    });
+
+    it('should publish a blocked reply only as the moderation placeholder, never streamed', async () => {
+      const latest = { ...userMessage(3000, 'Hi'), isProcessed: false };
+      const moderation = { outcome: 'block', reasons: ['rules: Threat'] };
+      getChatMetadata.mockResolvedValue(metadata);
+      getLatestMessage.mockResolvedValue(latest);
+      getRecentMessages.mockResolvedValue([latest]);
+      getOrchestratorDecision.mockResolvedValue({ action: 'RESPOND', speaker: 'claude' });
+      isModerationConfigured.mockReturnValue(true);
+      generateWithFallback.mockResolvedValueOnce({ text: 'Something harmful.', provider: 'anthropic' });
+      moderateReply.mockResolvedValueOnce({ text: '[Message removed by moderation]', moderation });
+
+      const result = await processRoom('chat', false);
+      isModerationConfigured.mockReturnValue(false);
+
+      expect(streamReply).not.toHaveBeenCalled();
+      expect(moderateReply).toHaveBeenCalledWith('Something harmful.', false, expect.objectContaining({
+        circuitBreaker: expect.any(Object),
+        budget: expect.any(Object),
+        redaction: expect.objectContaining({ mode: 'token' })
+      }));
+      expect(batchWriteResponseAndUpdate).toHaveBeenCalledTimes(1);
+      expect(batchWriteResponseAndUpdate.mock.calls[0][0]).toMatchObject({
+        message: '[Message removed by moderation]',
+        moderation
+      });
+      expect(result.body).toMatchObject({ action: 'RESPOND', speaker: 'claude', moderation });
+    });
+
+    it('should make mentioned personas respond without asking the orchestrator', async () => {
+      const latest = {
+        ...userMessage(3000, '@openai @gemini what do you think?'),
+        mentions: [{ name: 'openai', offset: 0, length: 7 }, { name: 'gemini', offset: 8, length: 7 }],
+        isProcessed: false
+      };
+      getChatMetadata.mockResolvedValue(metadata);
+      getLatestMessage.mockResolvedValue(latest);
+      getRecentMessages.mockResolvedValue([latest]);
+      streamReplies('From openai.', 'From gemini.');
+
+      const result = await processRoom('chat', false);
+
+      expect(getOrchestratorDecision).not.toHaveBeenCalled();
+      expect(result.body).toMatchObject({
+        action: 'RESPOND_MANY',
+        speakerSource: 'mention',
+        responses: [{ speaker: 'openai' }, { speaker: 'gemini' }]
+      });
+    });
+
+    it('should mark an AI message processed without a reply when autonomy is off', async () => {
+      const latest = { ...aiMessage(Date.now() - 1000, 'gemini', 'Anyone?'), isProcessed: false };
+      getChatMetadata.mockResolvedValue({ ...metadata, autonomy: { enabled: false } });
+      getLatestMessage.mockResolvedValue(latest);
+      getRecentMessages.mockResolvedValue([userMessage(latest.datetime - 1000, 'Hi'), latest]);
+
+      const result = await processRoom('chat', false);
+
+      expect(getOrchestratorDecision).not.toHaveBeenCalled();
+      expect(markMessageProcessed).toHaveBeenCalledWith('chat', latest.datetime, false);
+      expect(result.body).toEqual({ action: 'WAIT', reason: 'Autonomy disabled', messageProcessed: latest.datetime });
+    });
+
+    it('should keep the dialogue going instead of waiting in rooms without autonomy settings', async () => {
+      const latest = { ...aiMessage(Date.now() - 1000, 'gemini', 'What do you think, claude?'), isProcessed: false };
+      getChatMetadata.mockResolvedValue({ ...metadata, nextSpeakerIndex: 1 });
+      getLatestMessage.mockResolvedValue(latest);
+      getRecentMessages.mockResolvedValue([userMessage(latest.datetime - 60000, 'Discuss!'), latest]);
+      getOrchestratorDecision.mockResolvedValue({ action: 'WAIT', reason: 'no question' });
+      streamReplies('I agree.');
+
+      const result = await processRoom('chat', false);
+
+      expect(getRecentMessages).toHaveBeenCalledWith('chat', 20, false);
+      expect(result.body).toMatchObject({
+        action: 'RESPOND',
+        speaker: 'claude',
+        reason: 'Autonomous dialogue (no question)'
+      });
+    });
+
+    it('should cut RESPOND_MANY to the AI turns left in the chain', async () => {
+      const now = Date.now();
+      const latest = { ...aiMessage(now - 1000, 'openai', 'Your turn, both of you'), isProcessed: false };
+      getChatMetadata.mockResolvedValue({ ...metadata, autonomy: { enabled: true, maxConsecutiveAiTurns: 3 } });
+      getLatestMessage.mockResolvedValue(latest);
+      getRecentMessages.mockResolvedValue([userMessage(now - 60000, 'Go'), aiMessage(now - 30000, 'gemini', 'Sure.'), latest]);
+      getOrchestratorDecision.mockResolvedValue({ action: 'RESPOND_MANY', speakers: ['claude', 'gemini'] });
+      streamReplies('Last word.');
+
+      const result = await processRoom('chat', false);
+
+      expect(batchWriteResponseAndUpdate).toHaveBeenCalledTimes(1);
+      expect(result.body.responses).toEqual([expect.objectContaining({ speaker: 'claude' })]);
+    });
+
+    it('should leave an AI message for a later tick until the turn spacing has passed', async () => {
+      const latest = { ...aiMessage(Date.now() - 1000, 'gemini', 'Hmm.'), isProcessed: false };
+      getChatMetadata.mockResolvedValue({ ...metadata, autonomy: { enabled: true, minTurnSpacingSeconds: 300 } });
+      getLatestMessage.mockResolvedValue(latest);
+      getRecentMessages.mockResolvedValue([userMessage(latest.datetime - 1000, 'Hi'), latest]);
+
+      const result = await processRoom('chat', false);
+
+      expect(markMessageProcessed).not.toHaveBeenCalled();
+      expect(result.body).toMatchObject({ action: 'EXIT', reason: 'Waiting for turn spacing' });
+      expect(result.body.retryAfterMs).toBeGreaterThan(290000);
+    });
+
+    it('should chain RESPOND_MANY replies, each marking the previous message processed', async () => {
+      const latest = { ...userMessage(3000, 'Everyone, introduce yourselves'), isProcessed: false };
+      getChatMetadata.mockResolvedValue(metadata);
+      getLatestMessage.mockResolvedValue(latest);
+      getRecentMessages.mockResolvedValue([latest]);
+      getOrchestratorDecision.mockResolvedValue({ action: 'RESPOND_MANY', speakers: ['claude', 'gemini'] });
+      streamReplies('I am claude.', 'I am gemini.');
+
+      const result = await processRoom('chat', false);
+
+      const [first, second] = batchWriteResponseAndUpdate.mock.calls;
+      expect(first[0]).toMatchObject({ sender: 'claude', message: 'I am claude.' });
+      expect(first[1]).toBe(3000);
+      expect(second[0]).toMatchObject({ sender: 'gemini', message: 'I am gemini.' });
+      expect(second[1]).toBe(first[0].datetime);
+      expect(second[0].datetime).toBeGreaterThan(first[0].datetime);
+      expect(streamReply.mock.calls[1][2]).toContainEqual({ role: 'persona', name: 'claude', content: 'I am claude.' });
+      expect(result.body).toMatchObject({
+        action: 'RESPOND_MANY',
+        newSpeakerIndex: 1,
+        responses: [{ speaker: 'claude' }, { speaker: 'gemini' }]
+      });
+    });
+
+    it('should keep earlier replies when a later RESPOND_MANY speaker fails', async () => {
+      const latest = { ...userMessage(3000, 'Both of you?'), isProcessed: false };
+      getChatMetadata.mockResolvedValue(metadata);
+      getLatestMessage.mockResolvedValue(latest);
+      getRecentMessages.mockResolvedValue([latest]);
+      getOrchestratorDecision.mockResolvedValue({ action: 'RESPOND_MANY', speakers: ['claude', 'gemini'] });
+      streamReplies('I am claude.');
+      streamReply.mockRejectedValueOnce(new Error('overloaded'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const result = await processRoom('chat', false);
+
+      expect(batchWriteResponseAndUpdate).toHaveBeenCalledTimes(1);
+      expect(result.body.responses).toHaveLength(1);
+      expect(result.body.failedSpeaker).toEqual({ speaker: 'gemini', message: 'overloaded' });
+      console.error.mockRestore();
+    });
+
+    it('should record the provider that answered after a fallback', async () => {
+      const latest = { ...userMessage(3000, 'Claude?'), isProcessed: false };
+      getChatMetadata.mockResolvedValue(metadata);
+      getLatestMessage.mockResolvedValue(latest);
+      getRecentMessages.mockResolvedValue([latest]);
+      getOrchestratorDecision.mockResolvedValue({ action: 'RESPOND', speaker: 'claude' });
+      streamReply.mockResolvedValueOnce({ text: 'Still here.', provider: 'openai', fallbackFrom: ['anthropic'] });
+
+      const result = await processRoom('chat', false);
+
+      expect(batchWriteResponseAndUpdate.mock.calls[0][0]).toMatchObject({
+        sender: 'claude',
+        message: 'Still here.',
+        provider: 'openai',
+        fallbackFrom: ['anthropic']
+      });
+      expect(result.body).toMatchObject({ speaker: 'claude', provider: 'openai', fallbackFrom: ['anthropic'] });
+    });
+
+    it('should skip and report participants whose provider circuit is open', async () => {
+      const latest = { ...userMessage(3000, 'Claude?'), isProcessed: false };
+      const openUntil = Date.now() + 60000;
+      getChatMetadata.mockResolvedValue({ ...metadata, nextSpeakerIndex: 1 });
+      getLatestMessage.mockResolvedValue(latest);
+      getRecentMessages.mockResolvedValue([latest]);
+      getCircuitStates.mockResolvedValueOnce({ anthropic: { failureCount: 3, openUntil } });
+      getOrchestratorDecision.mockResolvedValue({ action: 'RESPOND', speaker: 'claude' });
+      streamReplies('Claude is away.');
+
+      const result = await processRoom('chat', false);
+
+      expect(streamReply.mock.calls[0][1].name).toBe('openai');
+      expect(result.body).toMatchObject({
+        action: 'RESPOND',
+        speaker: 'openai',
+        speakerSource: 'round-robin',
+        skippedSpeakers: [{ speaker: 'claude', openUntil }]
+      });
+    });
+
+    it('should leave the message unprocessed when no participant is available', async () => {
+      const latest = { ...userMessage(3000, 'Anyone?'), isProcessed: false };
+      const openUntil = Date.now() + 60000;
+      getChatMetadata.mockResolvedValue(metadata);
+      getLatestMessage.mockResolvedValue(latest);
+      getRecentMessages.mockResolvedValue([latest]);
+      getCircuitStates.mockResolvedValueOnce({
+        google: { failureCount: 3, openUntil },
+        anthropic: { failureCount: 3, openUntil },
+        openai: { failureCount: 3, openUntil }
+      });
+      getOrchestratorDecision.mockResolvedValue({ action: 'RESPOND' });
+
+      const result = await processRoom('chat', false);
+
+      expect(result.body).toMatchObject({ action: 'EXIT', reason: 'All participants unavailable' });
+      expect(result.body.skippedSpeakers).toHaveLength(3);
+      expect(result.body.retryAfterMs).toBeGreaterThan(0);
+      expect(streamReply).not.toHaveBeenCalled();
+      expect(markMessageProcessed).not.toHaveBeenCalled();
+    });
+
+    it('should leave the choice to the speaker strategy while the orchestrator circuit is open', async () => {
+      const latest = { ...userMessage(3000, 'Anyone?'), isProcessed: false };
+      getChatMetadata.mockResolvedValue({ ...metadata, nextSpeakerIndex: 1 });
+      getLatestMessage.mockResolvedValue(latest);
+      getRecentMessages.mockResolvedValue([latest]);
+      getCircuitStates.mockResolvedValueOnce({ google: { failureCount: 3, openUntil: Date.now() + 60000 } });
+      streamReplies('I can answer.');
+
+      const result = await processRoom('chat', false);
+
+      expect(getOrchestratorDecision).not.toHaveBeenCalled();
+      expect(result.body).toMatchObject({ action: 'RESPOND', speaker: 'claude', speakerSource: 'round-robin' });
+    });
+
+    it('should record a failed orchestrator call and fall back to the speaker strategy', async () => {
+      const latest = { ...userMessage(3000, 'Anyone?'), isProcessed: false };
+      const outage = Object.assign(new Error('Service unavailable'), { status: 503 });
+      getChatMetadata.mockResolvedValue({ ...metadata, nextSpeakerIndex: 1 });
+      getLatestMessage.mockResolvedValue(latest);
+      getRecentMessages.mockResolvedValue([latest]);
+      getOrchestratorDecision.mockRejectedValue(outage);
+      streamReplies('I can answer.');
+
+      const result = await processRoom('chat', false);
+
+      expect(recordCircuitFailure).toHaveBeenCalledWith('google', expect.objectContaining({ message: 'Service unavailable' }), false);
+      expect(result.statusCode).toBe(200);
+      expect(result.body).toMatchObject({ action: 'RESPOND', speaker: 'claude', speakerSource: 'round-robin' });
+    });
+
+    it('should skip past a speaker whose reply timed out', async () => {
+      const latest = { ...userMessage(3000, 'Both of you?'), isProcessed: false };
+      getChatMetadata.mockResolvedValue(metadata);
+      getLatestMessage.mockResolvedValue(latest);
+      getRecentMessages.mockResolvedValue([latest]);
+      getOrchestratorDecision.mockResolvedValue({ action: 'RESPOND_MANY', speakers: ['claude', 'gemini'] });
+      streamReply.mockRejectedValueOnce(new LLMTimeoutError('anthropic', 20000, false));
+      streamReplies('I am gemini.');
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const result = await processRoom('chat', false, { deadline: Date.now() + 30000 });
+
+      expect(streamReply.mock.calls[0][4].generationOptions.deadline).toBeGreaterThan(Date.now());
+      expect(batchWriteResponseAndUpdate).toHaveBeenCalledTimes(1);
+      expect(result.body.responses).toEqual([expect.objectContaining({ speaker: 'gemini' })]);
+      expect(result.body.timedOutSpeakers).toEqual([{ speaker: 'claude', message: 'anthropic timed out after 20000 ms' }]);
+      console.error.mockRestore();
+    });
+
+    it('should leave the message unprocessed when every reply timed out', async () => {
+      const latest = { ...userMessage(3000, 'Claude?'), isProcessed: false };
+      getChatMetadata.mockResolvedValue(metadata);
+      getLatestMessage.mockResolvedValue(latest);
+      getRecentMessages.mockResolvedValue([latest]);
+      getOrchestratorDecision.mockResolvedValue({ action: 'RESPOND', speaker: 'claude' });
+      streamReply.mockRejectedValueOnce(new LLMTimeoutError('anthropic', 20000, false));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const result = await processRoom('chat', false);
+
+      expect(result.body).toMatchObject({ action: 'EXIT', reason: 'Replies timed out', timedOutSpeakers: [{ speaker: 'claude' }] });
+      expect(batchWriteResponseAndUpdate).not.toHaveBeenCalled();
+      expect(markMessageProcessed).not.toHaveBeenCalled();
+      console.error.mockRestore();
+    });
+
+    it('should report every provider failure of an exhausted chain', async () => {
+      const latest = { ...userMessage(3000, 'Both of you?'), isProcessed: false };
+      const error = new Error('All providers failed: google: down; openai: down');
+      error.failures = [{ provider: 'google', message: 'down' }, { provider: 'openai', message: 'down' }];
+      getChatMetadata.mockResolvedValue(metadata);
+      getLatestMessage.mockResolvedValue(latest);
+      getRecentMessages.mockResolvedValue([latest]);
+      getOrchestratorDecision.mockResolvedValue({ action: 'RESPOND_MANY', speakers: ['claude', 'gemini'] });
+      streamReplies('I am claude.');
+      streamReply.mockRejectedValueOnce(error);
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const result = await processRoom('chat', false);
+
+      expect(result.body.failedSpeaker).toEqual({ speaker: 'gemini', message: error.message, failures: error.failures });
+      console.error.mockRestore();
+    });
+
+    describe('budgets', () => {
+      const resetsAt = Date.now() + 3600000;
+      const globalBudget = { period: 'daily', unit: 'usd', used: 5.2, limit: 5, resetsAt };
+
+      it('should leave the message unprocessed until an exceeded global budget resets', async () => {
+        const latest = { ...userMessage(3000, 'Hi'), isProcessed: false };
+        getChatMetadata.mockResolvedValue(metadata);
+        getLatestMessage.mockResolvedValue(latest);
+        getRecentMessages.mockResolvedValue([latest]);
+
+        const result = await processRoom('chat', false, { budget: createBudgetState([globalBudget], 'stop') });
+
+        expect(result.body).toMatchObject({ action: 'EXIT', reason: 'Budget exceeded' });
+        expect(result.body.retryAfterMs).toBeGreaterThan(3500000);
+        expect(getOrchestratorDecision).not.toHaveBeenCalled();
+        expect(streamReply).not.toHaveBeenCalled();
+        expect(markMessageProcessed).not.toHaveBeenCalled();
+      });
+
+      it('should let only the cheapest participant answer, without a decision call', async () => {
+        const latest = { ...userMessage(3000, '@openai what do you think?'), isProcessed: false };
+        const models = { gemini: 'gemini-1.5-pro', claude: 'claude-3-haiku-20240307', openai: 'gpt-4o' };
+        getChatMetadata.mockResolvedValue({
+          ...metadata,
+          llmParticipants: metadata.llmParticipants.map(participant => ({ ...participant, model: models[participant.name] }))
+        });
+        getLatestMessage.mockResolvedValue(latest);
+        getRecentMessages.mockResolvedValue([latest]);
+        streamReplies('Briefly: yes.');
+
+        const result = await processRoom('chat', false, { budget: createBudgetState([globalBudget], 'cheapest') });
+
+        expect(getOrchestratorDecision).not.toHaveBeenCalled();
+        expect(streamReply.mock.calls[0][1].name).toBe('claude');
+        expect(result.body).toMatchObject({ action: 'RESPOND', speaker: 'claude', speakerSource: 'budget', newSpeakerIndex: 2 });
+      });
+
+      it('should skip participants whose providers are over budget', async () => {
+        const latest = { ...userMessage(3000, 'Claude?'), isProcessed: false };
+        const budget = createBudgetState([{ ...globalBudget, provider: 'anthropic' }]);
+        getChatMetadata.mockResolvedValue({ ...metadata, nextSpeakerIndex: 1 });
+        getLatestMessage.mockResolvedValue(latest);
+        getRecentMessages.mockResolvedValue([latest]);
+        getOrchestratorDecision.mockResolvedValue({ action: 'RESPOND', speaker: 'claude' });
+        streamReplies('Claude is over budget.');
+
+        const result = await processRoom('chat', false, { budget });
+
+        expect(streamReply.mock.calls[0][1].name).toBe('openai');
+        expect(streamReply.mock.calls[0][4].budget).toBe(budget);
+        expect(result.body.skippedSpeakers).toEqual([{ speaker: 'claude', openUntil: resetsAt, overBudget: true }]);
+      });
+
+      it('should fall back to the speaker strategy when the orchestrator\'s provider is over budget', async () => {
+        const latest = { ...userMessage(3000, 'Hi'), isProcessed: false };
+        getChatMetadata.mockResolvedValue(metadata);
+        getLatestMessage.mockResolvedValue(latest);
+        getRecentMessages.mockResolvedValue([latest]);
+        streamReplies('Hello.');
+
+        const result = await processRoom('chat', false, { budget: createBudgetState([{ ...globalBudget, provider: 'google' }]) });
+
+        expect(getOrchestratorDecision).not.toHaveBeenCalled();
+        expect(result.body).toMatchObject({ action: 'RESPOND', speaker: 'claude', speakerSource: 'round-robin' });
+        expect(result.body.skippedSpeakers).toEqual([{ speaker: 'gemini', openUntil: resetsAt, overBudget: true }]);
+      });
+    });
+  });
+
+  describe('handler', () => {
+    it('should leave rooms for the next tick once the time budget is spent', async () => {
+      const context = { getRemainingTimeInMillis: () => 1000 };
+
+      const result = await handler({ roomId: 'chat' }, context);
+
+      expect(JSON.parse(result.body).rooms).toEqual([{ roomId: 'chat', action: 'EXIT', reason: 'Out of time' }]);
+      expect(getChatMetadata).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Unit tests for Participant Service
+ */
+process.env.ADMIN_EMAILS = 'Admin@example.com, ops@example.com';
+
+jest.mock('../../services/dynamoDbService', () => ({
+  getChatMetadata: jest.fn(),
+  updateRoomParticipants: jest.fn(async (roomId, llmParticipants, nextSpeakerIndex, expected) => ({
+    ...expected, llmParticipants, nextSpeakerIndex
+  }))
+}));
+
+const dynamoDbService = require('../../services/dynamoDbService');
+const {
+  canManageParticipants,
+  remapSpeakerIndex,
+  listParticipants,
+  addParticipant,
+  updateParticipant,
+  reorderParticipants,
+  removeParticipant
+} = require('../../services/participantService');
+
+describe('Participant Service', () => {
+  const participant = (name, provider = 'openai') => ({
+    name,
+    provider,
+    personality: { moods: ['curious'], phrase: `Hey ${name}...` }
+  });
+
+  const roomMetadata = (extra = {}) => ({
+    id: 'team',
+    datetime: 0,
+    llmParticipants: [participant('gemini', 'google'), participant('claude', 'anthropic'), participant('openai')],
+    nextSpeakerIndex: 1,
+    createdBy: 'owner@example.com',
+    ...extra
+  });
+
+  const names = (result) => result.llmParticipants.map(p => p.name);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dynamoDbService.getChatMetadata.mockResolvedValue(roomMetadata());
+  });
+
+  describe('canManageParticipants', () => {
+    it('should allow admins and the room creator only', () => {
+      expect(canManageParticipants(roomMetadata(), 'admin@example.com')).toBe(true);
+      expect(canManageParticipants(roomMetadata(), 'Owner@example.com')).toBe(true);
+      expect(canManageParticipants(roomMetadata(), 'someone@example.com')).toBe(false);
+      expect(canManageParticipants(roomMetadata({ createdBy: undefined }), undefined)).toBe(false);
+    });
+  });
+
+  describe('remapSpeakerIndex', () => {
+    const before = ['a', 'b', 'c'].map(name => ({ name }));
+
+    it('should follow the next speaker to its new position', () => {
+      expect(remapSpeakerIndex(before, 1, ['c', 'a', 'b'].map(name => ({ name })))).toBe(2);
+      expect(remapSpeakerIndex(before, 1, ['x', 'a', 'b', 'c'].map(name => ({ name })))).toBe(2);
+    });
+
+    it('should pass the turn on when the next speaker is removed', () => {
+      expect(remapSpeakerIndex(before, 1, ['a', 'c'].map(name => ({ name })))).toBe(1);
+      expect(remapSpeakerIndex(before, 2, ['a', 'b'].map(name => ({ name })))).toBe(0);
+    });
+  });
+
+  describe('listParticipants', () => {
+    it('should list participants with the next speaker', async () => {
+      const result = await listParticipants('team', 'someone@example.com', false);
+      expect(names(result)).toEqual(['gemini', 'claude', 'openai']);
+      expect(result.nextSpeaker).toBe('claude');
+    });
+
+    it('should show endpoint settings only to users who may manage the room', async () => {
+      const local = { ...participant('local', 'openai-compatible'), baseUrl: 'http://localhost:11434/v1', apiKeyEnv: 'OPENAI_COMPATIBLE_OLLAMA_KEY' };
+      dynamoDbService.getChatMetadata.mockResolvedValue(roomMetadata({ llmParticipants: [local] }));
+
+      expect((await listParticipants('team', 'someone@example.com', false)).llmParticipants[0])
+        .toEqual(participant('local', 'openai-compatible'));
+      expect((await listParticipants('team', 'owner@example.com', false)).llmParticipants[0]).toEqual(local);
+      expect((await listParticipants('team', 'admin@example.com', false)).llmParticipants[0]).toEqual(local);
+    });
+
+    it('should return null for an unknown room', async () => {
+      dynamoDbService.getChatMetadata.mockResolvedValue(null);
+      expect(await listParticipants('missing', 'owner@example.com', false)).toBeNull();
+    });
+  });
+
+  describe('addParticipant', () => {
+    it('should insert at a position and keep the next speaker', async () => {
+      const result = await addParticipant('team', participant('mistral'), 0, 'owner@example.com', false);
+      expect(names(result)).toEqual(['mistral', 'gemini', 'claude', 'openai']);
+      expect(result.nextSpeaker).toBe('claude');
+      expect(dynamoDbService.updateRoomParticipants).toHaveBeenCalledWith(
+        'team', expect.any(Array), 2, expect.objectContaining({ nextSpeakerIndex: 1 }), false
+      );
+    });
+
+    it('should reject invalid and duplicate participants', async () => {
+      await expect(addParticipant('team', { name: 'x' }, undefined, 'owner@example.com', false))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await expect(addParticipant('team', participant('user'), undefined, 'owner@example.com', false))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await expect(addParticipant('team', participant('claude'), undefined, 'owner@example.com', false))
+        .rejects.toMatchObject({ statusCode: 409 });
+      await expect(addParticipant('team', participant('mistral'), 7, 'owner@example.com', false))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should reject users who may not manage the room', async () => {
+      await expect(addParticipant('team', participant('mistral'), undefined, 'someone@example.com', false))
+        .rejects.toMatchObject({ statusCode: 403 });
+      expect(dynamoDbService.updateRoomParticipants).not.toHaveBeenCalled();
+    });
+
+    it('should retry when the room changed meanwhile and give up after a few attempts', async () => {
+      dynamoDbService.updateRoomParticipants.mockResolvedValueOnce(null);
+      const result = await addParticipant('team', participant('mistral'), undefined, 'admin@example.com', false);
+      expect(names(result)).toContain('mistral');
+      expect(dynamoDbService.getChatMetadata).toHaveBeenCalledTimes(2);
+
+      dynamoDbService.updateRoomParticipants
+        .mockResolvedValueOnce(null).mockResolvedValueOnce(null).mockResolvedValueOnce(null);
+      await expect(addParticipant('team', participant('mistral'), undefined, 'admin@example.com', false))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('updateParticipant', () => {
+    it('should change fields and remove optional ones set to null', async () => {
+      dynamoDbService.getChatMetadata.mockResolvedValue(roomMetadata({
+        llmParticipants: [{ ...participant('gemini', 'google'), weight: 3 }, participant('claude', 'anthropic')]
+      }));
+      const systemPrompt = { description: 'A careful reviewer.' };
+      const result = await updateParticipant('team', 'gemini', { systemPrompt, weight: null }, 'owner@example.com', false);
+      expect(result.llmParticipants[0]).toEqual({ ...participant('gemini', 'google'), systemPrompt });
+    });
+
+    it('should reject renames, invalid values and unknown participants', async () => {
+      await expect(updateParticipant('team', 'gemini', { name: 'bard' }, 'owner@example.com', false))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await expect(updateParticipant('team', 'gemini', { provider: 'bard' }, 'owner@example.com', false))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await expect(updateParticipant('team', 'bard', { weight: 2 }, 'owner@example.com', false))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('reorderParticipants', () => {
+    it('should apply the new order and keep the next speaker', async () => {
+      const result = await reorderParticipants('team', ['openai', 'claude', 'gemini'], 'owner@example.com', false);
+      expect(names(result)).toEqual(['openai', 'claude', 'gemini']);
+      expect(result.nextSpeaker).toBe('claude');
+    });
+
+    it('should require every participant exactly once', async () => {
+      await expect(reorderParticipants('team', ['openai', 'claude'], 'owner@example.com', false))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await expect(reorderParticipants('team', ['openai', 'openai', 'claude'], 'owner@example.com', false))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('removeParticipant', () => {
+    it('should pass the turn of a removed next speaker to the one after it', async () => {
+      const result = await removeParticipant('team', 'claude', 'owner@example.com', false);
+      expect(names(result)).toEqual(['gemini', 'openai']);
+      expect(result.nextSpeaker).toBe('openai');
+    });
+
+    it('should keep at least one participant', async () => {
+      dynamoDbService.getChatMetadata.mockResolvedValue(roomMetadata({ llmParticipants: [participant('gemini', 'google')], nextSpeakerIndex: 0 }));
+      await expect(removeParticipant('team', 'gemini', 'owner@example.com', false))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * Unit tests for Persona Service
+ */
+const { buildSystemPrompt, DEFAULT_PERSONA_DESCRIPTION } = require('../../services/personaService');
+
+describe('Persona Service', () => {
+  const claude = {
+    name: 'claude',
+    provider: 'anthropic',
+    personality: {
+      moods: ['Calm and careful: ', 'Playful: '],
+      phrase: "Claude, I'd love your thoughtful perspective on "
+    },
+    systemPrompt: {
+      description: 'A thoughtful conversationalist.',
+      styleRules: ['Consider more than one angle.']
+    }
+  };
+  const gemini = { name: 'gemini', provider: 'google', personality: { moods: ['x'], phrase: 'y' } };
+
+  describe('buildSystemPrompt', () => {
+    it('should include name, description, style rules and the other participants', () => {
+      const prompt = buildSystemPrompt(claude, [gemini, claude], () => 0);
+      expect(prompt).toContain('You are claude');
+      expect(prompt).toContain('Character: A thoughtful conversationalist.');
+      expect(prompt).toContain('- Consider more than one angle.');
+      expect(prompt).toContain('Other AI participants in this room: gemini.');
+      expect(prompt).toContain("Claude, I'd love your thoughtful perspective on...");
+    });
+
+    it('should pick the mood with the injected random source', () => {
+      expect(buildSystemPrompt(claude, [claude], () => 0)).toContain('"Calm and careful:"');
+      expect(buildSystemPrompt(claude, [claude], () => 0.99)).toContain('"Playful:"');
+    });
+
+    it('should say when the persona is alone', () => {
+      expect(buildSystemPrompt(claude, [claude])).toContain('You are the only AI participant in this room.');
+    });
+
+    it('should fall back to a generic description without a stored system prompt', () => {
+      expect(buildSystemPrompt(gemini, [gemini])).toContain(`Character: ${DEFAULT_PERSONA_DESCRIPTION}`);
+    });
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Unit tests for Polling Service
+ */
+jest.mock('../../services/dynamoDbService', () => ({
+  getLatestMessage: jest.fn(),
+  STREAMING_STATUS: 'streaming'
+}));
+
+const { getLatestMessage } = require('../../services/dynamoDbService');
+const {
+  getLatestMessageDatetime,
+  getMessageVersion,
+  buildChatLogETag,
+  etagMatches,
+  parseWaitSeconds,
+  waitForNewMessage,
+  LONG_POLL_MAX_WAIT_SECONDS
+} = require('../../services/pollingService');
+
+describe('Polling Service', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  describe('getLatestMessageDatetime', () => {
+    it('should return the newest datetime', async () => {
+      getLatestMessage.mockResolvedValueOnce({ datetime: 1234 });
+      expect(await getLatestMessageDatetime('chat', false)).toBe(1234);
+      expect(getLatestMessage).toHaveBeenCalledWith('chat', false);
+    });
+
+    it('should return 0 for an empty room', async () => {
+      getLatestMessage.mockResolvedValueOnce(null);
+      expect(await getLatestMessageDatetime('chat', false)).toBe(0);
+    });
+  });
+
+  describe('getMessageVersion', () => {
+    it('should use the datetime of a finished message', () => {
+      expect(getMessageVersion({ datetime: 1234 })).toBe(1234);
+      expect(getMessageVersion(null)).toBe(0);
+    });
+
+    it('should change as a streaming message is updated', () => {
+      const first = getMessageVersion({ datetime: 1234, status: 'streaming', updatedAt: 1500 });
+      const second = getMessageVersion({ datetime: 1234, status: 'streaming', updatedAt: 2500 });
+      expect(first).toBe('1234.1500');
+      expect(second).not.toBe(first);
+    });
+  });
+
+  describe('etagMatches', () => {
+    const etag = buildChatLogETag('chat', 1234);
+
+    it('should build a quoted ETag from room and datetime', () => {
+      expect(etag).toBe('"chat-1234"');
+    });
+
+    it('should match an identical ETag', () => {
+      expect(etagMatches('"chat-1234"', etag)).toBe(true);
+    });
+
+    it('should match weak validators, lists and the wildcard', () => {
+      expect(etagMatches('W/"chat-1234"', etag)).toBe(true);
+      expect(etagMatches('"chat-1", "chat-1234"', etag)).toBe(true);
+      expect(etagMatches('*', etag)).toBe(true);
+    });
+
+    it('should not match a different or missing ETag', () => {
+      expect(etagMatches('"chat-1000"', etag)).toBe(false);
+      expect(etagMatches('"other-1234"', etag)).toBe(false);
+      expect(etagMatches(undefined, etag)).toBe(false);
+    });
+  });
+
+  describe('parseWaitSeconds', () => {
+    it('should default to no wait', () => {
+      expect(parseWaitSeconds(undefined)).toBe(0);
+      expect(parseWaitSeconds('')).toBe(0);
+    });
+
+    it('should cap the wait', () => {
+      expect(parseWaitSeconds('5')).toBe(5);
+      expect(parseWaitSeconds('600')).toBe(LONG_POLL_MAX_WAIT_SECONDS);
+    });
+
+    it('should reject invalid values', () => {
+      expect(() => parseWaitSeconds('soon')).toThrow('wait must be a non-negative number of seconds');
+      expect(() => parseWaitSeconds('-1')).toThrow();
+    });
+  });
+
+  describe('waitForNewMessage', () => {
+    // Fake clock advanced by the injected sleep
+    const fakeClock = () => {
+      let time = 0;
+      return {
+        now: () => time,
+        sleep: jest.fn(async (ms) => { time += ms; })
+      };
+    };
+
+    it('should return immediately when a newer message already exists', async () => {
+      const clock = fakeClock();
+      getLatestMessage.mockResolvedValue({ datetime: 200 });
+      const latest = await waitForNewMessage('chat', 100, 10, false, clock);
+      expect(latest).toBe(200);
+      expect(clock.sleep).not.toHaveBeenCalled();
+    });
+
+    it('should poll until a newer message appears', async () => {
+      const clock = fakeClock();
+      getLatestMessage
+        .mockResolvedValueOnce({ datetime: 100 })
+        .mockResolvedValueOnce({ datetime: 100 })
+        .mockResolvedValueOnce({ datetime: 150 });
+      const latest = await waitForNewMessage('chat', 100, 10, false, { ...clock, intervalMs: 500 });
+      expect(latest).toBe(150);
+      expect(clock.sleep).toHaveBeenCalledTimes(2);
+      expect(clock.now()).toBe(1000);
+    });
+
+    it('should wait for a streaming reply to grow when the client has the current version', async () => {
+      const clock = fakeClock();
+      getLatestMessage
+        .mockResolvedValueOnce({ datetime: 200, status: 'streaming', updatedAt: 300 })
+        .mockResolvedValueOnce({ datetime: 200, status: 'streaming', updatedAt: 1300 });
+      const latest = await waitForNewMessage('chat', 199, 10, false, {
+        ...clock,
+        intervalMs: 1000,
+        ifNoneMatch: '"chat-200.300"'
+      });
+      expect(latest).toBe('200.1300');
+      expect(clock.sleep).toHaveBeenCalledTimes(1);
+    });
+
+    it('should give up when the wait elapses', async () => {
+      const clock = fakeClock();
+      getLatestMessage.mockResolvedValue({ datetime: 100 });
+      const latest = await waitForNewMessage('chat', 100, 3, false, { ...clock, intervalMs: 1000 });
+      expect(latest).toBe(100);
+      expect(clock.now()).toBe(3000);
+      expect(clock.sleep).toHaveBeenCalledTimes(3);
+    });
+  });
+});
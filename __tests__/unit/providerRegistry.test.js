@@ -0,0 +1,112 @@
+/**
+ * Unit tests for the provider adapter registry
+ */
+process.env.ANTHROPIC_API_KEY = 'test-anthropic-key';
+
+const {
+  registerProvider,
+  unregisterProvider,
+  getProvider,
+  getProviderNames,
+  hasProvider,
+  getMissingConfig,
+  listProviders
+} = require('../../services/providers/index.js');
+const { generateResponse, streamResponse } = require('../../services/llmService');
+const { validateParticipant } = require('../../models/chatMetadata');
+
+const testAdapter = (overrides = {}) => ({
+  name: 'test-llm',
+  requiredConfig: [],
+  capabilities: { streaming: false, systemPrompt: false, vision: false },
+  maxTemperature: 1,
+  generate: jest.fn(async () => 'Hello.'),
+  ...overrides
+});
+
+describe('Provider registry', () => {
+  afterEach(() => {
+    unregisterProvider('test-llm');
+  });
+
+  it('should register the built-in providers', () => {
+    expect(getProviderNames()).toEqual(['google', 'anthropic', 'openai', 'openai-compatible', 'mock']);
+    expect(getProvider('anthropic')).toMatchObject({
+      requiredConfig: ['ANTHROPIC_API_KEY'],
+      capabilities: { streaming: true, systemPrompt: true },
+      maxTemperature: 1
+    });
+  });
+
+  it('should look providers up case-insensitively', () => {
+    expect(getProvider('OpenAI').name).toBe('openai');
+    expect(hasProvider('Google')).toBe(true);
+  });
+
+  it('should reject unknown providers with the supported list', () => {
+    expect(() => getProvider('mistral'))
+      .toThrow('Unsupported LLM provider: mistral. Supported providers: google, anthropic, openai, openai-compatible, mock');
+  });
+
+  it('should reject adapters with a missing capability or function', () => {
+    expect(() => registerProvider(testAdapter({ capabilities: { streaming: false } })))
+      .toThrow('capabilities must declare streaming, systemPrompt, vision');
+    expect(() => registerProvider(testAdapter({ capabilities: { streaming: true, systemPrompt: true, vision: false } })))
+      .toThrow('declares streaming but does not implement stream');
+    expect(() => registerProvider(testAdapter({ generate: undefined })))
+      .toThrow('must implement generate');
+  });
+
+  it('should report missing configuration', () => {
+    const adapter = testAdapter({ requiredConfig: ['TEST_LLM_KEY'] });
+    expect(getMissingConfig(adapter, {})).toEqual(['TEST_LLM_KEY']);
+    expect(getMissingConfig(adapter, { TEST_LLM_KEY: 'key' })).toEqual([]);
+  });
+
+  it('should list providers without their functions', () => {
+    const listed = listProviders({ GOOGLE_API_KEY: 'key' });
+    expect(listed.find(provider => provider.name === 'google')).toEqual({
+      name: 'google',
+      capabilities: { streaming: true, systemPrompt: true, vision: true },
+      maxTemperature: 2,
+      configured: true
+    });
+    expect(listed.find(provider => provider.name === 'openai').configured).toBe(false);
+  });
+
+  it('should make a registered provider valid for participants', () => {
+    const participant = { name: 'tester', provider: 'test-llm', personality: { moods: ['calm'], phrase: 'hey' } };
+    expect(() => validateParticipant(participant)).toThrow('Participant provider must be one of');
+
+    registerProvider(testAdapter());
+    expect(() => validateParticipant(participant)).not.toThrow();
+    expect(() => validateParticipant({ ...participant, temperature: 1.5 }))
+      .toThrow('between 0 and 1 for provider test-llm');
+  });
+
+  describe('dispatch through llmService', () => {
+    it('should fail before calling a provider whose configuration is missing', async () => {
+      const adapter = registerProvider(testAdapter({ requiredConfig: ['TEST_LLM_KEY'] }));
+      await expect(generateResponse('test-llm', 'Hi', null, false))
+        .rejects.toThrow('TEST_LLM_KEY environment variable is not set');
+      expect(adapter.generate).not.toHaveBeenCalled();
+    });
+
+    it('should fold the system prompt into the first turn when unsupported', async () => {
+      const adapter = registerProvider(testAdapter());
+      await generateResponse('test-llm', 'Hi', null, false, { systemPrompt: 'Be brief.', temperature: 0.5 });
+      expect(adapter.generate).toHaveBeenCalledWith(
+        [{ role: 'user', content: 'Be brief.\n\nHi' }],
+        { temperature: 0.5, signal: expect.any(AbortSignal) },
+        false
+      );
+    });
+
+    it('should report the whole reply once when streaming is unsupported', async () => {
+      registerProvider(testAdapter());
+      const onText = jest.fn();
+      expect(await streamResponse('test-llm', 'Hi', null, onText, false)).toBe('Hello.');
+      expect(onText).toHaveBeenCalledWith('Hello.');
+    });
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Unit tests for personal data redaction
+ */
+const {
+  validateRedaction,
+  resolveRedaction,
+  createRedactor,
+  redactText,
+  isLuhnValid,
+  isIbanValid,
+  DEFAULT_REDACTION
+} = require('../../services/redactionService');
+const { createChatMetadata, serializeChatMetadata, deserializeChatMetadata } = require('../../models/chatMetadata');
+
+const PARTICIPANTS = [{ name: 'gemini', provider: 'google', personality: { moods: ['curious'], phrase: 'I think...' } }];
+
+const redactOnly = (type, text) => redactText(text, { mode: 'mask', types: [type] });
+
+describe('Redaction service', () => {
+  describe('detection rules', () => {
+    it('should detect email addresses', () => {
+      expect(redactOnly('email', 'Write to ann.lee+chat@mail.example.co.uk today'))
+        .toBe('Write to [EMAIL] today');
+      expect(redactOnly('email', 'Reply to @claude or see example.com')).toBe('Reply to @claude or see example.com');
+    });
+
+    it('should detect phone numbers written with separators or a country code', () => {
+      expect(redactOnly('phone', 'Call +1 (555) 123-4567 or 555.123.4567')).toBe('Call [PHONE] or [PHONE]');
+      expect(redactOnly('phone', 'London: +44 20 7946 0958, mobile 07700900123')).toBe('London: [PHONE], mobile [PHONE]');
+    });
+
+    it('should not take dates, times, prices or short numbers for phone numbers', () => {
+      const text = 'On 2025-01-31 at 10:30 I paid $1,234.56 for order 1234567 in room 42';
+      expect(redactOnly('phone', text)).toBe(text);
+    });
+
+    it('should detect card numbers that pass the Luhn check', () => {
+      expect(redactOnly('card', 'Visa 4111 1111 1111 1111, MC 5500-0055-5555-5559, Amex 378282246310005'))
+        .toBe('Visa [CARD], MC [CARD], Amex [CARD]');
+      expect(redactOnly('card', 'Tracking 4111 1111 1111 1112')).toBe('Tracking 4111 1111 1111 1112');
+      expect(isLuhnValid('79927398713')).toBe(true);
+      expect(isLuhnValid('79927398710')).toBe(false);
+    });
+
+    it('should detect IBANs with a valid checksum', () => {
+      expect(redactOnly('iban', 'Pay GB82 WEST 1234 5698 7654 32 or DE89370400440532013000'))
+        .toBe('Pay [IBAN] or [IBAN]');
+      expect(isIbanValid('GB82WEST12345698765433')).toBe(false);
+    });
+
+    it('should detect US social security numbers and IPv4 addresses', () => {
+      expect(redactOnly('ssn', 'SSN 123-45-6789, not 000-12-3456')).toBe('SSN [SSN], not 000-12-3456');
+      expect(redactOnly('ipAddress', 'Host 192.168.1.10, not 300.1.1.1')).toBe('Host [IP], not 300.1.1.1');
+    });
+  });
+
+  describe('createRedactor', () => {
+    it('should give one value the same numbered token across texts', () => {
+      const redactor = createRedactor({ mode: 'token', types: DEFAULT_REDACTION.types });
+
+      expect(redactor.redact('ann@example.com and bob@example.com')).toBe('[EMAIL_1] and [EMAIL_2]');
+      expect(redactor.redact('Ann@Example.com, card 4111-1111-1111-1111')).toBe('[EMAIL_1], card [CARD_1]');
+      expect(redactor.redact('Same card: 4111111111111111')).toBe('Same card: [CARD_1]');
+      expect(redactor.counts()).toEqual({ email: 3, card: 2 });
+    });
+
+    it('should redact the text and sender email of a message copy', () => {
+      const message = { sender: 'user', email: 'ann@example.com', message: 'I am ann@example.com' };
+      const redacted = createRedactor(resolveRedaction()).redactMessage(message);
+
+      expect(redacted).toEqual({ sender: 'user', email: '[EMAIL_1]', message: 'I am [EMAIL_1]' });
+      expect(message.email).toBe('ann@example.com');
+    });
+
+    it('should only detect the room\'s types and leave text alone when off', () => {
+      const text = 'ann@example.com, +1 555 123 4567';
+      expect(redactText(text, { mode: 'token', types: ['phone'] })).toBe('ann@example.com, [PHONE_1]');
+      expect(redactText(text, resolveRedaction({ redaction: { mode: 'off' } }))).toBe(text);
+    });
+  });
+
+  describe('room settings', () => {
+    it('should default to tokens for every type', () => {
+      expect(resolveRedaction({})).toEqual({ mode: 'token', types: ['email', 'iban', 'card', 'ssn', 'phone', 'ipAddress'] });
+      expect(resolveRedaction({ redaction: { mode: 'mask', types: ['email'] } })).toEqual({ mode: 'mask', types: ['email'] });
+    });
+
+    it('should validate the mode and types', () => {
+      expect(() => validateRedaction({ mode: 'mask', types: ['email', 'card'] })).not.toThrow();
+      expect(() => validateRedaction('off')).toThrow('Room redaction must be an object');
+      expect(() => validateRedaction({ mode: 'hide' })).toThrow('Room redaction.mode must be one of');
+      expect(() => validateRedaction({ mode: 'token', types: ['passport'] })).toThrow('Room redaction.types');
+    });
+
+    it('should round-trip room settings through DynamoDB format', () => {
+      const metadata = createChatMetadata(PARTICIPANTS, 'room', { redaction: { mode: 'mask', types: ['email', 'card'] } });
+      expect(deserializeChatMetadata(serializeChatMetadata(metadata)).redaction).toEqual({ mode: 'mask', types: ['email', 'card'] });
+      expect(() => createChatMetadata(PARTICIPANTS, 'room', { redaction: { mode: 'hide' } })).toThrow('Room redaction.mode');
+    });
+  });
+});
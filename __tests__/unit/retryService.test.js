@@ -0,0 +1,113 @@
+/**
+ * Unit tests for retrying failed LLM calls
+ */
+const { isRetryableError, getRetryDelayMs, withRetry } = require('../../services/retryService');
+const { parseRetryAfter, providerHttpError } = require('../../services/providers/common');
+const { LLMTimeoutError } = require('../../services/timeoutService');
+
+const httpError = (status, retryAfterMs) => Object.assign(new Error(`API error: ${status}`), { status, retryAfterMs });
+
+describe('Retry service', () => {
+  describe('isRetryableError', () => {
+    it('should retry rate limits, server errors and network failures', () => {
+      expect(isRetryableError(httpError(429))).toBe(true);
+      expect(isRetryableError(httpError(503))).toBe(true);
+      expect(isRetryableError(httpError(529))).toBe(true);
+      expect(isRetryableError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }))).toBe(true);
+      expect(isRetryableError(new TypeError('fetch failed'))).toBe(true);
+    });
+
+    it('should retry timeouts unless the invocation ran out of time', () => {
+      expect(isRetryableError(new LLMTimeoutError('openai', 20000, false))).toBe(true);
+      expect(isRetryableError(new LLMTimeoutError('openai', 300, true))).toBe(false);
+    });
+
+    it('should not retry client errors or configuration problems', () => {
+      expect(isRetryableError(httpError(400))).toBe(false);
+      expect(isRetryableError(httpError(401))).toBe(false);
+      expect(isRetryableError(new Error('GOOGLE_API_KEY environment variable is not set'))).toBe(false);
+    });
+  });
+
+  describe('getRetryDelayMs', () => {
+    const settings = { baseDelayMs: 100, maxDelayMs: 1000 };
+
+    it('should jitter up to an exponentially growing, capped backoff', () => {
+      expect(getRetryDelayMs(httpError(500), 0, settings, () => 0.5)).toBe(50);
+      expect(getRetryDelayMs(httpError(500), 2, settings, () => 0.5)).toBe(200);
+      expect(getRetryDelayMs(httpError(500), 10, settings, () => 0.999)).toBe(999);
+    });
+
+    it('should wait at least as long as Retry-After', () => {
+      expect(getRetryDelayMs(httpError(429, 700), 0, settings, () => 0)).toBe(700);
+    });
+  });
+
+  describe('withRetry', () => {
+    const options = { maxRetries: 2, baseDelayMs: 100, maxDelayMs: 1000, random: () => 1 };
+
+    it('should retry until the operation succeeds', async () => {
+      const sleep = jest.fn(async () => {});
+      const operation = jest.fn()
+        .mockRejectedValueOnce(httpError(503))
+        .mockRejectedValueOnce(httpError(429))
+        .mockResolvedValueOnce('Hello.');
+
+      expect(await withRetry(operation, false, { ...options, sleep })).toBe('Hello.');
+      expect(operation.mock.calls.map(call => call[0])).toEqual([0, 1, 2]);
+      expect(sleep.mock.calls.map(call => call[0])).toEqual([100, 200]);
+    });
+
+    it('should give up after the last retry and report the attempts', async () => {
+      const operation = jest.fn(async () => { throw httpError(500); });
+
+      const error = await withRetry(operation, false, { ...options, sleep: async () => {} }).catch(caught => caught);
+      expect(error.message).toBe('API error: 500');
+      expect(error.attempts).toBe(3);
+    });
+
+    it('should not retry errors that will fail again', async () => {
+      const operation = jest.fn(async () => { throw httpError(401); });
+
+      await expect(withRetry(operation, false, { ...options, sleep: async () => {} })).rejects.toThrow('API error: 401');
+      expect(operation).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not start a retry that would end after the deadline', async () => {
+      const sleep = jest.fn(async () => {});
+      const operation = jest.fn(async () => { throw httpError(503); });
+
+      await expect(withRetry(operation, false, { ...options, sleep, deadline: Date.now() + 50 })).rejects.toThrow('API error: 503');
+      expect(operation).toHaveBeenCalledTimes(1);
+      expect(sleep).not.toHaveBeenCalled();
+    });
+
+    it('should give up when Retry-After exceeds the longest delay', async () => {
+      const sleep = jest.fn(async () => {});
+      const operation = jest.fn(async () => { throw httpError(429, 60000); });
+
+      await expect(withRetry(operation, false, { ...options, sleep })).rejects.toThrow('API error: 429');
+      expect(operation).toHaveBeenCalledTimes(1);
+      expect(sleep).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('provider HTTP errors', () => {
+    it('should parse Retry-After seconds and dates', () => {
+      expect(parseRetryAfter('3')).toBe(3000);
+      expect(parseRetryAfter('Thu, 01 Jan 1970 00:00:05 GMT', 1000)).toBe(4000);
+      expect(parseRetryAfter(null)).toBeUndefined();
+      expect(parseRetryAfter('soon')).toBeUndefined();
+    });
+
+    it('should carry the status and Retry-After of the response', async () => {
+      const error = await providerHttpError('OpenAI', {
+        status: 429,
+        headers: new Headers({ 'retry-after': '2' }),
+        text: async () => 'slow down'
+      });
+      expect(error.message).toBe('OpenAI API error: 429 - slow down');
+      expect(error).toMatchObject({ status: 429, retryAfterMs: 2000 });
+    });
+  });
+});
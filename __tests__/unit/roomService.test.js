@@ -0,0 +1,191 @@
+/**
+ * Unit tests for Room Service
+ */
+jest.mock('../../services/dynamoDbService', () => ({
+  getChatMetadata: jest.fn(),
+  getLatestMessage: jest.fn(),
+  createRoomMetadata: jest.fn(),
+  updateRoomMetadata: jest.fn(),
+  listRoomMetadata: jest.fn()
+}));
+
+const dynamoDbService = require('../../services/dynamoDbService');
+const {
+  createRoom,
+  listRooms,
+  updateRoom,
+  archiveRoom,
+  toRoomSummary
+} = require('../../services/roomService');
+
+describe('Room Service', () => {
+  const participant = {
+    name: 'gemini',
+    provider: 'google',
+    personality: { moods: ['curious'], phrase: 'I think...' }
+  };
+
+  const roomMetadata = (id, extra = {}) => ({
+    id,
+    datetime: 0,
+    llmParticipants: [participant],
+    nextSpeakerIndex: 0,
+    ...extra
+  });
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    dynamoDbService.getLatestMessage.mockResolvedValue(null);
+    dynamoDbService.createRoomMetadata.mockResolvedValue(true);
+  });
+
+  describe('toRoomSummary', () => {
+    it('should summarize participants and last activity', () => {
+      const summary = toRoomSummary(roomMetadata('team', { name: 'Team' }), { datetime: 1234 });
+      expect(summary).toEqual({
+        roomId: 'team',
+        name: 'Team',
+        archived: false,
+        speakerStrategy: 'round-robin',
+        autonomy: { enabled: true, maxConsecutiveAiTurns: 6, minTurnSpacingSeconds: 0, idleCutoffMinutes: 30 },
+        redaction: { mode: 'token', types: ['email', 'iban', 'card', 'ssn', 'phone', 'ipAddress'] },
+        participants: ['gemini'],
+        createdBy: null,
+        createdAt: null,
+        lastActivity: 1234
+      });
+    });
+
+    it('should not report the metadata item as activity', () => {
+      const summary = toRoomSummary(roomMetadata('team'), { datetime: 0 });
+      expect(summary.lastActivity).toBeNull();
+      expect(summary.name).toBe('team');
+    });
+  });
+
+  describe('createRoom', () => {
+    it('should create a room with the given id, name and participants', async () => {
+      const room = await createRoom(
+        { roomId: 'team', name: 'Team room', llmParticipants: [participant] },
+        'owner@example.com',
+        false
+      );
+
+      expect(room.roomId).toBe('team');
+      expect(room.name).toBe('Team room');
+      expect(room.createdBy).toBe('owner@example.com');
+      const stored = dynamoDbService.createRoomMetadata.mock.calls[0][0];
+      expect(stored).toMatchObject({ id: 'team', datetime: 0, nextSpeakerIndex: 0, archived: false });
+      expect(stored.llmParticipants).toEqual([participant]);
+    });
+
+    it('should generate a room id and use the default participants when omitted', async () => {
+      const room = await createRoom({}, 'owner@example.com', false);
+      expect(room.roomId).toMatch(/^[0-9a-f-]{36}$/);
+      expect(room.participants).toEqual(['gemini', 'claude', 'openai']);
+    });
+
+    it('should reject an invalid room id with status 400', async () => {
+      await expect(createRoom({ roomId: 'bad room' }, 'owner@example.com', false))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(dynamoDbService.createRoomMetadata).not.toHaveBeenCalled();
+    });
+
+    it('should reject invalid participants with status 400', async () => {
+      await expect(createRoom({ roomId: 'team', llmParticipants: [] }, 'owner@example.com', false))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should reject an existing room with status 409', async () => {
+      dynamoDbService.createRoomMetadata.mockResolvedValueOnce(false);
+      await expect(createRoom({ roomId: 'team' }, 'owner@example.com', false))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('listRooms', () => {
+    it('should hide archived rooms and sort by last activity', async () => {
+      dynamoDbService.listRoomMetadata.mockResolvedValueOnce([
+        roomMetadata('chat'),
+        roomMetadata('old', { archived: true }),
+        roomMetadata('busy')
+      ]);
+      dynamoDbService.getLatestMessage.mockImplementation(async (roomId) =>
+        ({ chat: { datetime: 100 }, busy: { datetime: 200 } })[roomId] || null
+      );
+
+      const rooms = await listRooms({}, false);
+      expect(rooms.map(room => room.roomId)).toEqual(['busy', 'chat']);
+    });
+
+    it('should include archived rooms when asked', async () => {
+      dynamoDbService.listRoomMetadata.mockResolvedValueOnce([
+        roomMetadata('chat'),
+        roomMetadata('old', { archived: true })
+      ]);
+
+      const rooms = await listRooms({ includeArchived: true }, false);
+      expect(rooms.map(room => room.roomId).sort()).toEqual(['chat', 'old']);
+    });
+
+    it('should include a default room that is missing from the index', async () => {
+      dynamoDbService.listRoomMetadata.mockResolvedValueOnce([roomMetadata('team')]);
+      dynamoDbService.getChatMetadata.mockResolvedValueOnce(roomMetadata('chat'));
+
+      const rooms = await listRooms({}, false);
+      expect(dynamoDbService.getChatMetadata).toHaveBeenCalledWith('chat', false);
+      expect(rooms.map(room => room.roomId).sort()).toEqual(['chat', 'team']);
+    });
+  });
+
+  describe('updateRoom', () => {
+    beforeEach(() => {
+      dynamoDbService.getChatMetadata.mockResolvedValue(roomMetadata('team', { createdBy: 'owner@example.com' }));
+    });
+
+    it('should update the name of a room', async () => {
+      dynamoDbService.updateRoomMetadata.mockResolvedValueOnce(roomMetadata('team', { name: 'Renamed' }));
+      const room = await updateRoom('team', { name: 'Renamed' }, 'owner@example.com', false);
+      expect(dynamoDbService.updateRoomMetadata).toHaveBeenCalledWith('team', { name: 'Renamed' }, false);
+      expect(room.name).toBe('Renamed');
+    });
+
+    it('should reject users other than the creator and admins with status 403', async () => {
+      await expect(updateRoom('team', { name: 'Mine now' }, 'someone@example.com', false))
+        .rejects.toMatchObject({ statusCode: 403, message: 'Not allowed to manage room team' });
+      await expect(updateRoom('team', { name: 'x' }, undefined, false)).rejects.toMatchObject({ statusCode: 403 });
+      expect(dynamoDbService.updateRoomMetadata).not.toHaveBeenCalled();
+    });
+
+    it('should reject unsupported fields with status 400', async () => {
+      await expect(updateRoom('team', { nextSpeakerIndex: 2 }, 'owner@example.com', false))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(dynamoDbService.updateRoomMetadata).not.toHaveBeenCalled();
+    });
+
+    it('should reject invalid values with status 400', async () => {
+      await expect(updateRoom('team', { archived: 'yes' }, 'owner@example.com', false))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should reject an empty update with status 400', async () => {
+      await expect(updateRoom('team', {}, 'owner@example.com', false)).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should return null for an unknown room', async () => {
+      dynamoDbService.getChatMetadata.mockResolvedValueOnce(null);
+      expect(await updateRoom('missing', { name: 'x' }, 'owner@example.com', false)).toBeNull();
+      expect(dynamoDbService.updateRoomMetadata).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('archiveRoom', () => {
+    it('should set archived to true', async () => {
+      dynamoDbService.getChatMetadata.mockResolvedValueOnce(roomMetadata('team', { createdBy: 'owner@example.com' }));
+      dynamoDbService.updateRoomMetadata.mockResolvedValueOnce(roomMetadata('team', { archived: true }));
+      const room = await archiveRoom('team', 'Owner@example.com', false);
+      expect(dynamoDbService.updateRoomMetadata).toHaveBeenCalledWith('team', { archived: true }, false);
+      expect(room.archived).toBe(true);
+    });
+  });
+});
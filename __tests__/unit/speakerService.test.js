@@ -0,0 +1,131 @@
+/**
+ * Unit tests for Speaker Selection Service
+ */
+const { resolveSpeakers, selectSpeaker, parseMentions } = require('../../services/speakerService');
+
+describe('Speaker Service', () => {
+  const metadata = {
+    id: 'chat',
+    datetime: 0,
+    nextSpeakerIndex: 1,
+    llmParticipants: [
+      { name: 'gemini', provider: 'google' },
+      { name: 'claude', provider: 'anthropic' },
+      { name: 'openai', provider: 'openai' }
+    ]
+  };
+
+  describe('resolveSpeakers', () => {
+    it('should use the speakers chosen by the orchestrator', () => {
+      const { speakers, source } = resolveSpeakers(metadata, { action: 'RESPOND_MANY', speakers: ['openai', 'gemini'] });
+      expect(source).toBe('orchestrator');
+      expect(speakers.map(({ participant, index }) => [participant.name, index])).toEqual([['openai', 2], ['gemini', 0]]);
+    });
+
+    it('should fall back to round-robin when no valid speaker is named', () => {
+      expect(resolveSpeakers(metadata, { action: 'RESPOND' })).toEqual({
+        speakers: [{ participant: metadata.llmParticipants[1], index: 1 }],
+        source: 'round-robin'
+      });
+      expect(resolveSpeakers(metadata, { action: 'RESPOND', speaker: 'bard' }).source).toBe('round-robin');
+    });
+
+    it('should fall back to the room\'s speaker strategy', () => {
+      const room = { ...metadata, speakerStrategy: 'weighted-random' };
+      const { speakers, source } = resolveSpeakers(room, { action: 'RESPOND' }, [], () => 0.9);
+      expect(source).toBe('weighted-random');
+      expect(speakers[0].participant.name).toBe('openai');
+    });
+
+    it('should skip unavailable participants', () => {
+      const notClaude = participant => participant.name !== 'claude';
+      const named = resolveSpeakers(metadata, { action: 'RESPOND_MANY', speakers: ['claude', 'gemini'] }, [], Math.random, notClaude);
+      expect(named.speakers.map(({ participant }) => participant.name)).toEqual(['gemini']);
+
+      // Round-robin would pick claude (nextSpeakerIndex 1); the next available participant speaks
+      const picked = resolveSpeakers(metadata, { action: 'RESPOND', speaker: 'claude' }, [], Math.random, notClaude);
+      expect(picked).toEqual({
+        speakers: [{ participant: metadata.llmParticipants[2], index: 2 }],
+        source: 'round-robin'
+      });
+    });
+
+    it('should return no speakers when nobody is available', () => {
+      expect(resolveSpeakers(metadata, { action: 'RESPOND' }, [], Math.random, () => false).speakers).toEqual([]);
+    });
+  });
+
+  describe('selectSpeaker', () => {
+    const message = (datetime, sender, text = '') => ({ id: 'chat', datetime, sender, message: text });
+
+    it('should default to round-robin', () => {
+      expect(selectSpeaker(metadata)).toMatchObject({ index: 1, strategy: 'round-robin' });
+    });
+
+    it('should pick in proportion to weight for weighted-random', () => {
+      const room = {
+        ...metadata,
+        speakerStrategy: 'weighted-random',
+        llmParticipants: metadata.llmParticipants.map((participant, index) => ({ ...participant, weight: [1, 2, 1][index] }))
+      };
+      expect(selectSpeaker(room, [], () => 0.2).index).toBe(0);
+      expect(selectSpeaker(room, [], () => 0.3).index).toBe(1);
+      expect(selectSpeaker(room, [], () => 0.74).index).toBe(1);
+      expect(selectSpeaker(room, [], () => 0.8).index).toBe(2);
+    });
+
+    it('should pick the participant who spoke longest ago for least-recently-spoken', () => {
+      const room = { ...metadata, speakerStrategy: 'least-recently-spoken' };
+      const messages = [message(1, 'openai'), message(2, 'gemini'), message(3, 'claude')];
+      expect(selectSpeaker(room, messages).participant.name).toBe('openai');
+      // Nobody spoke yet: ties go to round-robin order
+      expect(selectSpeaker(room, []).participant.name).toBe('claude');
+    });
+
+    it('should follow the mention in the user message being answered for mention-driven', () => {
+      const room = { ...metadata, speakerStrategy: 'mention-driven' };
+      expect(selectSpeaker(room, [message(1, 'user', 'What do you think, @openai?')]).participant.name).toBe('openai');
+      expect(selectSpeaker(room, [message(1, 'user', 'Anyone?')]).participant.name).toBe('claude');
+    });
+
+    it('should not let the mentioned persona answer its own reply for mention-driven', () => {
+      const room = { ...metadata, speakerStrategy: 'mention-driven' };
+      const messages = [message(1, 'user', 'What do you think, @openai?'), message(2, 'openai', 'I would say yes')];
+      expect(selectSpeaker(room, messages).participant.name).toBe('claude');
+    });
+
+    it('should only count @mentions for mention-driven, as forced speakers do', () => {
+      const room = { ...metadata, speakerStrategy: 'mention-driven' };
+      expect(selectSpeaker(room, [message(1, 'user', 'openai, what about you?')]).participant.name).toBe('claude');
+      expect(selectSpeaker(room, [{
+        ...message(1, 'user', '@gemini hi'),
+        mentions: [{ name: 'gemini', offset: 0, length: 7 }]
+      }]).participant.name).toBe('gemini');
+    });
+
+    it('should never repeat the last AI speaker for never-twice-in-a-row', () => {
+      const room = { ...metadata, speakerStrategy: 'never-twice-in-a-row' };
+      const messages = [message(1, 'gemini'), message(2, 'user')];
+      expect(selectSpeaker(room, messages, () => 0).participant.name).toBe('claude');
+      expect(selectSpeaker(room, messages, () => 0.99).participant.name).toBe('openai');
+    });
+
+    it('should reject an unknown strategy', () => {
+      expect(() => selectSpeaker({ ...metadata, speakerStrategy: 'loudest' })).toThrow('Unknown speaker strategy: loudest');
+    });
+  });
+
+  describe('parseMentions', () => {
+    it('should return every @mention with its position and configured name', () => {
+      expect(parseMentions('@Claude what do you think? cc @gemini', metadata.llmParticipants)).toEqual([
+        { name: 'claude', offset: 0, length: 7 },
+        { name: 'gemini', offset: 30, length: 7 }
+      ]);
+    });
+
+    it('should ignore bare names, longer words and email addresses', () => {
+      expect(parseMentions('claude, @claudette, me@openai.com', metadata.llmParticipants)).toEqual([]);
+      expect(parseMentions(undefined, metadata.llmParticipants)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,225 @@
+/**
+ * Unit tests for streaming replies: server-sent event parsing, provider
+ * streaming through a mocked fetch, and the throttled partial-message writer
+ */
+process.env.ANTHROPIC_API_KEY = 'test-anthropic-key';
+process.env.OPENAI_API_KEY = 'test-openai-key';
+process.env.LLM_RETRY_BASE_DELAY_MS = '1';
+
+jest.mock('../../services/dynamoDbService', () => ({
+  storeStreamingMessage: jest.fn(async () => {}),
+  deleteMessage: jest.fn(async () => {})
+}));
+
+const { storeStreamingMessage, deleteMessage } = require('../../services/dynamoDbService');
+const { readServerSentEvents, streamResponse } = require('../../services/llmService');
+const { createStreamingMessageWriter, streamReply, isStaleStreamingMessage, STREAM_STALE_MS } = require('../../services/streamingService');
+
+// Async iterable body delivering the given chunks as bytes
+const bodyOf = (chunks) => ({
+  async *[Symbol.asyncIterator]() {
+    for (const chunk of chunks) {
+      yield new TextEncoder().encode(chunk);
+    }
+  }
+});
+
+const collect = async (iterable) => {
+  const items = [];
+  for await (const item of iterable) {
+    items.push(item);
+  }
+  return items;
+};
+
+const sseResponse = (chunks) => ({ ok: true, status: 200, body: bodyOf(chunks) });
+
+describe('Streaming replies', () => {
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    jest.restoreAllMocks();
+  });
+
+  describe('readServerSentEvents', () => {
+    it('should parse events split across chunks', async () => {
+      const events = await collect(readServerSentEvents(bodyOf([
+        'event: ping\ndata: {}\n\n: comment\nda',
+        'ta: first\ndata: second\n\ndata: last'
+      ])));
+      expect(events).toEqual([
+        { event: 'ping', data: '{}' },
+        { event: 'message', data: 'first\nsecond' },
+        { event: 'message', data: 'last' }
+      ]);
+    });
+
+    it('should accept CRLF line endings', async () => {
+      const events = await collect(readServerSentEvents(bodyOf(['data: a\r\n\r\ndata: b\r\n\r\n'])));
+      expect(events.map(event => event.data)).toEqual(['a', 'b']);
+    });
+  });
+
+  describe('streamResponse', () => {
+    it('should accumulate Anthropic text deltas', async () => {
+      global.fetch = jest.fn(async () => sseResponse([
+        'event: message_start\ndata: {"type":"message_start"}\n\n',
+        'event: content_block_delta\ndata: {"delta":{"type":"text_delta","text":"Hel"}}\n\n',
+        'event: content_block_delta\ndata: {"delta":{"type":"text_delta","text":"lo"}}\n\n',
+        'event: message_stop\ndata: {"type":"message_stop"}\n\n'
+      ]));
+      const onText = jest.fn();
+
+      const text = await streamResponse('anthropic', 'Hi', null, onText, false);
+      expect(text).toBe('Hello');
+      expect(onText.mock.calls.map(call => call[0])).toEqual(['Hel', 'Hello']);
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body).stream).toBe(true);
+    });
+
+    it('should accumulate OpenAI content deltas until [DONE]', async () => {
+      global.fetch = jest.fn(async () => sseResponse([
+        'data: {"choices":[{"delta":{"role":"assistant"}}]}\n\n',
+        'data: {"choices":[{"delta":{"content":"Hi "}}]}\n\ndata: {"choices":[{"delta":{"content":"there"}}]}\n\n',
+        'data: [DONE]\n\n'
+      ]));
+      const onText = jest.fn();
+
+      const text = await streamResponse('openai', 'Hi', null, onText, false);
+      expect(text).toBe('Hi there');
+      expect(onText).toHaveBeenLastCalledWith('Hi there');
+    });
+
+    it('should report the token usage of Anthropic and OpenAI streams', async () => {
+      const onUsage = jest.fn();
+      global.fetch = jest.fn(async () => sseResponse([
+        'event: message_start\ndata: {"message":{"usage":{"input_tokens":12,"output_tokens":1}}}\n\n',
+        'event: content_block_delta\ndata: {"delta":{"type":"text_delta","text":"Hi"}}\n\n',
+        'event: message_delta\ndata: {"usage":{"output_tokens":3}}\n\n'
+      ]));
+      await streamResponse('anthropic', 'Hi', null, () => {}, false, { model: 'claude-3-haiku-20240307', onUsage });
+      expect(onUsage).toHaveBeenLastCalledWith({ model: 'claude-3-haiku-20240307', inputTokens: 12, outputTokens: 3 });
+
+      global.fetch = jest.fn(async () => sseResponse([
+        'data: {"choices":[{"delta":{"content":"Hi"}}]}\n\n',
+        'data: {"choices":[],"model":"gpt-4o-mini-2024-07-18","usage":{"prompt_tokens":9,"completion_tokens":2}}\n\n',
+        'data: [DONE]\n\n'
+      ]));
+      await streamResponse('openai', 'Hi', null, () => {}, false, { onUsage });
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body).stream_options).toEqual({ include_usage: true });
+      expect(onUsage).toHaveBeenLastCalledWith({ model: 'gpt-4o-mini', inputTokens: 9, outputTokens: 2 });
+    });
+
+    it('should fail on a stream error event', async () => {
+      global.fetch = jest.fn(async () => sseResponse([
+        'event: content_block_delta\ndata: {"delta":{"type":"text_delta","text":"Hel"}}\n\n',
+        'event: error\ndata: {"type":"overloaded_error"}\n\n'
+      ]));
+      await expect(streamResponse('anthropic', 'Hi', null, () => {}, false)).rejects.toThrow('Anthropic API stream error');
+    });
+
+    it('should reject unsupported providers', async () => {
+      await expect(streamResponse('unknown', 'Hi', null, () => {}, false)).rejects.toThrow('Unsupported LLM provider');
+    });
+  });
+
+  describe('createStreamingMessageWriter', () => {
+    const message = { id: 'chat', datetime: 1000, sender: 'claude', isProcessed: false };
+
+    it('should write at most once per interval and skip empty text', async () => {
+      let time = 0;
+      const write = jest.fn(async () => {});
+      const writer = createStreamingMessageWriter(message, false, { intervalMs: 1000, now: () => time, write });
+
+      writer.update('');
+      writer.update('H');
+      await new Promise(setImmediate);
+      time = 500;
+      writer.update('He');
+      time = 1500;
+      writer.update('Hel');
+      await writer.flush();
+
+      expect(write.mock.calls.map(call => call[0].message)).toEqual(['H', 'Hel']);
+      expect(write.mock.calls[0][0]).toMatchObject({ id: 'chat', datetime: 1000, sender: 'claude' });
+    });
+
+    it('should not start a write while one is in flight and wait for it on flush', async () => {
+      let finishWrite;
+      const write = jest.fn(() => new Promise(resolve => { finishWrite = resolve; }));
+      const writer = createStreamingMessageWriter(message, false, { intervalMs: 0, write });
+
+      writer.update('a');
+      writer.update('ab');
+      expect(write).toHaveBeenCalledTimes(1);
+
+      let flushed = false;
+      const flushing = writer.flush().then(() => { flushed = true; });
+      await Promise.resolve();
+      expect(flushed).toBe(false);
+
+      finishWrite();
+      await flushing;
+      writer.update('abc');
+      expect(write).toHaveBeenCalledTimes(1);
+    });
+
+    it('should log and continue when a partial write fails', async () => {
+      const write = jest.fn(async () => { throw new Error('throttled'); });
+      const writer = createStreamingMessageWriter(message, false, { intervalMs: 0, write });
+
+      writer.update('a');
+      await expect(writer.flush()).resolves.toBeUndefined();
+      expect(console.error).toHaveBeenCalledWith('Error writing streaming message:', 'throttled');
+    });
+  });
+
+  describe('streamReply', () => {
+    const message = { id: 'chat', datetime: 1000, sender: 'openai', isProcessed: false };
+    const speaker = { name: 'openai', provider: 'openai', personality: null };
+
+    it('should write partial text and return the full reply', async () => {
+      global.fetch = jest.fn(async () => sseResponse([
+        'data: {"choices":[{"delta":{"content":"Hello"}}]}\n\n',
+        'data: [DONE]\n\n'
+      ]));
+
+      const reply = await streamReply(message, speaker, 'Hi', false);
+      expect(reply).toEqual({ text: 'Hello', provider: 'openai' });
+      expect(storeStreamingMessage).toHaveBeenCalledWith({ ...message, message: 'Hello' }, false);
+      expect(deleteMessage).not.toHaveBeenCalled();
+    });
+
+    it('should delete the partial message and rethrow when the stream fails', async () => {
+      global.fetch = jest.fn(async () => ({ ok: false, status: 500, text: async () => 'boom' }));
+
+      await expect(streamReply(message, speaker, 'Hi', false)).rejects.toThrow('OpenAI API error: 500');
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+      expect(deleteMessage).toHaveBeenCalledWith('chat', 1000, false);
+    });
+
+    it('should stream from the next provider when the first one fails', async () => {
+      global.fetch = jest.fn()
+        .mockResolvedValueOnce({ ok: false, status: 400, text: async () => 'bad request' })
+        .mockResolvedValueOnce(sseResponse([
+          'event: content_block_delta\ndata: {"delta":{"type":"text_delta","text":"Hello"}}\n\n'
+        ]));
+
+      const reply = await streamReply(message, { ...speaker, fallbackProviders: ['anthropic'] }, 'Hi', false);
+      expect(reply).toEqual({ text: 'Hello', provider: 'anthropic', fallbackFrom: ['openai'] });
+      expect(storeStreamingMessage).toHaveBeenLastCalledWith({ ...message, message: 'Hello' }, false);
+    });
+  });
+
+  describe('isStaleStreamingMessage', () => {
+    it('should treat a stream without recent updates as stale', () => {
+      expect(isStaleStreamingMessage({ datetime: 1000, updatedAt: 2000 }, 2000 + STREAM_STALE_MS)).toBe(false);
+      expect(isStaleStreamingMessage({ datetime: 1000, updatedAt: 2000 }, 2001 + STREAM_STALE_MS)).toBe(true);
+    });
+  });
+});
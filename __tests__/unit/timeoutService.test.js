@@ -0,0 +1,87 @@
+/**
+ * Unit tests for LLM call timeouts
+ */
+const {
+  LLMTimeoutError,
+  isTimeoutError,
+  getInvocationDeadline,
+  withTimeout
+} = require('../../services/timeoutService');
+
+describe('Timeout service', () => {
+  describe('withTimeout', () => {
+    it('should return the result of an operation that finishes in time', async () => {
+      await expect(withTimeout(async () => 'Hello.', { timeoutMs: 1000 })).resolves.toBe('Hello.');
+    });
+
+    it('should abort the operation and fail with LLMTimeoutError when time is up', async () => {
+      let signal;
+      const operation = received => {
+        signal = received;
+        return new Promise(() => {});
+      };
+
+      const error = await withTimeout(operation, { label: 'anthropic', timeoutMs: 20 }).catch(caught => caught);
+
+      expect(error).toBeInstanceOf(LLMTimeoutError);
+      expect(isTimeoutError(error)).toBe(true);
+      expect(error).toMatchObject({ message: 'anthropic timed out after 20 ms', timeoutMs: 20, budgetExceeded: false });
+      expect(signal.aborted).toBe(true);
+    });
+
+    it('should report the timeout rather than the abort error of the operation', async () => {
+      const operation = signal => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new Error('This operation was aborted')));
+      });
+      await expect(withTimeout(operation, { timeoutMs: 20 })).rejects.toBeInstanceOf(LLMTimeoutError);
+    });
+
+    it('should pass on other errors', async () => {
+      await expect(withTimeout(async () => { throw new Error('boom'); }, { timeoutMs: 1000 })).rejects.toThrow('boom');
+    });
+
+    it('should cut the limit to the deadline and flag it as the time budget', async () => {
+      const now = () => 1000;
+      const operation = jest.fn(() => new Promise(() => {}));
+
+      const late = await withTimeout(operation, { timeoutMs: 5000, deadline: 1000, now }).catch(caught => caught);
+      expect(late).toMatchObject({ budgetExceeded: true, timeoutMs: 0 });
+      expect(operation).not.toHaveBeenCalled();
+
+      const short = await withTimeout(operation, { timeoutMs: 5000, deadline: 1020, now }).catch(caught => caught);
+      expect(short).toMatchObject({ budgetExceeded: true, timeoutMs: 20 });
+      expect(short.message).toBe('LLM call stopped after 20 ms: the invocation is out of time');
+    });
+  });
+
+  describe('getInvocationDeadline', () => {
+    it('should keep a margin of the Lambda\'s remaining time', () => {
+      expect(getInvocationDeadline({ getRemainingTimeInMillis: () => 60000 }, 1000)).toBe(56000);
+    });
+
+    it('should have no deadline without a Lambda context', () => {
+      expect(getInvocationDeadline(undefined)).toBeUndefined();
+    });
+  });
+
+  describe('getProviderTimeoutMs', () => {
+    const OLD_ENV = process.env;
+
+    beforeEach(() => {
+      jest.resetModules();
+    });
+
+    afterEach(() => {
+      process.env = OLD_ENV;
+    });
+
+    it('should prefer the participant, then the provider, then the default', () => {
+      process.env = { ...OLD_ENV, LLM_TIMEOUT_MS: '15000', LLM_PROVIDER_TIMEOUTS_MS: 'Anthropic=30000, openai=oops' };
+      const { getProviderTimeoutMs } = require('../../services/timeoutService');
+
+      expect(getProviderTimeoutMs('anthropic', 5000)).toBe(5000);
+      expect(getProviderTimeoutMs('anthropic')).toBe(30000);
+      expect(getProviderTimeoutMs('openai')).toBe(15000);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Unit tests for token usage and cost accounting
+ */
+jest.mock('../../services/dynamoDbService', () => ({
+  addProviderUsage: jest.fn(async () => {}),
+  getProviderUsage: jest.fn(async () => [])
+}));
+
+const { addProviderUsage, getProviderUsage } = require('../../services/dynamoDbService');
+const {
+  getModelPrice,
+  priceUsage,
+  toUsageDay,
+  recordUsage,
+  getUsageReport
+} = require('../../services/usageService');
+const { validateUsage, serializeUsage, serializeChatMessage, deserializeChatMessage } = require('../../models/chatMessage');
+
+const NOW = Date.UTC(2025, 0, 31, 18, 30);
+
+describe('Usage service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('pricing', () => {
+    it('should price a model by its exact name or longest matching prefix', () => {
+      expect(getModelPrice('gpt-4o')).toEqual({ input: 2.5, output: 10 });
+      expect(getModelPrice('gpt-4o-mini-2024-07-18')).toEqual({ input: 0.15, output: 0.6 });
+      expect(getModelPrice('llama3')).toBeUndefined();
+    });
+
+    it('should estimate the cost in USD from prices per million tokens', () => {
+      const prices = { 'my-model': { input: 1, output: 4 } };
+      expect(priceUsage({ model: 'my-model', inputTokens: 1500, outputTokens: 250 }, prices))
+        .toEqual({ model: 'my-model', inputTokens: 1500, outputTokens: 250, costUsd: 0.0025 });
+      expect(priceUsage({ model: 'llama3', inputTokens: 10, outputTokens: 5 }, prices))
+        .toEqual({ model: 'llama3', inputTokens: 10, outputTokens: 5 });
+    });
+
+    it('should let LLM_MODEL_PRICES add and override prices', () => {
+      const OLD_ENV = process.env;
+      jest.isolateModules(() => {
+        process.env = { ...OLD_ENV, LLM_MODEL_PRICES: '{"llama3":{"input":0.1,"output":0.2},"gpt-4o":{"input":5,"output":15}}' };
+        const isolated = require('../../services/usageService');
+        expect(isolated.getModelPrice('llama3:8b')).toEqual({ input: 0.1, output: 0.2 });
+        expect(isolated.getModelPrice('gpt-4o')).toEqual({ input: 5, output: 15 });
+      });
+      process.env = OLD_ENV;
+    });
+  });
+
+  describe('recordUsage', () => {
+    it('should add the usage to the provider\'s counters for the UTC day', async () => {
+      const usage = { model: 'gpt-4o', inputTokens: 10, outputTokens: 5, costUsd: 0.000075 };
+      await recordUsage('openai', usage, false, NOW);
+      expect(toUsageDay(NOW)).toBe(20250131);
+      expect(addProviderUsage).toHaveBeenCalledWith('openai', 20250131, usage, false);
+    });
+
+    it('should not fail when the counters cannot be written', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      addProviderUsage.mockRejectedValueOnce(new Error('throttled'));
+      await expect(recordUsage('openai', { model: 'gpt-4o', inputTokens: 1, outputTokens: 1 }, false, NOW)).resolves.toBeUndefined();
+      console.error.mockRestore();
+    });
+  });
+
+  describe('getUsageReport', () => {
+    it('should default to the current month and total the days per provider', async () => {
+      getProviderUsage.mockImplementation(async provider => (provider === 'anthropic'
+        ? [
+          { datetime: 20250130, calls: 2, inputTokens: 100, outputTokens: 40, costUsd: 0.00006 },
+          { datetime: 20250131, calls: 1, inputTokens: 50, outputTokens: 10, costUsd: 0.00002 }
+        ]
+        : provider === 'openai-compatible'
+          ? [{ datetime: 20250131, calls: 1, inputTokens: 20, outputTokens: 5, unpricedCalls: 1 }]
+          : []));
+
+      const report = await getUsageReport({}, false, NOW);
+
+      expect(getProviderUsage).toHaveBeenCalledWith('anthropic', 20250101, 20250131, false);
+      expect(report).toMatchObject({ from: '2025-01-01', to: '2025-01-31' });
+      expect(report.days.map(day => `${day.date} ${day.provider}`)).toEqual([
+        '2025-01-30 anthropic',
+        '2025-01-31 anthropic',
+        '2025-01-31 openai-compatible'
+      ]);
+      expect(report.providers.anthropic).toEqual({ calls: 3, inputTokens: 150, outputTokens: 50, costUsd: 0.00008, unpricedCalls: 0 });
+      expect(report.total).toEqual({ calls: 4, inputTokens: 170, outputTokens: 55, costUsd: 0.00008, unpricedCalls: 1 });
+    });
+
+    it('should query one provider over the given range', async () => {
+      await getUsageReport({ from: '2024-12-25', to: '2025-01-05', provider: 'OpenAI' }, false, NOW);
+      expect(getProviderUsage).toHaveBeenCalledTimes(1);
+      expect(getProviderUsage).toHaveBeenCalledWith('openai', 20241225, 20250105, false);
+    });
+
+    it('should reject malformed dates, reversed or long ranges and unknown providers', async () => {
+      await expect(getUsageReport({ from: '2025-02-30' }, false, NOW)).rejects.toMatchObject({ statusCode: 400 });
+      await expect(getUsageReport({ from: '2025-01-10', to: '2025-01-01' }, false, NOW)).rejects.toThrow('from must not be after to');
+      await expect(getUsageReport({ from: '2023-01-01', to: '2025-01-01' }, false, NOW)).rejects.toThrow('at most 366 days');
+      await expect(getUsageReport({ provider: 'acme' }, false, NOW)).rejects.toThrow('Unknown provider: acme');
+      expect(getProviderUsage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('message usage', () => {
+    const usage = { model: 'gpt-4o', inputTokens: 10, outputTokens: 5, costUsd: 0.000075 };
+
+    it('should validate usage', () => {
+      expect(() => validateUsage(usage)).not.toThrow();
+      expect(() => validateUsage({ ...usage, inputTokens: -1 })).toThrow('non-negative integers');
+      expect(() => validateUsage({ ...usage, model: '' })).toThrow('Usage model');
+    });
+
+    it('should round-trip a message\'s usage through DynamoDB format', () => {
+      const message = { id: 'chat', datetime: 1, sender: 'claude', message: 'Hi', isProcessed: false, usage };
+      expect(serializeChatMessage(message).usage).toEqual(serializeUsage(usage));
+      expect(deserializeChatMessage(serializeChatMessage(message))).toEqual(message);
+    });
+  });
+});
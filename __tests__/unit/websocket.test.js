@@ -0,0 +1,148 @@
+/**
+ * Unit tests for the WebSocket handler and connection service
+ * Runs fully offline: connections live in an in-memory table and pushes go
+ * to the LocalConnectionClient stand-in for postToConnection.
+ */
+var mockConnectionsTable = new Map();
+
+jest.mock('aws-sdk', () => {
+  const request = (fn) => jest.fn((params) => ({ promise: async () => fn(params) }));
+  const createMockDocClientInstance = () => ({
+    put: request((params) => { mockConnectionsTable.set(params.Item.connectionId, params.Item); return {}; }),
+    get: request((params) => ({ Item: mockConnectionsTable.get(params.Key.connectionId) })),
+    delete: request((params) => { mockConnectionsTable.delete(params.Key.connectionId); return {}; }),
+    query: request((params) => ({
+      Items: [...mockConnectionsTable.values()]
+        .filter(item => item.roomId === params.ExpressionAttributeValues[':roomId'])
+        .map(item => ({ connectionId: item.connectionId }))
+    }))
+  });
+  return {
+    DynamoDB: Object.assign(jest.fn(() => ({})), { DocumentClient: jest.fn(createMockDocClientInstance) }),
+    ApiGatewayManagementApi: jest.fn()
+  };
+});
+
+jest.mock('../../auth', () => ({
+  verifyAccessToken: jest.fn(async (token) => {
+    if (token !== 'good-token') {
+      throw new Error('Invalid token');
+    }
+    return { email: 'user@example.com' };
+  })
+}));
+
+const { handler } = require('../../websocket');
+const {
+  LocalConnectionClient,
+  setConnectionClient,
+  broadcastChatMessage
+} = require('../../services/connectionService');
+
+const wsEvent = (routeKey, connectionId, extra = {}) => ({
+  requestContext: { routeKey, connectionId },
+  ...extra
+});
+
+describe('WebSocket handler', () => {
+  let client;
+
+  beforeEach(() => {
+    mockConnectionsTable.clear();
+    client = new LocalConnectionClient();
+    setConnectionClient(client);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    setConnectionClient(null);
+    jest.restoreAllMocks();
+  });
+
+  describe('$connect', () => {
+    it('should store the connection in the requested room', async () => {
+      const response = await handler(wsEvent('$connect', 'c1', {
+        queryStringParameters: { roomId: 'team', token: 'good-token' }
+      }));
+      expect(response.statusCode).toBe(200);
+      expect(mockConnectionsTable.get('c1')).toMatchObject({ roomId: 'team', email: 'user@example.com' });
+    });
+
+    it('should default to the default room and accept a bearer header', async () => {
+      await handler(wsEvent('$connect', 'c1', { headers: { authorization: 'Bearer good-token' } }));
+      expect(mockConnectionsTable.get('c1').roomId).toBe('chat');
+    });
+
+    it('should reject a missing or invalid token', async () => {
+      expect((await handler(wsEvent('$connect', 'c1'))).statusCode).toBe(401);
+      expect((await handler(wsEvent('$connect', 'c1', { queryStringParameters: { token: 'bad' } }))).statusCode).toBe(401);
+      expect(mockConnectionsTable.size).toBe(0);
+    });
+
+    it('should reject an invalid room id', async () => {
+      const response = await handler(wsEvent('$connect', 'c1', {
+        queryStringParameters: { roomId: 'no spaces', token: 'good-token' }
+      }));
+      expect(response.statusCode).toBe(400);
+    });
+  });
+
+  describe('$disconnect', () => {
+    it('should remove the connection', async () => {
+      await handler(wsEvent('$connect', 'c1', { queryStringParameters: { token: 'good-token' } }));
+      await handler(wsEvent('$disconnect', 'c1'));
+      expect(mockConnectionsTable.has('c1')).toBe(false);
+    });
+  });
+
+  describe('$default', () => {
+    beforeEach(async () => {
+      await handler(wsEvent('$connect', 'c1', { queryStringParameters: { token: 'good-token' } }));
+    });
+
+    it('should answer ping with pong', async () => {
+      await handler(wsEvent('$default', 'c1', { body: JSON.stringify({ action: 'ping' }) }));
+      expect(client.messagesFor('c1')).toEqual([{ type: 'pong' }]);
+    });
+
+    it('should move the connection to another room on subscribe', async () => {
+      await handler(wsEvent('$default', 'c1', { body: JSON.stringify({ action: 'subscribe', roomId: 'team' }) }));
+      expect(mockConnectionsTable.get('c1')).toMatchObject({ roomId: 'team', email: 'user@example.com' });
+      expect(client.messagesFor('c1')).toEqual([{ type: 'subscribed', roomId: 'team' }]);
+    });
+
+    it('should report unsupported actions and invalid JSON', async () => {
+      expect((await handler(wsEvent('$default', 'c1', { body: JSON.stringify({ action: 'dance' }) }))).statusCode).toBe(400);
+      expect((await handler(wsEvent('$default', 'c1', { body: '{nope' }))).statusCode).toBe(400);
+      expect(client.messagesFor('c1').map(message => message.type)).toEqual(['error', 'error']);
+    });
+  });
+
+  describe('broadcastChatMessage', () => {
+    const message = { id: 'team', datetime: 1000, sender: 'claude', message: 'Hello', isProcessed: false };
+
+    it('should push a message only to connections in its room', async () => {
+      await handler(wsEvent('$connect', 'c1', { queryStringParameters: { roomId: 'team', token: 'good-token' } }));
+      await handler(wsEvent('$connect', 'c2', { queryStringParameters: { roomId: 'other', token: 'good-token' } }));
+
+      const delivered = await broadcastChatMessage(message, false);
+      expect(delivered).toBe(1);
+      expect(client.messagesFor('c1')).toEqual([{ type: 'message', roomId: 'team', message }]);
+      expect(client.messagesFor('c2')).toEqual([]);
+    });
+
+    it('should drop connections that are gone', async () => {
+      await handler(wsEvent('$connect', 'c1', { queryStringParameters: { roomId: 'team', token: 'good-token' } }));
+      client.disconnect('c1');
+
+      const delivered = await broadcastChatMessage(message, false);
+      expect(delivered).toBe(0);
+      expect(mockConnectionsTable.has('c1')).toBe(false);
+    });
+
+    it('should do nothing when push is not configured', async () => {
+      setConnectionClient(null);
+      expect(await broadcastChatMessage(message, false)).toBe(0);
+    });
+  });
+});
@@ -2,6 +2,74 @@ const CLIENT_ID = process.env.VITE_GOOGLE_CLIENT_ID;
 const VITE_GNEWS_API_KEY = process.env.VITE_GNEWS_API_KEY;
 const NEWS_TABLE_NAME = process.env.NEWS_TABLE_NAME || "InfiniteChat_NewsAPI_Cache";
 const CHAT_TABLE_NAME = process.env.CHAT_TABLE_NAME || "InfiniteChat_ChatLog";
+const CONNECTIONS_TABLE_NAME = process.env.CONNECTIONS_TABLE_NAME || "InfiniteChat_Connections";
+// WebSocket management API endpoint (https://{api-id}.execute-api.{region}.amazonaws.com/{stage}),
+// or "local" for the in-memory stand-in. Live push is disabled when unset.
+const WEBSOCKET_API_ENDPOINT = process.env.WEBSOCKET_API_ENDPOINT;
+// Persona replies are streamed into a partial message unless STREAM_RESPONSES is "false"
+const STREAM_RESPONSES = process.env.STREAM_RESPONSES !== "false";
+// Conversation context given to the orchestrator decision: at most this many recent
+// messages, trimmed to a character budget (roughly 4 characters per token)
+const ORCHESTRATOR_CONTEXT_MESSAGES = parseInt(process.env.ORCHESTRATOR_CONTEXT_MESSAGES, 10) || 10;
+const ORCHESTRATOR_CONTEXT_MAX_CHARS = parseInt(process.env.ORCHESTRATOR_CONTEXT_MAX_CHARS, 10) || 4000;
+// Number of recent messages sent to a persona as its conversation history
+const PERSONA_HISTORY_MESSAGES = parseInt(process.env.PERSONA_HISTORY_MESSAGES, 10) || 20;
+// Emails (comma-separated) allowed to manage any room; a room's creator can
+// always manage its own room
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || "")
+  .split(",")
+  .map(email => email.trim().toLowerCase())
+  .filter(email => email.length > 0);
+// Retries of a failed LLM call (429, 5xx, network errors) before falling back to the
+// participant's next provider; delays grow exponentially from the base with full jitter
+const LLM_MAX_RETRIES = parseInt(process.env.LLM_MAX_RETRIES, 10) >= 0 ? parseInt(process.env.LLM_MAX_RETRIES, 10) : 2;
+const LLM_RETRY_BASE_DELAY_MS = parseInt(process.env.LLM_RETRY_BASE_DELAY_MS, 10) || 500;
+const LLM_RETRY_MAX_DELAY_MS = parseInt(process.env.LLM_RETRY_MAX_DELAY_MS, 10) || 8000;
+// Time limit of one LLM call attempt; LLM_PROVIDER_TIMEOUTS_MS overrides it per provider
+// ("anthropic=30000,openai-compatible=45000") and a participant's timeoutMs overrides both
+const LLM_TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS, 10) || 20000;
+const LLM_PROVIDER_TIMEOUTS_MS = Object.fromEntries((process.env.LLM_PROVIDER_TIMEOUTS_MS || "")
+  .split(",")
+  .map(entry => entry.split("=").map(part => part.trim()))
+  .filter(([provider, timeoutMs]) => provider && parseInt(timeoutMs, 10) > 0)
+  .map(([provider, timeoutMs]) => [provider.toLowerCase(), parseInt(timeoutMs, 10)]));
+// Time kept back from the Lambda's remaining time for writing results; LLM calls
+// are cut short so they end before it
+const LAMBDA_TIME_MARGIN_MS = parseInt(process.env.LAMBDA_TIME_MARGIN_MS, 10) || 5000;
+// Circuit breaker: once a provider has failed this many times in a row (errors that
+// survived the retries), its participants are skipped for CIRCUIT_OPEN_MS; the next
+// call after that is a trial that closes the circuit again or reopens it
+const CIRCUIT_FAILURE_THRESHOLD = parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD, 10) || 3;
+const CIRCUIT_OPEN_MS = parseInt(process.env.CIRCUIT_OPEN_MS, 10) || 300000;
+// Prices in USD per million tokens by model name, as JSON, e.g.
+// {"gpt-4o":{"input":2.5,"output":10}}; added to and overriding the built-in
+// table of services/usageService.js
+const LLM_MODEL_PRICES = parseModelPrices(process.env.LLM_MODEL_PRICES);
+// Spend limits as JSON: "daily" and "monthly" (UTC) caps in "usd" and/or "tokens"
+// for all providers together, and per provider under "providers", e.g.
+// {"daily":{"usd":5},"monthly":{"tokens":2000000},"providers":{"anthropic":{"daily":{"usd":2}}}}
+const LLM_BUDGETS = parseBudgets(process.env.LLM_BUDGETS);
+// What the orchestrator does once the global budget is spent: "stop" answering until
+// it resets, or let only the "cheapest" available participant answer
+const LLM_BUDGET_ACTION = process.env.LLM_BUDGET_ACTION === "cheapest" ? "cheapest" : "stop";
+// Moderation rules as JSON: a list of {"pattern":"<regex>","flags":"i"} or
+// {"keywords":["..."]} entries, each with an "outcome" ("flag" or "block") and an
+// optional "reason", checked against user messages and AI replies
+const MODERATION_RULES = parseModerationRules(process.env.MODERATION_RULES);
+// When set, an LLM on this provider (and MODERATION_MODEL_NAME, if set) also classifies
+// every message as allow / flag / block
+const MODERATION_PROVIDER = process.env.MODERATION_PROVIDER || null;
+const MODERATION_MODEL_NAME = process.env.MODERATION_MODEL_NAME;
+// How personal data (emails, phone and card numbers, ...) is removed from prompts in
+// rooms that do not choose: "token" (numbered placeholders), "mask" or "off"
+const PII_REDACTION_MODE = ["token", "mask", "off"].includes(process.env.PII_REDACTION_MODE)
+  ? process.env.PII_REDACTION_MODE
+  : "token";
+// When set (e.g. "mock"), every LLM call goes to this provider instead of the configured
+// one, so the app runs without real API keys (SAM local sets it to "mock")
+const LLM_PROVIDER_OVERRIDE = process.env.LLM_PROVIDER_OVERRIDE || null;
+// Room (partition) used when a request does not name one; matches the original single-chat partition
+const DEFAULT_ROOM_ID = "chat";
 const MODEL_NAME = process.env.GOOGLE_MODEL_NAME;
 const API_KEY = process.env.GOOGLE_API_KEY;
 
@@ -38,6 +106,108 @@ const personalities = {
   },
 };
 
+/**
+ * Parse the LLM_MODEL_PRICES table
+ * Entries without numeric input and output prices are left out.
+ * @param {string} [value] - JSON object of { input, output } prices by model
+ * @returns {Object<string, {input: number, output: number}>} Prices by model
+ */
+function parseModelPrices(value) {
+  if (!value) {
+    return {};
+  }
+  try {
+    const prices = JSON.parse(value);
+    return Object.fromEntries(Object.entries(prices)
+      .filter(([, price]) => price && typeof price.input === "number" && typeof price.output === "number")
+      .map(([model, price]) => [model, { input: price.input, output: price.output }]));
+  } catch (error) {
+    console.error("LLM_MODEL_PRICES is not valid JSON:", error.message);
+    return {};
+  }
+}
+
+/**
+ * Parse the limits of one budget scope
+ * @param {Object} [scope] - { daily, monthly } of { usd, tokens }
+ * @returns {Object} The positive numeric limits by period and unit; empty periods are left out
+ */
+function parseBudgetLimits(scope) {
+  const limits = {};
+  ["daily", "monthly"].forEach(period => {
+    const units = Object.fromEntries(["usd", "tokens"]
+      .filter(unit => scope && scope[period] && typeof scope[period][unit] === "number" && scope[period][unit] > 0)
+      .map(unit => [unit, scope[period][unit]]));
+    if (Object.keys(units).length > 0) {
+      limits[period] = units;
+    }
+  });
+  return limits;
+}
+
+/**
+ * Parse the LLM_BUDGETS limits
+ * @param {string} [value] - JSON object of global and per-provider limits
+ * @returns {{global: Object, providers: Object<string, Object>}} Limits (see parseBudgetLimits);
+ *   provider names are lowercased and providers without limits are left out
+ */
+function parseBudgets(value) {
+  const budgets = { global: {}, providers: {} };
+  if (!value) {
+    return budgets;
+  }
+  try {
+    const parsed = JSON.parse(value);
+    budgets.global = parseBudgetLimits(parsed);
+    Object.entries(parsed.providers || {}).forEach(([provider, scope]) => {
+      const limits = parseBudgetLimits(scope);
+      if (Object.keys(limits).length > 0) {
+        budgets.providers[provider.toLowerCase()] = limits;
+      }
+    });
+    return budgets;
+  } catch (error) {
+    console.error("LLM_BUDGETS is not valid JSON:", error.message);
+    return budgets;
+  }
+}
+
+/**
+ * Parse the MODERATION_RULES list
+ * Keyword lists become one case-insensitive whole-word pattern.
+ * @param {string} [value] - JSON array of rules
+ * @returns {{pattern: string, flags: string, outcome: string, reason?: string}[]} Rules with a
+ *   pattern and a valid outcome; others are left out
+ */
+function parseModerationRules(value) {
+  if (!value) {
+    return [];
+  }
+  try {
+    const rules = JSON.parse(value);
+    return (Array.isArray(rules) ? rules : [])
+      .filter(rule => rule && ["flag", "block"].includes(rule.outcome))
+      .map(rule => {
+        const keywords = Array.isArray(rule.keywords)
+          ? rule.keywords.filter(keyword => typeof keyword === "string" && keyword.length > 0)
+          : [];
+        const pattern = keywords.length > 0
+          ? `(?<!\\w)(?:${keywords.map(keyword => keyword.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("|")})(?!\\w)`
+          : rule.pattern;
+        return {
+          pattern,
+          flags: keywords.length > 0 ? "i" : rule.flags || "",
+          outcome: rule.outcome,
+          ...(typeof rule.reason === "string" && { reason: rule.reason })
+        };
+      })
+      .filter(rule => typeof rule.pattern === "string" && rule.pattern.length > 0);
+  } catch (error) {
+    console.error("MODERATION_RULES is not valid JSON:", error.message);
+    return [];
+  }
+}
+
 // Basic logger utility
 function log(debug, message, ...optionalParams) {
   if (debug) {
@@ -50,6 +220,30 @@ module.exports = {
   VITE_GNEWS_API_KEY,
   NEWS_TABLE_NAME,
   CHAT_TABLE_NAME,
+  CONNECTIONS_TABLE_NAME,
+  WEBSOCKET_API_ENDPOINT,
+  STREAM_RESPONSES,
+  ORCHESTRATOR_CONTEXT_MESSAGES,
+  ORCHESTRATOR_CONTEXT_MAX_CHARS,
+  PERSONA_HISTORY_MESSAGES,
+  ADMIN_EMAILS,
+  LLM_MAX_RETRIES,
+  LLM_RETRY_BASE_DELAY_MS,
+  LLM_RETRY_MAX_DELAY_MS,
+  LLM_TIMEOUT_MS,
+  LLM_PROVIDER_TIMEOUTS_MS,
+  LAMBDA_TIME_MARGIN_MS,
+  CIRCUIT_FAILURE_THRESHOLD,
+  CIRCUIT_OPEN_MS,
+  LLM_MODEL_PRICES,
+  LLM_BUDGETS,
+  LLM_BUDGET_ACTION,
+  MODERATION_RULES,
+  MODERATION_PROVIDER,
+  MODERATION_MODEL_NAME,
+  PII_REDACTION_MODE,
+  LLM_PROVIDER_OVERRIDE,
+  DEFAULT_ROOM_ID,
   MODEL_NAME,
   API_KEY,
   ANTHROPIC_API_KEY,
@@ -1,12 +1,67 @@
 const { OAuth2Client } = require("google-auth-library");
 const AWS = require("aws-sdk");
 
-const { CLIENT_ID, personalities, log } = require('./config');
+const { CLIENT_ID, DEFAULT_ROOM_ID, LLM_PROVIDER_OVERRIDE, personalities, log } = require('./config');
 const { verifyAccessToken } = require('./auth');
 const { generateAiResponse } = require('./services/generativeAiService');
 const { getNews } = require('./services/newsService');
 const { storeChatMessage, getChatLog, checkMessageRateLimit, getChatMetadata, initializeChatMetadata } = require('./services/dynamoDbService');
 const { initializeChatSystem } = require('./scripts/init-chat-metadata');
+const { isValidRoomId } = require('./models/chatMessage');
+const { createRoom, listRooms, updateRoom, archiveRoom } = require('./services/roomService');
+const { parseMentions } = require('./services/speakerService');
+const { priceUsage, recordUsage, getUsageReport } = require('./services/usageService');
+const { checkBudgets, getBudgetNotice, BUDGET_ACTIONS } = require('./services/budgetService');
+const { moderateText, moderateReply, MODERATION_OUTCOME } = require('./services/moderationService');
+const { redactText, resolveRedaction } = require('./services/redactionService');
+const {
+  listParticipants,
+  addParticipant,
+  updateParticipant,
+  reorderParticipants,
+  removeParticipant
+} = require('./services/participantService');
+const {
+  getChatLogVersion,
+  buildChatLogETag,
+  etagMatches,
+  parseWaitSeconds,
+  waitForNewMessage
+} = require('./services/pollingService');
+
+// Matches /rooms and /rooms/{id}, optionally behind a stage prefix
+const ROOMS_PATH_PATTERN = /\/rooms(?:\/([^/]+))?\/?$/;
+
+// Matches /rooms/{id}/participants and /rooms/{id}/participants/{name}
+const PARTICIPANTS_PATH_PATTERN = /\/rooms\/([^/]+)\/participants(?:\/([^/]+))?\/?$/;
+
+/**
+ * Resolve the room a request targets
+ * The query string wins over the body; requests naming neither use the default room.
+ * @param {Object} event - API Gateway event
+ * @param {Object} [requestBody] - Parsed JSON body
+ * @returns {string} Room id (not yet validated)
+ */
+function getRoomId(event, requestBody) {
+  const fromQuery = event.queryStringParameters?.roomId;
+  if (fromQuery !== undefined) return fromQuery;
+  if (requestBody && requestBody.roomId !== undefined) return requestBody.roomId;
+  return DEFAULT_ROOM_ID;
+}
+
+/**
+ * 400 response for a malformed room id
+ * @returns {Object} Response object with statusCode, headers and body
+ */
+function invalidRoomIdResponse() {
+  return {
+    statusCode: 400,
+    headers: {
+      "Access-Control-Allow-Origin": "*"
+    },
+    body: JSON.stringify({ error: "roomId must be 1-64 letters, digits, underscores or hyphens" }),
+  };
+}
 
 exports.handler = async (event) => {
   let debug = false;
@@ -17,8 +72,8 @@ exports.handler = async (event) => {
       statusCode: 200,
       headers: {
         "Access-Control-Allow-Origin": "*",
-        "Access-Control-Allow-Headers": "Authorization, Content-Type",
-        "Access-Control-Allow-Methods": "GET, POST, OPTIONS"
+        "Access-Control-Allow-Headers": "Authorization, Content-Type, If-None-Match",
+        "Access-Control-Allow-Methods": "GET, POST, PUT, PATCH, DELETE, OPTIONS"
       },
       body: ""
     };
@@ -61,12 +116,18 @@ exports.handler = async (event) => {
       };
     }
 
+    const roomId = getRoomId(event, requestBody);
+    if (!isValidRoomId(roomId)) {
+      return invalidRoomIdResponse();
+    }
+
     const userInput = requestBody.userInput;
     const userName = requestBody.userName;
     debug = requestBody.debug || (event.queryStringParameters && event.queryStringParameters.debug === 'true') || false;
 
     const tokenInfo = await verifyAccessToken(accessToken, debug);
     log(debug, "Received event path:", event.rawPath);
+    log(debug, "Room:", roomId);
     log(debug, "Parsed userInput:", userInput);
     log(debug, "User email from token:", tokenInfo.email);
 
@@ -75,11 +136,26 @@ exports.handler = async (event) => {
       return await getNews(debug);
     }
 
+    if (event.rawPath === "/usage") {
+      log(debug, "Routing to /usage...");
+      return await handleGetUsage(event, debug);
+    }
+
     if (event.rawPath === "/getchat") {
       log(debug, "Routing to /getchat...");
-      const chatResponse = await getChatLog(debug);
-      log(debug, "Get chat response:", chatResponse);
-      return chatResponse;
+      return await handleGetChat(event, roomId, debug);
+    }
+
+    const participantsMatch = event.rawPath.match(PARTICIPANTS_PATH_PATTERN);
+    if (participantsMatch) {
+      log(debug, "Routing to /rooms/{id}/participants...");
+      return await handleParticipantsRoute(event, participantsMatch[1], participantsMatch[2], requestBody, tokenInfo, debug);
+    }
+
+    const roomsMatch = event.rawPath.match(ROOMS_PATH_PATTERN);
+    if (roomsMatch) {
+      log(debug, "Routing to /rooms...");
+      return await handleRoomsRoute(event, roomsMatch[1], requestBody, tokenInfo, debug);
     }
 
     // Validate required fields for message submission (Requirements: 2.4)
@@ -134,6 +210,27 @@ exports.handler = async (event) => {
     }
     */
 
+    // Only existing, non-archived rooms accept messages; the default room may predate room metadata
+    const roomMetadata = await getChatMetadata(roomId, debug);
+    if (!roomMetadata && roomId !== DEFAULT_ROOM_ID) {
+      return {
+        statusCode: 404,
+        headers: {
+          "Access-Control-Allow-Origin": "*"
+        },
+        body: JSON.stringify({ error: `Room ${roomId} not found` }),
+      };
+    }
+    if (roomMetadata && roomMetadata.archived === true) {
+      return {
+        statusCode: 409,
+        headers: {
+          "Access-Control-Allow-Origin": "*"
+        },
+        body: JSON.stringify({ error: `Room ${roomId} is archived` }),
+      };
+    }
+
     const messageDelayCheck = await checkMessageRateLimit(tokenInfo.email, debug);
     log(debug, "Message delay check result:", messageDelayCheck);
     if (!messageDelayCheck.canSend) {
@@ -144,10 +241,49 @@ exports.handler = async (event) => {
       };
     }
 
-    await storeChatMessage(userInput, userName, tokenInfo.email, debug);
+    // Direct replies are held to the same spend budgets as the orchestrator's
+    const budget = await checkBudgets(debug);
+
+    // Prompts, including the moderation classifier's, carry the text redacted as the room asks
+    const redaction = resolveRedaction(roomMetadata);
+
+    // Blocked messages are never stored; flagged ones are stored with the outcome
+    const moderation = await moderateText(userInput, debug, { budget, redaction });
+    if (moderation && moderation.outcome === MODERATION_OUTCOME.BLOCK) {
+      log(debug, "Message blocked by moderation:", moderation.reasons);
+      return {
+        statusCode: 400,
+        headers: {
+          "Access-Control-Allow-Origin": "*"
+        },
+        body: JSON.stringify({ error: "Message blocked by moderation", reasons: moderation.reasons }),
+      };
+    }
+
+    // "@name" mentions force the named personas to answer (see orchestrator.js)
+    const mentions = parseMentions(userInput, roomMetadata ? roomMetadata.llmParticipants : []);
+    await storeChatMessage(roomId, userInput, userName, tokenInfo.email, debug, {
+      mentions,
+      ...(moderation && { moderation })
+    });
+
+    // Over budget the message stays unanswered, like in the orchestrator's "stop" action;
+    // with the "cheapest" action a single personality answers instead of up to three
+    const provider = LLM_PROVIDER_OVERRIDE || "google";
+    if (budget.isExceeded(provider) || (budget.isGlobalExceeded() && budget.action === BUDGET_ACTIONS.STOP)) {
+      const retryAfterMs = Math.max(Math.max(budget.resetsAt(provider) || 0, budget.resetsAt() || 0) - Date.now(), 0);
+      log(debug, `Budget exceeded; not replying. Retrying in ${retryAfterMs}ms.`);
+      return {
+        statusCode: 200,
+        headers: {
+          "Access-Control-Allow-Origin": "*"
+        },
+        body: JSON.stringify({ responses: [], reason: "Budget exceeded", retryAfterMs, budgetExceeded: budget.exceeded }),
+      };
+    }
 
     const chosenPersonalities = [];
-    const numPersonalities = Math.random() < 0.5 ? 1 : 3;
+    const numPersonalities = budget.isGlobalExceeded() || Math.random() < 0.5 ? 1 : 3;
     const personalityKeys = Object.keys(personalities);
 
     while (chosenPersonalities.length < numPersonalities && personalityKeys.length > 0) {
@@ -163,6 +299,9 @@ exports.handler = async (event) => {
 
     log(debug, "Chosen personalities:", chosenPersonalities);
 
+    // The personalities see the message without the room's personal data
+    const prompt = redactText(userInput, redaction);
+
     const responses = await Promise.all(
       chosenPersonalities.map(async (personalityKey) => {
         const personalityConfig = personalities[personalityKey];
@@ -170,8 +309,19 @@ exports.handler = async (event) => {
           log(debug, `Personality key "${personalityKey}" not found in config. Skipping.`);
           return null;
         }
-        const responseText = await generateAiResponse(userInput, personalityConfig, debug);
-        await storeChatMessage(responseText, personalityKey, "-", debug);
+        let usage;
+        const generatedText = await generateAiResponse(prompt, personalityConfig, debug, {
+          onUsage: reported => { usage = priceUsage(reported); }
+        });
+        const { text: responseText, moderation: replyModeration } = await moderateReply(generatedText, debug, { budget, redaction });
+        await storeChatMessage(roomId, responseText, personalityKey, "-", debug, {
+          provider,
+          usage,
+          ...(replyModeration && { moderation: replyModeration })
+        });
+        if (usage) {
+          await recordUsage(provider, usage, debug);
+        }
         return {
           personality: personalityKey,
           response: responseText,
@@ -203,6 +353,9 @@ exports.handler = async (event) => {
     } else if (error.response && error.response.data && error.response.data.error === "invalid_token") {
       statusCode = 401;
       errorMessage = error.response.data.error_description || "Invalid token";
+    } else if (error.statusCode) {
+      statusCode = error.statusCode;
+      errorMessage = error.message;
     }
     return {
       statusCode: statusCode,
@@ -214,12 +367,264 @@ exports.handler = async (event) => {
   }
 };
 
+/**
+ * Serve /getchat with conditional GET and optional long-polling
+ * The ETag tracks the room's newest message datetime; a matching If-None-Match gets a 304.
+ * With `wait=<seconds>` (requires `since`) the request is held until a message newer
+ * than `since` appears or the wait elapses.
+ * While spend budgets are exceeded the body carries them (`budget`) and the ETag
+ * changes with them, so clients holding a current copy notice.
+ * @param {Object} event - API Gateway event
+ * @param {string} roomId - The room to read
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<Object>} Response object with statusCode, headers and body
+ */
+async function handleGetChat(event, roomId, debug) {
+  const query = event.queryStringParameters || {};
+
+  let waitSeconds;
+  try {
+    waitSeconds = parseWaitSeconds(query.wait);
+  } catch (error) {
+    return {
+      statusCode: 400,
+      headers: {
+        "Access-Control-Allow-Origin": "*"
+      },
+      body: JSON.stringify({ error: error.message }),
+    };
+  }
+
+  if (waitSeconds > 0 && (query.since === undefined || query.since === "")) {
+    return {
+      statusCode: 400,
+      headers: {
+        "Access-Control-Allow-Origin": "*"
+      },
+      body: JSON.stringify({ error: "wait requires since" }),
+    };
+  }
+
+  const ifNoneMatch = event.headers?.["if-none-match"] || event.headers?.["If-None-Match"];
+  const version = waitSeconds > 0
+    ? await waitForNewMessage(roomId, Number(query.since), waitSeconds, debug, { ifNoneMatch })
+    : await getChatLogVersion(roomId, debug);
+
+  const budgetNotice = await getBudgetNotice(debug);
+  const etag = buildChatLogETag(roomId, budgetNotice ? `${version}-budget${budgetNotice.exceeded.length}` : version);
+  const cacheHeaders = {
+    "ETag": etag,
+    "Cache-Control": "no-cache",
+    "Access-Control-Expose-Headers": "ETag"
+  };
+
+  if (etagMatches(ifNoneMatch, etag)) {
+    log(debug, "Chat log unchanged, returning 304 for ETag", etag);
+    return {
+      statusCode: 304,
+      headers: {
+        "Access-Control-Allow-Origin": "*",
+        ...cacheHeaders
+      },
+      body: "",
+    };
+  }
+
+  const chatResponse = await getChatLog(roomId, {
+    since: query.since,
+    before: query.before,
+    cursor: query.cursor,
+    limit: query.limit
+  }, debug);
+  log(debug, "Get chat response:", chatResponse);
+
+  if (chatResponse.statusCode === 200) {
+    chatResponse.headers = { ...chatResponse.headers, ...cacheHeaders };
+    if (budgetNotice) {
+      chatResponse.body = JSON.stringify({ ...JSON.parse(chatResponse.body), budget: budgetNotice });
+    }
+  }
+  return chatResponse;
+}
+
+/**
+ * Serve GET /usage: token usage and estimated cost per provider and UTC day
+ * Query parameters: from and to (YYYY-MM-DD, inclusive; default the current
+ * month to date) and provider (default all providers).
+ * @param {Object} event - API Gateway event
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<Object>} Response object with statusCode, headers and body
+ */
+async function handleGetUsage(event, debug) {
+  const method = event.requestContext?.http?.method || "GET";
+  if (method !== "GET") {
+    return {
+      statusCode: 405,
+      headers: {
+        "Access-Control-Allow-Origin": "*"
+      },
+      body: JSON.stringify({ error: `Method ${method} not allowed on /usage` }),
+    };
+  }
+
+  const { from, to, provider } = event.queryStringParameters || {};
+  const report = await getUsageReport({ from, to, provider }, debug);
+  return {
+    statusCode: 200,
+    headers: {
+      "Access-Control-Allow-Origin": "*"
+    },
+    body: JSON.stringify(report),
+  };
+}
+
+/**
+ * Route /rooms requests
+ * POST /rooms creates a room, GET /rooms lists rooms (?includeArchived=true to include archived ones),
+ * PATCH /rooms/{id} updates name/archived/speakerStrategy/autonomy/redaction and DELETE /rooms/{id} archives the room;
+ * both are limited to admins and the room's creator.
+ * @param {Object} event - API Gateway event
+ * @param {string|undefined} pathRoomId - Room id from the path, if any
+ * @param {Object} requestBody - Parsed JSON body
+ * @param {Object} tokenInfo - Verified token info of the caller
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<Object>} Response object with statusCode, headers and body
+ */
+async function handleRoomsRoute(event, pathRoomId, requestBody, tokenInfo, debug) {
+  const method = event.requestContext?.http?.method || "GET";
+  const respond = (statusCode, body) => ({
+    statusCode,
+    headers: {
+      "Access-Control-Allow-Origin": "*"
+    },
+    body: JSON.stringify(body),
+  });
+
+  if (!pathRoomId) {
+    if (method === "POST") {
+      const room = await createRoom(requestBody, tokenInfo.email, debug);
+      return respond(201, room);
+    }
+    if (method === "GET") {
+      const includeArchived = event.queryStringParameters?.includeArchived === 'true';
+      const rooms = await listRooms({ includeArchived }, debug);
+      return respond(200, { rooms });
+    }
+    return respond(405, { error: `Method ${method} not allowed on /rooms` });
+  }
+
+  const roomId = decodeURIComponent(pathRoomId);
+  if (!isValidRoomId(roomId)) {
+    return invalidRoomIdResponse();
+  }
+
+  let room;
+  if (method === "PATCH") {
+    // debug and roomId are request options, not room fields
+    const { debug: _debug, roomId: _roomId, ...updates } = requestBody;
+    room = await updateRoom(roomId, updates, tokenInfo.email, debug);
+  } else if (method === "DELETE") {
+    room = await archiveRoom(roomId, tokenInfo.email, debug);
+  } else {
+    return respond(405, { error: `Method ${method} not allowed on /rooms/{id}` });
+  }
+
+  if (!room) {
+    return respond(404, { error: `Room ${roomId} not found` });
+  }
+  return respond(200, room);
+}
+
+/**
+ * Participant management routes of a room (admins and the room's creator, except GET)
+ * GET /rooms/{id}/participants lists them, POST adds { participant, position? },
+ * PUT reorders with { order: [names] }, PATCH /rooms/{id}/participants/{name}
+ * updates fields and DELETE removes the participant. GET shows provider
+ * connection settings (baseUrl, apiKeyEnv) only to admins and the room's creator.
+ * @param {Object} event - API Gateway event
+ * @param {string} pathRoomId - Room id from the path (URL-encoded)
+ * @param {string|undefined} pathName - Participant name from the path (URL-encoded)
+ * @param {Object} requestBody - Parsed JSON body
+ * @param {Object} tokenInfo - Verified token info (email)
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<Object>} Response object with statusCode, headers and body
+ */
+async function handleParticipantsRoute(event, pathRoomId, pathName, requestBody, tokenInfo, debug) {
+  const method = event.requestContext?.http?.method || "GET";
+  const respond = (statusCode, body) => ({
+    statusCode,
+    headers: {
+      "Access-Control-Allow-Origin": "*"
+    },
+    body: JSON.stringify(body),
+  });
+
+  const roomId = decodeURIComponent(pathRoomId);
+  if (!isValidRoomId(roomId)) {
+    return invalidRoomIdResponse();
+  }
+
+  let participants;
+  if (!pathName) {
+    if (method === "GET") {
+      participants = await listParticipants(roomId, tokenInfo.email, debug);
+    } else if (method === "POST") {
+      participants = await addParticipant(roomId, requestBody.participant, requestBody.position, tokenInfo.email, debug);
+    } else if (method === "PUT") {
+      participants = await reorderParticipants(roomId, requestBody.order, tokenInfo.email, debug);
+    } else {
+      return respond(405, { error: `Method ${method} not allowed on /rooms/{id}/participants` });
+    }
+  } else {
+    const name = decodeURIComponent(pathName);
+    if (method === "PATCH") {
+      // debug and roomId are request options, not participant fields
+      const { debug: _debug, roomId: _roomId, ...updates } = requestBody;
+      participants = await updateParticipant(roomId, name, updates, tokenInfo.email, debug);
+    } else if (method === "DELETE") {
+      participants = await removeParticipant(roomId, name, tokenInfo.email, debug);
+    } else {
+      return respond(405, { error: `Method ${method} not allowed on /rooms/{id}/participants/{name}` });
+    }
+  }
+
+  if (!participants) {
+    return respond(404, { error: `Room ${roomId} not found` });
+  }
+  return respond(method === "POST" ? 201 : 200, participants);
+}
+
 async function checkInitChat(event) {
   const debug = event.queryStringParameters?.debug === 'true' || false;
+  const roomId = getRoomId(event);
+  if (!isValidRoomId(roomId)) {
+    return invalidRoomIdResponse();
+  }
+  // Runs before authentication, so only the default room is seeded here;
+  // every other room is created through POST /rooms, which records its owner
+  if (roomId !== DEFAULT_ROOM_ID) {
+    return {
+      statusCode: 400,
+      headers: {
+        "Access-Control-Allow-Origin": "*"
+      },
+      body: JSON.stringify({ error: `Only the default room can be initialized; create room ${roomId} through POST /rooms` })
+    };
+  }
 
-  log(debug, "Routing to /init-chat...");
+  log(debug, "Routing to /init-chat...", roomId);
   try {
-    await initializeChatSystem();
+    // The script asks before overwriting, which a Lambda cannot answer
+    if (await getChatMetadata(roomId, debug)) {
+      return {
+        statusCode: 200,
+        headers: {
+          "Access-Control-Allow-Origin": "*"
+        },
+        body: JSON.stringify({ message: "Chat system already initialized" })
+      };
+    }
+    await initializeChatSystem(roomId);
     return {
       statusCode: 200,
       headers: {
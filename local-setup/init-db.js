@@ -17,6 +17,7 @@ const chatTableParams = {
         { AttributeName: "id", AttributeType: "S" },
         { AttributeName: "datetime", AttributeType: "N" },
         { AttributeName: "email", AttributeType: "S" },
+        { AttributeName: "itemType", AttributeType: "S" },
     ],
     GlobalSecondaryIndexes: [
         {
@@ -33,6 +34,20 @@ const chatTableParams = {
                 WriteCapacityUnits: 5,
             },
         },
+        {
+            IndexName: "RoomIndex",
+            KeySchema: [
+                { AttributeName: "itemType", KeyType: "HASH" },
+                { AttributeName: "id", KeyType: "RANGE" },
+            ],
+            Projection: {
+                ProjectionType: "ALL",
+            },
+            ProvisionedThroughput: {
+                ReadCapacityUnits: 5,
+                WriteCapacityUnits: 5,
+            },
+        },
     ],
     ProvisionedThroughput: {
         ReadCapacityUnits: 5,
@@ -54,6 +69,36 @@ const newsTableParams = {
     },
 };
 
+const connectionsTableParams = {
+    TableName: "ILChat_Connections",
+    KeySchema: [
+        { AttributeName: "connectionId", KeyType: "HASH" },
+    ],
+    AttributeDefinitions: [
+        { AttributeName: "connectionId", AttributeType: "S" },
+        { AttributeName: "roomId", AttributeType: "S" },
+    ],
+    GlobalSecondaryIndexes: [
+        {
+            IndexName: "RoomConnectionsIndex",
+            KeySchema: [
+                { AttributeName: "roomId", KeyType: "HASH" },
+            ],
+            Projection: {
+                ProjectionType: "KEYS_ONLY",
+            },
+            ProvisionedThroughput: {
+                ReadCapacityUnits: 5,
+                WriteCapacityUnits: 5,
+            },
+        },
+    ],
+    ProvisionedThroughput: {
+        ReadCapacityUnits: 5,
+        WriteCapacityUnits: 5,
+    },
+};
+
 async function createTable(params) {
     try {
         await dynamoDB.createTable(params).promise();
@@ -70,6 +115,7 @@ async function createTable(params) {
 async function init() {
     await createTable(chatTableParams);
     await createTable(newsTableParams);
+    await createTable(connectionsTableParams);
 }
 
 init();
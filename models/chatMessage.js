@@ -3,6 +3,38 @@
  * Requirements: 1.1, 1.2, 1.3, 1.4, 9.1, 9.2, 9.3
  */
 
+const { DEFAULT_ROOM_ID } = require('../config.js');
+
+/**
+ * Allowed room ids: 1-64 letters, digits, underscores or hyphens
+ */
+const ROOM_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Allowed AI participant names, which are also their message senders:
+ * 1-32 letters, digits, underscores or hyphens
+ */
+const PARTICIPANT_NAME_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+/**
+ * Sender of messages written by human users
+ */
+const USER_SENDER = 'user';
+
+/**
+ * Moderation outcomes a message can carry
+ */
+const MODERATION_OUTCOMES = ['allow', 'flag', 'block'];
+
+/**
+ * Checks whether a value can be used as a room id (the partition key of a conversation)
+ * @param {any} roomId - The value to check
+ * @returns {boolean} True if the value is a valid room id
+ */
+function isValidRoomId(roomId) {
+  return typeof roomId === 'string' && ROOM_ID_PATTERN.test(roomId);
+}
+
 /**
  * Validates that a ChatMessage has all required fields
  * @param {Object} message - The message object to validate
@@ -13,17 +45,17 @@ function validateChatMessage(message) {
     throw new Error('Message must be an object');
   }
 
-  if (message.id !== 'chat') {
-    throw new Error('Message id must be "chat"');
+  if (!isValidRoomId(message.id)) {
+    throw new Error('Message id must be a valid room id');
   }
 
   if (typeof message.datetime !== 'number' || message.datetime <= 0) {
     throw new Error('Message datetime must be a positive number');
   }
 
-  const validSenders = ['user', 'gemini', 'claude', 'openai'];
-  if (!validSenders.includes(message.sender)) {
-    throw new Error(`Message sender must be one of: ${validSenders.join(', ')}`);
+  // Participants are configured per room, so any well-formed participant name is accepted
+  if (typeof message.sender !== 'string' || !PARTICIPANT_NAME_PATTERN.test(message.sender)) {
+    throw new Error(`Message sender must be "${USER_SENDER}" or a participant name (1-32 letters, digits, underscores or hyphens)`);
   }
 
   if (typeof message.message !== 'string' || message.message.length === 0) {
@@ -38,6 +70,124 @@ function validateChatMessage(message) {
   if (message.email !== undefined && typeof message.email !== 'string') {
     throw new Error('Message email must be a string or undefined');
   }
+
+  // mentions is optional: the participants addressed with "@name"
+  if (message.mentions !== undefined) {
+    validateMentions(message.mentions);
+  }
+
+  // provider is optional: the LLM provider that wrote an AI reply
+  if (message.provider !== undefined && (typeof message.provider !== 'string' || message.provider.length === 0)) {
+    throw new Error('Message provider must be a non-empty string or undefined');
+  }
+
+  // fallbackFrom is optional: providers that failed before provider answered
+  if (message.fallbackFrom !== undefined &&
+      (!Array.isArray(message.fallbackFrom) || !message.fallbackFrom.every(provider => typeof provider === 'string'))) {
+    throw new Error('Message fallbackFrom must be an array of provider names');
+  }
+
+  // usage is optional: tokens and estimated cost of an AI reply
+  if (message.usage !== undefined) {
+    validateUsage(message.usage);
+  }
+
+  // moderation is optional: the outcome of the moderation checks
+  if (message.moderation !== undefined) {
+    validateModeration(message.moderation);
+  }
+}
+
+/**
+ * Validates the moderation outcome of a message
+ * @param {Object} moderation - { outcome, reasons? }
+ * @throws {Error} If moderation is malformed
+ */
+function validateModeration(moderation) {
+  if (!moderation || typeof moderation !== 'object') {
+    throw new Error('Message moderation must be an object');
+  }
+  if (!MODERATION_OUTCOMES.includes(moderation.outcome)) {
+    throw new Error(`Moderation outcome must be one of: ${MODERATION_OUTCOMES.join(', ')}`);
+  }
+  if (moderation.reasons !== undefined &&
+      (!Array.isArray(moderation.reasons) || !moderation.reasons.every(reason => typeof reason === 'string'))) {
+    throw new Error('Moderation reasons must be an array of strings');
+  }
+}
+
+/**
+ * Serializes the moderation outcome of a message to a DynamoDB map
+ * @param {Object} moderation - { outcome, reasons? }
+ * @returns {Object} DynamoDB formatted map attribute
+ */
+function serializeModeration(moderation) {
+  return {
+    M: {
+      outcome: { S: moderation.outcome },
+      ...(moderation.reasons && { reasons: { L: moderation.reasons.map(reason => ({ S: reason })) } })
+    }
+  };
+}
+
+/**
+ * Validates the token usage of a message
+ * @param {Object} usage - { model, inputTokens, outputTokens, costUsd? }
+ * @throws {Error} If usage is malformed
+ */
+function validateUsage(usage) {
+  if (!usage || typeof usage !== 'object') {
+    throw new Error('Message usage must be an object');
+  }
+  if (typeof usage.model !== 'string' || usage.model.length === 0) {
+    throw new Error('Usage model must be a non-empty string');
+  }
+  if (!Number.isInteger(usage.inputTokens) || usage.inputTokens < 0 ||
+      !Number.isInteger(usage.outputTokens) || usage.outputTokens < 0) {
+    throw new Error('Usage inputTokens and outputTokens must be non-negative integers');
+  }
+  if (usage.costUsd !== undefined && (typeof usage.costUsd !== 'number' || !(usage.costUsd >= 0))) {
+    throw new Error('Usage costUsd must be a non-negative number');
+  }
+}
+
+/**
+ * Serializes the token usage of a message to a DynamoDB map
+ * @param {Object} usage - { model, inputTokens, outputTokens, costUsd? }
+ * @returns {Object} DynamoDB formatted map attribute
+ */
+function serializeUsage(usage) {
+  return {
+    M: {
+      model: { S: usage.model },
+      inputTokens: { N: String(usage.inputTokens) },
+      outputTokens: { N: String(usage.outputTokens) },
+      ...(usage.costUsd !== undefined && { costUsd: { N: String(usage.costUsd) } })
+    }
+  };
+}
+
+/**
+ * Validates the mentions of a message
+ * @param {Array} mentions - Array of { name, offset, length }
+ * @throws {Error} If mentions is not an array of valid mentions
+ */
+function validateMentions(mentions) {
+  if (!Array.isArray(mentions)) {
+    throw new Error('Message mentions must be an array');
+  }
+
+  mentions.forEach(mention => {
+    if (!mention || typeof mention.name !== 'string' || mention.name.trim().length === 0) {
+      throw new Error('Mention name must be a non-empty string');
+    }
+    if (!Number.isInteger(mention.offset) || mention.offset < 0) {
+      throw new Error('Mention offset must be a non-negative integer');
+    }
+    if (!Number.isInteger(mention.length) || mention.length <= 0) {
+      throw new Error('Mention length must be a positive integer');
+    }
+  });
 }
 
 /**
@@ -62,6 +212,34 @@ function serializeChatMessage(message) {
     item.email = { S: message.email };
   }
 
+  if (message.provider !== undefined) {
+    item.provider = { S: message.provider };
+  }
+
+  if (message.fallbackFrom !== undefined) {
+    item.fallbackFrom = { L: message.fallbackFrom.map(provider => ({ S: provider })) };
+  }
+
+  if (message.usage !== undefined) {
+    item.usage = serializeUsage(message.usage);
+  }
+
+  if (message.moderation !== undefined) {
+    item.moderation = serializeModeration(message.moderation);
+  }
+
+  if (message.mentions !== undefined) {
+    item.mentions = {
+      L: message.mentions.map(mention => ({
+        M: {
+          name: { S: mention.name },
+          offset: { N: String(mention.offset) },
+          length: { N: String(mention.length) }
+        }
+      }))
+    };
+  }
+
   return item;
 }
 
@@ -109,6 +287,40 @@ function deserializeChatMessage(item) {
     message.email = item.email.S;
   }
 
+  if (item.provider && item.provider.S) {
+    message.provider = item.provider.S;
+  }
+
+  if (item.fallbackFrom && Array.isArray(item.fallbackFrom.L)) {
+    message.fallbackFrom = item.fallbackFrom.L.map(provider => provider.S);
+  }
+
+  if (item.usage && item.usage.M) {
+    const usage = item.usage.M;
+    message.usage = {
+      model: usage.model.S,
+      inputTokens: Number(usage.inputTokens.N),
+      outputTokens: Number(usage.outputTokens.N),
+      ...(usage.costUsd && { costUsd: Number(usage.costUsd.N) })
+    };
+  }
+
+  if (item.moderation && item.moderation.M) {
+    const moderation = item.moderation.M;
+    message.moderation = {
+      outcome: moderation.outcome.S,
+      ...(moderation.reasons && { reasons: moderation.reasons.L.map(reason => reason.S) })
+    };
+  }
+
+  if (item.mentions && Array.isArray(item.mentions.L)) {
+    message.mentions = item.mentions.L.map(mention => ({
+      name: mention.M.name.S,
+      offset: Number(mention.M.offset.N),
+      length: Number(mention.M.length.N)
+    }));
+  }
+
   return message;
 }
 
@@ -132,11 +344,12 @@ function prettyPrintChatMessage(message) {
  * @param {string} sender - The sender of the message
  * @param {string} messageContent - The message content
  * @param {string} [email] - Optional email address
+ * @param {string} [roomId] - Room the message belongs to (defaults to the default room)
  * @returns {Object} New ChatMessage object with isProcessed=false
  */
-function createChatMessage(sender, messageContent, email) {
+function createChatMessage(sender, messageContent, email, roomId = DEFAULT_ROOM_ID) {
   const message = {
-    id: 'chat',
+    id: roomId,
     datetime: Date.now(),
     sender,
     message: messageContent,
@@ -152,9 +365,19 @@ function createChatMessage(sender, messageContent, email) {
 }
 
 module.exports = {
+  isValidRoomId,
   validateChatMessage,
+  validateMentions,
+  validateUsage,
+  serializeUsage,
+  validateModeration,
+  serializeModeration,
   serializeChatMessage,
   deserializeChatMessage,
   prettyPrintChatMessage,
-  createChatMessage
+  createChatMessage,
+  ROOM_ID_PATTERN,
+  PARTICIPANT_NAME_PATTERN,
+  USER_SENDER,
+  MODERATION_OUTCOMES
 };
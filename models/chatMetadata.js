@@ -3,6 +3,154 @@
  * Requirements: 1.1, 1.2, 1.3, 1.4
  */
 
+const { DEFAULT_ROOM_ID } = require('../config.js');
+const { isValidRoomId, PARTICIPANT_NAME_PATTERN, USER_SENDER } = require('./chatMessage.js');
+const { SPEAKER_STRATEGY_NAMES } = require('../services/speakerService.js');
+const { validateAutonomy } = require('../services/autonomyService.js');
+const { validateRedaction } = require('../services/redactionService.js');
+const { getProvider, getProviderNames, getProviderSettingNames } = require('../services/providers/index.js');
+
+/**
+ * Maximum length of a participant's system prompt description and of each style rule
+ */
+const MAX_SYSTEM_PROMPT_DESCRIPTION_LENGTH = 2000;
+const MAX_STYLE_RULE_LENGTH = 300;
+
+/**
+ * Validates the optional system prompt configuration of a participant
+ * @param {Object} systemPrompt - { description, styleRules? }
+ * @throws {Error} If the configuration is invalid
+ */
+function validateSystemPrompt(systemPrompt) {
+  if (!systemPrompt || typeof systemPrompt !== 'object' || Array.isArray(systemPrompt)) {
+    throw new Error('Participant systemPrompt must be an object');
+  }
+
+  if (typeof systemPrompt.description !== 'string' || systemPrompt.description.trim().length === 0 ||
+      systemPrompt.description.length > MAX_SYSTEM_PROMPT_DESCRIPTION_LENGTH) {
+    throw new Error(
+      `Participant systemPrompt.description must be a non-empty string of at most ${MAX_SYSTEM_PROMPT_DESCRIPTION_LENGTH} characters`
+    );
+  }
+
+  if (systemPrompt.styleRules !== undefined) {
+    if (!Array.isArray(systemPrompt.styleRules) ||
+        !systemPrompt.styleRules.every(rule =>
+          typeof rule === 'string' && rule.trim().length > 0 && rule.length <= MAX_STYLE_RULE_LENGTH)) {
+      throw new Error(
+        `Participant systemPrompt.styleRules must be an array of non-empty strings of at most ${MAX_STYLE_RULE_LENGTH} characters`
+      );
+    }
+  }
+}
+
+/**
+ * Limits of the optional generation settings of a participant
+ */
+const MAX_MODEL_NAME_LENGTH = 200;
+const MAX_TOKENS_LIMIT = 32768;
+const MAX_STOP_SEQUENCES = 4;
+const MIN_TIMEOUT_MS = 1000;
+const MAX_TIMEOUT_MS = 120000;
+
+/**
+ * Numeric fields of a mock participant's settings (see services/providers/mock.js)
+ */
+const MOCK_NUMBER_SETTINGS = ['seed', 'latencyMs', 'errorRate', 'blockRate'];
+
+/**
+ * Validates the optional generation settings of a participant
+ * (model, temperature, maxTokens, topP, stopSequences, timeoutMs)
+ * @param {Object} participant - The participant, with a valid provider
+ * @throws {Error} If a present setting is invalid
+ */
+function validateGenerationSettings(participant) {
+  if (participant.model !== undefined &&
+      (typeof participant.model !== 'string' || participant.model.trim().length === 0 ||
+       participant.model.length > MAX_MODEL_NAME_LENGTH)) {
+    throw new Error(`Participant model must be a non-empty string of at most ${MAX_MODEL_NAME_LENGTH} characters`);
+  }
+
+  const { maxTemperature } = getProvider(participant.provider);
+  if (participant.temperature !== undefined &&
+      (typeof participant.temperature !== 'number' || !(participant.temperature >= 0 && participant.temperature <= maxTemperature))) {
+    throw new Error(`Participant temperature must be a number between 0 and ${maxTemperature} for provider ${participant.provider}`);
+  }
+
+  if (participant.maxTokens !== undefined &&
+      (!Number.isInteger(participant.maxTokens) || participant.maxTokens < 1 || participant.maxTokens > MAX_TOKENS_LIMIT)) {
+    throw new Error(`Participant maxTokens must be an integer between 1 and ${MAX_TOKENS_LIMIT}`);
+  }
+
+  if (participant.topP !== undefined &&
+      (typeof participant.topP !== 'number' || !(participant.topP > 0 && participant.topP <= 1))) {
+    throw new Error('Participant topP must be a number greater than 0 and at most 1');
+  }
+
+  if (participant.stopSequences !== undefined &&
+      (!Array.isArray(participant.stopSequences) || participant.stopSequences.length === 0 ||
+       participant.stopSequences.length > MAX_STOP_SEQUENCES ||
+       !participant.stopSequences.every(sequence => typeof sequence === 'string' && sequence.length > 0))) {
+    throw new Error(`Participant stopSequences must be an array of 1-${MAX_STOP_SEQUENCES} non-empty strings`);
+  }
+
+  if (participant.timeoutMs !== undefined &&
+      (!Number.isInteger(participant.timeoutMs) || participant.timeoutMs < MIN_TIMEOUT_MS || participant.timeoutMs > MAX_TIMEOUT_MS)) {
+    throw new Error(`Participant timeoutMs must be an integer between ${MIN_TIMEOUT_MS} and ${MAX_TIMEOUT_MS}`);
+  }
+}
+
+/**
+ * Most providers a participant may fall back to
+ */
+const MAX_FALLBACK_PROVIDERS = 3;
+
+/**
+ * Validates the optional fallback providers of a participant
+ * @param {Object} participant - The participant, with a valid provider
+ * @throws {Error} If fallbackProviders is not a list of other registered providers
+ */
+function validateFallbackProviders(participant) {
+  if (participant.fallbackProviders === undefined) {
+    return;
+  }
+
+  const { fallbackProviders } = participant;
+  if (!Array.isArray(fallbackProviders) || fallbackProviders.length === 0 ||
+      fallbackProviders.length > MAX_FALLBACK_PROVIDERS) {
+    throw new Error(`Participant fallbackProviders must be an array of 1-${MAX_FALLBACK_PROVIDERS} provider names`);
+  }
+
+  const validProviders = getProviderNames();
+  fallbackProviders.forEach(provider => {
+    if (!validProviders.includes(provider)) {
+      throw new Error(`Participant fallbackProviders must be among: ${validProviders.join(', ')}`);
+    }
+  });
+
+  if (new Set([participant.provider, ...fallbackProviders]).size !== fallbackProviders.length + 1) {
+    throw new Error('Participant fallbackProviders must not repeat a provider or include the participant\'s own provider');
+  }
+}
+
+/**
+ * Validates the fields only some providers accept (e.g. baseUrl for openai-compatible)
+ * @param {Object} participant - The participant, with a valid provider
+ * @throws {Error} If a field is set for a provider that does not use it, or is invalid
+ */
+function validateProviderSettings(participant) {
+  const adapter = getProvider(participant.provider);
+  const supported = adapter.participantSettings || [];
+  getProviderSettingNames().forEach(setting => {
+    if (participant[setting] !== undefined && !supported.includes(setting)) {
+      throw new Error(`Participant ${setting} is not supported by provider ${participant.provider}`);
+    }
+  });
+  if (adapter.validateParticipant) {
+    adapter.validateParticipant(participant);
+  }
+}
+
 /**
  * Validates that a participant has all required fields
  * @param {Object} participant - The participant object to validate
@@ -13,7 +161,7 @@ function validateParticipant(participant) {
     throw new Error('Participant must be an object');
   }
 
-  const validProviders = ['google', 'anthropic', 'openai'];
+  const validProviders = getProviderNames();
   if (!validProviders.includes(participant.provider)) {
     throw new Error(`Participant provider must be one of: ${validProviders.join(', ')}`);
   }
@@ -22,6 +170,11 @@ function validateParticipant(participant) {
     throw new Error('Participant name must be a non-empty string');
   }
 
+  // The name is the sender of the participant's messages and how users @mention it
+  if (!PARTICIPANT_NAME_PATTERN.test(participant.name) || participant.name === USER_SENDER) {
+    throw new Error(`Participant name must be 1-32 letters, digits, underscores or hyphens and not "${USER_SENDER}"`);
+  }
+
   if (!participant.personality || typeof participant.personality !== 'object') {
     throw new Error('Participant personality must be an object');
   }
@@ -33,6 +186,70 @@ function validateParticipant(participant) {
   if (typeof participant.personality.phrase !== 'string' || participant.personality.phrase.length === 0) {
     throw new Error('Participant personality.phrase must be a non-empty string');
   }
+
+  // systemPrompt is optional; participants stored before it existed get a generic persona
+  if (participant.systemPrompt !== undefined) {
+    validateSystemPrompt(participant.systemPrompt);
+  }
+
+  // weight is only used by the weighted-random speaker strategy
+  if (participant.weight !== undefined &&
+      (typeof participant.weight !== 'number' || !Number.isFinite(participant.weight) || participant.weight <= 0)) {
+    throw new Error('Participant weight must be a positive number');
+  }
+
+  validateGenerationSettings(participant);
+  validateProviderSettings(participant);
+  validateFallbackProviders(participant);
+}
+
+/**
+ * Maximum length of a room display name
+ */
+const MAX_ROOM_NAME_LENGTH = 100;
+
+/**
+ * Validates the optional room attributes stored on a metadata item
+ * (display name, archive flag, speaker strategy, autonomy and redaction settings and creation details)
+ * @param {Object} attributes - Object holding any of name, archived, speakerStrategy, autonomy, redaction,
+ *   createdBy, createdAt
+ * @throws {Error} If a present attribute has an invalid value
+ */
+function validateRoomAttributes(attributes) {
+  if (!attributes || typeof attributes !== 'object') {
+    throw new Error('Room attributes must be an object');
+  }
+
+  if (attributes.name !== undefined &&
+      (typeof attributes.name !== 'string' || attributes.name.trim().length === 0 ||
+       attributes.name.length > MAX_ROOM_NAME_LENGTH)) {
+    throw new Error(`Room name must be a non-empty string of at most ${MAX_ROOM_NAME_LENGTH} characters`);
+  }
+
+  if (attributes.archived !== undefined && typeof attributes.archived !== 'boolean') {
+    throw new Error('Room archived must be a boolean');
+  }
+
+  if (attributes.speakerStrategy !== undefined && !SPEAKER_STRATEGY_NAMES.includes(attributes.speakerStrategy)) {
+    throw new Error(`Room speakerStrategy must be one of: ${SPEAKER_STRATEGY_NAMES.join(', ')}`);
+  }
+
+  if (attributes.autonomy !== undefined) {
+    validateAutonomy(attributes.autonomy);
+  }
+
+  if (attributes.redaction !== undefined) {
+    validateRedaction(attributes.redaction);
+  }
+
+  if (attributes.createdBy !== undefined && typeof attributes.createdBy !== 'string') {
+    throw new Error('Room createdBy must be a string');
+  }
+
+  if (attributes.createdAt !== undefined &&
+      (typeof attributes.createdAt !== 'number' || attributes.createdAt <= 0)) {
+    throw new Error('Room createdAt must be a positive number');
+  }
 }
 
 /**
@@ -45,8 +262,8 @@ function validateChatMetadata(metadata) {
     throw new Error('Metadata must be an object');
   }
 
-  if (metadata.id !== 'chat') {
-    throw new Error('Metadata id must be "chat"');
+  if (!isValidRoomId(metadata.id)) {
+    throw new Error('Metadata id must be a valid room id');
   }
 
   if (metadata.datetime !== 0) {
@@ -66,6 +283,12 @@ function validateChatMetadata(metadata) {
     }
   });
 
+  const names = metadata.llmParticipants.map(participant => participant.name);
+  const duplicates = names.filter((name, index) => names.indexOf(name) !== index);
+  if (duplicates.length > 0) {
+    throw new Error(`Participant names must be unique; duplicated: ${[...new Set(duplicates)].join(', ')}`);
+  }
+
   if (typeof metadata.nextSpeakerIndex !== 'number' || metadata.nextSpeakerIndex < 0) {
     throw new Error('Metadata nextSpeakerIndex must be a non-negative number');
   }
@@ -76,6 +299,8 @@ function validateChatMetadata(metadata) {
       `number of participants (${metadata.llmParticipants.length})`
     );
   }
+
+  validateRoomAttributes(metadata);
 }
 
 /**
@@ -86,7 +311,7 @@ function validateChatMetadata(metadata) {
 function serializeParticipant(participant) {
   validateParticipant(participant);
 
-  return {
+  const item = {
     M: {
       name: { S: participant.name },
       provider: { S: participant.provider },
@@ -100,6 +325,54 @@ function serializeParticipant(participant) {
       }
     }
   };
+
+  if (participant.systemPrompt !== undefined) {
+    const systemPrompt = {
+      description: { S: participant.systemPrompt.description }
+    };
+    if (participant.systemPrompt.styleRules !== undefined) {
+      systemPrompt.styleRules = { L: participant.systemPrompt.styleRules.map(rule => ({ S: rule })) };
+    }
+    item.M.systemPrompt = { M: systemPrompt };
+  }
+  if (participant.weight !== undefined) {
+    item.M.weight = { N: String(participant.weight) };
+  }
+  ['model', 'baseUrl', 'apiKeyEnv'].forEach(setting => {
+    if (participant[setting] !== undefined) {
+      item.M[setting] = { S: participant[setting] };
+    }
+  });
+  ['temperature', 'maxTokens', 'topP', 'timeoutMs'].forEach(setting => {
+    if (participant[setting] !== undefined) {
+      item.M[setting] = { N: String(participant[setting]) };
+    }
+  });
+  if (participant.stopSequences !== undefined) {
+    item.M.stopSequences = { L: participant.stopSequences.map(sequence => ({ S: sequence })) };
+  }
+  if (participant.fallbackProviders !== undefined) {
+    item.M.fallbackProviders = { L: participant.fallbackProviders.map(provider => ({ S: provider })) };
+  }
+  if (participant.mock !== undefined) {
+    const mock = {};
+    ['mode', 'template'].forEach(setting => {
+      if (participant.mock[setting] !== undefined) {
+        mock[setting] = { S: participant.mock[setting] };
+      }
+    });
+    if (participant.mock.replies !== undefined) {
+      mock.replies = { L: participant.mock.replies.map(reply => ({ S: reply })) };
+    }
+    MOCK_NUMBER_SETTINGS.forEach(setting => {
+      if (participant.mock[setting] !== undefined) {
+        mock[setting] = { N: String(participant.mock[setting]) };
+      }
+    });
+    item.M.mock = { M: mock };
+  }
+
+  return item;
 }
 
 /**
@@ -136,7 +409,7 @@ function deserializeParticipant(item) {
     throw new Error('Participant personality missing required field: phrase');
   }
 
-  return {
+  const participant = {
     name: m.name.S,
     provider: m.provider.S,
     personality: {
@@ -144,6 +417,54 @@ function deserializeParticipant(item) {
       phrase: personality.phrase.S
     }
   };
+
+  if (m.systemPrompt && m.systemPrompt.M) {
+    const systemPrompt = m.systemPrompt.M;
+    participant.systemPrompt = {
+      description: systemPrompt.description ? systemPrompt.description.S : undefined
+    };
+    if (systemPrompt.styleRules && systemPrompt.styleRules.L) {
+      participant.systemPrompt.styleRules = systemPrompt.styleRules.L.map(rule => rule.S);
+    }
+  }
+  if (m.weight && m.weight.N !== undefined) {
+    participant.weight = Number(m.weight.N);
+  }
+  ['model', 'baseUrl', 'apiKeyEnv'].forEach(setting => {
+    if (m[setting] && m[setting].S !== undefined) {
+      participant[setting] = m[setting].S;
+    }
+  });
+  ['temperature', 'maxTokens', 'topP', 'timeoutMs'].forEach(setting => {
+    if (m[setting] && m[setting].N !== undefined) {
+      participant[setting] = Number(m[setting].N);
+    }
+  });
+  if (m.stopSequences && Array.isArray(m.stopSequences.L)) {
+    participant.stopSequences = m.stopSequences.L.map(sequence => sequence.S);
+  }
+  if (m.fallbackProviders && Array.isArray(m.fallbackProviders.L)) {
+    participant.fallbackProviders = m.fallbackProviders.L.map(provider => provider.S);
+  }
+  if (m.mock && m.mock.M) {
+    const mock = {};
+    ['mode', 'template'].forEach(setting => {
+      if (m.mock.M[setting] && m.mock.M[setting].S !== undefined) {
+        mock[setting] = m.mock.M[setting].S;
+      }
+    });
+    if (m.mock.M.replies && Array.isArray(m.mock.M.replies.L)) {
+      mock.replies = m.mock.M.replies.L.map(reply => reply.S);
+    }
+    MOCK_NUMBER_SETTINGS.forEach(setting => {
+      if (m.mock.M[setting] && m.mock.M[setting].N !== undefined) {
+        mock[setting] = Number(m.mock.M[setting].N);
+      }
+    });
+    participant.mock = mock;
+  }
+
+  return participant;
 }
 
 /**
@@ -155,7 +476,7 @@ function deserializeParticipant(item) {
 function serializeChatMetadata(metadata) {
   validateChatMetadata(metadata);
 
-  return {
+  const item = {
     id: { S: metadata.id },
     datetime: { N: String(metadata.datetime) },
     llmParticipants: {
@@ -163,6 +484,42 @@ function serializeChatMetadata(metadata) {
     },
     nextSpeakerIndex: { N: String(metadata.nextSpeakerIndex) }
   };
+
+  // Optional room attributes are only included when defined
+  if (metadata.name !== undefined) {
+    item.name = { S: metadata.name };
+  }
+  if (metadata.archived !== undefined) {
+    item.archived = { BOOL: metadata.archived };
+  }
+  if (metadata.speakerStrategy !== undefined) {
+    item.speakerStrategy = { S: metadata.speakerStrategy };
+  }
+  if (metadata.autonomy !== undefined) {
+    const autonomy = { enabled: { BOOL: metadata.autonomy.enabled } };
+    ['maxConsecutiveAiTurns', 'minTurnSpacingSeconds', 'idleCutoffMinutes'].forEach(setting => {
+      if (metadata.autonomy[setting] !== undefined) {
+        autonomy[setting] = { N: String(metadata.autonomy[setting]) };
+      }
+    });
+    item.autonomy = { M: autonomy };
+  }
+  if (metadata.redaction !== undefined) {
+    item.redaction = {
+      M: {
+        mode: { S: metadata.redaction.mode },
+        ...(metadata.redaction.types && { types: { L: metadata.redaction.types.map(type => ({ S: type })) } })
+      }
+    };
+  }
+  if (metadata.createdBy !== undefined) {
+    item.createdBy = { S: metadata.createdBy };
+  }
+  if (metadata.createdAt !== undefined) {
+    item.createdAt = { N: String(metadata.createdAt) };
+  }
+
+  return item;
 }
 
 /**
@@ -199,6 +556,37 @@ function deserializeChatMetadata(item) {
     nextSpeakerIndex: Number(item.nextSpeakerIndex.N)
   };
 
+  if (item.name && item.name.S !== undefined) {
+    metadata.name = item.name.S;
+  }
+  if (item.archived && item.archived.BOOL !== undefined) {
+    metadata.archived = item.archived.BOOL;
+  }
+  if (item.speakerStrategy && item.speakerStrategy.S !== undefined) {
+    metadata.speakerStrategy = item.speakerStrategy.S;
+  }
+  if (item.autonomy && item.autonomy.M) {
+    const autonomy = { enabled: item.autonomy.M.enabled.BOOL };
+    ['maxConsecutiveAiTurns', 'minTurnSpacingSeconds', 'idleCutoffMinutes'].forEach(setting => {
+      if (item.autonomy.M[setting] && item.autonomy.M[setting].N !== undefined) {
+        autonomy[setting] = Number(item.autonomy.M[setting].N);
+      }
+    });
+    metadata.autonomy = autonomy;
+  }
+  if (item.redaction && item.redaction.M) {
+    metadata.redaction = {
+      mode: item.redaction.M.mode.S,
+      ...(item.redaction.M.types && { types: item.redaction.M.types.L.map(type => type.S) })
+    };
+  }
+  if (item.createdBy && item.createdBy.S !== undefined) {
+    metadata.createdBy = item.createdBy.S;
+  }
+  if (item.createdAt && item.createdAt.N !== undefined) {
+    metadata.createdAt = Number(item.createdAt.N);
+  }
+
   validateChatMetadata(metadata);
   return metadata;
 }
@@ -206,11 +594,15 @@ function deserializeChatMetadata(item) {
 /**
  * Creates a new ChatMetadata object with default values
  * @param {Array} llmParticipants - Array of LLM participant configurations
+ * @param {string} [roomId] - Room the metadata describes (defaults to the default room)
+ * @param {Object} [attributes] - Optional room attributes (name, archived, speakerStrategy, autonomy, redaction,
+ *   createdBy, createdAt)
  * @returns {Object} New ChatMetadata object
  */
-function createChatMetadata(llmParticipants) {
+function createChatMetadata(llmParticipants, roomId = DEFAULT_ROOM_ID, attributes = {}) {
   const metadata = {
-    id: 'chat',
+    ...attributes,
+    id: roomId,
     datetime: 0,
     llmParticipants,
     nextSpeakerIndex: 0
@@ -223,9 +615,12 @@ function createChatMetadata(llmParticipants) {
 module.exports = {
   validateChatMetadata,
   validateParticipant,
+  validateSystemPrompt,
+  validateRoomAttributes,
   serializeChatMetadata,
   deserializeChatMetadata,
   serializeParticipant,
   deserializeParticipant,
-  createChatMetadata
+  createChatMetadata,
+  MAX_ROOM_NAME_LENGTH
 };
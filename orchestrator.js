@@ -6,198 +6,682 @@
  * Requirements: 3.2, 3.3
  */
 
-const { log } = require('./config.js');
+const {
+  log,
+  DEFAULT_ROOM_ID,
+  STREAM_RESPONSES,
+  ORCHESTRATOR_CONTEXT_MESSAGES,
+  ORCHESTRATOR_CONTEXT_MAX_CHARS,
+  PERSONA_HISTORY_MESSAGES,
+  LLM_PROVIDER_OVERRIDE,
+  MODERATION_PROVIDER
+} = require('./config.js');
 const { 
   getChatMetadata, 
+  listRoomIds,
   getLatestMessage,
+  getRecentMessages,
   markMessageProcessed,
-  batchWriteResponseAndUpdate
+  deleteMessage,
+  batchWriteResponseAndUpdate,
+  STREAMING_STATUS
 } = require('./services/dynamoDbService.js');
 const { 
   getOrchestratorDecision, 
-  generateResponse 
+  getOrchestratorProvider,
+  buildProviderChain,
+  generateWithFallback
 } = require('./services/llmService.js');
 const { 
-  getNextSpeaker, 
-  incrementSpeakerIndex 
+  incrementSpeakerIndex,
+  resolveSpeakers,
+  parseMentions
 } = require('./services/speakerService.js');
+const { streamReply, isStaleStreamingMessage } = require('./services/streamingService.js');
+const { getProvider } = require('./services/providers/index.js');
+const { buildSystemPrompt } = require('./services/personaService.js');
+const { resolveAutonomy, checkAiTurn } = require('./services/autonomyService.js');
+const { loadCircuitBreaker, getParticipantProviders } = require('./services/circuitBreakerService.js');
+const { isTimeoutError, getInvocationDeadline } = require('./services/timeoutService.js');
+const { priceUsage, recordUsage } = require('./services/usageService.js');
+const {
+  checkBudgets,
+  createBudgetState,
+  selectCheapestParticipant,
+  BUDGET_ACTIONS
+} = require('./services/budgetService.js');
+const { moderateReply, isModerationConfigured } = require('./services/moderationService.js');
+const { createRedactor, resolveRedaction } = require('./services/redactionService.js');
 const { createChatMessage } = require('./models/chatMessage.js');
 
 /**
- * Build context string from the latest message for orchestrator decision
- * @param {Object} message - The latest chat message
- * @returns {string} Formatted context string
+ * Label a message's speaker for the orchestrator
+ * AI participants are the senders listed in the room's llmParticipants;
+ * everyone else is a user.
+ * @param {Object} message - Chat message
+ * @param {string[]} [participantNames] - Names of the room's AI participants
+ * @returns {string} e.g. "User <ann@example.com>" or "AI (claude)"
  */
-function buildContextFromMessage(message) {
+function getSpeakerLabel(message, participantNames = []) {
+  if (participantNames.includes(message.sender)) {
+    return `AI (${message.sender})`;
+  }
+  return message.email ? `User <${message.email}>` : 'User';
+}
+
+/**
+ * Build context string from a single message for orchestrator decision
+ * @param {Object} message - The chat message
+ * @param {string[]} [participantNames] - Names of the room's AI participants
+ * @returns {string} Formatted context line
+ */
+function buildContextFromMessage(message, participantNames = []) {
   const timestamp = new Date(message.datetime).toISOString();
-  const emailPart = message.email ? ` <${message.email}>` : '';
-  return `[${timestamp}] ${message.sender}${emailPart}: ${message.message}`;
+  return `[${timestamp}] ${getSpeakerLabel(message, participantNames)}: ${message.message}`;
 }
 
 /**
- * Main orchestrator handler
+ * Build the orchestrator context from the recent conversation
+ * Lines are added newest first until maxMessages or maxChars is reached, then
+ * returned oldest first. The latest message is always included, cut to
+ * maxChars if it alone exceeds the budget.
+ * @param {Object[]} messages - Recent messages, oldest first
+ * @param {string[]} [participantNames] - Names of the room's AI participants
+ * @param {Object} [options] - Limits
+ * @param {number} [options.maxMessages] - Maximum number of messages
+ * @param {number} [options.maxChars] - Character budget for the whole context
+ * @returns {string} One line per message, oldest first
+ */
+function buildConversationContext(messages, participantNames = [], options = {}) {
+  const maxMessages = options.maxMessages || ORCHESTRATOR_CONTEXT_MESSAGES;
+  const maxChars = options.maxChars || ORCHESTRATOR_CONTEXT_MAX_CHARS;
+
+  const lines = [];
+  let length = 0;
+  for (const message of messages.slice(-maxMessages).reverse()) {
+    let line = buildContextFromMessage(message, participantNames);
+
+    if (lines.length === 0 && line.length > maxChars) {
+      line = `${line.slice(0, maxChars - 1)}…`;
+    }
+
+    const added = line.length + (lines.length > 0 ? 1 : 0);
+    if (length + added > maxChars) {
+      break;
+    }
+    lines.unshift(line);
+    length += added;
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Build the role-tagged history a persona responds to
+ * The persona's own messages become assistant turns, other AI participants'
+ * messages persona turns and everything else user turns.
+ * @param {Object[]} messages - Recent messages, oldest first
+ * @param {string} speakerName - Name of the persona that will respond
+ * @param {string[]} [participantNames] - Names of the room's AI participants
+ * @param {number} [maxMessages] - Maximum number of messages to include
+ * @returns {Object[]} HistoryTurn list for llmService, oldest first
+ */
+function buildPersonaHistory(messages, speakerName, participantNames = [], maxMessages = PERSONA_HISTORY_MESSAGES) {
+  return messages.slice(-maxMessages).map(message => {
+    if (message.sender === speakerName) {
+      return { role: 'assistant', name: message.sender, content: message.message };
+    }
+    if (participantNames.includes(message.sender)) {
+      return { role: 'persona', name: message.sender, content: message.message };
+    }
+    return { role: 'user', content: message.message };
+  });
+}
+
+/**
+ * Participants a user message addresses with "@name"
+ * Uses the mentions stored with the message, or parses the text for messages
+ * stored without them; AI messages never force a speaker.
+ * @param {Object} message - The message being answered
+ * @param {Object[]} participants - The room's AI participants
+ * @returns {string[]} Distinct names of current participants, in order of first mention
+ */
+function getMentionedSpeakers(message, participants) {
+  const participantNames = participants.map(participant => participant.name);
+  if (participantNames.includes(message.sender)) {
+    return [];
+  }
+
+  const mentions = message.mentions || parseMentions(message.message, participants);
+  return [...new Set(mentions.map(mention => mention.name))]
+    .filter(name => participantNames.includes(name));
+}
+
+/**
+ * Generate one participant's reply to the conversation
+ * Streams into a partial message when STREAM_RESPONSES is on, the speaker's
+ * provider supports streaming and no moderation is configured (partial text
+ * would be published before it is checked). Failed calls are retried and, when the speaker
+ * has fallbackProviders, handed to the next provider in the chain.
+ * @param {string} roomId - The room
+ * @param {Object} speaker - The participant that responds
+ * @param {Object} metadata - Room metadata (for the other participants)
+ * @param {Object[]} conversation - Messages so far, oldest first
+ * @param {number} afterDatetime - The reply is dated after this message
+ * @param {boolean} debug - Enable debug logging
+ * @param {Object} [options] - Options
+ * @param {Object} [options.circuitBreaker] - Circuit breaker skipping and recording providers
+ * @param {Object} [options.budget] - Budget state skipping providers over budget
+ * @param {Object} [options.redactor] - Redactor of the tick's prompts (default: one for the room's settings)
+ * @param {number} [options.deadline] - Epoch ms by which the reply must be generated
+ * @returns {Promise<Object>} The new ChatMessage (isProcessed=false), not yet saved,
+ * with the provider that produced it, its priced token usage and its moderation outcome
+ */
+async function generateReply(roomId, speaker, metadata, conversation, afterDatetime, debug, options = {}) {
+  const participantNames = metadata.llmParticipants.map(participant => participant.name);
+  const redactor = options.redactor || createRedactor(resolveRedaction(metadata));
+  const history = buildPersonaHistory(conversation.map(redactor.redactMessage), speaker.name, participantNames);
+  const generationOptions = {
+    systemPrompt: buildSystemPrompt(speaker, metadata.llmParticipants),
+    ...(options.deadline !== undefined && { deadline: options.deadline })
+  };
+
+  // Call appropriate LLM API (Requirement: 6.2)
+  // A streamed reply's datetime is fixed up front so the partial item and the
+  // finished message share one key
+  let datetime;
+  let reply;
+  if (STREAM_RESPONSES && !isModerationConfigured() &&
+      getProvider(LLM_PROVIDER_OVERRIDE || speaker.provider).capabilities.streaming) {
+    datetime = Math.max(Date.now(), afterDatetime + 1);
+    reply = await streamReply(
+      { id: roomId, datetime, sender: speaker.name, isProcessed: false },
+      speaker,
+      history,
+      debug,
+      { generationOptions, circuitBreaker: options.circuitBreaker, budget: options.budget }
+    );
+  } else {
+    reply = await generateWithFallback(
+      buildProviderChain(speaker, generationOptions),
+      history,
+      debug,
+      { circuitBreaker: options.circuitBreaker, budget: options.budget }
+    );
+    datetime = Math.max(Date.now(), afterDatetime + 1);
+  }
+  log(debug, `LLM response from ${reply.provider}:`, reply.text);
+
+  // A blocked reply is published as MODERATION_BLOCKED_TEXT
+  const { text, moderation } = await moderateReply(reply.text, debug, {
+    circuitBreaker: options.circuitBreaker,
+    budget: options.budget,
+    deadline: options.deadline,
+    redaction: resolveRedaction(metadata)
+  });
+
+  // Create new message with isProcessed=false (Requirement: 6.3)
+  const newMessage = {
+    ...createChatMessage(speaker.name, text, undefined, roomId),
+    datetime,
+    provider: reply.provider,
+    ...(moderation && { moderation }),
+    ...(reply.fallbackFrom && { fallbackFrom: reply.fallbackFrom }),
+    ...(reply.usage && { usage: priceUsage(reply.usage) })
+  };
+  log(debug, 'New message created:', newMessage);
+  return newMessage;
+}
+
+/**
+ * Resolve the rooms to tick in this invocation
+ * The default room is always included so a deployment whose original "chat"
+ * metadata predates the RoomIndex keeps working.
+ * @param {Object} event - EventBridge event; may name a single roomId to tick
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<string[]>} Room ids to process
+ */
+async function resolveRoomIds(event, debug) {
+  if (event && typeof event.roomId === 'string' && event.roomId.length > 0) {
+    return [event.roomId];
+  }
+
+  const roomIds = await listRoomIds(debug);
+  return [...new Set([DEFAULT_ROOM_ID, ...roomIds])];
+}
+
+/**
+ * Run one orchestration step for a single room
  * Implements the orchestration loop logic:
  * 1. Fetch metadata and latest message
  * 2. Check if processing is needed
- * 3. Get orchestrator decision (RESPOND/WAIT)
+ * 3. Get orchestrator decision (RESPOND/RESPOND_MANY/WAIT)
  * 4. Execute appropriate action
  * 
- * @param {Object} event - EventBridge event (not used, but required by Lambda)
- * @returns {Object} Response object with statusCode and body
+ * A speaker whose reply times out is recorded and skipped; the others still answer.
+ * Once the global spend budget is exceeded the room either waits for it to
+ * reset or is answered by its cheapest participant (LLM_BUDGET_ACTION).
+ * 
+ * @param {string} roomId - The room to process
+ * @param {boolean} debug - Enable debug logging
+ * @param {Object} [options] - Options
+ * @param {number} [options.deadline] - Epoch ms by which LLM calls must be done (the invocation's budget)
+ * @param {Object} [options.budget] - Budget state of the tick (see checkBudgets); none means within budget
+ * @returns {Promise<Object>} Result object with statusCode and body (plain object)
  */
-exports.handler = async (event) => {
-  const debug = process.env.DEBUG === 'true';
-  
-  log(debug, 'Orchestrator Lambda invoked');
+async function processRoom(roomId, debug, options = {}) {
+  const budget = options.budget || createBudgetState([]);
 
-  try {
-    // Step 1: Fetch metadata and latest message (Requirements: 3.2, 3.3)
-    const [metadata, latestMessage] = await Promise.all([
-      getChatMetadata(debug),
-      getLatestMessage(debug)
-    ]);
-
-    // Check if metadata exists
-    if (!metadata) {
-      console.error('Chat metadata not found. Orchestrator cannot proceed.');
-      return {
-        statusCode: 200,
-        body: JSON.stringify({ 
-          action: 'EXIT', 
-          reason: 'Metadata not found' 
-        })
-      };
-    }
+  // Step 1: Fetch metadata and latest message (Requirements: 3.2, 3.3)
+  const [metadata, latestMessage] = await Promise.all([
+    getChatMetadata(roomId, debug),
+    getLatestMessage(roomId, debug)
+  ]);
+
+  // Check if metadata exists
+  if (!metadata) {
+    console.error(`Chat metadata not found for room ${roomId}. Orchestrator cannot proceed.`);
+    return {
+      statusCode: 200,
+      body: { 
+        action: 'EXIT', 
+        reason: 'Metadata not found' 
+      }
+    };
+  }
+
+  log(debug, 'Fetched metadata:', metadata);
+
+  // Archived rooms keep their history but are no longer ticked
+  if (metadata.archived === true) {
+    log(debug, `Room ${roomId} is archived. Exiting without action.`);
+    return {
+      statusCode: 200,
+      body: { 
+        action: 'EXIT', 
+        reason: 'Room archived' 
+      }
+    };
+  }
+
+  // Step 2: Check if no messages exist (Requirement: 4.2)
+  if (!latestMessage) {
+    log(debug, 'No messages exist in chat. Exiting without action.');
+    return {
+      statusCode: 200,
+      body: { 
+        action: 'EXIT', 
+        reason: 'No messages exist' 
+      }
+    };
+  }
 
-    log(debug, 'Fetched metadata:', metadata);
+  log(debug, 'Latest message:', latestMessage);
 
-    // Step 2: Check if no messages exist (Requirement: 4.2)
-    if (!latestMessage) {
-      log(debug, 'No messages exist in chat. Exiting without action.');
+  // Step 3: Check if latest message is already processed (Requirement: 4.1)
+  // Skip metadata item (datetime=0) - only process actual messages
+  if (latestMessage.datetime === 0) {
+    log(debug, 'Latest item is metadata, not a message. Exiting without action.');
+    return {
+      statusCode: 200,
+      body: { 
+        action: 'EXIT', 
+        reason: 'No messages to process' 
+      }
+    };
+  }
+
+  // A reply still streaming in is left alone; one whose stream died is discarded
+  // so the message it answered becomes the latest again and is retried next tick
+  if (latestMessage.status === STREAMING_STATUS) {
+    if (!isStaleStreamingMessage(latestMessage)) {
+      log(debug, 'Latest message is still streaming. Exiting without action.');
       return {
         statusCode: 200,
-        body: JSON.stringify({ 
+        body: { 
           action: 'EXIT', 
-          reason: 'No messages exist' 
-        })
+          reason: 'Response in progress' 
+        }
       };
     }
 
-    log(debug, 'Latest message:', latestMessage);
+    log(debug, 'Discarding stale streaming message:', latestMessage.datetime);
+    await deleteMessage(roomId, latestMessage.datetime, debug);
+    return {
+      statusCode: 200,
+      body: { 
+        action: 'EXIT', 
+        reason: 'Discarded stale streaming message',
+        discardedMessage: latestMessage.datetime
+      }
+    };
+  }
+
+  if (latestMessage.isProcessed === true) {
+    log(debug, 'Latest message already processed. Exiting without action.');
+    return {
+      statusCode: 200,
+      body: { 
+        action: 'EXIT', 
+        reason: 'Message already processed' 
+      }
+    };
+  }
 
-    // Step 3: Check if latest message is already processed (Requirement: 4.1)
-    // Skip metadata item (datetime=0) - only process actual messages
-    if (latestMessage.datetime === 0) {
-      log(debug, 'Latest item is metadata, not a message. Exiting without action.');
+  // Enough messages for the orchestrator, the persona history and counting the AI chain
+  const autonomy = resolveAutonomy(metadata);
+  const recentMessages = (await getRecentMessages(
+    roomId,
+    Math.max(ORCHESTRATOR_CONTEXT_MESSAGES, PERSONA_HISTORY_MESSAGES, autonomy.maxConsecutiveAiTurns + 1),
+    debug
+  )).filter(message => message.status !== STREAMING_STATUS);
+  const participantNames = metadata.llmParticipants.map(participant => participant.name);
+
+  // AI messages are only answered in autonomous rooms, within the room's chain limits
+  const aiTurn = checkAiTurn(autonomy, recentMessages, participantNames);
+  if (!aiTurn.allowed) {
+    if (aiTurn.retryAfterMs !== undefined) {
+      log(debug, `Next AI turn in ${aiTurn.retryAfterMs}ms. Exiting without action.`);
       return {
         statusCode: 200,
-        body: JSON.stringify({ 
+        body: { 
           action: 'EXIT', 
-          reason: 'No messages to process' 
-        })
+          reason: aiTurn.reason,
+          retryAfterMs: aiTurn.retryAfterMs
+        }
       };
     }
 
-    if (latestMessage.isProcessed === true) {
-      log(debug, 'Latest message already processed. Exiting without action.');
-      return {
-        statusCode: 200,
-        body: JSON.stringify({ 
-          action: 'EXIT', 
-          reason: 'Message already processed' 
-        })
-      };
+    log(debug, `No further AI turn (${aiTurn.reason}). Marking message as processed.`);
+    await markMessageProcessed(roomId, latestMessage.datetime, debug);
+    return {
+      statusCode: 200,
+      body: { 
+        action: 'WAIT', 
+        reason: aiTurn.reason,
+        messageProcessed: latestMessage.datetime 
+      }
+    };
+  }
+  const answeringAi = participantNames.includes(latestMessage.sender);
+
+  // Over the global budget the message waits, unanswered, until the budget resets
+  const overBudget = budget.isGlobalExceeded();
+  if (overBudget && budget.action === BUDGET_ACTIONS.STOP) {
+    const retryAfterMs = Math.max(budget.resetsAt() - Date.now(), 0);
+    log(debug, `Budget exceeded. Retrying in ${retryAfterMs}ms.`);
+    return {
+      statusCode: 200,
+      body: {
+        action: 'EXIT',
+        reason: 'Budget exceeded',
+        retryAfterMs
+      }
+    };
+  }
+
+  // Step 4: Call Orchestrator LLM for decision (Requirements: 4.3, 4.4, 4.5)
+  // Prompts carry redacted copies of the messages; one redactor per tick keeps
+  // a value's placeholder the same in the decision and every reply
+  const redactor = createRedactor(resolveRedaction(metadata));
+  const context = buildConversationContext(recentMessages.map(redactor.redactMessage), participantNames);
+  log(debug, 'Built context for orchestrator:', context);
+
+  // Participants whose providers are all down (open circuits) or over their
+  // budgets are skipped until the first of them is back. The orchestrator's
+  // and the moderation classifier's circuits are loaded too, as the decision
+  // and the reply checks call them.
+  const orchestratorProvider = getOrchestratorProvider();
+  const circuitBreaker = await loadCircuitBreaker([
+    ...metadata.llmParticipants,
+    { provider: orchestratorProvider },
+    ...(MODERATION_PROVIDER ? [{ provider: MODERATION_PROVIDER }] : [])
+  ], debug);
+
+  // Mentioned personas always answer, without asking the orchestrator LLM; over
+  // budget, with its circuit open or when the call fails, the decision is left
+  // to the cheapest participant or the speaker strategy
+  const mentionedSpeakers = getMentionedSpeakers(latestMessage, metadata.llmParticipants);
+  let decisionUsage = null;
+  let decision;
+  if (overBudget) {
+    decision = { action: 'RESPOND', reason: 'Budget exceeded: cheapest participant' };
+  } else if (mentionedSpeakers.length > 0) {
+    decision = {
+      action: mentionedSpeakers.length > 1 ? 'RESPOND_MANY' : 'RESPOND',
+      speakers: mentionedSpeakers,
+      reason: `Mentioned: ${mentionedSpeakers.join(', ')}`
+    };
+  } else if (budget.isExceeded(orchestratorProvider)) {
+    decision = { action: 'RESPOND', reason: 'Orchestrator over budget' };
+  } else if (circuitBreaker.isOpen(orchestratorProvider)) {
+    decision = { action: 'RESPOND', reason: 'Orchestrator circuit open' };
+  } else {
+    try {
+      decision = await getOrchestratorDecision(context, participantNames, debug, {
+        deadline: options.deadline,
+        onUsage: (usage, provider) => { decisionUsage = { provider, usage }; }
+      });
+      await circuitBreaker.recordSuccess(orchestratorProvider);
+    } catch (error) {
+      await circuitBreaker.recordFailure(orchestratorProvider, error);
+      decision = { action: 'RESPOND', reason: `Orchestrator decision failed: ${error.message}` };
     }
+  }
+  log(debug, 'Orchestrator decision:', decision);
+  if (decisionUsage) {
+    await recordUsage(decisionUsage.provider, priceUsage(decisionUsage.usage), debug);
+  }
+
+  // In autonomous mode the AIs keep the dialogue going; the chain limits decide when it stops
+  if (answeringAi && decision.action === 'WAIT') {
+    log(debug, 'Autonomous room: continuing the dialogue instead of waiting.');
+    decision.action = 'RESPOND';
+    decision.reason = decision.reason ? `Autonomous dialogue (${decision.reason})` : 'Autonomous dialogue';
+  }
+
+  // Step 5: Handle WAIT action (Requirements: 5.1, 5.2)
+  if (decision.action === 'WAIT') {
+    log(debug, 'Orchestrator decided to WAIT. Marking message as processed.');
+    await markMessageProcessed(roomId, latestMessage.datetime, debug);
+    
+    return {
+      statusCode: 200,
+      body: { 
+        action: 'WAIT', 
+        messageProcessed: latestMessage.datetime 
+      }
+    };
+  }
 
-    // Step 4: Call Orchestrator LLM for decision (Requirements: 4.3, 4.4, 4.5)
-    const context = buildContextFromMessage(latestMessage);
-    log(debug, 'Built context for orchestrator:', context);
+  // Step 6: Handle RESPOND / RESPOND_MANY (Requirements: 6.1, 6.2, 6.3, 6.4, 6.5, 6.6)
+  // Each reply marks the message before it as processed, so after several
+  // speakers only the last reply is left for the next tick
+  if (decision.action === 'RESPOND' || decision.action === 'RESPOND_MANY') {
+    log(debug, `Orchestrator decided to ${decision.action}.`);
 
-    const decision = await getOrchestratorDecision(context, debug);
-    log(debug, 'Orchestrator decision:', decision);
+    const isAvailable = participant => getParticipantProviders(participant)
+      .some(provider => !circuitBreaker.isOpen(provider) && !budget.isExceeded(provider));
+    const skippedSpeakers = metadata.llmParticipants
+      .filter(participant => !isAvailable(participant))
+      .map(participant => {
+        const providers = getParticipantProviders(participant);
+        return {
+          speaker: participant.name,
+          openUntil: Math.min(...providers.map(provider =>
+            Math.max(circuitBreaker.openUntil(provider) || 0, budget.resetsAt(provider) || 0))),
+          ...(providers.some(provider => budget.isExceeded(provider)) && { overBudget: true })
+        };
+      });
+    if (skippedSpeakers.length > 0) {
+      log(debug, 'Skipping participants with open circuits or spent budgets:', skippedSpeakers);
+    }
 
-    // Step 5: Handle WAIT action (Requirements: 5.1, 5.2)
-    if (decision.action === 'WAIT') {
-      log(debug, 'Orchestrator decided to WAIT. Marking message as processed.');
-      await markMessageProcessed(latestMessage.datetime, debug);
-      
+    // Get speakers: the orchestrator's choice, or the room's speaker strategy (Requirement: 6.1);
+    // over the global budget only the cheapest participant
+    const cheapest = overBudget ? selectCheapestParticipant(metadata.llmParticipants, isAvailable) : null;
+    const resolved = overBudget
+      ? { speakers: cheapest ? [cheapest] : [], source: 'budget' }
+      : resolveSpeakers(metadata, decision, recentMessages, Math.random, isAvailable);
+    if (resolved.speakers.length === 0) {
+      // Nobody can answer; the message stays unprocessed until a circuit lets calls through
+      const retryAfterMs = Math.max(Math.min(...skippedSpeakers.map(skipped => skipped.openUntil)) - Date.now(), 0);
+      log(debug, `No participant available. Retrying in ${retryAfterMs}ms.`);
       return {
         statusCode: 200,
-        body: JSON.stringify({ 
-          action: 'WAIT', 
-          messageProcessed: latestMessage.datetime 
-        })
+        body: {
+          action: 'EXIT',
+          reason: 'All participants unavailable',
+          retryAfterMs,
+          skippedSpeakers
+        }
       };
     }
+    const speakers = resolved.speakers.slice(0, aiTurn.remainingTurns);
+    const source = mentionedSpeakers.length > 0 && resolved.source === 'orchestrator' ? 'mention' : resolved.source;
+    log(debug, `Speakers (${source}):`, speakers.map(({ participant }) => participant.name));
 
-    // Step 6: Handle RESPOND action (Requirements: 6.1, 6.2, 6.3, 6.4, 6.5, 6.6)
-    if (decision.action === 'RESPOND') {
-      log(debug, 'Orchestrator decided to RESPOND.');
-
-      // Get current speaker (Requirement: 6.1)
-      const currentSpeaker = getNextSpeaker(metadata);
-      log(debug, 'Current speaker:', currentSpeaker);
+    const conversation = [...recentMessages];
+    const responses = [];
+    let previousDatetime = latestMessage.datetime;
+    let newSpeakerIndex = metadata.nextSpeakerIndex;
+    let failure = null;
+    const timedOutSpeakers = [];
 
-      // Call appropriate LLM API (Requirement: 6.2)
-      const responseText = await generateResponse(
-        currentSpeaker.provider,
-        latestMessage.message,
-        currentSpeaker.personality,
-        debug
-      );
-      log(debug, 'LLM response:', responseText);
-
-      // Create new message with isProcessed=false (Requirement: 6.3)
-      const newMessage = createChatMessage(
-        currentSpeaker.name,
-        responseText
-      );
-      log(debug, 'New message created:', newMessage);
+    for (const { participant, index } of speakers) {
+      let newMessage;
+      try {
+        newMessage = await generateReply(roomId, participant, metadata, conversation, previousDatetime, debug, {
+          circuitBreaker,
+          budget,
+          redactor,
+          deadline: options.deadline
+        });
+      } catch (error) {
+        if (isTimeoutError(error)) {
+          console.error(`Reply from ${participant.name} timed out in room ${roomId}:`, error.message);
+          timedOutSpeakers.push({ speaker: participant.name, message: error.message });
+          continue;
+        }
+        // The first failure leaves the chat untouched and is retried next tick;
+        // later ones keep the replies already written
+        if (responses.length === 0) {
+          throw error;
+        }
+        console.error(`Reply from ${participant.name} failed in room ${roomId}:`, error.message);
+        failure = {
+          speaker: participant.name,
+          message: error.message,
+          ...(error.failures && { failures: error.failures })
+        };
+        break;
+      }
 
-      // Calculate next speaker index (Requirement: 6.5)
-      const newSpeakerIndex = incrementSpeakerIndex(
-        metadata.nextSpeakerIndex,
-        metadata.llmParticipants.length
-      );
+      // Calculate next speaker index: round-robin continues after the speaker (Requirement: 6.5)
+      newSpeakerIndex = incrementSpeakerIndex(index, metadata.llmParticipants.length);
       log(debug, 'New speaker index:', newSpeakerIndex);
 
-      // Batch write: save new message, mark original as processed, update index (Requirement: 6.6)
+      // Batch write: save new message, mark previous as processed, update index (Requirement: 6.6)
       await batchWriteResponseAndUpdate(
         newMessage,
-        latestMessage.datetime,
+        previousDatetime,
         newSpeakerIndex,
         debug
       );
       log(debug, 'Batch write completed successfully');
+      if (newMessage.usage) {
+        await recordUsage(newMessage.provider, newMessage.usage, debug);
+      }
+
+      conversation.push(newMessage);
+      previousDatetime = newMessage.datetime;
+      responses.push({
+        speaker: participant.name,
+        provider: newMessage.provider,
+        ...(newMessage.fallbackFrom && { fallbackFrom: newMessage.fallbackFrom }),
+        ...(newMessage.usage && { usage: newMessage.usage }),
+        ...(newMessage.moderation && newMessage.moderation.outcome !== 'allow' && { moderation: newMessage.moderation }),
+        newMessageDatetime: newMessage.datetime
+      });
+    }
 
+    if (responses.length === 0) {
+      // Every speaker timed out; the message stays unprocessed for the next tick
       return {
         statusCode: 200,
-        body: JSON.stringify({
-          action: 'RESPOND',
-          speaker: currentSpeaker.name,
-          provider: currentSpeaker.provider,
-          newMessageDatetime: newMessage.datetime,
-          originalMessageProcessed: latestMessage.datetime,
-          newSpeakerIndex: newSpeakerIndex
-        })
+        body: {
+          action: 'EXIT',
+          reason: 'Replies timed out',
+          timedOutSpeakers,
+          ...(skippedSpeakers.length > 0 && { skippedSpeakers })
+        }
       };
     }
 
-    // Unexpected decision action (should not happen due to validation in llmService)
-    console.error('Unexpected orchestrator decision:', decision);
+    const body = decision.action === 'RESPOND'
+      ? { action: 'RESPOND', ...responses[0] }
+      : { action: 'RESPOND_MANY', responses };
+    Object.assign(body, {
+      originalMessageProcessed: latestMessage.datetime,
+      newSpeakerIndex,
+      speakerSource: source
+    });
+    if (decision.reason) {
+      body.reason = decision.reason;
+    }
+    if (decision.rejectedSpeakers) {
+      body.rejectedSpeakers = decision.rejectedSpeakers;
+    }
+    if (failure) {
+      body.failedSpeaker = failure;
+    }
+    if (skippedSpeakers.length > 0) {
+      body.skippedSpeakers = skippedSpeakers;
+    }
+    if (timedOutSpeakers.length > 0) {
+      body.timedOutSpeakers = timedOutSpeakers;
+    }
+
     return {
-      statusCode: 500,
-      body: JSON.stringify({ 
-        error: 'Unexpected orchestrator decision',
-        decision: decision 
-      })
+      statusCode: 200,
+      body
     };
+  }
 
+  // Unexpected decision action (should not happen due to validation in llmService)
+  console.error('Unexpected orchestrator decision:', decision);
+  return {
+    statusCode: 500,
+    body: { 
+      error: 'Unexpected orchestrator decision',
+      decision: decision 
+    }
+  };
+}
+
+/**
+ * Main orchestrator handler
+ * Runs one orchestration step per room. Rooms are processed one after another
+ * and a failure in one room is recorded without stopping the others. LLM calls
+ * share the invocation's remaining time; rooms left when it runs out wait for
+ * the next tick. Spend budgets are checked once per tick and exceeded ones are
+ * listed in the response (budgetExceeded).
+ * 
+ * @param {Object} event - EventBridge event; an optional roomId limits the tick to that room
+ * @param {Object} [context] - Lambda context (getRemainingTimeInMillis sets the time budget)
+ * @returns {Object} Response object with statusCode and body listing per-room results
+ */
+exports.handler = async (event, context) => {
+  const debug = process.env.DEBUG === 'true';
+  const deadline = getInvocationDeadline(context);
+  
+  log(debug, 'Orchestrator Lambda invoked');
+
+  let roomIds;
+  try {
+    roomIds = await resolveRoomIds(event, debug);
   } catch (error) {
-    // Error handling (Requirement: 8.4)
-    // Log error but don't corrupt chat state
     console.error('Orchestrator error:', error.message);
-    
     return {
       statusCode: 500,
       body: JSON.stringify({ 
@@ -206,7 +690,53 @@ exports.handler = async (event) => {
       })
     };
   }
+
+  log(debug, 'Rooms to process:', roomIds);
+
+  const budget = await checkBudgets(debug);
+
+  let statusCode = 200;
+  const rooms = [];
+
+  for (const roomId of roomIds) {
+    if (deadline !== undefined && Date.now() >= deadline) {
+      log(debug, `Out of time. Room ${roomId} waits for the next tick.`);
+      rooms.push({ roomId, action: 'EXIT', reason: 'Out of time' });
+      continue;
+    }
+    try {
+      const result = await processRoom(roomId, debug, { deadline, budget });
+      statusCode = Math.max(statusCode, result.statusCode);
+      rooms.push({ roomId, ...result.body });
+    } catch (error) {
+      // Error handling (Requirement: 8.4)
+      // Log error but don't corrupt chat state
+      console.error(`Orchestrator error in room ${roomId}:`, error.message);
+      statusCode = 500;
+      rooms.push({ 
+        roomId,
+        error: 'Orchestrator error',
+        message: error.message,
+        ...(isTimeoutError(error) && { timedOut: true }),
+        ...(error.failures && { failures: error.failures })
+      });
+    }
+  }
+
+  return {
+    statusCode,
+    body: JSON.stringify({
+      rooms,
+      ...(budget.exceeded.length > 0 && { budgetExceeded: budget.exceeded })
+    })
+  };
 };
 
 // Export internal functions for testing
+module.exports.getSpeakerLabel = getSpeakerLabel;
 module.exports.buildContextFromMessage = buildContextFromMessage;
+module.exports.buildConversationContext = buildConversationContext;
+module.exports.buildPersonaHistory = buildPersonaHistory;
+module.exports.getMentionedSpeakers = getMentionedSpeakers;
+module.exports.processRoom = processRoom;
+module.exports.resolveRoomIds = resolveRoomIds;
@@ -6,6 +6,7 @@
  * Requirements: 1.1, 1.2
  */
 
+const { DEFAULT_ROOM_ID } = require('../config');
 const { initializeChatMetadata, getChatMetadata } = require('../services/dynamoDbService');
 const { createChatMetadata } = require('../models/chatMetadata');
 
@@ -21,6 +22,13 @@ const llmParticipants = [
         "Ah, this reminds me of patterns I've seen before. Let me share my perspective on: "
       ],
       phrase: "Hey Gemini, what's your take on "
+    },
+    systemPrompt: {
+      description: "An analytical, pattern-spotting enthusiast who loves breaking problems into parts and connecting ideas across fields.",
+      styleRules: [
+        "Structure your thoughts; a short list is fine when it helps.",
+        "Point out connections to what others in the chat said."
+      ]
     }
   },
   {
@@ -33,6 +41,13 @@ const llmParticipants = [
         "Thank you for bringing this up. I think there are several important aspects to consider: "
       ],
       phrase: "Claude, I'd love your thoughtful perspective on "
+    },
+    systemPrompt: {
+      description: "A thoughtful, careful conversationalist who weighs nuance, acknowledges uncertainty and respects differing views.",
+      styleRules: [
+        "Consider more than one angle before settling on an answer.",
+        "Gently challenge claims from other participants when you disagree."
+      ]
     }
   },
   {
@@ -45,19 +60,27 @@ const llmParticipants = [
         "I love tackling questions like this. Here's my analysis of: "
       ],
       phrase: "OpenAI, can you help me understand "
+    },
+    systemPrompt: {
+      description: "An energetic explainer who enjoys giving practical, well-rounded overviews with concrete examples.",
+      styleRules: [
+        "Lead with the most useful point.",
+        "Use a concrete example when explaining something."
+      ]
     }
   }
 ];
 
 /**
  * Main initialization function
+ * @param {string} [roomId] - Room to initialize (defaults to the default room)
  */
-async function initializeChatSystem() {
+async function initializeChatSystem(roomId = DEFAULT_ROOM_ID) {
   try {
-    console.log('🚀 Initializing chat metadata...');
+    console.log(`🚀 Initializing chat metadata for room "${roomId}"...`);
     
     // Check if metadata already exists
-    const existingMetadata = await getChatMetadata(true);
+    const existingMetadata = await getChatMetadata(roomId, true);
     
     if (existingMetadata) {
       console.log('⚠️  Chat metadata already exists:');
@@ -84,16 +107,16 @@ async function initializeChatSystem() {
     }
     
     // Create and validate the metadata object
-    const metadata = createChatMetadata(llmParticipants);
+    const metadata = createChatMetadata(llmParticipants, roomId);
     console.log('✅ Created metadata object with', metadata.llmParticipants.length, 'participants');
     
     // Initialize the metadata in DynamoDB
-    await initializeChatMetadata(llmParticipants, true);
+    await initializeChatMetadata(roomId, llmParticipants, true);
     
     console.log('🎉 Chat metadata initialized successfully!');
     console.log('');
     console.log('📋 Configuration Summary:');
-    console.log('   - Table: Chat metadata item created (PK="chat", SK=0)');
+    console.log(`   - Table: Chat metadata item created (PK="${roomId}", SK=0)`);
     console.log('   - Participants:', llmParticipants.length);
     console.log('   - Initial speaker index: 0');
     console.log('');
@@ -101,6 +124,7 @@ async function initializeChatSystem() {
     llmParticipants.forEach((participant, index) => {
       console.log(`   ${index + 1}. ${participant.name} (${participant.provider})`);
       console.log(`      Phrase: "${participant.personality.phrase}"`);
+      console.log(`      Persona: ${participant.systemPrompt.description}`);
       console.log(`      Moods: ${participant.personality.moods.length} variations`);
     });
     console.log('');
@@ -114,13 +138,14 @@ async function initializeChatSystem() {
     console.error('   - Check that the chat table exists');
     console.error('   - Verify AWS credentials and permissions');
     console.error('   - Run: npm run init-db (if using local DynamoDB)');
-    process.exit(1);
+    throw error;
   }
 }
 
 // Handle command line execution
+// Usage: node scripts/init-chat-metadata.js [roomId]
 if (require.main === module) {
-  initializeChatSystem();
+  initializeChatSystem(process.argv[2] || DEFAULT_ROOM_ID).catch(() => process.exit(1));
 }
 
 module.exports = {
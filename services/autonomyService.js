@@ -0,0 +1,132 @@
+/**
+ * Autonomy Service
+ * Policy for the AI-to-AI "infinite dialogue" mode of a room (metadata.autonomy):
+ * whether an AI message may be answered by another AI, and how many more AI
+ * turns may follow in a row.
+ */
+
+/**
+ * Autonomy settings of rooms that do not set them; AIs keep the dialogue
+ * going within the chain limits, as the single chat room always did
+ */
+const DEFAULT_AUTONOMY = {
+  enabled: true,
+  maxConsecutiveAiTurns: 6,
+  minTurnSpacingSeconds: 0,
+  idleCutoffMinutes: 30
+};
+
+/**
+ * Upper bound of maxConsecutiveAiTurns, which also bounds the messages fetched to count them
+ */
+const MAX_CONSECUTIVE_AI_TURNS = 50;
+
+/**
+ * Validates a room's autonomy settings
+ * @param {Object} autonomy - { enabled, maxConsecutiveAiTurns?, minTurnSpacingSeconds?, idleCutoffMinutes? }
+ * @throws {Error} If a setting is missing or out of range
+ */
+function validateAutonomy(autonomy) {
+  if (!autonomy || typeof autonomy !== 'object' || Array.isArray(autonomy)) {
+    throw new Error('Room autonomy must be an object');
+  }
+
+  if (typeof autonomy.enabled !== 'boolean') {
+    throw new Error('Room autonomy.enabled must be a boolean');
+  }
+
+  if (autonomy.maxConsecutiveAiTurns !== undefined &&
+      (!Number.isInteger(autonomy.maxConsecutiveAiTurns) || autonomy.maxConsecutiveAiTurns < 1 ||
+       autonomy.maxConsecutiveAiTurns > MAX_CONSECUTIVE_AI_TURNS)) {
+    throw new Error(`Room autonomy.maxConsecutiveAiTurns must be an integer between 1 and ${MAX_CONSECUTIVE_AI_TURNS}`);
+  }
+
+  if (autonomy.minTurnSpacingSeconds !== undefined &&
+      (typeof autonomy.minTurnSpacingSeconds !== 'number' || !Number.isFinite(autonomy.minTurnSpacingSeconds) ||
+       autonomy.minTurnSpacingSeconds < 0)) {
+    throw new Error('Room autonomy.minTurnSpacingSeconds must be a non-negative number');
+  }
+
+  if (autonomy.idleCutoffMinutes !== undefined &&
+      (typeof autonomy.idleCutoffMinutes !== 'number' || !Number.isFinite(autonomy.idleCutoffMinutes) ||
+       autonomy.idleCutoffMinutes <= 0)) {
+    throw new Error('Room autonomy.idleCutoffMinutes must be a positive number');
+  }
+}
+
+/**
+ * The room's autonomy settings with defaults filled in
+ * @param {Object} metadata - The ChatMetadata object
+ * @returns {Object} Complete autonomy settings
+ */
+function resolveAutonomy(metadata) {
+  return { ...DEFAULT_AUTONOMY, ...(metadata && metadata.autonomy) };
+}
+
+/**
+ * Count the AI messages at the end of the conversation
+ * @param {Object[]} messages - Recent messages, oldest first
+ * @param {string[]} participantNames - Names of the room's AI participants
+ * @returns {number} Number of AI messages since the last user message
+ */
+function countConsecutiveAiTurns(messages, participantNames) {
+  let count = 0;
+  for (let index = messages.length - 1; index >= 0; index--) {
+    if (!participantNames.includes(messages[index].sender)) {
+      break;
+    }
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Decide whether more AI turns may follow the conversation
+ * A user message can always be answered (up to maxConsecutiveAiTurns replies).
+ * An AI message can only be answered in autonomous rooms, after minTurnSpacingSeconds,
+ * while a user spoke within idleCutoffMinutes and the chain is below maxConsecutiveAiTurns.
+ * @param {Object} autonomy - Complete autonomy settings (see resolveAutonomy)
+ * @param {Object[]} messages - Recent messages, oldest first; the last one is being answered
+ * @param {string[]} participantNames - Names of the room's AI participants
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {{allowed: boolean, remainingTurns: number, reason?: string, retryAfterMs?: number}}
+ *   remainingTurns is how many AI replies may be written now; when not allowed, retryAfterMs
+ *   is set if the message should be left unprocessed and retried later
+ */
+function checkAiTurn(autonomy, messages, participantNames, now = Date.now()) {
+  const consecutiveTurns = countConsecutiveAiTurns(messages, participantNames);
+  const remainingTurns = Math.max(autonomy.maxConsecutiveAiTurns - consecutiveTurns, 0);
+
+  if (consecutiveTurns === 0) {
+    return { allowed: true, remainingTurns };
+  }
+
+  if (!autonomy.enabled) {
+    return { allowed: false, remainingTurns: 0, reason: 'Autonomy disabled' };
+  }
+
+  if (remainingTurns === 0) {
+    return { allowed: false, remainingTurns: 0, reason: 'AI turn limit reached' };
+  }
+
+  const lastUserMessage = messages[messages.length - 1 - consecutiveTurns];
+  if (!lastUserMessage || now - lastUserMessage.datetime > autonomy.idleCutoffMinutes * 60 * 1000) {
+    return { allowed: false, remainingTurns: 0, reason: 'Room idle' };
+  }
+
+  const waitMs = messages[messages.length - 1].datetime + autonomy.minTurnSpacingSeconds * 1000 - now;
+  if (waitMs > 0) {
+    return { allowed: false, remainingTurns, reason: 'Waiting for turn spacing', retryAfterMs: waitMs };
+  }
+
+  return { allowed: true, remainingTurns };
+}
+
+module.exports = {
+  validateAutonomy,
+  resolveAutonomy,
+  countConsecutiveAiTurns,
+  checkAiTurn,
+  DEFAULT_AUTONOMY,
+  MAX_CONSECUTIVE_AI_TURNS
+};
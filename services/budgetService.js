@@ -0,0 +1,251 @@
+/**
+ * Budget Service
+ * Daily and monthly spend limits on LLM calls (LLM_BUDGETS), in estimated USD
+ * and/or tokens, for all providers together and per provider. Spending is read
+ * from the usage counters usageService keeps (see getProviderUsage), so limits
+ * cover every call: replies, fallbacks and orchestrator decisions.
+ *
+ * Periods are UTC: a daily budget resets at midnight, a monthly one on the
+ * first of the month. Once a provider is over its own budget its calls are
+ * skipped like an open circuit; once the global budget is spent the
+ * orchestrator stops answering or lets only the cheapest participant answer
+ * (LLM_BUDGET_ACTION). Calls under way finish, so a budget can be overshot by
+ * the calls of one tick.
+ */
+
+const { log, LLM_BUDGETS, LLM_BUDGET_ACTION, LLM_PROVIDER_OVERRIDE } = require('../config.js');
+const { getProviderUsage, putBudgetStatus, getBudgetStatus } = require('./dynamoDbService.js');
+const { getProviderNames, getProvider } = require('./providers/index.js');
+const { getModelPrice, toUsageDay } = require('./usageService.js');
+
+/**
+ * What the orchestrator does once the global budget is spent
+ */
+const BUDGET_ACTIONS = {
+  STOP: 'stop',
+  CHEAPEST: 'cheapest'
+};
+
+/**
+ * An exceeded budget
+ * @typedef {Object} ExceededBudget
+ * @property {string} [provider] - The provider whose budget is spent; none for the global budget
+ * @property {'daily' | 'monthly'} period - Budget period
+ * @property {'usd' | 'tokens'} unit - Budget unit
+ * @property {number} used - Spent so far this period
+ * @property {number} limit - The limit
+ * @property {number} resetsAt - Epoch ms at which the period ends
+ */
+
+/**
+ * Whether any limit is configured
+ * @param {Object} budgets - Parsed limits (see parseBudgets in config.js)
+ * @returns {boolean} True if there is a global or provider limit
+ */
+function hasBudgets(budgets) {
+  return Object.keys(budgets.global).length > 0 || Object.keys(budgets.providers).length > 0;
+}
+
+/**
+ * Name a provider's calls are budgeted under
+ * Calls redirected by LLM_PROVIDER_OVERRIDE count against the override.
+ * @param {string} provider - Provider name
+ * @returns {string} Budget name
+ */
+function getBudgetName(provider) {
+  return (LLM_PROVIDER_OVERRIDE || provider).toLowerCase();
+}
+
+/**
+ * Spending of counter items in both units
+ * @param {Object[]} items - Usage counter items
+ * @returns {{usd: number, tokens: number}} Estimated cost and tokens (input + output)
+ */
+function sumSpending(items) {
+  const usd = items.reduce((sum, item) => sum + (item.costUsd || 0), 0);
+  const tokens = items.reduce((sum, item) => sum + (item.inputTokens || 0) + (item.outputTokens || 0), 0);
+  return { usd: Number(usd.toFixed(8)), tokens };
+}
+
+/**
+ * Compare month-to-date usage with the limits
+ * @param {Object} budgets - Parsed limits (see parseBudgets in config.js)
+ * @param {Object<string, Object[]>} itemsByProvider - Usage counter items of this month by provider
+ * @param {number} now - Current time (ms)
+ * @returns {ExceededBudget[]} Budgets whose limit is reached, global ones first
+ */
+function evaluateBudgets(budgets, itemsByProvider, now) {
+  const date = new Date(now);
+  const periods = {
+    daily: {
+      fromDay: toUsageDay(now),
+      resetsAt: Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1)
+    },
+    monthly: {
+      fromDay: toUsageDay(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1)),
+      resetsAt: Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)
+    }
+  };
+
+  const exceeded = [];
+  const check = (limits, items, provider) => {
+    Object.entries(limits).forEach(([period, units]) => {
+      const spending = sumSpending(items.filter(item => item.datetime >= periods[period].fromDay));
+      Object.entries(units).forEach(([unit, limit]) => {
+        if (spending[unit] >= limit) {
+          exceeded.push({
+            ...(provider && { provider }),
+            period,
+            unit,
+            used: spending[unit],
+            limit,
+            resetsAt: periods[period].resetsAt
+          });
+        }
+      });
+    });
+  };
+
+  check(budgets.global, Object.values(itemsByProvider).flat());
+  Object.entries(budgets.providers).forEach(([provider, limits]) => {
+    check(limits, itemsByProvider[provider] || [], provider);
+  });
+  return exceeded;
+}
+
+/**
+ * Create the budget state a tick runs under
+ * @param {ExceededBudget[]} exceeded - Exceeded budgets (see evaluateBudgets)
+ * @param {string} [action] - One of BUDGET_ACTIONS (default LLM_BUDGET_ACTION)
+ * @returns {{exceeded: ExceededBudget[], action: string, isGlobalExceeded: Function,
+ *   isExceeded: Function, resetsAt: Function}} The state
+ */
+function createBudgetState(exceeded, action = LLM_BUDGET_ACTION) {
+  const matching = provider => exceeded.filter(entry =>
+    (provider === undefined ? entry.provider === undefined : entry.provider === getBudgetName(provider)));
+
+  return {
+    exceeded,
+
+    action,
+
+    isGlobalExceeded() {
+      return matching(undefined).length > 0;
+    },
+
+    // Whether a provider is over its own budget
+    isExceeded(provider) {
+      return matching(provider).length > 0;
+    },
+
+    // When calls are allowed again: the end of the last exceeded period; no provider for the global budget
+    resetsAt(provider) {
+      const entries = matching(provider);
+      return entries.length > 0 ? Math.max(...entries.map(entry => entry.resetsAt)) : undefined;
+    }
+  };
+}
+
+/**
+ * Check the budgets against this month's usage
+ * The outcome is saved for GET /getchat (best effort). If the counters cannot
+ * be read no budget is treated as exceeded, so an unreadable table never
+ * silences the chat.
+ * @param {boolean} debug - Enable debug logging
+ * @param {number} [now] - Current time (ms)
+ * @param {Object} [budgets] - Parsed limits (default LLM_BUDGETS)
+ * @returns {Promise<Object>} The budget state (see createBudgetState)
+ */
+async function checkBudgets(debug, now = Date.now(), budgets = LLM_BUDGETS) {
+  if (!hasBudgets(budgets)) {
+    return createBudgetState([]);
+  }
+
+  const providers = Object.keys(budgets.global).length > 0 ? getProviderNames() : Object.keys(budgets.providers);
+  const date = new Date(now);
+  const fromDay = toUsageDay(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+  let exceeded;
+  try {
+    const items = await Promise.all(providers.map(provider =>
+      getProviderUsage(provider, fromDay, toUsageDay(now), debug)));
+    exceeded = evaluateBudgets(budgets, Object.fromEntries(providers.map((provider, index) => [provider, items[index]])), now);
+  } catch (error) {
+    console.error('Error checking budgets; treating every budget as available:', error.message);
+    return createBudgetState([]);
+  }
+
+  if (exceeded.length > 0) {
+    console.error('Budgets exceeded:', JSON.stringify(exceeded));
+  }
+  try {
+    await putBudgetStatus({ exceeded, checkedAt: now }, debug);
+  } catch (error) {
+    log(debug, 'Could not save the budget status:', error.message);
+  }
+  return createBudgetState(exceeded);
+}
+
+/**
+ * Budgets still exceeded according to the last check, for chat clients
+ * Entries whose period has ended since are left out.
+ * @param {boolean} debug - Enable debug logging
+ * @param {number} [now] - Current time (ms)
+ * @param {Object} [budgets] - Parsed limits (default LLM_BUDGETS)
+ * @returns {Promise<{exceeded: ExceededBudget[], checkedAt: number}|null>} The notice, or null if
+ *   no budget is exceeded or the status cannot be read
+ */
+async function getBudgetNotice(debug, now = Date.now(), budgets = LLM_BUDGETS) {
+  if (!hasBudgets(budgets)) {
+    return null;
+  }
+  try {
+    const status = await getBudgetStatus(debug);
+    const exceeded = status ? status.exceeded.filter(entry => entry.resetsAt > now) : [];
+    return exceeded.length > 0 ? { exceeded, checkedAt: status.checkedAt } : null;
+  } catch (error) {
+    log(debug, 'Budget status unavailable:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Price of a participant's model per million tokens (input + output)
+ * @param {Object} participant - Participant from the room metadata
+ * @returns {number} The price, or Infinity if the model has no known price
+ */
+function getParticipantPrice(participant) {
+  const adapter = getProvider(LLM_PROVIDER_OVERRIDE || participant.provider);
+  const model = LLM_PROVIDER_OVERRIDE ? adapter.defaultModel : participant.model || adapter.defaultModel;
+  const price = model ? getModelPrice(model) : undefined;
+  return price ? price.input + price.output : Infinity;
+}
+
+/**
+ * The available participant with the cheapest model
+ * Ties, including participants without a known price, go to the first in room order.
+ * @param {Object[]} participants - The room's AI participants
+ * @param {Function} [isAvailable] - Whether a participant can answer now
+ * @returns {{participant: Object, index: number}|null} The participant and its index, or null if none is available
+ */
+function selectCheapestParticipant(participants, isAvailable = () => true) {
+  let cheapest = null;
+  participants.forEach((participant, index) => {
+    if (!isAvailable(participant)) {
+      return;
+    }
+    const price = getParticipantPrice(participant);
+    if (!cheapest || price < cheapest.price) {
+      cheapest = { participant, index, price };
+    }
+  });
+  return cheapest && { participant: cheapest.participant, index: cheapest.index };
+}
+
+module.exports = {
+  evaluateBudgets,
+  createBudgetState,
+  checkBudgets,
+  getBudgetNotice,
+  selectCheapestParticipant,
+  BUDGET_ACTIONS
+};
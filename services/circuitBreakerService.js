@@ -0,0 +1,168 @@
+/**
+ * Circuit Breaker Service
+ * Stops calling a provider that keeps failing. Each provider has a circuit
+ * item in the chat table (see getCircuitStates), shared by every room and
+ * Lambda invocation:
+ *
+ *   closed     fewer than CIRCUIT_FAILURE_THRESHOLD failures in a row; calls go through
+ *   open       the threshold was reached less than CIRCUIT_OPEN_MS ago; calls are skipped
+ *   half-open  the open period is over; the next call is a trial that closes the
+ *              circuit on success or reopens it on failure
+ *
+ * Only outages count as failures: errors worth retrying (rate limits, server
+ * and network errors) that were still failing after the retries. A bad request
+ * or a missing key is the room's problem, not the provider's.
+ */
+
+const {
+  log,
+  CIRCUIT_FAILURE_THRESHOLD,
+  CIRCUIT_OPEN_MS,
+  LLM_PROVIDER_OVERRIDE
+} = require('../config.js');
+const { getCircuitStates, recordCircuitFailure, resetCircuit } = require('./dynamoDbService.js');
+const { isRetryableError } = require('./retryService.js');
+
+/**
+ * Circuit states
+ */
+const CIRCUIT_STATUS = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+/**
+ * State of a circuit item at a point in time
+ * @param {Object} [state] - Circuit item (failureCount, openUntil); none means closed
+ * @param {number} now - Current time (ms)
+ * @param {number} [threshold] - Failures that open the circuit
+ * @returns {string} One of CIRCUIT_STATUS
+ */
+function getCircuitStatus(state, now, threshold = CIRCUIT_FAILURE_THRESHOLD) {
+  if (!state || !(state.failureCount >= threshold) || typeof state.openUntil !== 'number') {
+    return CIRCUIT_STATUS.CLOSED;
+  }
+  return state.openUntil > now ? CIRCUIT_STATUS.OPEN : CIRCUIT_STATUS.HALF_OPEN;
+}
+
+/**
+ * Providers a participant can answer with: its own, then its fallbacks
+ * @param {Object} participant - Participant from the room metadata
+ * @returns {string[]} Provider names, as called (before LLM_PROVIDER_OVERRIDE)
+ */
+function getParticipantProviders(participant) {
+  return [participant.provider, ...(participant.fallbackProviders || [])];
+}
+
+/**
+ * Name of the circuit a call to a provider goes through
+ * Calls redirected by LLM_PROVIDER_OVERRIDE share the override's circuit.
+ * @param {string} provider - Provider name
+ * @returns {string} Circuit name
+ */
+function getCircuitName(provider) {
+  return (LLM_PROVIDER_OVERRIDE || provider).toLowerCase();
+}
+
+/**
+ * Create a circuit breaker over loaded circuit states
+ * The breaker keeps its own copy of the states, updated as outcomes are
+ * recorded, so a failure opening a circuit is seen by later speakers of the
+ * same tick. Recording is best effort: a failed write is logged and the
+ * reply goes on.
+ * @param {Object<string, Object>} states - Circuit items by provider name
+ * @param {boolean} debug - Enable debug logging
+ * @param {Object} [options] - Options
+ * @param {number} [options.threshold] - Failures that open a circuit (default CIRCUIT_FAILURE_THRESHOLD)
+ * @param {number} [options.openMs] - How long a circuit stays open (default CIRCUIT_OPEN_MS)
+ * @param {Function} [options.now] - Returns the current time (ms)
+ * @returns {{status: Function, isOpen: Function, isAvailable: Function, openUntil: Function,
+ *   recordSuccess: Function, recordFailure: Function}} The breaker
+ */
+function createCircuitBreaker(states, debug, options = {}) {
+  const threshold = options.threshold ?? CIRCUIT_FAILURE_THRESHOLD;
+  const openMs = options.openMs ?? CIRCUIT_OPEN_MS;
+  const now = options.now || Date.now;
+  const current = { ...states };
+
+  const status = provider => getCircuitStatus(current[getCircuitName(provider)], now(), threshold);
+  const isOpen = provider => status(provider) === CIRCUIT_STATUS.OPEN;
+
+  return {
+    status,
+
+    isOpen,
+
+    // A participant is available while at least one provider of its chain is not open
+    isAvailable(participant) {
+      return getParticipantProviders(participant).some(provider => !isOpen(provider));
+    },
+
+    // When an open circuit lets calls through again
+    openUntil(provider) {
+      return isOpen(provider) ? current[getCircuitName(provider)].openUntil : undefined;
+    },
+
+    async recordSuccess(provider) {
+      const name = getCircuitName(provider);
+      if (!(current[name] && current[name].failureCount > 0)) {
+        return;
+      }
+      try {
+        await resetCircuit(name, debug);
+        current[name] = { ...current[name], failureCount: 0, openUntil: undefined };
+      } catch (error) {
+        log(debug, `Could not close the circuit of ${name}:`, error.message);
+      }
+    },
+
+    async recordFailure(provider, error) {
+      if (!isRetryableError(error)) {
+        return;
+      }
+      const name = getCircuitName(provider);
+      try {
+        current[name] = await recordCircuitFailure(name, {
+          now: now(),
+          message: error.message,
+          threshold,
+          openMs
+        }, debug);
+        if (isOpen(name)) {
+          console.error(`Circuit of provider ${name} open until ${new Date(current[name].openUntil).toISOString()}`);
+        }
+      } catch (recordError) {
+        log(debug, `Could not record the failure of ${name}:`, recordError.message);
+      }
+    }
+  };
+}
+
+/**
+ * Load the circuits of the providers participants use and create a breaker
+ * If the states cannot be read every circuit is treated as closed, so an
+ * unreadable table never silences a room.
+ * @param {Object[]} participants - Participants whose providers (and fallbacks) to load
+ * @param {boolean} debug - Enable debug logging
+ * @param {Object} [options] - Passed to createCircuitBreaker
+ * @returns {Promise<Object>} The circuit breaker
+ */
+async function loadCircuitBreaker(participants, debug, options = {}) {
+  const names = [...new Set(participants.flatMap(getParticipantProviders).map(getCircuitName))];
+  let states = {};
+  try {
+    states = await getCircuitStates(names, debug);
+  } catch (error) {
+    log(debug, 'Circuit states unavailable; treating every circuit as closed.');
+  }
+  return createCircuitBreaker(states, debug, options);
+}
+
+module.exports = {
+  getCircuitStatus,
+  getParticipantProviders,
+  createCircuitBreaker,
+  loadCircuitBreaker,
+  CIRCUIT_STATUS
+};
@@ -0,0 +1,306 @@
+/**
+ * WebSocket Connection Service
+ * Stores WebSocket connection ids per room and pushes chat messages to them
+ * through the API Gateway management API (postToConnection).
+ *
+ * Connections table: PK connectionId, attribute roomId with the RoomConnectionsIndex GSI.
+ * When WEBSOCKET_API_ENDPOINT is "local" an in-memory stand-in replaces the
+ * management API so push can be exercised offline.
+ */
+
+const AWS = require("aws-sdk");
+const { CONNECTIONS_TABLE_NAME, WEBSOCKET_API_ENDPOINT, log } = require("../config.js");
+
+const awsConfig = {};
+if (process.env.DYNAMODB_ENDPOINT) {
+  awsConfig.endpoint = process.env.DYNAMODB_ENDPOINT;
+}
+
+const dynamoDB = new AWS.DynamoDB.DocumentClient(awsConfig);
+
+/**
+ * GSI of the connections table keyed by roomId
+ */
+const ROOM_CONNECTIONS_INDEX_NAME = "RoomConnectionsIndex";
+
+/**
+ * Connections older than this are expired by the table TTL
+ * (API Gateway closes WebSocket connections after 2 hours)
+ */
+const CONNECTION_TTL_SECONDS = 2 * 60 * 60 + 5 * 60;
+
+/**
+ * In-memory stand-in for AWS.ApiGatewayManagementApi
+ * Records every post instead of sending it. Connections marked gone with
+ * disconnect() fail with a 410 GoneException like the real API.
+ */
+class LocalConnectionClient {
+  constructor() {
+    this.sent = [];
+    this.goneConnectionIds = new Set();
+  }
+
+  /**
+   * @param {Object} params - { ConnectionId, Data }
+   * @returns {{promise: Function}} SDK v2 style request
+   */
+  postToConnection(params) {
+    return {
+      promise: async () => {
+        if (this.goneConnectionIds.has(params.ConnectionId)) {
+          const error = new Error(`Connection ${params.ConnectionId} is gone`);
+          error.code = "GoneException";
+          error.statusCode = 410;
+          throw error;
+        }
+        this.sent.push({ connectionId: params.ConnectionId, data: JSON.parse(params.Data) });
+        return {};
+      }
+    };
+  }
+
+  /**
+   * Mark a connection as closed by the client
+   * @param {string} connectionId - The connection to close
+   */
+  disconnect(connectionId) {
+    this.goneConnectionIds.add(connectionId);
+  }
+
+  /**
+   * Messages posted to a connection so far
+   * @param {string} connectionId - The connection
+   * @returns {Object[]} Parsed payloads in posting order
+   */
+  messagesFor(connectionId) {
+    return this.sent.filter(entry => entry.connectionId === connectionId).map(entry => entry.data);
+  }
+}
+
+let connectionClient = null;
+
+/**
+ * Get the client used for postToConnection
+ * @returns {Object|null} Management API client, or null if live push is not configured
+ */
+function getConnectionClient() {
+  if (connectionClient) {
+    return connectionClient;
+  }
+  if (!WEBSOCKET_API_ENDPOINT) {
+    return null;
+  }
+
+  connectionClient = WEBSOCKET_API_ENDPOINT === "local"
+    ? new LocalConnectionClient()
+    : new AWS.ApiGatewayManagementApi({ endpoint: WEBSOCKET_API_ENDPOINT });
+  return connectionClient;
+}
+
+/**
+ * Replace the postToConnection client (e.g. with a LocalConnectionClient in tests)
+ * @param {Object|null} client - Client to use, or null to fall back to configuration
+ */
+function setConnectionClient(client) {
+  connectionClient = client;
+}
+
+/**
+ * Store a connection subscribed to a room
+ * @param {string} connectionId - API Gateway connection id
+ * @param {string} roomId - The room to receive messages from
+ * @param {string} [email] - Email of the authenticated user
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<void>}
+ */
+async function saveConnection(connectionId, roomId, email, debug) {
+  const now = Date.now();
+  const item = {
+    connectionId,
+    roomId,
+    connectedAt: now,
+    ttl: Math.floor(now / 1000) + CONNECTION_TTL_SECONDS
+  };
+  if (email) {
+    item.email = email;
+  }
+
+  const params = {
+    TableName: CONNECTIONS_TABLE_NAME,
+    Item: item
+  };
+
+  try {
+    await dynamoDB.put(params).promise();
+    log(debug, "Stored connection:", item);
+  } catch (error) {
+    console.error("Error storing connection:", error);
+    throw error;
+  }
+}
+
+/**
+ * Remove a connection
+ * @param {string} connectionId - API Gateway connection id
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<void>}
+ */
+async function deleteConnection(connectionId, debug) {
+  const params = {
+    TableName: CONNECTIONS_TABLE_NAME,
+    Key: { connectionId }
+  };
+
+  try {
+    await dynamoDB.delete(params).promise();
+    log(debug, `Deleted connection ${connectionId}`);
+  } catch (error) {
+    console.error("Error deleting connection:", error);
+    throw error;
+  }
+}
+
+/**
+ * Fetch a stored connection
+ * @param {string} connectionId - API Gateway connection id
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<Object|null>} Connection item or null if unknown
+ */
+async function getConnection(connectionId, debug) {
+  const params = {
+    TableName: CONNECTIONS_TABLE_NAME,
+    Key: { connectionId }
+  };
+
+  try {
+    const data = await dynamoDB.get(params).promise();
+    log(debug, "Retrieved connection:", data.Item);
+    return data.Item || null;
+  } catch (error) {
+    console.error("Error fetching connection:", error);
+    throw error;
+  }
+}
+
+/**
+ * List the connection ids subscribed to a room
+ * @param {string} roomId - The room
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<string[]>} Connection ids
+ */
+async function getRoomConnectionIds(roomId, debug) {
+  const params = {
+    TableName: CONNECTIONS_TABLE_NAME,
+    IndexName: ROOM_CONNECTIONS_INDEX_NAME,
+    KeyConditionExpression: "roomId = :roomId",
+    ExpressionAttributeValues: {
+      ":roomId": roomId
+    },
+    ProjectionExpression: "connectionId"
+  };
+
+  try {
+    const connectionIds = [];
+    let data;
+    do {
+      data = await dynamoDB.query(params).promise();
+      (data.Items || []).forEach(item => connectionIds.push(item.connectionId));
+      params.ExclusiveStartKey = data.LastEvaluatedKey;
+    } while (data.LastEvaluatedKey);
+
+    log(debug, `Connections in room ${roomId}:`, connectionIds);
+    return connectionIds;
+  } catch (error) {
+    console.error("Error listing room connections:", error);
+    throw error;
+  }
+}
+
+/**
+ * Send a payload to one connection
+ * Connections the API reports as gone (410) are removed.
+ * @param {string} connectionId - API Gateway connection id
+ * @param {Object} payload - JSON-serializable payload
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<boolean>} True if delivered, false if the connection is gone or push is disabled
+ */
+async function postToConnection(connectionId, payload, debug) {
+  const client = getConnectionClient();
+  if (!client) {
+    log(debug, "WebSocket push disabled (WEBSOCKET_API_ENDPOINT not set)");
+    return false;
+  }
+
+  try {
+    await client.postToConnection({
+      ConnectionId: connectionId,
+      Data: JSON.stringify(payload)
+    }).promise();
+    return true;
+  } catch (error) {
+    if (error.statusCode === 410 || error.code === "GoneException") {
+      log(debug, `Connection ${connectionId} is gone, removing it`);
+      await deleteConnection(connectionId, debug);
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Push a payload to every connection subscribed to a room
+ * Never throws: live push is best effort and must not fail the write that triggered it.
+ * @param {string} roomId - The room
+ * @param {Object} payload - JSON-serializable payload
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<number>} Number of connections the payload was delivered to
+ */
+async function broadcastToRoom(roomId, payload, debug) {
+  if (!getConnectionClient()) {
+    return 0;
+  }
+
+  try {
+    const connectionIds = await getRoomConnectionIds(roomId, debug);
+
+    const results = await Promise.allSettled(
+      connectionIds.map(connectionId => postToConnection(connectionId, payload, debug))
+    );
+
+    results
+      .filter(result => result.status === "rejected")
+      .forEach(result => console.error("Error pushing to connection:", result.reason));
+
+    const delivered = results.filter(result => result.status === "fulfilled" && result.value).length;
+    log(debug, `Pushed ${payload.type} to ${delivered} connection(s) in room ${roomId}`);
+    return delivered;
+  } catch (error) {
+    console.error("Error broadcasting to room:", error);
+    return 0;
+  }
+}
+
+/**
+ * Push a chat message to every connection subscribed to its room
+ * Clients should upsert by datetime: a streaming reply is pushed repeatedly with the same datetime.
+ * @param {Object} message - The stored chat message item (its id is the room)
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<number>} Number of connections the message was delivered to
+ */
+async function broadcastChatMessage(message, debug) {
+  return broadcastToRoom(message.id, { type: "message", roomId: message.id, message }, debug);
+}
+
+module.exports = {
+  LocalConnectionClient,
+  getConnectionClient,
+  setConnectionClient,
+  saveConnection,
+  deleteConnection,
+  getConnection,
+  getRoomConnectionIds,
+  postToConnection,
+  broadcastToRoom,
+  broadcastChatMessage,
+  ROOM_CONNECTIONS_INDEX_NAME
+};
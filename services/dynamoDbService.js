@@ -1,5 +1,7 @@
 const AWS = require("aws-sdk");
 const { CHAT_TABLE_NAME, log } = require("../config.js"); // Import log from config.js
+const { broadcastChatMessage, broadcastToRoom } = require("./connectionService.js");
+const { serializeUsage, serializeModeration } = require("../models/chatMessage.js");
 
 const awsConfig = {};
 if (process.env.DYNAMODB_ENDPOINT) {
@@ -10,17 +12,34 @@ const dynamoDB = new AWS.DynamoDB.DocumentClient(awsConfig);
 const dynamoDBRaw = new AWS.DynamoDB(awsConfig);
 
 /**
- * Stores a chat message with isProcessed=false
+ * Name of the sparse GSI that indexes room metadata items by itemType
+ */
+const ROOM_INDEX_NAME = "RoomIndex";
+
+/**
+ * itemType value stored on every room metadata item so it appears in ROOM_INDEX_NAME
+ */
+const ROOM_ITEM_TYPE = "room";
+
+/**
+ * Stores a chat message with isProcessed=false and pushes it to the room's WebSocket connections
  * Requirements: 1.3, 1.4, 1.5, 2.1, 2.2, 2.3
+ * @param {string} roomId - The room (partition) to store the message in
  * @param {string} message - The message content
  * @param {string} sender - The sender identifier
  * @param {string} email - The sender's email (optional for non-user messages)
  * @param {boolean} debug - Enable debug logging
+ * @param {Object} [options] - Optional message fields
+ * @param {Object[]} [options.mentions] - Participants addressed with "@name" ({ name, offset, length });
+ *   stored only when non-empty
+ * @param {string} [options.provider] - AI replies: the LLM provider that wrote the message
+ * @param {Object} [options.usage] - AI replies: tokens and estimated cost (see usageService)
+ * @param {Object} [options.moderation] - Outcome of the moderation checks (see moderationService)
  * @returns {Promise<void>}
  */
-async function storeChatMessage(message, sender, email, debug) {
+async function storeChatMessage(roomId, message, sender, email, debug, options = {}) {
   const item = {
-    id: "chat",
+    id: roomId,
     message,
     sender,
     datetime: new Date().getTime(),
@@ -32,6 +51,22 @@ async function storeChatMessage(message, sender, email, debug) {
     item.email = email;
   }
 
+  if (Array.isArray(options.mentions) && options.mentions.length > 0) {
+    item.mentions = options.mentions;
+  }
+
+  if (options.provider) {
+    item.provider = options.provider;
+  }
+
+  if (options.usage) {
+    item.usage = options.usage;
+  }
+
+  if (options.moderation) {
+    item.moderation = options.moderation;
+  }
+
   const params = {
     TableName: CHAT_TABLE_NAME,
     Item: item,
@@ -52,27 +87,218 @@ async function storeChatMessage(message, sender, email, debug) {
         await mockClient.promise();
       }
       log(debug, "Stored chat message in DynamoDB (test):", params.Item);
+      await broadcastChatMessage(params.Item, debug);
       return;
     }
 
     await dynamoDB.put(params).promise();
     log(debug, "Stored chat message in DynamoDB:", params.Item);
+    await broadcastChatMessage(params.Item, debug);
   } catch (error) {
     console.error("Error storing chat message:", error);
     throw error;
   }
 }
 
-async function getChatLog(debug) {
+/**
+ * Default and maximum number of messages returned by one getChatLog page
+ */
+const CHAT_LOG_DEFAULT_LIMIT = 30;
+const CHAT_LOG_MAX_LIMIT = 100;
+
+/**
+ * Encodes a getChatLog cursor: the DynamoDB LastEvaluatedKey plus the bounds
+ * and direction of the query it continues, as base64url JSON
+ * @param {Object} state - { lastKey, since, before, ascending }
+ * @returns {string} Opaque cursor
+ */
+function encodeChatLogCursor(state) {
+  return Buffer.from(JSON.stringify(state)).toString("base64url");
+}
+
+/**
+ * Decodes and checks a cursor produced by encodeChatLogCursor
+ * @param {string} cursor - Opaque cursor from a previous response
+ * @param {string} roomId - The room being read; cursors are only valid for their own room
+ * @returns {Object} Cursor state
+ * @throws {Error} If the cursor is malformed or belongs to another room
+ */
+function decodeChatLogCursor(cursor, roomId) {
+  let state;
+  try {
+    state = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  } catch (error) {
+    throw new Error("Invalid cursor");
+  }
+
+  if (!state || typeof state !== "object" || !state.lastKey ||
+      state.lastKey.id !== roomId || typeof state.lastKey.datetime !== "number") {
+    throw new Error("Invalid cursor");
+  }
+
+  return state;
+}
+
+/**
+ * Parses an optional non-negative integer option (query string values arrive as strings)
+ * @param {any} value - Raw option value
+ * @param {string} name - Option name for the error message
+ * @returns {number|undefined} Parsed value, or undefined if not given
+ * @throws {Error} If the value is not a non-negative integer
+ */
+function parseNonNegativeInteger(value, name) {
+  if (value === undefined || value === null || value === "") {
+    return undefined;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`${name} must be a non-negative integer`);
+  }
+  return number;
+}
+
+/**
+ * Builds the DynamoDB query for one page of a room's chat log
+ * - since: only messages newer than this datetime, read oldest first so pages move forward
+ * - before: only messages older than this datetime, read newest first for history paging
+ * - neither: the newest messages
+ * The metadata item (datetime=0) is never returned.
+ * @param {string} roomId - The room to read
+ * @param {Object} options - { since, before, cursor, limit }
+ * @returns {Object} { params, since, before, ascending, empty } where empty means no datetime fits the bounds
+ * @throws {Error} If an option is invalid
+ */
+function buildChatLogQuery(roomId, options) {
+  const limit = parseNonNegativeInteger(options.limit, "limit") ?? CHAT_LOG_DEFAULT_LIMIT;
+  if (limit < 1 || limit > CHAT_LOG_MAX_LIMIT) {
+    throw new Error(`limit must be between 1 and ${CHAT_LOG_MAX_LIMIT}`);
+  }
+
+  let since = parseNonNegativeInteger(options.since, "since");
+  let before = parseNonNegativeInteger(options.before, "before");
+  let lastKey;
+
+  // A cursor carries the bounds of the query it continues
+  if (options.cursor) {
+    const state = decodeChatLogCursor(options.cursor, roomId);
+    since = state.since ?? undefined;
+    before = state.before ?? undefined;
+    lastKey = state.lastKey;
+  }
+
+  const ascending = since !== undefined && before === undefined;
+  const lower = (since ?? 0) + 1;
+
   const params = {
     TableName: CHAT_TABLE_NAME,
-    KeyConditionExpression: "id = :id",
+    ExpressionAttributeNames: {
+      "#dt": "datetime",
+    },
     ExpressionAttributeValues: {
-      ":id": "chat",
+      ":id": roomId,
+      ":lower": lower,
     },
-    Limit: 30,
-    ScanIndexForward: false,
+    Limit: limit,
+    ScanIndexForward: ascending,
+  };
+
+  if (before !== undefined && before - 1 < lower) {
+    return { params, since, before, ascending, empty: true };
+  }
+
+  if (before !== undefined) {
+    params.KeyConditionExpression = "id = :id AND #dt BETWEEN :lower AND :upper";
+    params.ExpressionAttributeValues[":upper"] = before - 1;
+  } else {
+    params.KeyConditionExpression = "id = :id AND #dt >= :lower";
+  }
+
+  if (lastKey) {
+    params.ExclusiveStartKey = lastKey;
+  }
+
+  return { params, since, before, ascending, empty: false };
+}
+
+/**
+ * Shapes one queried page into the getChatLog response body
+ * @param {Object} data - DynamoDB query result
+ * @param {Object} query - Result of buildChatLogQuery
+ * @returns {Object} { items, nextCursor, latestDatetime }
+ */
+function buildChatLogPage(data, query) {
+  const items = [...(data?.Items || [])];
+  // Items are always returned newest first
+  if (query.ascending) {
+    items.reverse();
+  }
+
+  const nextCursor = data?.LastEvaluatedKey
+    ? encodeChatLogCursor({
+      lastKey: data.LastEvaluatedKey,
+      since: query.since ?? null,
+      before: query.before ?? null,
+    })
+    : null;
+
+  // The value to pass as `since` on the next poll. It stops short of the oldest
+  // streaming reply so clients keep re-reading that reply until it is finished.
+  let newest = items.length > 0 ? items[0].datetime : undefined;
+  const streamingDatetimes = items
+    .filter(item => item.status === STREAMING_STATUS)
+    .map(item => item.datetime);
+  if (streamingDatetimes.length > 0) {
+    newest = Math.min(...streamingDatetimes) - 1;
+  }
+  const latestDatetime = Math.max(newest ?? -1, query.since ?? -1);
+
+  return {
+    items,
+    nextCursor,
+    latestDatetime: latestDatetime >= 0 ? latestDatetime : null,
   };
+}
+
+/**
+ * Returns one page of a room's messages as an API Gateway response
+ * Body: { items, nextCursor, latestDatetime }; items are newest first.
+ * Pass latestDatetime back as `since` to poll for new messages only, and
+ * nextCursor back as `cursor` to fetch the next page of the same query.
+ * @param {string} roomId - The room (partition) to read
+ * @param {Object} [options] - Paging options
+ * @param {number|string} [options.since] - Only messages newer than this datetime
+ * @param {number|string} [options.before] - Only messages older than this datetime
+ * @param {string} [options.cursor] - nextCursor from a previous response
+ * @param {number|string} [options.limit] - Page size (1-100, default 30)
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<Object>} Response object with statusCode, headers and body
+ */
+async function getChatLog(roomId, options = {}, debug) {
+  let query;
+  try {
+    query = buildChatLogQuery(roomId, options || {});
+  } catch (error) {
+    log(debug, "Invalid chat log options:", error.message);
+    return {
+      statusCode: 400,
+      headers: {
+        "Access-Control-Allow-Origin": "*"
+      },
+      body: JSON.stringify({ error: error.message }),
+    };
+  }
+  const params = query.params;
+
+  if (query.empty) {
+    log(debug, "No datetime fits the requested bounds; returning an empty page");
+    return {
+      statusCode: 200,
+      headers: {
+        "Access-Control-Allow-Origin": "*"
+      },
+      body: JSON.stringify(buildChatLogPage({ Items: [] }, query)),
+    };
+  }
 
   try {
     if (process.env.NODE_ENV === "test" || typeof jest !== "undefined") {
@@ -86,16 +312,7 @@ async function getChatLog(debug) {
 
         const data = await mockClient.query(params).promise();
 
-        if (data && Array.isArray(data.Items)) {
-          log(debug, "Retrieved chat messages in test:", data.Items);
-          return {
-            statusCode: 200,
-            headers: {
-              "Access-Control-Allow-Origin": "*"
-            },
-            body: JSON.stringify(data.Items),
-          };
-        } else if (data && data.error) {
+        if (data && data.error) {
           log(debug, "Retrieved error in test:", data.error);
           return {
             statusCode: 500,
@@ -106,13 +323,14 @@ async function getChatLog(debug) {
           };
         }
 
-        log(debug, "No items found, returning empty array for test");
+        const page = buildChatLogPage(data, query);
+        log(debug, "Retrieved chat messages in test:", page.items);
         return {
           statusCode: 200,
           headers: {
             "Access-Control-Allow-Origin": "*"
           },
-          body: JSON.stringify([]),
+          body: JSON.stringify(page),
         };
       } catch (error) {
         console.error("Error retrieving chat messages in test:", error);
@@ -127,14 +345,14 @@ async function getChatLog(debug) {
     }
 
     const data = await dynamoDB.query(params).promise();
-    const items = data?.Items || [];
-    log(debug, "Retrieved chat messages:", items);
+    const page = buildChatLogPage(data, query);
+    log(debug, "Retrieved chat messages:", page.items);
     return {
       statusCode: 200,
       headers: {
         "Access-Control-Allow-Origin": "*"
       },
-      body: JSON.stringify(items),
+      body: JSON.stringify(page),
     };
   } catch (error) {
     console.error("Error retrieving chat messages:", error);
@@ -234,16 +452,17 @@ async function checkMessageRateLimit(senderEmail, debug) {
 }
 
 /**
- * Fetches Chat Metadata item (PK="chat", SK=0)
+ * Fetches Chat Metadata item (PK=roomId, SK=0)
  * Requirements: 1.1, 1.2, 3.2
+ * @param {string} roomId - The room whose metadata to fetch
  * @param {boolean} debug - Enable debug logging
  * @returns {Promise<Object|null>} ChatMetadata object or null if not found
  */
-async function getChatMetadata(debug) {
+async function getChatMetadata(roomId, debug) {
   const params = {
     TableName: CHAT_TABLE_NAME,
     Key: {
-      id: "chat",
+      id: roomId,
       datetime: 0
     }
   };
@@ -252,7 +471,7 @@ async function getChatMetadata(debug) {
     const data = await dynamoDB.get(params).promise();
 
     if (!data.Item) {
-      log(debug, "Chat metadata not found");
+      log(debug, `Chat metadata not found for room ${roomId}`);
       return null;
     }
 
@@ -267,15 +486,16 @@ async function getChatMetadata(debug) {
 /**
  * Updates the nextSpeakerIndex in Chat Metadata
  * Requirements: 1.1, 1.2, 3.2
+ * @param {string} roomId - The room whose metadata to update
  * @param {number} newIndex - The new speaker index value
  * @param {boolean} debug - Enable debug logging
  * @returns {Promise<void>}
  */
-async function updateNextSpeakerIndex(newIndex, debug) {
+async function updateNextSpeakerIndex(roomId, newIndex, debug) {
   const params = {
     TableName: CHAT_TABLE_NAME,
     Key: {
-      id: "chat",
+      id: roomId,
       datetime: 0
     },
     UpdateExpression: "SET nextSpeakerIndex = :index",
@@ -286,7 +506,7 @@ async function updateNextSpeakerIndex(newIndex, debug) {
 
   try {
     await dynamoDB.update(params).promise();
-    log(debug, `Updated nextSpeakerIndex to ${newIndex}`);
+    log(debug, `Updated nextSpeakerIndex of room ${roomId} to ${newIndex}`);
   } catch (error) {
     console.error("Error updating nextSpeakerIndex:", error);
     throw error;
@@ -294,18 +514,20 @@ async function updateNextSpeakerIndex(newIndex, debug) {
 }
 
 /**
- * Initializes Chat Metadata for first-time setup
+ * Initializes Chat Metadata for first-time setup of a room
  * Requirements: 1.1, 1.2, 3.2
+ * @param {string} roomId - The room to initialize
  * @param {Array} participants - Array of LLM participant configurations
  * @param {boolean} debug - Enable debug logging
  * @returns {Promise<void>}
  */
-async function initializeChatMetadata(participants, debug) {
+async function initializeChatMetadata(roomId, participants, debug) {
   const params = {
     TableName: CHAT_TABLE_NAME,
     Item: {
-      id: "chat",
+      id: roomId,
       datetime: 0,
+      itemType: ROOM_ITEM_TYPE,
       llmParticipants: participants,
       nextSpeakerIndex: 0
     }
@@ -321,17 +543,189 @@ async function initializeChatMetadata(participants, debug) {
 }
 
 /**
- * Retrieves the latest message from the chat
+ * Creates the metadata item of a new room, failing if the room already exists
+ * @param {Object} metadata - ChatMetadata object (see models/chatMetadata.js createChatMetadata)
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<boolean>} True if created, false if a room with that id already exists
+ */
+async function createRoomMetadata(metadata, debug) {
+  const params = {
+    TableName: CHAT_TABLE_NAME,
+    Item: {
+      ...metadata,
+      itemType: ROOM_ITEM_TYPE
+    },
+    ConditionExpression: "attribute_not_exists(id)"
+  };
+
+  try {
+    await dynamoDB.put(params).promise();
+    log(debug, "Created room metadata:", params.Item);
+    return true;
+  } catch (error) {
+    if (error.code === "ConditionalCheckFailedException") {
+      log(debug, `Room ${metadata.id} already exists`);
+      return false;
+    }
+    console.error("Error creating room metadata:", error);
+    throw error;
+  }
+}
+
+/**
+ * Sets top-level attributes on an existing room metadata item
+ * Also sets itemType so rooms created before the RoomIndex existed become listable.
+ * @param {string} roomId - The room to update
+ * @param {Object} updates - Attribute names and values to set
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<Object|null>} Updated metadata item, or null if the room does not exist
+ */
+async function updateRoomMetadata(roomId, updates, debug) {
+  const attributes = { ...updates, itemType: ROOM_ITEM_TYPE };
+  const names = {};
+  const values = {};
+  const assignments = Object.keys(attributes).map((key, index) => {
+    names[`#a${index}`] = key;
+    values[`:v${index}`] = attributes[key];
+    return `#a${index} = :v${index}`;
+  });
+
+  const params = {
+    TableName: CHAT_TABLE_NAME,
+    Key: {
+      id: roomId,
+      datetime: 0
+    },
+    UpdateExpression: `SET ${assignments.join(", ")}`,
+    ConditionExpression: "attribute_exists(id)",
+    ExpressionAttributeNames: names,
+    ExpressionAttributeValues: values,
+    ReturnValues: "ALL_NEW"
+  };
+
+  try {
+    const data = await dynamoDB.update(params).promise();
+    log(debug, `Updated metadata of room ${roomId}:`, data.Attributes);
+    return data.Attributes;
+  } catch (error) {
+    if (error.code === "ConditionalCheckFailedException") {
+      log(debug, `Room ${roomId} not found`);
+      return null;
+    }
+    console.error("Error updating room metadata:", error);
+    throw error;
+  }
+}
+
+/**
+ * Replaces the participants of a room and its next speaker index
+ * Only applied if neither the participants nor the speaker index changed since
+ * the metadata was read (participantsVersion is bumped on every change), so
+ * concurrent edits and orchestrator ticks are not overwritten.
+ * @param {string} roomId - The room to update
+ * @param {Object[]} llmParticipants - The new participant list
+ * @param {number} nextSpeakerIndex - Speaker index for the new list
+ * @param {Object} expected - Values read with the metadata
+ * @param {number} [expected.participantsVersion] - Undefined for rooms never edited
+ * @param {number} expected.nextSpeakerIndex - Speaker index read with the metadata
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<Object|null>} Updated metadata item, or null if the room is missing or changed meanwhile
+ */
+async function updateRoomParticipants(roomId, llmParticipants, nextSpeakerIndex, expected, debug) {
+  const versionCondition = expected.participantsVersion === undefined
+    ? "attribute_not_exists(participantsVersion)"
+    : "participantsVersion = :expectedVersion";
+
+  const params = {
+    TableName: CHAT_TABLE_NAME,
+    Key: {
+      id: roomId,
+      datetime: 0
+    },
+    UpdateExpression: "SET llmParticipants = :participants, nextSpeakerIndex = :index, participantsVersion = :version",
+    ConditionExpression: `attribute_exists(id) AND nextSpeakerIndex = :expectedIndex AND ${versionCondition}`,
+    ExpressionAttributeValues: {
+      ":participants": llmParticipants,
+      ":index": nextSpeakerIndex,
+      ":version": (expected.participantsVersion || 0) + 1,
+      ":expectedIndex": expected.nextSpeakerIndex
+    },
+    ReturnValues: "ALL_NEW"
+  };
+  if (expected.participantsVersion !== undefined) {
+    params.ExpressionAttributeValues[":expectedVersion"] = expected.participantsVersion;
+  }
+
+  try {
+    const data = await dynamoDB.update(params).promise();
+    log(debug, `Updated participants of room ${roomId}:`, data.Attributes);
+    return data.Attributes;
+  } catch (error) {
+    if (error.code === "ConditionalCheckFailedException") {
+      log(debug, `Participants of room ${roomId} not updated: room missing or changed meanwhile`);
+      return null;
+    }
+    console.error("Error updating room participants:", error);
+    throw error;
+  }
+}
+
+/**
+ * Lists the metadata items of all rooms
+ * Queries the sparse RoomIndex GSI, so only metadata items are read
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<Object[]>} ChatMetadata items
+ */
+async function listRoomMetadata(debug) {
+  const params = {
+    TableName: CHAT_TABLE_NAME,
+    IndexName: ROOM_INDEX_NAME,
+    KeyConditionExpression: "itemType = :itemType",
+    ExpressionAttributeValues: {
+      ":itemType": ROOM_ITEM_TYPE
+    }
+  };
+
+  try {
+    const rooms = [];
+    let data;
+    do {
+      data = await dynamoDB.query(params).promise();
+      rooms.push(...(data.Items || []));
+      params.ExclusiveStartKey = data.LastEvaluatedKey;
+    } while (data.LastEvaluatedKey);
+
+    log(debug, "Retrieved room metadata:", rooms);
+    return rooms;
+  } catch (error) {
+    console.error("Error listing rooms:", error);
+    throw error;
+  }
+}
+
+/**
+ * Lists the ids of all rooms that have a metadata item
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<string[]>} Room ids
+ */
+async function listRoomIds(debug) {
+  const rooms = await listRoomMetadata(debug);
+  return rooms.map(room => room.id);
+}
+
+/**
+ * Retrieves the latest message from a room
  * Requirements: 1.3, 1.4, 1.5, 3.3
+ * @param {string} roomId - The room to read
  * @param {boolean} debug - Enable debug logging
  * @returns {Promise<Object|null>} Latest ChatMessage object or null if no messages exist
  */
-async function getLatestMessage(debug) {
+async function getLatestMessage(roomId, debug) {
   const params = {
     TableName: CHAT_TABLE_NAME,
     KeyConditionExpression: "id = :id",
     ExpressionAttributeValues: {
-      ":id": "chat"
+      ":id": roomId
     },
     ScanIndexForward: false,
     Limit: 1
@@ -353,18 +747,52 @@ async function getLatestMessage(debug) {
   }
 }
 
+/**
+ * Fetches the most recent messages of a room, excluding the metadata item
+ * @param {string} roomId - The room to read
+ * @param {number} limit - Maximum number of messages
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<Object[]>} Messages, oldest first
+ */
+async function getRecentMessages(roomId, limit, debug) {
+  const params = {
+    TableName: CHAT_TABLE_NAME,
+    KeyConditionExpression: "id = :id AND #dt >= :lower",
+    ExpressionAttributeNames: {
+      "#dt": "datetime"
+    },
+    ExpressionAttributeValues: {
+      ":id": roomId,
+      ":lower": 1
+    },
+    ScanIndexForward: false,
+    Limit: limit
+  };
+
+  try {
+    const data = await dynamoDB.query(params).promise();
+    const messages = (data.Items || []).reverse();
+    log(debug, `Retrieved ${messages.length} recent message(s) in room ${roomId}`);
+    return messages;
+  } catch (error) {
+    console.error("Error fetching recent messages:", error);
+    throw error;
+  }
+}
+
 /**
  * Marks a message as processed by updating its isProcessed flag
  * Requirements: 1.3, 1.4, 1.5, 3.3
+ * @param {string} roomId - The room the message belongs to
  * @param {number} datetime - The timestamp (sort key) of the message to mark
  * @param {boolean} debug - Enable debug logging
  * @returns {Promise<void>}
  */
-async function markMessageProcessed(datetime, debug) {
+async function markMessageProcessed(roomId, datetime, debug) {
   const params = {
     TableName: CHAT_TABLE_NAME,
     Key: {
-      id: "chat",
+      id: roomId,
       datetime: datetime
     },
     UpdateExpression: "SET isProcessed = :processed",
@@ -375,7 +803,7 @@ async function markMessageProcessed(datetime, debug) {
 
   try {
     await dynamoDB.update(params).promise();
-    log(debug, `Marked message at ${datetime} as processed`);
+    log(debug, `Marked message at ${datetime} in room ${roomId} as processed`);
   } catch (error) {
     console.error("Error marking message as processed:", error);
     throw error;
@@ -410,9 +838,330 @@ async function storeMessageWithProcessedFlag(message, isProcessed, debug) {
   }
 }
 
+/**
+ * Message status of a reply that is still being streamed from a provider.
+ * Finished messages carry no status attribute.
+ */
+const STREAMING_STATUS = "streaming";
+
+/**
+ * Writes (or overwrites) the in-progress item of a streaming reply
+ * The item keeps the reply's final key (room + datetime), carries status "streaming"
+ * and an updatedAt timestamp, and is pushed to the room's WebSocket connections.
+ * batchWriteResponseAndUpdate later replaces it with the finished message.
+ * @param {Object} message - ChatMessage with the text received so far
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<void>}
+ */
+async function storeStreamingMessage(message, debug) {
+  const params = {
+    TableName: CHAT_TABLE_NAME,
+    Item: {
+      ...message,
+      status: STREAMING_STATUS,
+      updatedAt: Date.now()
+    }
+  };
+
+  try {
+    await dynamoDB.put(params).promise();
+    log(debug, "Stored streaming message:", params.Item);
+    await broadcastChatMessage(params.Item, debug);
+  } catch (error) {
+    console.error("Error storing streaming message:", error);
+    throw error;
+  }
+}
+
+/**
+ * Deletes a message, e.g. the partial item of a reply whose stream failed
+ * @param {string} roomId - The room the message belongs to
+ * @param {number} datetime - The timestamp (sort key) of the message
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<void>}
+ */
+async function deleteMessage(roomId, datetime, debug) {
+  const params = {
+    TableName: CHAT_TABLE_NAME,
+    Key: {
+      id: roomId,
+      datetime: datetime
+    }
+  };
+
+  try {
+    await dynamoDB.delete(params).promise();
+    log(debug, `Deleted message at ${datetime} in room ${roomId}`);
+    await broadcastToRoom(roomId, { type: "message_deleted", roomId, datetime }, debug);
+  } catch (error) {
+    console.error("Error deleting message:", error);
+    throw error;
+  }
+}
+
+/**
+ * Prefix of the partition key of a provider's circuit breaker item (datetime 0)
+ * Room ids cannot contain "#", so these items never collide with a room.
+ */
+const CIRCUIT_ITEM_PREFIX = "circuit#";
+
+/**
+ * Fetches the circuit breaker state of providers
+ * @param {string[]} providers - Provider names
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<Object<string, Object>>} Circuit items by provider name (failureCount,
+ *   openUntil, lastFailureAt, lastError); providers without an item are left out
+ */
+async function getCircuitStates(providers, debug) {
+  try {
+    const items = await Promise.all(providers.map(provider => dynamoDB.get({
+      TableName: CHAT_TABLE_NAME,
+      Key: {
+        id: `${CIRCUIT_ITEM_PREFIX}${provider}`,
+        datetime: 0
+      }
+    }).promise()));
+
+    const states = {};
+    items.forEach((data, index) => {
+      if (data.Item) {
+        states[providers[index]] = data.Item;
+      }
+    });
+    log(debug, "Retrieved circuit states:", states);
+    return states;
+  } catch (error) {
+    console.error("Error fetching circuit states:", error);
+    throw error;
+  }
+}
+
+/**
+ * Counts a failure of a provider, opening its circuit once failures reach the threshold
+ * The count is incremented atomically, so concurrent invocations add up.
+ * @param {string} provider - Provider name
+ * @param {Object} failure - The failure
+ * @param {number} failure.now - Time of the failure (ms)
+ * @param {string} failure.message - Error message, kept for operators
+ * @param {number} failure.threshold - Failures that open the circuit
+ * @param {number} failure.openMs - How long the circuit stays open
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<Object>} The updated circuit item
+ */
+async function recordCircuitFailure(provider, failure, debug) {
+  const key = {
+    id: `${CIRCUIT_ITEM_PREFIX}${provider}`,
+    datetime: 0
+  };
+
+  try {
+    const data = await dynamoDB.update({
+      TableName: CHAT_TABLE_NAME,
+      Key: key,
+      UpdateExpression: "SET provider = :provider, lastFailureAt = :now, lastError = :message ADD failureCount :one",
+      ExpressionAttributeValues: {
+        ":provider": provider,
+        ":now": failure.now,
+        ":message": failure.message.slice(0, 500),
+        ":one": 1
+      },
+      ReturnValues: "ALL_NEW"
+    }).promise();
+    let item = data.Attributes;
+
+    if (item.failureCount >= failure.threshold) {
+      const opened = await dynamoDB.update({
+        TableName: CHAT_TABLE_NAME,
+        Key: key,
+        UpdateExpression: "SET openUntil = :openUntil",
+        ExpressionAttributeValues: {
+          ":openUntil": failure.now + failure.openMs
+        },
+        ReturnValues: "ALL_NEW"
+      }).promise();
+      item = opened.Attributes;
+    }
+
+    log(debug, `Recorded failure of provider ${provider}:`, item);
+    return item;
+  } catch (error) {
+    console.error("Error recording circuit failure:", error);
+    throw error;
+  }
+}
+
+/**
+ * Closes a provider's circuit after a successful call
+ * @param {string} provider - Provider name
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<void>}
+ */
+async function resetCircuit(provider, debug) {
+  const params = {
+    TableName: CHAT_TABLE_NAME,
+    Key: {
+      id: `${CIRCUIT_ITEM_PREFIX}${provider}`,
+      datetime: 0
+    },
+    UpdateExpression: "SET failureCount = :zero REMOVE openUntil",
+    ExpressionAttributeValues: {
+      ":zero": 0
+    }
+  };
+
+  try {
+    await dynamoDB.update(params).promise();
+    log(debug, `Closed circuit of provider ${provider}`);
+  } catch (error) {
+    console.error("Error resetting circuit:", error);
+    throw error;
+  }
+}
+
+/**
+ * Prefix of the partition key of a provider's daily usage counters
+ * One item per provider and UTC day: id "usage#<provider>", datetime YYYYMMDD
+ * (e.g. 20250131), so a date range is a single key-condition query.
+ */
+const USAGE_ITEM_PREFIX = "usage#";
+
+/**
+ * Adds one call's usage to a provider's counters for a day
+ * Counters are incremented atomically, so concurrent invocations add up.
+ * @param {string} provider - Provider name
+ * @param {number} day - UTC day as YYYYMMDD
+ * @param {Object} usage - The call's usage
+ * @param {number} usage.inputTokens - Prompt tokens
+ * @param {number} usage.outputTokens - Generated tokens
+ * @param {number} [usage.costUsd] - Estimated cost; left out for models without a price
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<void>}
+ */
+async function addProviderUsage(provider, day, usage, debug) {
+  const params = {
+    TableName: CHAT_TABLE_NAME,
+    Key: {
+      id: `${USAGE_ITEM_PREFIX}${provider}`,
+      datetime: day
+    },
+    UpdateExpression: "SET provider = :provider ADD calls :one, inputTokens :input, outputTokens :output" +
+      (usage.costUsd !== undefined ? ", costUsd :cost" : ", unpricedCalls :one"),
+    ExpressionAttributeValues: {
+      ":provider": provider,
+      ":one": 1,
+      ":input": usage.inputTokens,
+      ":output": usage.outputTokens,
+      ...(usage.costUsd !== undefined && { ":cost": usage.costUsd })
+    }
+  };
+
+  try {
+    await dynamoDB.update(params).promise();
+    log(debug, `Recorded usage of provider ${provider} on ${day}:`, usage);
+  } catch (error) {
+    console.error("Error recording provider usage:", error);
+    throw error;
+  }
+}
+
+/**
+ * Fetches a provider's daily usage counters for a range of days
+ * @param {string} provider - Provider name
+ * @param {number} fromDay - First UTC day as YYYYMMDD
+ * @param {number} toDay - Last UTC day as YYYYMMDD (inclusive)
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<Object[]>} Counter items (datetime = day), oldest first; days without calls are left out
+ */
+async function getProviderUsage(provider, fromDay, toDay, debug) {
+  const params = {
+    TableName: CHAT_TABLE_NAME,
+    KeyConditionExpression: "id = :id AND #dt BETWEEN :from AND :to",
+    ExpressionAttributeNames: {
+      "#dt": "datetime"
+    },
+    ExpressionAttributeValues: {
+      ":id": `${USAGE_ITEM_PREFIX}${provider}`,
+      ":from": fromDay,
+      ":to": toDay
+    }
+  };
+
+  try {
+    const data = await dynamoDB.query(params).promise();
+    const items = data.Items || [];
+    log(debug, `Retrieved ${items.length} usage day(s) of provider ${provider}`);
+    return items;
+  } catch (error) {
+    console.error("Error fetching provider usage:", error);
+    throw error;
+  }
+}
+
+/**
+ * Partition key of the item holding the outcome of the last budget check (datetime 0)
+ * Written by the orchestrator so GET /getchat can report exceeded budgets without
+ * re-reading every usage counter.
+ */
+const BUDGET_STATUS_ITEM_ID = "budget#status";
+
+/**
+ * Saves the outcome of a budget check
+ * @param {Object} status - The status
+ * @param {Object[]} status.exceeded - Exceeded budgets (see checkBudgets in budgetService.js)
+ * @param {number} status.checkedAt - Time of the check (ms)
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<void>}
+ */
+async function putBudgetStatus(status, debug) {
+  const params = {
+    TableName: CHAT_TABLE_NAME,
+    Item: {
+      id: BUDGET_STATUS_ITEM_ID,
+      datetime: 0,
+      exceeded: status.exceeded,
+      checkedAt: status.checkedAt
+    }
+  };
+
+  try {
+    await dynamoDB.put(params).promise();
+    log(debug, "Saved budget status:", status);
+  } catch (error) {
+    console.error("Error saving budget status:", error);
+    throw error;
+  }
+}
+
+/**
+ * Fetches the outcome of the last budget check
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<Object|null>} { exceeded, checkedAt }, or null if budgets were never checked
+ */
+async function getBudgetStatus(debug) {
+  const params = {
+    TableName: CHAT_TABLE_NAME,
+    Key: {
+      id: BUDGET_STATUS_ITEM_ID,
+      datetime: 0
+    }
+  };
+
+  try {
+    const data = await dynamoDB.get(params).promise();
+    const status = data.Item ? { exceeded: data.Item.exceeded || [], checkedAt: data.Item.checkedAt } : null;
+    log(debug, "Retrieved budget status:", status);
+    return status;
+  } catch (error) {
+    console.error("Error fetching budget status:", error);
+    throw error;
+  }
+}
+
 /**
  * Performs atomic batch write for response save, original message update, and index increment
  * Uses DynamoDB TransactWriteItems for atomicity
+ * All three items live in the room named by newMessage.id
+ * The new message is pushed to the room's WebSocket connections once the transaction succeeds.
  * Requirements: 6.3, 6.4, 6.5, 6.6
  * @param {Object} newMessage - The new response message to save
  * @param {number} originalDatetime - The timestamp of the original message to mark as processed
@@ -422,6 +1171,7 @@ async function storeMessageWithProcessedFlag(message, isProcessed, debug) {
  * @throws {Error} If transaction fails
  */
 async function batchWriteResponseAndUpdate(newMessage, originalDatetime, newSpeakerIndex, debug) {
+  const roomId = newMessage.id;
   const params = {
     TransactItems: [
       {
@@ -433,7 +1183,11 @@ async function batchWriteResponseAndUpdate(newMessage, originalDatetime, newSpea
             sender: { S: newMessage.sender },
             message: { S: newMessage.message },
             isProcessed: { BOOL: newMessage.isProcessed },
-            ...(newMessage.email && { email: { S: newMessage.email } })
+            ...(newMessage.email && { email: { S: newMessage.email } }),
+            ...(newMessage.provider && { provider: { S: newMessage.provider } }),
+            ...(newMessage.fallbackFrom && { fallbackFrom: { L: newMessage.fallbackFrom.map(provider => ({ S: provider })) } }),
+            ...(newMessage.usage && { usage: serializeUsage(newMessage.usage) }),
+            ...(newMessage.moderation && { moderation: serializeModeration(newMessage.moderation) })
           }
         }
       },
@@ -441,7 +1195,7 @@ async function batchWriteResponseAndUpdate(newMessage, originalDatetime, newSpea
         Update: {
           TableName: CHAT_TABLE_NAME,
           Key: {
-            id: { S: "chat" },
+            id: { S: roomId },
             datetime: { N: String(originalDatetime) }
           },
           UpdateExpression: "SET isProcessed = :processed",
@@ -454,7 +1208,7 @@ async function batchWriteResponseAndUpdate(newMessage, originalDatetime, newSpea
         Update: {
           TableName: CHAT_TABLE_NAME,
           Key: {
-            id: { S: "chat" },
+            id: { S: roomId },
             datetime: { N: "0" }
           },
           UpdateExpression: "SET nextSpeakerIndex = :index",
@@ -469,6 +1223,7 @@ async function batchWriteResponseAndUpdate(newMessage, originalDatetime, newSpea
   try {
     await dynamoDBRaw.transactWriteItems(params).promise();
     log(debug, "Batch write completed successfully");
+    await broadcastChatMessage(newMessage, debug);
   } catch (error) {
     console.error("Error in batch write transaction:", error);
     throw error;
@@ -478,12 +1233,33 @@ async function batchWriteResponseAndUpdate(newMessage, originalDatetime, newSpea
 module.exports = {
   storeChatMessage,
   getChatLog,
+  encodeChatLogCursor,
+  decodeChatLogCursor,
   checkMessageRateLimit,
   getChatMetadata,
   updateNextSpeakerIndex,
   initializeChatMetadata,
+  createRoomMetadata,
+  updateRoomMetadata,
+  updateRoomParticipants,
+  listRoomMetadata,
+  listRoomIds,
   getLatestMessage,
+  getRecentMessages,
   markMessageProcessed,
   storeMessageWithProcessedFlag,
-  batchWriteResponseAndUpdate
+  storeStreamingMessage,
+  deleteMessage,
+  batchWriteResponseAndUpdate,
+  getCircuitStates,
+  recordCircuitFailure,
+  resetCircuit,
+  addProviderUsage,
+  getProviderUsage,
+  putBudgetStatus,
+  getBudgetStatus,
+  STREAMING_STATUS,
+  CIRCUIT_ITEM_PREFIX,
+  USAGE_ITEM_PREFIX,
+  BUDGET_STATUS_ITEM_ID
 };
@@ -1,8 +1,16 @@
 const { GoogleGenerativeAI } = require("@google/generative-ai");
-const { API_KEY, MODEL_NAME, log } = require('../config.js'); // Import log from config.js
+const { API_KEY, MODEL_NAME, LLM_PROVIDER_OVERRIDE, log } = require('../config.js'); // Import log from config.js
+const { generateResponse } = require('./llmService.js');
+const { reportUsage } = require('./providers/common.js');
 
-async function generateAiResponse(userInput, personality, debug) { // Renamed to avoid conflict
+// options.onUsage is called with the call's token usage (see reportUsage)
+async function generateAiResponse(userInput, personality, debug, options = {}) { // Renamed to avoid conflict
   try {
+    // Offline runs (e.g. LLM_PROVIDER_OVERRIDE=mock) go through the provider registry instead of Gemini
+    if (LLM_PROVIDER_OVERRIDE) {
+      return await generateResponse(LLM_PROVIDER_OVERRIDE, userInput, personality, debug, { onUsage: options.onUsage });
+    }
+
     const genAI = new GoogleGenerativeAI(API_KEY);
     const model = genAI.getGenerativeModel({ model: MODEL_NAME });
 
@@ -15,6 +23,8 @@ async function generateAiResponse(userInput, personality, debug) { // Renamed to
     const result = await model.generateContent(prompt);
     const response = await result.response;
     const text = response.text();
+    const usage = response.usageMetadata;
+    reportUsage(options, MODEL_NAME, usage?.promptTokenCount, usage?.candidatesTokenCount);
 
     log(debug, "Generated response text:", text);
 
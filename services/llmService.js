@@ -1,189 +1,303 @@
 /**
- * LLM Service - Multi-provider support for Gemini, Anthropic, and OpenAI
+ * LLM Service - Multi-provider support through the provider registry
+ * (services/providers): prompt building, a unified generate/stream interface
+ * and the orchestrator decision model.
  * 
  * Requirements: 8.1, 8.2, 8.3, 8.4
  */
 
-const { GoogleGenerativeAI } = require("@google/generative-ai");
-const { log } = require('../config.js');
-
-// Environment variables for API keys
-const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY;
-const GOOGLE_MODEL_NAME = process.env.GOOGLE_MODEL_NAME || "gemini-2.0-flash-lite-preview-02-05";
-const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
-const ANTHROPIC_MODEL_NAME = process.env.ANTHROPIC_MODEL_NAME || "claude-3-haiku-20240307";
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const OPENAI_MODEL_NAME = process.env.OPENAI_MODEL_NAME || "gpt-4o-mini";
+const { log, LLM_PROVIDER_OVERRIDE } = require('../config.js');
+const { getProvider, assertProviderConfigured } = require('./providers/index.js');
+const common = require('./providers/common.js');
+const google = require('./providers/google.js');
+const anthropic = require('./providers/anthropic.js');
+const openai = require('./providers/openai.js');
+const { validateMockSettings } = require('./providers/mock.js');
+const { withRetry } = require('./retryService.js');
+const { withTimeout, getProviderTimeoutMs, isTimeoutError } = require('./timeoutService.js');
 
 /**
- * Generate a response using Google's Gemini API
- * @param {string} prompt - The prompt to send to the model
- * @param {boolean} debug - Enable debug logging
- * @returns {Promise<string>} - The generated response text
+ * Build a prompt from user input and personality configuration
+ * With a history, the mood is prefixed to the latest non-assistant turn.
+ * @param {string|HistoryTurn[]} userInput - The user's input message, or the history
+ * @param {object} personality - Personality configuration with moods array
+ * @returns {string|HistoryTurn[]} - The constructed prompt or history
  */
-async function generateGeminiResponse(prompt, debug = false) {
-  if (!GOOGLE_API_KEY) {
-    throw new Error("GOOGLE_API_KEY environment variable is not set");
+function buildPrompt(userInput, personality) {
+  if (!personality || !personality.moods || personality.moods.length === 0) {
+    return userInput;
+  }
+  const randomMood = personality.moods[Math.floor(Math.random() * personality.moods.length)];
+  if (typeof userInput === "string") {
+    return randomMood + userInput;
   }
 
-  const genAI = new GoogleGenerativeAI(GOOGLE_API_KEY);
-  const model = genAI.getGenerativeModel({ model: GOOGLE_MODEL_NAME });
-
-  log(debug, "Gemini prompt:", prompt);
-
-  const result = await model.generateContent(prompt);
-  const response = await result.response;
-  const text = response.text();
+  const history = [...userInput];
+  for (let index = history.length - 1; index >= 0; index--) {
+    if (history[index].role !== "assistant") {
+      history[index] = { ...history[index], content: randomMood + history[index].content };
+      break;
+    }
+  }
+  return history;
+}
 
-  log(debug, "Gemini response:", text);
+/**
+ * Options and prompt as a provider adapter can take them
+ * Providers without system prompt support get the system prompt as the
+ * start of the first turn instead. Time limits are applied by llmService and
+ * not passed on.
+ * @param {Object} adapter - The provider adapter
+ * @param {string|HistoryTurn[]} prompt - The prompt or history
+ * @param {GenerationOptions} options - Generation options
+ * @returns {{prompt: string|HistoryTurn[], options: GenerationOptions}} Adapted prompt and options
+ */
+function adaptRequest(adapter, prompt, options) {
+  const { timeoutMs, deadline, ...adapterOptions } = options;
+  if (adapter.capabilities.systemPrompt || !adapterOptions.systemPrompt) {
+    return { prompt, options: adapterOptions };
+  }
+  const { systemPrompt, ...rest } = adapterOptions;
+  const turns = common.buildConversationTurns(prompt);
+  turns[0] = { ...turns[0], content: `${systemPrompt}\n\n${turns[0].content}` };
+  return { prompt: turns, options: rest };
+}
 
-  return text;
+/**
+ * Run one provider call per attempt, each within its time limit, retrying retryable failures
+ * @param {Object} adapter - The provider adapter
+ * @param {GenerationOptions} options - Generation options (timeoutMs and deadline are used here)
+ * @param {Function} call - Async function receiving the AbortSignal of the attempt
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<string>} The call's result
+ */
+function callWithinLimits(adapter, options, call, debug) {
+  const limits = {
+    label: adapter.name,
+    timeoutMs: getProviderTimeoutMs(adapter.name, options.timeoutMs),
+    deadline: options.deadline
+  };
+  return withRetry(
+    () => withTimeout(call, limits),
+    debug,
+    { label: adapter.name, deadline: options.deadline }
+  );
 }
 
 /**
- * Generate a response using Anthropic's Claude API via native fetch
- * @param {string} prompt - The prompt to send to the model
+ * Unified interface to generate a response from any supported LLM provider
+ * Retryable failures (429, 5xx, network errors, timeouts) are retried with backoff (see retryService);
+ * every attempt is aborted when its time limit is up (see timeoutService).
+ * @param {string} provider - A registered provider name (see services/providers); LLM_PROVIDER_OVERRIDE
+ *   replaces it when set
+ * @param {string|HistoryTurn[]} prompt - The prompt/user input, or the role-tagged history, to send
+ * @param {object} personality - Optional personality configuration with moods (prefixed to the prompt;
+ *   pass null when the mood is already part of options.systemPrompt)
  * @param {boolean} debug - Enable debug logging
+ * @param {GenerationOptions} [options] - System prompt, model, sampling settings and time limits
  * @returns {Promise<string>} - The generated response text
+ * @throws {Error} - If provider is not supported or API call fails (LLMTimeoutError when out of time)
  */
-async function generateAnthropicResponse(prompt, debug = false) {
-  if (!ANTHROPIC_API_KEY) {
-    throw new Error("ANTHROPIC_API_KEY environment variable is not set");
-  }
-
-  log(debug, "Anthropic prompt:", prompt);
-
-  const response = await fetch("https://api.anthropic.com/v1/messages", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "x-api-key": ANTHROPIC_API_KEY,
-      "anthropic-version": "2023-06-01"
-    },
-    body: JSON.stringify({
-      model: ANTHROPIC_MODEL_NAME,
-      max_tokens: 1024,
-      messages: [
-        { role: "user", content: prompt }
-      ]
-    })
-  });
+async function generateResponse(provider, prompt, personality = null, debug = false, options = {}) {
+  const fullPrompt = personality ? buildPrompt(prompt, personality) : prompt;
 
-  if (!response.ok) {
-    const errorBody = await response.text();
-    throw new Error(`Anthropic API error: ${response.status} - ${errorBody}`);
+  try {
+    const adapter = getProvider(LLM_PROVIDER_OVERRIDE || provider);
+    assertProviderConfigured(adapter);
+    const request = adaptRequest(adapter, fullPrompt, options);
+    return await callWithinLimits(
+      adapter,
+      options,
+      signal => adapter.generate(request.prompt, { ...request.options, signal }, debug),
+      debug
+    );
+  } catch (error) {
+    console.error(`Error generating response from ${provider}:`, error);
+    throw error;
   }
-
-  const data = await response.json();
-  // Filter for text content blocks only (Claude can return multiple block types)
-  const text = data.content
-    .filter(block => block.type === "text")
-    .map(block => block.text)
-    .join("\n");
-
-  log(debug, "Anthropic response:", text);
-
-  return text;
 }
 
-
 /**
- * Generate a response using OpenAI's API via native fetch
- * @param {string} prompt - The prompt to send to the model
+ * Unified interface to stream a response from any supported LLM provider
+ * Providers that cannot stream generate the whole reply and report it once.
+ * A retried stream starts over, so onText may see the text shrink.
+ * @param {string} provider - A registered provider name (see services/providers); LLM_PROVIDER_OVERRIDE
+ *   replaces it when set
+ * @param {string|HistoryTurn[]} prompt - The prompt/user input, or the role-tagged history, to send
+ * @param {object} personality - Optional personality configuration with moods (see generateResponse)
+ * @param {Function} onText - Called with the accumulated text as it grows
  * @param {boolean} debug - Enable debug logging
- * @returns {Promise<string>} - The generated response text
+ * @param {GenerationOptions} [options] - System prompt, model, sampling settings and time limits
+ * @returns {Promise<string>} - The complete response text
+ * @throws {Error} - If provider is not supported or API call fails (LLMTimeoutError when out of time)
  */
-async function generateOpenAIResponse(prompt, debug = false) {
-  if (!OPENAI_API_KEY) {
-    throw new Error("OPENAI_API_KEY environment variable is not set");
-  }
-
-  log(debug, "OpenAI prompt:", prompt);
-
-  const response = await fetch("https://api.openai.com/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "Authorization": `Bearer ${OPENAI_API_KEY}`
-    },
-    body: JSON.stringify({
-      model: OPENAI_MODEL_NAME,
-      messages: [
-        { role: "user", content: prompt }
-      ],
-      max_tokens: 1024
-    })
-  });
+async function streamResponse(provider, prompt, personality = null, onText = () => {}, debug = false, options = {}) {
+  const fullPrompt = personality ? buildPrompt(prompt, personality) : prompt;
 
-  if (!response.ok) {
-    const errorBody = await response.text();
-    throw new Error(`OpenAI API error: ${response.status} - ${errorBody}`);
+  try {
+    const adapter = getProvider(LLM_PROVIDER_OVERRIDE || provider);
+    assertProviderConfigured(adapter);
+    const request = adaptRequest(adapter, fullPrompt, options);
+    return await callWithinLimits(adapter, options, async signal => {
+      const adapterOptions = { ...request.options, signal };
+      if (!adapter.capabilities.streaming) {
+        const text = await adapter.generate(request.prompt, adapterOptions, debug);
+        onText(text);
+        return text;
+      }
+      return adapter.stream(request.prompt, onText, adapterOptions, debug);
+    }, debug);
+  } catch (error) {
+    console.error(`Error streaming response from ${provider}:`, error);
+    throw error;
   }
+}
 
-  const data = await response.json();
-  const text = data.choices[0]?.message?.content || "";
-
-  log(debug, "OpenAI response:", text);
+/**
+ * Generation settings that carry over to a participant's fallback providers;
+ * the model and provider-specific settings do not
+ */
+const PORTABLE_GENERATION_SETTINGS = ['temperature', 'maxTokens', 'topP', 'stopSequences', 'timeoutMs'];
 
-  return text;
-}
+/**
+ * One step of a participant's provider chain
+ * @typedef {Object} ProviderChainEntry
+ * @property {string} provider - Provider name
+ * @property {GenerationOptions} options - Generation options for this provider
+ */
 
 /**
- * Build a prompt from user input and personality configuration
- * @param {string} userInput - The user's input message
- * @param {object} personality - Personality configuration with moods array
- * @returns {string} - The constructed prompt
+ * Providers to try for a participant: its own provider with all its settings,
+ * then each of its fallbackProviders with the portable settings (temperature
+ * capped to what the fallback accepts) and the fallback's default model
+ * @param {Object} participant - Participant from the room metadata
+ * @param {GenerationOptions} [options] - Options for every provider (e.g. systemPrompt)
+ * @returns {ProviderChainEntry[]} The chain, primary provider first
  */
-function buildPrompt(userInput, personality) {
-  if (!personality || !personality.moods || personality.moods.length === 0) {
-    return userInput;
-  }
-  const randomMood = personality.moods[Math.floor(Math.random() * personality.moods.length)];
-  return randomMood + userInput;
+function buildProviderChain(participant, options = {}) {
+  const settings = common.getGenerationSettings(participant);
+  const fallbacks = (participant.fallbackProviders || []).map(provider => {
+    const { maxTemperature } = getProvider(provider);
+    const portable = {};
+    PORTABLE_GENERATION_SETTINGS.forEach(setting => {
+      if (settings[setting] !== undefined) {
+        portable[setting] = settings[setting];
+      }
+    });
+    if (portable.temperature !== undefined) {
+      portable.temperature = Math.min(portable.temperature, maxTemperature);
+    }
+    return { provider, options: { ...portable, ...options } };
+  });
+  return [{ provider: participant.provider, options: { ...settings, ...options } }, ...fallbacks];
 }
 
 /**
- * Unified interface to generate a response from any supported LLM provider
- * @param {string} provider - The provider to use: "google", "anthropic", or "openai"
- * @param {string} prompt - The prompt/user input to send
- * @param {object} personality - Optional personality configuration with moods
+ * Generate a reply along a provider chain, moving to the next provider when
+ * one fails after its retries
+ * With a circuit breaker, providers whose circuit is open are skipped and the
+ * outcome of every call is recorded; with a budget state, providers over their
+ * own budget are skipped.
+ * @param {ProviderChainEntry[]} chain - Providers to try, in order
+ * @param {string|HistoryTurn[]} prompt - The role-tagged history or prompt
  * @param {boolean} debug - Enable debug logging
- * @returns {Promise<string>} - The generated response text
- * @throws {Error} - If provider is not supported or API call fails
+ * @param {Object} [options] - Options
+ * @param {Function} [options.onText] - Stream the reply, calling onText with the text so far
+ * @param {Object} [options.circuitBreaker] - Circuit breaker (see createCircuitBreaker)
+ * @param {Object} [options.budget] - Budget state (see createBudgetState)
+ * @returns {Promise<{text: string, provider: string, fallbackFrom?: string[], usage?: TokenUsage}>} The reply,
+ *   the provider that produced it, the providers that failed before it and the tokens of the successful
+ *   call when the provider reported them
+ * @throws {Error} The provider's error when the chain has one entry or the invocation ran out of
+ *   time; otherwise an error listing every provider's failure (error.failures: [{provider, message}]),
+ *   which is the last LLMTimeoutError when every provider timed out
  */
-async function generateResponse(provider, prompt, personality = null, debug = false) {
-  const fullPrompt = personality ? buildPrompt(prompt, personality) : prompt;
-
-  try {
-    switch (provider.toLowerCase()) {
-      case "google":
-        return await generateGeminiResponse(fullPrompt, debug);
-      case "anthropic":
-        return await generateAnthropicResponse(fullPrompt, debug);
-      case "openai":
-        return await generateOpenAIResponse(fullPrompt, debug);
-      default:
-        throw new Error(`Unsupported LLM provider: ${provider}. Supported providers: google, anthropic, openai`);
+async function generateWithFallback(chain, prompt, debug, options = {}) {
+  const { onText, circuitBreaker, budget } = options;
+  const failures = [];
+  const timeouts = [];
+  for (const entry of chain) {
+    const { provider } = entry;
+    if (circuitBreaker && circuitBreaker.isOpen(provider)) {
+      log(debug, `Provider ${provider} skipped: its circuit is open.`);
+      failures.push({ provider, message: 'Circuit open' });
+      continue;
+    }
+    if (budget && budget.isExceeded(provider)) {
+      log(debug, `Provider ${provider} skipped: it is over budget.`);
+      failures.push({ provider, message: 'Over budget' });
+      continue;
+    }
+    // A retried call reports again, so the successful attempt's usage is kept
+    let usage;
+    const callOptions = { ...entry.options, onUsage: reported => { usage = reported; } };
+    try {
+      const text = onText
+        ? await streamResponse(provider, prompt, null, onText, debug, callOptions)
+        : await generateResponse(provider, prompt, null, debug, callOptions);
+      if (circuitBreaker) {
+        await circuitBreaker.recordSuccess(provider);
+      }
+      return {
+        text,
+        provider: LLM_PROVIDER_OVERRIDE || provider,
+        ...(failures.length > 0 && { fallbackFrom: failures.map(failure => failure.provider) }),
+        ...(usage && { usage })
+      };
+    } catch (error) {
+      if (circuitBreaker) {
+        await circuitBreaker.recordFailure(provider, error);
+      }
+      if (chain.length === 1 || (isTimeoutError(error) && error.budgetExceeded)) {
+        throw error;
+      }
+      if (isTimeoutError(error)) {
+        timeouts.push(error);
+      }
+      failures.push({ provider, message: error.message });
+      log(debug, `Provider ${provider} failed; trying the next fallback provider.`);
     }
-  } catch (error) {
-    console.error(`Error generating response from ${provider}:`, error);
-    throw error;
   }
+
+  const error = timeouts.length === failures.length
+    ? timeouts[timeouts.length - 1]
+    : new Error(`All providers failed: ${failures.map(failure => `${failure.provider}: ${failure.message}`).join('; ')}`);
+  error.failures = failures;
+  throw error;
 }
 
-// Orchestrator configuration
-const ORCHESTRATOR_MODEL_NAME = process.env.ORCHESTRATOR_MODEL_NAME || "gemini-1.5-flash";
+// Orchestrator configuration: the provider and model deciding who speaks
+const ORCHESTRATOR_PROVIDER = process.env.ORCHESTRATOR_PROVIDER || "google";
+const ORCHESTRATOR_MODEL_NAME = process.env.ORCHESTRATOR_MODEL_NAME;
+const DEFAULT_ORCHESTRATOR_MODEL_NAME = "gemini-1.5-flash";
+
+/**
+ * Mock orchestrator reply when ORCHESTRATOR_MOCK_SETTINGS is not set
+ */
+const DEFAULT_ORCHESTRATOR_MOCK_SETTINGS = {
+  mode: "script",
+  replies: ['{"action": "RESPOND", "reason": "Mock orchestrator"}']
+};
 
 /**
  * Orchestrator decision response structure
  * @typedef {Object} OrchestratorDecision
- * @property {'RESPOND' | 'WAIT'} action - The action to take
+ * @property {'RESPOND' | 'RESPOND_MANY' | 'WAIT'} action - The action to take
+ * @property {string} [speaker] - RESPOND: the participant chosen to speak
+ * @property {string[]} [speakers] - RESPOND_MANY: the participants chosen to speak, in order
+ * @property {string} [reason] - Short explanation from the orchestrator model
+ * @property {string[]} [rejectedSpeakers] - Names the model chose that are not participants
  */
 
 /**
  * Valid orchestrator actions
  */
-const VALID_ORCHESTRATOR_ACTIONS = ['RESPOND', 'WAIT'];
+const VALID_ORCHESTRATOR_ACTIONS = ['RESPOND', 'RESPOND_MANY', 'WAIT'];
+
+/**
+ * Maximum number of participants a RESPOND_MANY decision may call on in one tick
+ */
+const MAX_SPEAKERS_PER_DECISION = 3;
 
 /**
  * Validate an orchestrator decision response
@@ -202,11 +316,15 @@ function isValidOrchestratorDecision(decision) {
 
 /**
  * Parse and validate the orchestrator LLM response
+ * Speaker names are checked against the room's participants. Unknown names are
+ * dropped and reported in rejectedSpeakers; when no valid speaker remains the
+ * decision is a plain RESPOND without a speaker, i.e. round-robin.
  * @param {string} responseText - Raw response text from the LLM
+ * @param {string[]} [participantNames] - Names of the room's AI participants
  * @returns {OrchestratorDecision} - Validated decision object
  * @throws {Error} - If response cannot be parsed or is invalid
  */
-function parseOrchestratorResponse(responseText) {
+function parseOrchestratorResponse(responseText, participantNames = []) {
   // Try to extract JSON from the response (handle markdown code blocks)
   let jsonStr = responseText.trim();
   
@@ -230,63 +348,135 @@ function parseOrchestratorResponse(responseText) {
   }
 
   if (!isValidOrchestratorDecision(decision)) {
-    throw new Error(`Invalid orchestrator decision. Expected action to be "RESPOND" or "WAIT", got: ${JSON.stringify(decision)}`);
+    throw new Error(`Invalid orchestrator decision. Expected action to be one of ${VALID_ORCHESTRATOR_ACTIONS.join(", ")}, got: ${JSON.stringify(decision)}`);
   }
 
   // Normalize the action to uppercase
-  return {
-    action: decision.action.toUpperCase()
-  };
+  const action = decision.action.toUpperCase();
+  const reason = typeof decision.reason === "string" && decision.reason.length > 0 ? decision.reason : undefined;
+
+  if (action === "WAIT") {
+    return { action, ...(reason && { reason }) };
+  }
+
+  const requested = action === "RESPOND_MANY"
+    ? (Array.isArray(decision.speakers) ? decision.speakers : [])
+    : (decision.speaker !== undefined && decision.speaker !== null ? [decision.speaker] : []);
+  const speakers = [];
+  const rejectedSpeakers = [];
+  for (const name of requested) {
+    if (typeof name === "string" && participantNames.includes(name)) {
+      if (!speakers.includes(name)) {
+        speakers.push(name);
+      }
+    } else {
+      rejectedSpeakers.push(String(name));
+    }
+  }
+
+  const result = speakers.length > 1
+    ? { action: "RESPOND_MANY", speakers: speakers.slice(0, MAX_SPEAKERS_PER_DECISION) }
+    : { action: "RESPOND", ...(speakers.length === 1 && { speaker: speakers[0] }) };
+  if (reason) {
+    result.reason = reason;
+  }
+  if (rejectedSpeakers.length > 0) {
+    result.rejectedSpeakers = rejectedSpeakers;
+  }
+  return result;
 }
 
 /**
  * Build the orchestrator prompt with chat context
- * @param {string} context - The chat context (latest messages)
+ * @param {string} context - The chat context (recent messages, oldest first)
+ * @param {string[]} [participantNames] - Names of the room's AI participants
  * @returns {string} - The formatted prompt for the orchestrator
  */
-function buildOrchestratorPrompt(context) {
-  return `You are a conversation orchestrator for a multi-AI chat system. Your job is to analyze the latest message in the conversation and decide whether an AI should respond or wait.
+function buildOrchestratorPrompt(context, participantNames = []) {
+  const participantList = participantNames.length > 0 ? participantNames.join(", ") : "(none)";
+  return `You are a conversation orchestrator for a multi-AI chat system. Your job is to analyze the latest message in the conversation and decide whether an AI should respond or wait, and which AI participant(s) should speak.
+
+The chat context lists the recent conversation, oldest first, one message per line. Lines from human users are labelled "User", lines from AI participants are labelled "AI (<name>)". The last line is the latest message.
 
 Analyze the following chat context and decide:
-- If the message seems to invite or expect a response from an AI participant, respond with "RESPOND"
-- If the message seems like the user is still typing, thinking, or the conversation should pause, respond with "WAIT"
+- If the latest message seems to invite or expect a response from an AI participant, respond with "RESPOND"
+- If the user seems to be still typing or mid-thought, the question was already answered, or the conversation should pause, respond with "WAIT"
+- If you respond, pick the participant best suited to answer (for example one who was addressed, or one who has not spoken for a while). Use "RESPOND_MANY" only when several participants should each give their view, listing at most ${MAX_SPEAKERS_PER_DECISION} in speaking order.
+
+AI participants: ${participantList}
 
 Chat context:
 ${context}
 
-Respond with ONLY a JSON object in this exact format (no other text):
-{"action": "RESPOND"} or {"action": "WAIT"}`;
+Respond with ONLY a JSON object in one of these exact formats (no other text):
+{"action": "RESPOND", "speaker": "<participant>", "reason": "<short reason>"}
+{"action": "RESPOND_MANY", "speakers": ["<participant>", "<participant>"], "reason": "<short reason>"}
+{"action": "WAIT", "reason": "<short reason>"}`;
+}
+
+/**
+ * Generation options for the orchestrator decision call
+ * The mock provider answers with ORCHESTRATOR_MOCK_SETTINGS (JSON), by default
+ * a plain RESPOND so the speaker strategy picks who speaks.
+ * @param {string} provider - Provider making the decision
+ * @returns {GenerationOptions} Model or mock settings
+ * @throws {Error} If ORCHESTRATOR_MOCK_SETTINGS is not valid mock settings
+ */
+function getOrchestratorOptions(provider) {
+  if (provider === "mock") {
+    if (!process.env.ORCHESTRATOR_MOCK_SETTINGS) {
+      return { mock: DEFAULT_ORCHESTRATOR_MOCK_SETTINGS };
+    }
+    try {
+      const settings = JSON.parse(process.env.ORCHESTRATOR_MOCK_SETTINGS);
+      validateMockSettings(settings);
+      return { mock: settings };
+    } catch (error) {
+      throw new Error(`ORCHESTRATOR_MOCK_SETTINGS is invalid: ${error.message}`);
+    }
+  }
+
+  const model = ORCHESTRATOR_MODEL_NAME || (provider === "google" ? DEFAULT_ORCHESTRATOR_MODEL_NAME : undefined);
+  return model ? { model } : {};
 }
 
 /**
- * Get orchestrator decision on whether to respond or wait
- * Uses Gemini 1.5 Flash for fast decision making
+ * Provider making orchestrator decisions
+ * @returns {string} ORCHESTRATOR_PROVIDER, or LLM_PROVIDER_OVERRIDE when set
+ */
+function getOrchestratorProvider() {
+  return LLM_PROVIDER_OVERRIDE || ORCHESTRATOR_PROVIDER;
+}
+
+/**
+ * Get orchestrator decision on whether to respond or wait, and who speaks
+ * Uses ORCHESTRATOR_PROVIDER (Gemini 1.5 Flash by default) for fast decision making
  * 
  * @param {string} context - The chat context to analyze
+ * @param {string[]} [participantNames] - Names of the room's AI participants
  * @param {boolean} debug - Enable debug logging
+ * @param {Object} [options] - Options
+ * @param {number} [options.deadline] - Epoch ms by which the decision must be made
+ * @param {Function} [options.onUsage] - Called with the decision call's TokenUsage and the provider
  * @returns {Promise<OrchestratorDecision>} - The decision object with action field
  * @throws {Error} - If API call fails or response is invalid
  */
-async function getOrchestratorDecision(context, debug = false) {
-  if (!GOOGLE_API_KEY) {
-    throw new Error("GOOGLE_API_KEY environment variable is not set");
-  }
-
-  const genAI = new GoogleGenerativeAI(GOOGLE_API_KEY);
-  const model = genAI.getGenerativeModel({ model: ORCHESTRATOR_MODEL_NAME });
-
-  const prompt = buildOrchestratorPrompt(context);
+async function getOrchestratorDecision(context, participantNames = [], debug = false, options = {}) {
+  const provider = getOrchestratorProvider();
+  const prompt = buildOrchestratorPrompt(context, participantNames);
   
-  log(debug, "Orchestrator prompt:", prompt);
+  log(debug, `Orchestrator prompt (${provider}):`, prompt);
 
   try {
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text();
+    const text = await generateResponse(provider, prompt, null, debug, {
+      ...getOrchestratorOptions(provider),
+      deadline: options.deadline,
+      ...(options.onUsage && { onUsage: usage => options.onUsage(usage, provider) })
+    });
 
     log(debug, "Orchestrator raw response:", text);
 
-    const decision = parseOrchestratorResponse(text);
+    const decision = parseOrchestratorResponse(text, participantNames);
     
     log(debug, "Orchestrator decision:", decision);
 
@@ -299,12 +489,32 @@ async function getOrchestratorDecision(context, debug = false) {
 
 module.exports = {
   generateResponse,
-  generateGeminiResponse,
-  generateAnthropicResponse,
-  generateOpenAIResponse,
+  generateGeminiResponse: google.generateGeminiResponse,
+  generateAnthropicResponse: anthropic.generateAnthropicResponse,
+  generateOpenAIResponse: openai.generateOpenAIResponse,
+  streamResponse,
+  buildProviderChain,
+  generateWithFallback,
+  streamGeminiResponse: google.streamGeminiResponse,
+  streamAnthropicResponse: anthropic.streamAnthropicResponse,
+  streamOpenAIResponse: openai.streamOpenAIResponse,
+  readServerSentEvents: common.readServerSentEvents,
   buildPrompt,
+  buildConversationTurns: common.buildConversationTurns,
+  toGeminiContents: google.toGeminiContents,
+  toAnthropicMessages: anthropic.toAnthropicMessages,
+  toOpenAIMessages: openai.toOpenAIMessages,
+  getGenerationSettings: common.getGenerationSettings,
+  toGeminiModelParams: google.toGeminiModelParams,
+  toAnthropicParams: anthropic.toAnthropicParams,
+  toOpenAIParams: openai.toOpenAIParams,
+  GENERATION_SETTINGS: common.GENERATION_SETTINGS,
+  DEFAULT_MAX_TOKENS: common.DEFAULT_MAX_TOKENS,
   getOrchestratorDecision,
+  getOrchestratorProvider,
   parseOrchestratorResponse,
   isValidOrchestratorDecision,
-  VALID_ORCHESTRATOR_ACTIONS
+  buildOrchestratorPrompt,
+  VALID_ORCHESTRATOR_ACTIONS,
+  MAX_SPEAKERS_PER_DECISION
 };
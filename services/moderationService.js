@@ -0,0 +1,265 @@
+/**
+ * Moderation Service
+ * Checks user messages before they are stored and AI replies before they are
+ * published. Each checker classifies a text as allow, flag or block:
+ *
+ *   rules  MODERATION_RULES regular expressions and keyword lists (local, no calls)
+ *   llm    a classifier prompt on MODERATION_PROVIDER, when set
+ *
+ * The most severe outcome wins and is recorded on the message with the
+ * reasons of the checkers that did not allow it. Flagged messages are stored
+ * as usual; blocked user messages are rejected and blocked replies replaced by
+ * MODERATION_BLOCKED_TEXT. Replies are not streamed while moderation is
+ * configured, so no text is published before it is checked. A checker that fails allows the text, so an
+ * unavailable classifier never silences the chat.
+ */
+
+const {
+  log,
+  MODERATION_RULES,
+  MODERATION_PROVIDER,
+  MODERATION_MODEL_NAME,
+  LLM_PROVIDER_OVERRIDE
+} = require('../config.js');
+const { generateWithFallback } = require('./llmService.js');
+const { priceUsage, recordUsage } = require('./usageService.js');
+const { loadCircuitBreaker } = require('./circuitBreakerService.js');
+const { checkBudgets } = require('./budgetService.js');
+const { redactText } = require('./redactionService.js');
+
+/**
+ * Moderation outcomes, least severe first
+ */
+const MODERATION_OUTCOME = {
+  ALLOW: 'allow',
+  FLAG: 'flag',
+  BLOCK: 'block'
+};
+
+const SEVERITY = [MODERATION_OUTCOME.ALLOW, MODERATION_OUTCOME.FLAG, MODERATION_OUTCOME.BLOCK];
+
+/**
+ * Text stored in place of a blocked AI reply
+ */
+const MODERATION_BLOCKED_TEXT = '[Message removed by moderation]';
+
+/**
+ * Result of one checker
+ * @typedef {Object} ModerationVerdict
+ * @property {'allow' | 'flag' | 'block'} outcome - The checker's outcome
+ * @property {string} [reason] - Why the text was flagged or blocked
+ */
+
+/**
+ * Create a checker matching regular expressions
+ * Invalid patterns are logged and left out.
+ * @param {{pattern: string, flags?: string, outcome: string, reason?: string}[]} rules - Rules
+ *   (see parseModerationRules in config.js)
+ * @returns {{name: string, check: Function}} Checker whose check(text) resolves to a ModerationVerdict
+ */
+function createRuleChecker(rules) {
+  const compiled = rules.flatMap(rule => {
+    try {
+      return [{ ...rule, regex: new RegExp(rule.pattern, (rule.flags || '').replace(/[gy]/g, '')) }];
+    } catch (error) {
+      console.error(`Invalid moderation pattern ${rule.pattern}:`, error.message);
+      return [];
+    }
+  });
+
+  return {
+    name: 'rules',
+    async check(text) {
+      const matches = compiled.filter(rule => rule.regex.test(text));
+      if (matches.length === 0) {
+        return { outcome: MODERATION_OUTCOME.ALLOW };
+      }
+      const rule = matches.reduce((worst, match) =>
+        (SEVERITY.indexOf(match.outcome) > SEVERITY.indexOf(worst.outcome) ? match : worst));
+      return { outcome: rule.outcome, reason: rule.reason || `Matched ${rule.pattern}` };
+    }
+  };
+}
+
+/**
+ * Build the classifier prompt
+ * @param {string} text - Text to classify
+ * @returns {string} The prompt
+ */
+function buildModerationPrompt(text) {
+  return `You are a content moderator for a group chat between people and AI personas. Classify the message below.
+
+- "block": harassment, hate, threats, sexual content involving minors, instructions for serious harm, or spam
+- "flag": borderline content a person should review (insults, explicit language, risky advice)
+- "allow": everything else
+
+Message:
+"""
+${text}
+"""
+
+Respond with ONLY a JSON object (no other text):
+{"outcome": "allow" | "flag" | "block", "reason": "<short reason>"}`;
+}
+
+/**
+ * Parse the classifier's reply
+ * @param {string} reply - Raw model output
+ * @returns {ModerationVerdict} The verdict
+ * @throws {Error} If the reply holds no valid verdict
+ */
+function parseModerationResponse(reply) {
+  const json = /\{[\s\S]*\}/.exec(reply);
+  const verdict = json ? JSON.parse(json[0]) : null;
+  if (!verdict || !SEVERITY.includes(verdict.outcome)) {
+    throw new Error(`Invalid moderation response: ${reply}`);
+  }
+  return {
+    outcome: verdict.outcome,
+    ...(typeof verdict.reason === 'string' && verdict.reason.length > 0 && { reason: verdict.reason })
+  };
+}
+
+/**
+ * Limits a checker's provider calls run under
+ * @typedef {Object} ModerationLimits
+ * @property {Object} [circuitBreaker] - Circuit breaker of the tick (default: loaded for the provider)
+ * @property {Object} [budget] - Budget state of the tick (default: checked against the usage counters)
+ * @property {number} [deadline] - Epoch ms by which the call must be done
+ * @property {Object} [redaction] - The room's redaction settings (default: DEFAULT_REDACTION)
+ */
+
+/**
+ * Create a checker asking an LLM to classify the text
+ * The text is sent with personal data redacted as the room asks (see redactText). The call is
+ * made like any reply: skipped while the provider's circuit is open or it (or
+ * the global budget) is over budget, cut off at its time limit, and its
+ * tokens are added to the provider's usage counters. A skipped call fails the
+ * check, which allows the text. The mock provider allows everything.
+ * @param {string} provider - Provider to call
+ * @param {string} [model] - Model name; the provider's default if not set
+ * @returns {{name: string, check: Function}} Checker whose check(text, debug, limits) resolves to a
+ *   ModerationVerdict
+ */
+function createLlmChecker(provider, model) {
+  return {
+    name: 'llm',
+    async check(text, debug, limits = {}) {
+      const budget = limits.budget || await checkBudgets(debug);
+      if (budget.isGlobalExceeded()) {
+        throw new Error('Over budget');
+      }
+      const circuitBreaker = limits.circuitBreaker || await loadCircuitBreaker([{ provider }], debug);
+
+      const options = (LLM_PROVIDER_OVERRIDE || provider) === 'mock'
+        ? { mock: { mode: 'script', replies: ['{"outcome": "allow"}'] } }
+        : { ...(model && { model }), temperature: 0 };
+      const reply = await generateWithFallback(
+        [{ provider, options: { ...options, ...(limits.deadline !== undefined && { deadline: limits.deadline }) } }],
+        buildModerationPrompt(redactText(text, limits.redaction)),
+        debug,
+        { circuitBreaker, budget }
+      );
+      if (reply.usage) {
+        await recordUsage(reply.provider, priceUsage(reply.usage), debug);
+      }
+      return parseModerationResponse(reply.text);
+    }
+  };
+}
+
+/**
+ * Checkers configured for this deployment
+ * @returns {Object[]} The rules checker when MODERATION_RULES has rules, then the
+ *   LLM checker when MODERATION_PROVIDER is set
+ */
+function getConfiguredCheckers() {
+  return [
+    ...(MODERATION_RULES.length > 0 ? [createRuleChecker(MODERATION_RULES)] : []),
+    ...(MODERATION_PROVIDER ? [createLlmChecker(MODERATION_PROVIDER, MODERATION_MODEL_NAME)] : [])
+  ];
+}
+
+/**
+ * Check whether any checker is configured
+ * @returns {boolean} True when MODERATION_RULES has rules or MODERATION_PROVIDER is set
+ */
+function isModerationConfigured() {
+  return MODERATION_RULES.length > 0 || Boolean(MODERATION_PROVIDER);
+}
+
+/**
+ * Run a text through the checkers
+ * Checkers run in order and stop at the first block.
+ * @param {string} text - User message or AI reply
+ * @param {boolean} debug - Enable debug logging
+ * @param {ModerationLimits} [options] - Limits of the checkers' provider calls, and
+ * @param {Object[]} [options.checkers] - Checkers (default: the configured ones)
+ * @returns {Promise<{outcome: string, reasons?: string[]}|null>} The outcome to record on the
+ *   message, with "<checker>: <reason>" for each checker that did not allow the text; null when
+ *   no checker is configured
+ */
+async function moderateText(text, debug, options = {}) {
+  const { checkers = getConfiguredCheckers(), ...limits } = options;
+  if (checkers.length === 0) {
+    return null;
+  }
+
+  let outcome = MODERATION_OUTCOME.ALLOW;
+  const reasons = [];
+  for (const checker of checkers) {
+    let verdict;
+    try {
+      verdict = await checker.check(text, debug, limits);
+    } catch (error) {
+      console.error(`Moderation checker ${checker.name} failed; allowing the text:`, error.message);
+      continue;
+    }
+    if (verdict.outcome === MODERATION_OUTCOME.ALLOW) {
+      continue;
+    }
+    reasons.push(`${checker.name}: ${verdict.reason || verdict.outcome}`);
+    if (SEVERITY.indexOf(verdict.outcome) > SEVERITY.indexOf(outcome)) {
+      outcome = verdict.outcome;
+    }
+    if (outcome === MODERATION_OUTCOME.BLOCK) {
+      break;
+    }
+  }
+
+  const moderation = { outcome, ...(reasons.length > 0 && { reasons }) };
+  log(debug, 'Moderation outcome:', moderation);
+  return moderation;
+}
+
+/**
+ * Moderate an AI reply before it is published
+ * @param {string} text - The reply
+ * @param {boolean} debug - Enable debug logging
+ * @param {Object} [options] - Checkers and limits (see moderateText)
+ * @returns {Promise<{text: string, moderation?: Object}>} The text to publish (MODERATION_BLOCKED_TEXT
+ *   when blocked) and the outcome to record, if any checker is configured
+ */
+async function moderateReply(text, debug, options) {
+  const moderation = await moderateText(text, debug, options);
+  if (!moderation) {
+    return { text };
+  }
+  if (moderation.outcome === MODERATION_OUTCOME.BLOCK) {
+    console.error('AI reply blocked by moderation:', moderation.reasons);
+    return { text: MODERATION_BLOCKED_TEXT, moderation };
+  }
+  return { text, moderation };
+}
+
+module.exports = {
+  createRuleChecker,
+  createLlmChecker,
+  buildModerationPrompt,
+  parseModerationResponse,
+  moderateText,
+  moderateReply,
+  isModerationConfigured,
+  MODERATION_OUTCOME,
+  MODERATION_BLOCKED_TEXT
+};
@@ -0,0 +1,263 @@
+/**
+ * Participant Service
+ * Adds, updates, reorders and removes the AI participants of a live room.
+ * Changes keep the same participant next in line (nextSpeakerIndex follows it
+ * to its new position) and are written only if the room was not changed
+ * meanwhile, retrying a few times otherwise.
+ */
+
+const { log } = require('../config.js');
+const { getChatMetadata, updateRoomParticipants } = require('./dynamoDbService.js');
+const { validateParticipant, validateChatMetadata } = require('../models/chatMetadata.js');
+const { roomError, canManageRoom } = require('./roomService.js');
+
+/**
+ * Participant fields that may be changed through updateParticipant; the name
+ * is fixed because it is the sender of the participant's past messages
+ */
+const UPDATABLE_PARTICIPANT_FIELDS = [
+  'provider', 'personality', 'systemPrompt', 'weight',
+  'model', 'temperature', 'maxTokens', 'topP', 'stopSequences', 'baseUrl', 'apiKeyEnv', 'mock', 'fallbackProviders',
+  'timeoutMs'
+];
+
+/**
+ * Participant fields that reveal how providers are reached; shown only to
+ * users who may manage the room
+ */
+const CONNECTION_SETTINGS = ['baseUrl', 'apiKeyEnv'];
+
+/**
+ * Attempts at writing a change before giving up on concurrent modifications
+ */
+const MAX_PARTICIPANT_UPDATE_ATTEMPTS = 3;
+
+/**
+ * Check whether a user may manage a room's participants; the same users who
+ * may manage the room itself (see canManageRoom)
+ */
+const canManageParticipants = canManageRoom;
+
+/**
+ * Speaker index that keeps the same participant next in line after a change
+ * If that participant was removed, the turn passes to the first one after it
+ * (in the old order) that is still present.
+ * @param {Object[]} oldParticipants - Participants before the change
+ * @param {number} oldIndex - nextSpeakerIndex before the change
+ * @param {Object[]} newParticipants - Participants after the change
+ * @returns {number} nextSpeakerIndex for newParticipants
+ */
+function remapSpeakerIndex(oldParticipants, oldIndex, newParticipants) {
+  const newNames = newParticipants.map(participant => participant.name);
+  for (let offset = 0; offset < oldParticipants.length; offset++) {
+    const name = oldParticipants[(oldIndex + offset) % oldParticipants.length].name;
+    const newIndex = newNames.indexOf(name);
+    if (newIndex !== -1) {
+      return newIndex;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Public view of a room's participants
+ * @param {Object} metadata - ChatMetadata item of the room
+ * @param {boolean} [includeConnection] - Keep the CONNECTION_SETTINGS (default true)
+ * @returns {{roomId: string, llmParticipants: Object[], nextSpeaker: string}} Participants in speaking order
+ */
+function toParticipantList(metadata, includeConnection = true) {
+  const participants = metadata.llmParticipants;
+  return {
+    roomId: metadata.id,
+    llmParticipants: includeConnection
+      ? participants
+      : participants.map(participant => Object.fromEntries(Object.entries(participant)
+        .filter(([field]) => !CONNECTION_SETTINGS.includes(field)))),
+    nextSpeaker: participants[metadata.nextSpeakerIndex % participants.length].name
+  };
+}
+
+/**
+ * Apply a change to a room's participant list and write it
+ * @param {string} roomId - The room
+ * @param {string} email - Email of the authenticated user
+ * @param {Function} change - (participants) => new participants; throws roomError for bad requests
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<Object|null>} Participant list after the change, or null if the room does not exist
+ * @throws {Error} With statusCode 400, 403 or 409
+ */
+async function changeParticipants(roomId, email, change, debug) {
+  for (let attempt = 1; attempt <= MAX_PARTICIPANT_UPDATE_ATTEMPTS; attempt++) {
+    const metadata = await getChatMetadata(roomId, debug);
+    if (!metadata) {
+      return null;
+    }
+    if (!canManageParticipants(metadata, email)) {
+      throw roomError(403, `Not allowed to manage the participants of room ${roomId}`);
+    }
+
+    const participants = change(metadata.llmParticipants.map(participant => ({ ...participant })));
+    const nextSpeakerIndex = remapSpeakerIndex(metadata.llmParticipants, metadata.nextSpeakerIndex, participants);
+    try {
+      validateChatMetadata({ ...metadata, llmParticipants: participants, nextSpeakerIndex });
+    } catch (error) {
+      throw roomError(400, error.message);
+    }
+
+    const updated = await updateRoomParticipants(roomId, participants, nextSpeakerIndex, metadata, debug);
+    if (updated) {
+      return toParticipantList(updated);
+    }
+    log(debug, `Room ${roomId} changed during participant update (attempt ${attempt})`);
+  }
+
+  throw roomError(409, `Room ${roomId} was modified concurrently; try again`);
+}
+
+/**
+ * Index of a participant by name
+ * @param {Object[]} participants - Participant list
+ * @param {string} name - Participant name
+ * @returns {number} Index
+ * @throws {Error} With statusCode 404 if there is no such participant
+ */
+function findParticipantIndex(participants, name) {
+  const index = participants.findIndex(participant => participant.name === name);
+  if (index === -1) {
+    throw roomError(404, `Participant ${name} not found`);
+  }
+  return index;
+}
+
+/**
+ * List the participants of a room
+ * Users who may not manage the room do not see the CONNECTION_SETTINGS.
+ * @param {string} roomId - The room
+ * @param {string} email - Email of the authenticated user
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<Object|null>} Participant list, or null if the room does not exist
+ */
+async function listParticipants(roomId, email, debug) {
+  const metadata = await getChatMetadata(roomId, debug);
+  return metadata ? toParticipantList(metadata, canManageParticipants(metadata, email)) : null;
+}
+
+/**
+ * Add a participant to a room
+ * @param {string} roomId - The room
+ * @param {Object} participant - The new participant (validated with validateParticipant)
+ * @param {number} [position] - Index to insert at; appended when omitted
+ * @param {string} email - Email of the authenticated user
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<Object|null>} Participant list, or null if the room does not exist
+ * @throws {Error} With statusCode 400 on invalid input, 403 or 409
+ */
+async function addParticipant(roomId, participant, position, email, debug) {
+  try {
+    validateParticipant(participant);
+  } catch (error) {
+    throw roomError(400, error.message);
+  }
+
+  return changeParticipants(roomId, email, participants => {
+    if (participants.some(existing => existing.name === participant.name)) {
+      throw roomError(409, `Participant ${participant.name} already exists`);
+    }
+    const index = position === undefined ? participants.length : position;
+    if (!Number.isInteger(index) || index < 0 || index > participants.length) {
+      throw roomError(400, `position must be an integer between 0 and ${participants.length}`);
+    }
+    participants.splice(index, 0, participant);
+    return participants;
+  }, debug);
+}
+
+/**
+ * Change fields of a participant
+ * @param {string} roomId - The room
+ * @param {string} name - Name of the participant
+ * @param {Object} updates - Any of UPDATABLE_PARTICIPANT_FIELDS; null removes an optional field
+ * @param {string} email - Email of the authenticated user
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<Object|null>} Participant list, or null if the room does not exist
+ * @throws {Error} With statusCode 400 on invalid input, 403, 404 or 409
+ */
+async function updateParticipant(roomId, name, updates, email, debug) {
+  const unknownFields = Object.keys(updates).filter(key => !UPDATABLE_PARTICIPANT_FIELDS.includes(key));
+  if (unknownFields.length > 0) {
+    throw roomError(400, `Unsupported participant fields: ${unknownFields.join(', ')}. ` +
+      `Updatable fields: ${UPDATABLE_PARTICIPANT_FIELDS.join(', ')}`);
+  }
+  if (Object.keys(updates).length === 0) {
+    throw roomError(400, 'No participant fields to update');
+  }
+
+  return changeParticipants(roomId, email, participants => {
+    const index = findParticipantIndex(participants, name);
+    const participant = { ...participants[index] };
+    Object.entries(updates).forEach(([field, value]) => {
+      if (value === null) {
+        delete participant[field];
+      } else {
+        participant[field] = value;
+      }
+    });
+    participants[index] = participant;
+    return participants;
+  }, debug);
+}
+
+/**
+ * Change the speaking order of a room's participants
+ * @param {string} roomId - The room
+ * @param {string[]} order - Every participant name, once, in the new order
+ * @param {string} email - Email of the authenticated user
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<Object|null>} Participant list, or null if the room does not exist
+ * @throws {Error} With statusCode 400 if order is not a permutation of the names, 403 or 409
+ */
+async function reorderParticipants(roomId, order, email, debug) {
+  if (!Array.isArray(order)) {
+    throw roomError(400, 'order must be an array of participant names');
+  }
+
+  return changeParticipants(roomId, email, participants => {
+    const names = participants.map(participant => participant.name);
+    if (order.length !== names.length || new Set(order).size !== order.length ||
+        !order.every(name => names.includes(name))) {
+      throw roomError(400, `order must list each participant exactly once: ${names.join(', ')}`);
+    }
+    return order.map(name => participants[names.indexOf(name)]);
+  }, debug);
+}
+
+/**
+ * Remove a participant from a room; its past messages are kept
+ * @param {string} roomId - The room
+ * @param {string} name - Name of the participant
+ * @param {string} email - Email of the authenticated user
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<Object|null>} Participant list, or null if the room does not exist
+ * @throws {Error} With statusCode 400 when removing the last participant, 403, 404 or 409
+ */
+async function removeParticipant(roomId, name, email, debug) {
+  return changeParticipants(roomId, email, participants => {
+    const index = findParticipantIndex(participants, name);
+    if (participants.length === 1) {
+      throw roomError(400, 'A room must keep at least one participant');
+    }
+    participants.splice(index, 1);
+    return participants;
+  }, debug);
+}
+
+module.exports = {
+  canManageParticipants,
+  remapSpeakerIndex,
+  listParticipants,
+  addParticipant,
+  updateParticipant,
+  reorderParticipants,
+  removeParticipant,
+  UPDATABLE_PARTICIPANT_FIELDS
+};
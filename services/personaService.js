@@ -0,0 +1,65 @@
+/**
+ * Persona Service
+ * Builds the system prompt a participant speaks under from its metadata:
+ * name, character description and style rules (participant.systemPrompt),
+ * how users address it (personality.phrase), a mood picked from personality.moods
+ * and the other AI participants in the room.
+ */
+
+/**
+ * Character description used for participants stored without a systemPrompt
+ */
+const DEFAULT_PERSONA_DESCRIPTION = "A friendly, knowledgeable AI participant with a voice of its own.";
+
+/**
+ * Style rules every persona follows, after its own rules
+ */
+const COMMON_STYLE_RULES = [
+  "Keep replies conversational and reasonably short; this is a chat, not an essay.",
+  "Reply only as yourself: do not write lines for other participants and do not prefix your reply with your name."
+];
+
+/**
+ * Build the system prompt for a participant
+ * @param {Object} participant - The participant that will respond
+ * @param {Object[]} [participants] - All AI participants of the room (including this one)
+ * @param {Function} [random] - Returns a number in [0, 1); picks the mood
+ * @returns {string} System prompt text
+ */
+function buildSystemPrompt(participant, participants = [], random = Math.random) {
+  const description = participant.systemPrompt?.description || DEFAULT_PERSONA_DESCRIPTION;
+  const styleRules = [...(participant.systemPrompt?.styleRules || []), ...COMMON_STYLE_RULES];
+  const others = participants.filter(other => other.name !== participant.name);
+
+  const sections = [
+    `You are ${participant.name}, one of the AI participants in a group chat with human users and other AIs.`,
+    `Character: ${description}`,
+    `Style rules:\n${styleRules.map(rule => `- ${rule}`).join("\n")}`
+  ];
+
+  if (others.length > 0) {
+    sections.push(
+      `Other AI participants in this room: ${others.map(other => other.name).join(", ")}. ` +
+      `Their messages appear prefixed with their name, e.g. "${others[0].name}: ...".`
+    );
+  } else {
+    sections.push("You are the only AI participant in this room.");
+  }
+
+  const personality = participant.personality || {};
+  if (personality.phrase) {
+    sections.push(`Users often address you like this: "${personality.phrase.trim()}..."`);
+  }
+  if (Array.isArray(personality.moods) && personality.moods.length > 0) {
+    const mood = personality.moods[Math.floor(random() * personality.moods.length)];
+    sections.push(`Your current mood, in your own words: "${mood.trim()}"`);
+  }
+
+  return sections.join("\n\n");
+}
+
+module.exports = {
+  buildSystemPrompt,
+  DEFAULT_PERSONA_DESCRIPTION,
+  COMMON_STYLE_RULES
+};
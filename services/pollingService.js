@@ -0,0 +1,153 @@
+/**
+ * Polling Service
+ * Conditional GET (ETag / If-None-Match) and long-polling support for /getchat.
+ * A room's version is the datetime of its newest message, so the ETag only
+ * changes when a message is added, plus the updatedAt of that message while it
+ * is still streaming, so the ETag also changes as a reply grows.
+ */
+
+const { log } = require('../config.js');
+const { getLatestMessage, STREAMING_STATUS } = require('./dynamoDbService.js');
+
+/**
+ * Upper bound for the `wait` parameter; keeps long-polls inside the API Gateway
+ * and Lambda timeouts (30s)
+ */
+const LONG_POLL_MAX_WAIT_SECONDS = 20;
+
+/**
+ * Delay between checks for a new message while long-polling
+ */
+const LONG_POLL_INTERVAL_MS = 1000;
+
+/**
+ * Get the datetime of the newest message in a room
+ * @param {string} roomId - The room to check
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<number>} Newest message datetime, or 0 if the room has no messages
+ */
+async function getLatestMessageDatetime(roomId, debug) {
+  const latestMessage = await getLatestMessage(roomId, debug);
+  return latestMessage ? latestMessage.datetime : 0;
+}
+
+/**
+ * Version of a room's chat log given its newest message
+ * @param {Object|null} latestMessage - Newest message, or null if the room has none
+ * @returns {number|string} Datetime of the message (0 if none), suffixed with
+ *   ".<updatedAt>" while the message is streaming
+ */
+function getMessageVersion(latestMessage) {
+  if (!latestMessage) {
+    return 0;
+  }
+  if (latestMessage.status === STREAMING_STATUS) {
+    return `${latestMessage.datetime}.${latestMessage.updatedAt}`;
+  }
+  return latestMessage.datetime;
+}
+
+/**
+ * Get the current version of a room's chat log
+ * @param {string} roomId - The room to check
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<number|string>} Version for buildChatLogETag
+ */
+async function getChatLogVersion(roomId, debug) {
+  return getMessageVersion(await getLatestMessage(roomId, debug));
+}
+
+/**
+ * Build the ETag of a room's chat log
+ * @param {string} roomId - The room
+ * @param {number|string} version - Chat log version (see getMessageVersion)
+ * @returns {string} Quoted ETag value
+ */
+function buildChatLogETag(roomId, version) {
+  return `"${roomId}-${version}"`;
+}
+
+/**
+ * Check whether an If-None-Match header value matches an ETag
+ * Handles lists, weak validators and the "*" wildcard.
+ * @param {string|undefined} ifNoneMatch - Raw If-None-Match header value
+ * @param {string} etag - Current ETag
+ * @returns {boolean} True if the client's copy is current
+ */
+function etagMatches(ifNoneMatch, etag) {
+  if (!ifNoneMatch) {
+    return false;
+  }
+  return ifNoneMatch
+    .split(',')
+    .map(tag => tag.trim().replace(/^W\//, ''))
+    .some(tag => tag === '*' || tag === etag);
+}
+
+/**
+ * Parse the `wait` query parameter
+ * @param {string|undefined} value - Raw value in seconds
+ * @returns {number} Seconds to wait, capped at LONG_POLL_MAX_WAIT_SECONDS (0 when absent)
+ * @throws {Error} If the value is not a non-negative number
+ */
+function parseWaitSeconds(value) {
+  if (value === undefined || value === null || value === '') {
+    return 0;
+  }
+  const seconds = Number(value);
+  if (!Number.isFinite(seconds) || seconds < 0) {
+    throw new Error('wait must be a non-negative number of seconds');
+  }
+  return Math.min(seconds, LONG_POLL_MAX_WAIT_SECONDS);
+}
+
+/**
+ * Hold until a room has a message newer than `since` or the wait time elapses
+ * When the client also sends If-None-Match, a message it has already seen in
+ * that version (e.g. a streaming reply that has not grown) does not end the wait.
+ * @param {string} roomId - The room to watch
+ * @param {number} since - Datetime the client already has
+ * @param {number} waitSeconds - Maximum time to wait
+ * @param {boolean} debug - Enable debug logging
+ * @param {Object} [options] - Options and test hooks
+ * @param {string} [options.ifNoneMatch] - Raw If-None-Match header value of the request
+ * @param {number} [options.intervalMs] - Delay between checks
+ * @param {Function} [options.sleep] - Async sleep function taking milliseconds
+ * @param {Function} [options.now] - Clock returning milliseconds
+ * @returns {Promise<number|string>} Chat log version when the wait ended
+ */
+async function waitForNewMessage(roomId, since, waitSeconds, debug, options = {}) {
+  const intervalMs = options.intervalMs || LONG_POLL_INTERVAL_MS;
+  const sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+  const now = options.now || Date.now;
+  const deadline = now() + waitSeconds * 1000;
+
+  const hasNewMessage = (latestMessage) => {
+    if (!latestMessage || latestMessage.datetime <= since) {
+      return false;
+    }
+    return !etagMatches(options.ifNoneMatch, buildChatLogETag(roomId, getMessageVersion(latestMessage)));
+  };
+
+  let latestMessage = await getLatestMessage(roomId, debug);
+  while (!hasNewMessage(latestMessage) && now() < deadline) {
+    await sleep(Math.min(intervalMs, Math.max(deadline - now(), 0)));
+    latestMessage = await getLatestMessage(roomId, debug);
+  }
+
+  const version = getMessageVersion(latestMessage);
+  log(debug, `Long-poll on room ${roomId} ended at version ${version} (since ${since})`);
+  return version;
+}
+
+module.exports = {
+  getLatestMessageDatetime,
+  getMessageVersion,
+  getChatLogVersion,
+  buildChatLogETag,
+  etagMatches,
+  parseWaitSeconds,
+  waitForNewMessage,
+  LONG_POLL_MAX_WAIT_SECONDS,
+  LONG_POLL_INTERVAL_MS
+};
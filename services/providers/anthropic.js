@@ -0,0 +1,174 @@
+/**
+ * Anthropic Claude provider adapter (Messages API via native fetch)
+ */
+
+const { log } = require('../../config.js');
+const {
+  DEFAULT_MAX_TOKENS,
+  buildConversationTurns,
+  readServerSentEvents,
+  providerHttpError,
+  reportUsage
+} = require('./common.js');
+
+const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
+const ANTHROPIC_MODEL_NAME = process.env.ANTHROPIC_MODEL_NAME || "claude-3-haiku-20240307";
+
+/**
+ * Map a conversation to Anthropic Messages API `messages`
+ * @param {string|HistoryTurn[]} conversation - A single prompt or the history, oldest first
+ * @returns {Object[]} Anthropic messages
+ */
+function toAnthropicMessages(conversation) {
+  return buildConversationTurns(conversation).map(turn => ({
+    role: turn.role,
+    content: turn.content
+  }));
+}
+
+/**
+ * Anthropic Messages API request fields other than the messages
+ * @param {GenerationOptions} options - Generation options
+ * @returns {Object} model, max_tokens and the optional sampling fields
+ */
+function toAnthropicParams(options) {
+  return {
+    model: options.model || ANTHROPIC_MODEL_NAME,
+    max_tokens: options.maxTokens || DEFAULT_MAX_TOKENS,
+    ...(options.temperature !== undefined && { temperature: options.temperature }),
+    ...(options.topP !== undefined && { top_p: options.topP }),
+    ...(options.stopSequences && { stop_sequences: options.stopSequences }),
+    ...(options.systemPrompt && { system: options.systemPrompt })
+  };
+}
+
+/**
+ * Generate a response using Anthropic's Claude API via native fetch
+ * @param {string|HistoryTurn[]} prompt - The prompt, or the role-tagged history, to send to the model
+ * @param {GenerationOptions} [options] - System prompt, model and sampling settings
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<string>} - The generated response text
+ */
+async function generateAnthropicResponse(prompt, options = {}, debug = false) {
+  log(debug, "Anthropic prompt:", prompt);
+
+  const params = toAnthropicParams(options);
+  const response = await fetch("https://api.anthropic.com/v1/messages", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "x-api-key": ANTHROPIC_API_KEY,
+      "anthropic-version": "2023-06-01"
+    },
+    body: JSON.stringify({
+      ...params,
+      messages: toAnthropicMessages(prompt)
+    }),
+    signal: options.signal
+  });
+
+  if (!response.ok) {
+    throw await providerHttpError("Anthropic", response);
+  }
+
+  const data = await response.json();
+  // Filter for text content blocks only (Claude can return multiple block types)
+  const text = data.content
+    .filter(block => block.type === "text")
+    .map(block => block.text)
+    .join("\n");
+  reportUsage(options, params.model, data.usage?.input_tokens, data.usage?.output_tokens);
+
+  log(debug, "Anthropic response:", text);
+
+  return text;
+}
+
+/**
+ * Stream a response from Anthropic's Claude API (Messages API with stream: true)
+ * @param {string|HistoryTurn[]} prompt - The prompt, or the role-tagged history, to send to the model
+ * @param {Function} onText - Called with the accumulated text after every text delta
+ * @param {GenerationOptions} [options] - System prompt, model and sampling settings
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<string>} - The complete response text
+ */
+async function streamAnthropicResponse(prompt, onText, options = {}, debug = false) {
+  log(debug, "Anthropic streaming prompt:", prompt);
+
+  const params = toAnthropicParams(options);
+  const response = await fetch("https://api.anthropic.com/v1/messages", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "x-api-key": ANTHROPIC_API_KEY,
+      "anthropic-version": "2023-06-01"
+    },
+    body: JSON.stringify({
+      ...params,
+      stream: true,
+      messages: toAnthropicMessages(prompt)
+    }),
+    signal: options.signal
+  });
+
+  if (!response.ok) {
+    throw await providerHttpError("Anthropic", response);
+  }
+
+  let text = "";
+  // Input tokens arrive with message_start, the running output count with message_delta
+  let inputTokens;
+  let outputTokens;
+  for await (const { event, data } of readServerSentEvents(response.body)) {
+    if (event === "error") {
+      const error = new Error(`Anthropic API stream error: ${data}`);
+      // Overloaded mid-stream is the streaming form of HTTP 529
+      if (data.includes("overloaded_error")) {
+        error.status = 529;
+      }
+      throw error;
+    }
+    if (event === "message_start") {
+      inputTokens = JSON.parse(data).message?.usage?.input_tokens;
+      continue;
+    }
+    if (event === "message_delta") {
+      outputTokens = JSON.parse(data).usage?.output_tokens;
+      continue;
+    }
+    if (event !== "content_block_delta") {
+      continue;
+    }
+    const delta = JSON.parse(data).delta;
+    if (delta && delta.type === "text_delta" && delta.text) {
+      text += delta.text;
+      onText(text);
+    }
+  }
+  reportUsage(options, params.model, inputTokens, outputTokens);
+
+  log(debug, "Anthropic streamed response:", text);
+
+  return text;
+}
+
+/**
+ * Provider adapter registered as "anthropic"
+ */
+const adapter = {
+  name: "anthropic",
+  requiredConfig: ["ANTHROPIC_API_KEY"],
+  capabilities: { streaming: true, systemPrompt: true, vision: true },
+  maxTemperature: 1,
+  defaultModel: ANTHROPIC_MODEL_NAME,
+  generate: generateAnthropicResponse,
+  stream: streamAnthropicResponse
+};
+
+module.exports = {
+  adapter,
+  toAnthropicMessages,
+  toAnthropicParams,
+  generateAnthropicResponse,
+  streamAnthropicResponse
+};
@@ -0,0 +1,236 @@
+/**
+ * Shared provider helpers: the conversation and generation option types,
+ * normalization of a conversation into alternating turns, and server-sent
+ * event parsing for streaming HTTP APIs.
+ */
+
+/**
+ * One entry of a role-tagged conversation history
+ * @typedef {Object} HistoryTurn
+ * @property {'user' | 'assistant' | 'persona'} role - A human user, the persona being
+ *   asked to respond (its own past turns), or another AI persona
+ * @property {string} content - The message text
+ * @property {string} [name] - Speaker name; labels persona turns
+ */
+
+/**
+ * Per-request generation options
+ * @typedef {Object} GenerationOptions
+ * @property {string} [systemPrompt] - Persona instructions, sent through the provider's
+ *   system mechanism (Gemini systemInstruction, Anthropic system, OpenAI system message)
+ * @property {string} [model] - Model name; defaults to the provider's *_MODEL_NAME
+ * @property {number} [temperature] - Sampling temperature
+ * @property {number} [maxTokens] - Maximum tokens to generate; Anthropic and OpenAI default to DEFAULT_MAX_TOKENS
+ * @property {number} [topP] - Nucleus sampling probability mass
+ * @property {string[]} [stopSequences] - Sequences that end the reply
+ * @property {string} [baseUrl] - openai-compatible: server base URL, e.g. http://localhost:11434/v1
+ * @property {string} [apiKeyEnv] - openai-compatible: environment variable holding the API key
+ * @property {Object} [mock] - mock: scripted/templated/random replies, latency and failures
+ * @property {number} [timeoutMs] - Time limit of one attempt (see services/timeoutService.js)
+ * @property {number} [deadline] - Epoch ms by which the call must be done (the invocation's budget)
+ * @property {AbortSignal} [signal] - Set by llmService for adapters: aborts the request when time is up
+ * @property {Function} [onUsage] - Called by the adapter with the call's TokenUsage, when the provider reports it
+ */
+
+/**
+ * Tokens billed for one provider call
+ * @typedef {Object} TokenUsage
+ * @property {string} model - Model that answered (the requested model name)
+ * @property {number} inputTokens - Prompt tokens, including the system prompt
+ * @property {number} outputTokens - Generated tokens
+ */
+
+/**
+ * Participant fields copied into GenerationOptions (see getGenerationSettings)
+ */
+const GENERATION_SETTINGS = ['model', 'temperature', 'maxTokens', 'topP', 'stopSequences', 'baseUrl', 'apiKeyEnv', 'mock', 'timeoutMs'];
+
+/**
+ * Reply length limit when a participant sets no maxTokens
+ */
+const DEFAULT_MAX_TOKENS = 1024;
+
+/**
+ * Pick a participant's generation settings
+ * @param {Object} participant - Participant from the room metadata
+ * @returns {GenerationOptions} The settings the participant defines
+ */
+function getGenerationSettings(participant) {
+  const settings = {};
+  GENERATION_SETTINGS.forEach(setting => {
+    if (participant[setting] !== undefined) {
+      settings[setting] = participant[setting];
+    }
+  });
+  return settings;
+}
+
+/**
+ * Sent as the final user turn when the history ends with the persona's own turn,
+ * since providers expect the conversation to end on a user turn
+ */
+const CONTINUE_PROMPT = "Continue the conversation.";
+
+/**
+ * Normalize a prompt or role-tagged history into alternating user/assistant turns
+ * Other personas' turns become user turns prefixed with their name, consecutive
+ * turns of the same role are merged, and the result starts and ends with a user
+ * turn as the Gemini and Anthropic APIs require.
+ * @param {string|HistoryTurn[]} conversation - A single prompt or the history, oldest first
+ * @returns {{role: 'user' | 'assistant', content: string}[]} Provider-neutral turns
+ */
+function buildConversationTurns(conversation) {
+  if (typeof conversation === "string") {
+    return [{ role: "user", content: conversation }];
+  }
+
+  const turns = [];
+  for (const turn of conversation) {
+    const role = turn.role === "assistant" ? "assistant" : "user";
+    const content = turn.role === "persona" && turn.name ? `${turn.name}: ${turn.content}` : turn.content;
+    const previous = turns[turns.length - 1];
+
+    if (previous && previous.role === role) {
+      previous.content += `\n\n${content}`;
+    } else if (previous || role === "user") {
+      turns.push({ role, content });
+    }
+  }
+
+  if (turns.length === 0 || turns[turns.length - 1].role === "assistant") {
+    turns.push({ role: "user", content: CONTINUE_PROMPT });
+  }
+  return turns;
+}
+
+/**
+ * Parse one server-sent event block into its event name and data
+ * @param {string} rawEvent - Lines of a single event (without the blank-line terminator)
+ * @returns {{event: string, data: string}|null} Parsed event, or null if it carries no data
+ */
+function parseServerSentEvent(rawEvent) {
+  let event = "message";
+  const dataLines = [];
+
+  for (const line of rawEvent.split("\n")) {
+    if (line.length === 0 || line.startsWith(":")) {
+      continue;
+    }
+    const separator = line.indexOf(":");
+    const field = separator === -1 ? line : line.slice(0, separator);
+    let value = separator === -1 ? "" : line.slice(separator + 1);
+    if (value.startsWith(" ")) {
+      value = value.slice(1);
+    }
+
+    if (field === "event") {
+      event = value;
+    } else if (field === "data") {
+      dataLines.push(value);
+    }
+  }
+
+  if (dataLines.length === 0) {
+    return null;
+  }
+  return { event, data: dataLines.join("\n") };
+}
+
+/**
+ * Read server-sent events from a fetch response body
+ * @param {AsyncIterable<Uint8Array|string>} body - Response body stream
+ * @returns {AsyncGenerator<{event: string, data: string}>} Parsed events in order
+ */
+async function* readServerSentEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for await (const chunk of body) {
+    buffer += typeof chunk === "string" ? chunk : decoder.decode(chunk, { stream: true });
+    buffer = buffer.replace(/\r\n/g, "\n");
+
+    let boundary;
+    while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+      const parsed = parseServerSentEvent(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      if (parsed) {
+        yield parsed;
+      }
+    }
+  }
+
+  const parsed = parseServerSentEvent(buffer.trim());
+  if (parsed) {
+    yield parsed;
+  }
+}
+
+/**
+ * Parse a Retry-After header value
+ * @param {string|null|undefined} value - Delay in seconds or an HTTP date
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {number|undefined} Delay in milliseconds, or undefined if absent or unparseable
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) {
+    return undefined;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(seconds * 1000, 0);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(date - now, 0);
+}
+
+/**
+ * Error for an unsuccessful provider HTTP response
+ * Carries the HTTP status (error.status) and, when the provider sent
+ * Retry-After, the requested delay (error.retryAfterMs) for the retry logic.
+ * @param {string} label - Provider name used in the message
+ * @param {Response} response - The failed fetch response
+ * @returns {Promise<Error>} The error, to be thrown by the caller
+ */
+async function providerHttpError(label, response) {
+  const errorBody = await response.text();
+  const error = new Error(`${label} API error: ${response.status} - ${errorBody}`);
+  error.status = response.status;
+  const retryAfterMs = parseRetryAfter(response.headers?.get("retry-after"));
+  if (retryAfterMs !== undefined) {
+    error.retryAfterMs = retryAfterMs;
+  }
+  return error;
+}
+
+/**
+ * Pass a call's token counts to options.onUsage
+ * Nothing is reported when the provider sent no counts (e.g. an
+ * OpenAI-compatible server without usage support).
+ * @param {GenerationOptions} options - Generation options of the call
+ * @param {string} model - Model that answered
+ * @param {number} [inputTokens] - Prompt tokens reported by the provider
+ * @param {number} [outputTokens] - Generated tokens reported by the provider
+ */
+function reportUsage(options, model, inputTokens, outputTokens) {
+  if (!options.onUsage || (inputTokens === undefined && outputTokens === undefined)) {
+    return;
+  }
+  options.onUsage({
+    model: model || "unknown",
+    inputTokens: inputTokens || 0,
+    outputTokens: outputTokens || 0
+  });
+}
+
+module.exports = {
+  GENERATION_SETTINGS,
+  DEFAULT_MAX_TOKENS,
+  CONTINUE_PROMPT,
+  getGenerationSettings,
+  buildConversationTurns,
+  parseServerSentEvent,
+  readServerSentEvents,
+  parseRetryAfter,
+  providerHttpError,
+  reportUsage
+};
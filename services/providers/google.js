@@ -0,0 +1,121 @@
+/**
+ * Google Gemini provider adapter (@google/generative-ai SDK)
+ */
+
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+const { log } = require('../../config.js');
+const { buildConversationTurns, reportUsage } = require('./common.js');
+
+const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY;
+const GOOGLE_MODEL_NAME = process.env.GOOGLE_MODEL_NAME || "gemini-2.0-flash-lite-preview-02-05";
+
+/**
+ * Map a conversation to Gemini `contents` (assistant turns use the "model" role)
+ * @param {string|HistoryTurn[]} conversation - A single prompt or the history, oldest first
+ * @returns {Object[]} Gemini contents
+ */
+function toGeminiContents(conversation) {
+  return buildConversationTurns(conversation).map(turn => ({
+    role: turn.role === "assistant" ? "model" : "user",
+    parts: [{ text: turn.content }]
+  }));
+}
+
+/**
+ * Gemini model parameters for getGenerativeModel
+ * @param {GenerationOptions} options - Generation options
+ * @returns {Object} Model name, system instruction and generationConfig
+ */
+function toGeminiModelParams(options) {
+  const generationConfig = {
+    ...(options.temperature !== undefined && { temperature: options.temperature }),
+    ...(options.topP !== undefined && { topP: options.topP }),
+    ...(options.maxTokens !== undefined && { maxOutputTokens: options.maxTokens }),
+    ...(options.stopSequences && { stopSequences: options.stopSequences })
+  };
+  return {
+    model: options.model || GOOGLE_MODEL_NAME,
+    ...(options.systemPrompt && { systemInstruction: options.systemPrompt }),
+    ...(Object.keys(generationConfig).length > 0 && { generationConfig })
+  };
+}
+
+/**
+ * Generate a response using Google's Gemini API
+ * @param {string|HistoryTurn[]} prompt - The prompt, or the role-tagged history, to send to the model
+ * @param {GenerationOptions} [options] - System prompt, model and sampling settings
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<string>} - The generated response text
+ */
+async function generateGeminiResponse(prompt, options = {}, debug = false) {
+  const genAI = new GoogleGenerativeAI(GOOGLE_API_KEY);
+  const params = toGeminiModelParams(options);
+  const model = genAI.getGenerativeModel(params);
+
+  log(debug, "Gemini prompt:", prompt);
+
+  const result = await model.generateContent({ contents: toGeminiContents(prompt) }, { signal: options.signal });
+  const response = await result.response;
+  const text = response.text();
+  const usage = response.usageMetadata;
+  reportUsage(options, params.model, usage?.promptTokenCount, usage?.candidatesTokenCount);
+
+  log(debug, "Gemini response:", text);
+
+  return text;
+}
+
+/**
+ * Stream a response from Google's Gemini API (generateContentStream)
+ * @param {string|HistoryTurn[]} prompt - The prompt, or the role-tagged history, to send to the model
+ * @param {Function} onText - Called with the accumulated text after every chunk
+ * @param {GenerationOptions} [options] - System prompt, model and sampling settings
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<string>} - The complete response text
+ */
+async function streamGeminiResponse(prompt, onText, options = {}, debug = false) {
+  const genAI = new GoogleGenerativeAI(GOOGLE_API_KEY);
+  const params = toGeminiModelParams(options);
+  const model = genAI.getGenerativeModel(params);
+
+  log(debug, "Gemini streaming prompt:", prompt);
+
+  const result = await model.generateContentStream({ contents: toGeminiContents(prompt) }, { signal: options.signal });
+  let text = "";
+  // Every chunk carries the usage so far; the last one has the totals
+  let usage;
+  for await (const chunk of result.stream) {
+    usage = chunk.usageMetadata || usage;
+    const chunkText = chunk.text();
+    if (chunkText) {
+      text += chunkText;
+      onText(text);
+    }
+  }
+  reportUsage(options, params.model, usage?.promptTokenCount, usage?.candidatesTokenCount);
+
+  log(debug, "Gemini streamed response:", text);
+
+  return text;
+}
+
+/**
+ * Provider adapter registered as "google"
+ */
+const adapter = {
+  name: "google",
+  requiredConfig: ["GOOGLE_API_KEY"],
+  capabilities: { streaming: true, systemPrompt: true, vision: true },
+  maxTemperature: 2,
+  defaultModel: GOOGLE_MODEL_NAME,
+  generate: generateGeminiResponse,
+  stream: streamGeminiResponse
+};
+
+module.exports = {
+  adapter,
+  toGeminiContents,
+  toGeminiModelParams,
+  generateGeminiResponse,
+  streamGeminiResponse
+};
@@ -0,0 +1,196 @@
+/**
+ * Provider Registry
+ * LLM providers are adapters registered by name. Each adapter declares the
+ * environment configuration it needs, what it can do and how it generates:
+ *
+ *   {
+ *     name: "google",
+ *     requiredConfig: ["GOOGLE_API_KEY"],
+ *     capabilities: { streaming: true, systemPrompt: true, vision: true },
+ *     maxTemperature: 2,
+ *     defaultModel: "gemini-2.0-flash-lite-preview-02-05",     // optional, model used when a participant sets none
+ *     generate: async (prompt, options, debug) => text,
+ *     stream: async (prompt, onText, options, debug) => text,  // when capabilities.streaming
+ *     participantSettings: ["baseUrl"],                         // optional extra participant fields
+ *     validateParticipant: participant => {}                    // optional, throws on invalid settings
+ *   }
+ *
+ * Participant validation, llmService and the orchestrator look providers up
+ * here, so adding a provider means adding an adapter module and registering it.
+ */
+
+const CAPABILITIES = ['streaming', 'systemPrompt', 'vision'];
+
+/**
+ * Registered adapters by name, in registration order
+ */
+const providers = new Map();
+
+/**
+ * Validates the shape of a provider adapter
+ * @param {Object} adapter - The adapter to check
+ * @throws {Error} If a required property is missing or has the wrong type
+ */
+function validateAdapter(adapter) {
+  if (!adapter || typeof adapter !== 'object') {
+    throw new Error('Provider adapter must be an object');
+  }
+
+  if (typeof adapter.name !== 'string' || !/^[a-z0-9-]+$/.test(adapter.name)) {
+    throw new Error('Provider adapter name must be a lowercase string of letters, digits and dashes');
+  }
+
+  if (!Array.isArray(adapter.requiredConfig) || !adapter.requiredConfig.every(key => typeof key === 'string')) {
+    throw new Error(`Provider ${adapter.name} requiredConfig must be an array of environment variable names`);
+  }
+
+  if (!adapter.capabilities || typeof adapter.capabilities !== 'object' ||
+      !CAPABILITIES.every(capability => typeof adapter.capabilities[capability] === 'boolean')) {
+    throw new Error(`Provider ${adapter.name} capabilities must declare ${CAPABILITIES.join(', ')} as booleans`);
+  }
+
+  if (typeof adapter.maxTemperature !== 'number' || adapter.maxTemperature < 0) {
+    throw new Error(`Provider ${adapter.name} maxTemperature must be a non-negative number`);
+  }
+
+  if (adapter.defaultModel !== undefined && typeof adapter.defaultModel !== 'string') {
+    throw new Error(`Provider ${adapter.name} defaultModel must be a string`);
+  }
+
+  if (typeof adapter.generate !== 'function') {
+    throw new Error(`Provider ${adapter.name} must implement generate`);
+  }
+
+  if (adapter.capabilities.streaming && typeof adapter.stream !== 'function') {
+    throw new Error(`Provider ${adapter.name} declares streaming but does not implement stream`);
+  }
+
+  if (adapter.participantSettings !== undefined &&
+      (!Array.isArray(adapter.participantSettings) ||
+       !adapter.participantSettings.every(setting => typeof setting === 'string'))) {
+    throw new Error(`Provider ${adapter.name} participantSettings must be an array of field names`);
+  }
+
+  if (adapter.validateParticipant !== undefined && typeof adapter.validateParticipant !== 'function') {
+    throw new Error(`Provider ${adapter.name} validateParticipant must be a function`);
+  }
+}
+
+/**
+ * Register a provider adapter, replacing any adapter with the same name
+ * @param {Object} adapter - The adapter (see the module comment)
+ * @returns {Object} The registered adapter
+ * @throws {Error} If the adapter is invalid
+ */
+function registerProvider(adapter) {
+  validateAdapter(adapter);
+  providers.set(adapter.name, adapter);
+  return adapter;
+}
+
+/**
+ * Remove a provider adapter
+ * @param {string} name - Provider name
+ * @returns {boolean} True if an adapter was removed
+ */
+function unregisterProvider(name) {
+  return providers.delete(name);
+}
+
+/**
+ * Names of the registered providers
+ * @returns {string[]} Provider names in registration order
+ */
+function getProviderNames() {
+  return [...providers.keys()];
+}
+
+/**
+ * Check whether a provider is registered
+ * @param {string} name - Provider name
+ * @returns {boolean} True if an adapter is registered under the name
+ */
+function hasProvider(name) {
+  return typeof name === 'string' && providers.has(name.toLowerCase());
+}
+
+/**
+ * Look up a provider adapter
+ * @param {string} name - Provider name (case-insensitive)
+ * @returns {Object} The adapter
+ * @throws {Error} If no adapter is registered under the name
+ */
+function getProvider(name) {
+  const adapter = typeof name === 'string' ? providers.get(name.toLowerCase()) : undefined;
+  if (!adapter) {
+    throw new Error(`Unsupported LLM provider: ${name}. Supported providers: ${getProviderNames().join(', ')}`);
+  }
+  return adapter;
+}
+
+/**
+ * Provider-specific participant fields of all registered providers
+ * @returns {string[]} Field names (see participantSettings)
+ */
+function getProviderSettingNames() {
+  const names = new Set();
+  providers.forEach(adapter => (adapter.participantSettings || []).forEach(setting => names.add(setting)));
+  return [...names];
+}
+
+/**
+ * Environment variables an adapter needs that are not set
+ * @param {Object} adapter - The adapter
+ * @param {Object} [env] - Environment to check
+ * @returns {string[]} Missing variable names
+ */
+function getMissingConfig(adapter, env = process.env) {
+  return adapter.requiredConfig.filter(key => !env[key]);
+}
+
+/**
+ * Throw if an adapter's required configuration is missing
+ * @param {Object} adapter - The adapter
+ * @param {Object} [env] - Environment to check
+ * @throws {Error} Naming the first missing environment variable
+ */
+function assertProviderConfigured(adapter, env = process.env) {
+  const missing = getMissingConfig(adapter, env);
+  if (missing.length > 0) {
+    throw new Error(`${missing[0]} environment variable is not set`);
+  }
+}
+
+/**
+ * Registered providers without their functions, for listing
+ * @param {Object} [env] - Environment used to report whether each provider is configured
+ * @returns {Object[]} { name, capabilities, maxTemperature, configured }
+ */
+function listProviders(env = process.env) {
+  return [...providers.values()].map(adapter => ({
+    name: adapter.name,
+    capabilities: { ...adapter.capabilities },
+    maxTemperature: adapter.maxTemperature,
+    configured: getMissingConfig(adapter, env).length === 0
+  }));
+}
+
+registerProvider(require('./google.js').adapter);
+registerProvider(require('./anthropic.js').adapter);
+registerProvider(require('./openai.js').adapter);
+registerProvider(require('./openaiCompatible.js').adapter);
+registerProvider(require('./mock.js').adapter);
+
+module.exports = {
+  registerProvider,
+  unregisterProvider,
+  getProvider,
+  getProviderNames,
+  hasProvider,
+  getProviderSettingNames,
+  getMissingConfig,
+  assertProviderConfigured,
+  listProviders,
+  validateAdapter,
+  CAPABILITIES
+};
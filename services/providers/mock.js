@@ -0,0 +1,279 @@
+/**
+ * Mock provider adapter for offline development and tests
+ * Replies are deterministic: they depend only on the participant's mock
+ * settings and the conversation, never on a network call. A participant
+ * configures the mock with its `mock` field:
+ *
+ *   {
+ *     mode: "echo" | "script" | "template" | "random",  // default "echo"
+ *     replies: ["...", "..."],   // script: in order, one per own turn; random: picked with the seed
+ *     template: "You said {{message}} (turn {{turn}})",
+ *     seed: 42,                  // seeds random replies, errors and blocks
+ *     latencyMs: 500,            // delay before replying
+ *     errorRate: 0.1,            // share of calls failing with an API error
+ *     blockRate: 0.1             // share of calls blocked like a safety filter
+ *   }
+ */
+
+const { log } = require('../../config.js');
+const { buildConversationTurns, reportUsage } = require('./common.js');
+
+const MOCK_MODES = ['echo', 'script', 'template', 'random'];
+const MAX_MOCK_REPLIES = 50;
+const MAX_MOCK_TEXT_LENGTH = 2000;
+const MAX_MOCK_LATENCY_MS = 30000;
+
+/**
+ * Settings used when a participant has no mock field
+ */
+const DEFAULT_MOCK_SETTINGS = { mode: "echo" };
+
+/**
+ * Validates a participant's mock settings
+ * @param {Object} mock - Mock settings (see the module comment)
+ * @throws {Error} If a setting is invalid
+ */
+function validateMockSettings(mock) {
+  if (!mock || typeof mock !== 'object' || Array.isArray(mock)) {
+    throw new Error('Participant mock must be an object');
+  }
+
+  const mode = mock.mode ?? DEFAULT_MOCK_SETTINGS.mode;
+  if (!MOCK_MODES.includes(mode)) {
+    throw new Error(`Participant mock.mode must be one of: ${MOCK_MODES.join(', ')}`);
+  }
+
+  if (mock.replies !== undefined &&
+      (!Array.isArray(mock.replies) || mock.replies.length === 0 || mock.replies.length > MAX_MOCK_REPLIES ||
+       !mock.replies.every(reply => typeof reply === 'string' && reply.length <= MAX_MOCK_TEXT_LENGTH))) {
+    throw new Error(`Participant mock.replies must be an array of 1-${MAX_MOCK_REPLIES} strings of at most ${MAX_MOCK_TEXT_LENGTH} characters`);
+  }
+  if ((mode === 'script' || mode === 'random') && mock.replies === undefined) {
+    throw new Error(`Participant mock.replies is required in ${mode} mode`);
+  }
+
+  if (mock.template !== undefined &&
+      (typeof mock.template !== 'string' || mock.template.length > MAX_MOCK_TEXT_LENGTH)) {
+    throw new Error(`Participant mock.template must be a string of at most ${MAX_MOCK_TEXT_LENGTH} characters`);
+  }
+  if (mode === 'template' && mock.template === undefined) {
+    throw new Error('Participant mock.template is required in template mode');
+  }
+
+  if (mock.seed !== undefined && !Number.isInteger(mock.seed)) {
+    throw new Error('Participant mock.seed must be an integer');
+  }
+
+  if (mock.latencyMs !== undefined &&
+      (!Number.isInteger(mock.latencyMs) || mock.latencyMs < 0 || mock.latencyMs > MAX_MOCK_LATENCY_MS)) {
+    throw new Error(`Participant mock.latencyMs must be an integer between 0 and ${MAX_MOCK_LATENCY_MS}`);
+  }
+
+  ['errorRate', 'blockRate'].forEach(setting => {
+    if (mock[setting] !== undefined &&
+        (typeof mock[setting] !== 'number' || !(mock[setting] >= 0 && mock[setting] <= 1))) {
+      throw new Error(`Participant mock.${setting} must be a number between 0 and 1`);
+    }
+  });
+}
+
+/**
+ * Validates the mock settings of a mock participant
+ * @param {Object} participant - The participant
+ * @throws {Error} If participant.mock is invalid
+ */
+function validateParticipant(participant) {
+  if (participant.mock !== undefined) {
+    validateMockSettings(participant.mock);
+  }
+}
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} text - Text to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < text.length; index++) {
+    hash ^= text.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Returns numbers in [0, 1)
+ */
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Reply text for a conversation, and whether the call fails or is blocked
+ * The same settings and conversation always give the same outcome.
+ * @param {string|HistoryTurn[]} prompt - The prompt or history
+ * @param {Object} mock - Mock settings
+ * @param {GenerationOptions} [options] - Generation options (model and system prompt take part in templates and seeding)
+ * @returns {{text: string, error?: string, blocked?: boolean}} The outcome
+ */
+function buildMockReply(prompt, mock = DEFAULT_MOCK_SETTINGS, options = {}) {
+  const turns = buildConversationTurns(prompt);
+  const message = turns[turns.length - 1].content;
+  const turn = turns.filter(entry => entry.role === "assistant").length + 1;
+  const random = createSeededRandom((mock.seed ?? 0) ^ hashString(`${options.systemPrompt || ""}\n${JSON.stringify(turns)}`));
+
+  if (random() < (mock.errorRate ?? 0)) {
+    return { text: "", error: "Mock API error: 500 - simulated failure" };
+  }
+  if (random() < (mock.blockRate ?? 0)) {
+    return { text: "", blocked: true };
+  }
+
+  switch (mock.mode ?? DEFAULT_MOCK_SETTINGS.mode) {
+    case "script":
+      return { text: mock.replies[(turn - 1) % mock.replies.length] };
+    case "random":
+      return { text: mock.replies[Math.floor(random() * mock.replies.length)] };
+    case "template":
+      return {
+        text: mock.template
+          .replace(/\{\{message\}\}/g, message)
+          .replace(/\{\{turn\}\}/g, String(turn))
+          .replace(/\{\{model\}\}/g, options.model || "mock")
+      };
+    default:
+      return { text: `Echo: ${message}` };
+  }
+}
+
+/**
+ * Wait before replying, as a real provider would
+ * @param {number} latencyMs - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Ends the wait early, rejecting with the abort reason
+ * @returns {Promise<void>}
+ */
+function simulateLatency(latencyMs, signal) {
+  if (!(latencyMs > 0)) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, latencyMs);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      }, { once: true });
+    }
+  });
+}
+
+/**
+ * Rough token count of a text (about 4 characters per token), for mock usage
+ * @param {string} text - Any text
+ * @returns {number} Estimated tokens
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Produce a mock reply, failing like a provider when the settings say so
+ * Successful replies report an estimated usage for the model "mock".
+ * @param {string|HistoryTurn[]} prompt - The prompt or history
+ * @param {GenerationOptions} options - Generation options; options.mock holds the settings
+ * @returns {Promise<string>} The reply text
+ * @throws {Error} For simulated API errors and blocked responses
+ */
+async function produceMockReply(prompt, options) {
+  const mock = options.mock || DEFAULT_MOCK_SETTINGS;
+  await simulateLatency(mock.latencyMs ?? 0, options.signal);
+
+  const reply = buildMockReply(prompt, mock, options);
+  if (reply.error) {
+    const error = new Error(reply.error);
+    error.status = 500;
+    throw error;
+  }
+  if (reply.blocked) {
+    throw new Error("Mock response was blocked due to SAFETY");
+  }
+  const promptText = buildConversationTurns(prompt).map(turn => turn.content).join("\n");
+  reportUsage(options, "mock", estimateTokens(`${options.systemPrompt || ""}${promptText}`), estimateTokens(reply.text));
+  return reply.text;
+}
+
+/**
+ * Generate a mock response
+ * @param {string|HistoryTurn[]} prompt - The prompt, or the role-tagged history
+ * @param {GenerationOptions} [options] - Mock settings (options.mock), model and system prompt
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<string>} - The generated response text
+ */
+async function generateMockResponse(prompt, options = {}, debug = false) {
+  log(debug, "Mock prompt:", prompt);
+
+  const text = await produceMockReply(prompt, options);
+
+  log(debug, "Mock response:", text);
+
+  return text;
+}
+
+/**
+ * Stream a mock response word by word
+ * @param {string|HistoryTurn[]} prompt - The prompt, or the role-tagged history
+ * @param {Function} onText - Called with the accumulated text after every word
+ * @param {GenerationOptions} [options] - Mock settings (options.mock), model and system prompt
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<string>} - The complete response text
+ */
+async function streamMockResponse(prompt, onText, options = {}, debug = false) {
+  log(debug, "Mock streaming prompt:", prompt);
+
+  const fullText = await produceMockReply(prompt, options);
+  let text = "";
+  for (const word of fullText.split(/(?<=\s)/)) {
+    text += word;
+    onText(text);
+  }
+
+  log(debug, "Mock streamed response:", text);
+
+  return text;
+}
+
+/**
+ * Provider adapter registered as "mock"
+ */
+const adapter = {
+  name: "mock",
+  requiredConfig: [],
+  capabilities: { streaming: true, systemPrompt: true, vision: false },
+  maxTemperature: 2,
+  defaultModel: "mock",
+  participantSettings: ["mock"],
+  validateParticipant,
+  generate: generateMockResponse,
+  stream: streamMockResponse
+};
+
+module.exports = {
+  adapter,
+  validateMockSettings,
+  buildMockReply,
+  createSeededRandom,
+  generateMockResponse,
+  streamMockResponse,
+  DEFAULT_MOCK_SETTINGS,
+  MOCK_MODES
+};
@@ -0,0 +1,209 @@
+/**
+ * OpenAI provider adapter (Chat Completions API via native fetch)
+ */
+
+const { log } = require('../../config.js');
+const {
+  DEFAULT_MAX_TOKENS,
+  buildConversationTurns,
+  readServerSentEvents,
+  providerHttpError,
+  reportUsage
+} = require('./common.js');
+
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+const OPENAI_MODEL_NAME = process.env.OPENAI_MODEL_NAME || "gpt-4o-mini";
+
+/**
+ * Map a conversation to OpenAI Chat Completions `messages`
+ * @param {string|HistoryTurn[]} conversation - A single prompt or the history, oldest first
+ * @param {string} [systemPrompt] - Prepended as a system message
+ * @returns {Object[]} OpenAI chat messages
+ */
+function toOpenAIMessages(conversation, systemPrompt = null) {
+  const messages = buildConversationTurns(conversation).map(turn => ({
+    role: turn.role,
+    content: turn.content
+  }));
+  if (systemPrompt) {
+    messages.unshift({ role: "system", content: systemPrompt });
+  }
+  return messages;
+}
+
+/**
+ * OpenAI Chat Completions request fields other than the messages
+ * @param {GenerationOptions} options - Generation options
+ * @param {string} [defaultModel] - Model used when options.model is not set; omitted when empty
+ * @returns {Object} model, max_tokens and the optional sampling fields
+ */
+function toOpenAIParams(options, defaultModel = OPENAI_MODEL_NAME) {
+  const model = options.model || defaultModel;
+  return {
+    ...(model && { model }),
+    max_tokens: options.maxTokens || DEFAULT_MAX_TOKENS,
+    ...(options.temperature !== undefined && { temperature: options.temperature }),
+    ...(options.topP !== undefined && { top_p: options.topP }),
+    ...(options.stopSequences && { stop: options.stopSequences })
+  };
+}
+
+/**
+ * A Chat Completions endpoint: OpenAI itself or an OpenAI-compatible server
+ * @typedef {Object} ChatCompletionsEndpoint
+ * @property {string} url - Full URL of the chat/completions resource
+ * @property {string} [apiKey] - Bearer token; no Authorization header when empty
+ * @property {string} [model] - Default model name
+ * @property {string} label - Name used in logs and error messages
+ */
+
+/**
+ * POST a Chat Completions request
+ * @param {ChatCompletionsEndpoint} endpoint - Where to send the request
+ * @param {string|HistoryTurn[]} prompt - The prompt, or the role-tagged history, to send to the model
+ * @param {GenerationOptions} options - System prompt, model and sampling settings
+ * @param {boolean} stream - Request a server-sent event stream
+ * @returns {Promise<Response>} The successful fetch response
+ * @throws {Error} If the endpoint answers with an error status
+ */
+async function postChatCompletion(endpoint, prompt, options, stream) {
+  const response = await fetch(endpoint.url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...(endpoint.apiKey && { "Authorization": `Bearer ${endpoint.apiKey}` })
+    },
+    body: JSON.stringify({
+      ...toOpenAIParams(options, endpoint.model || null),
+      messages: toOpenAIMessages(prompt, options.systemPrompt),
+      // Streams report token usage in a last chunk only when asked to
+      ...(stream && { stream: true, stream_options: { include_usage: true } })
+    }),
+    signal: options.signal
+  });
+
+  if (!response.ok) {
+    throw await providerHttpError(endpoint.label, response);
+  }
+  return response;
+}
+
+/**
+ * Generate a response from a Chat Completions endpoint
+ * @param {ChatCompletionsEndpoint} endpoint - Where to send the request
+ * @param {string|HistoryTurn[]} prompt - The prompt, or the role-tagged history, to send to the model
+ * @param {GenerationOptions} [options] - System prompt, model and sampling settings
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<string>} - The generated response text
+ */
+async function generateChatCompletion(endpoint, prompt, options = {}, debug = false) {
+  log(debug, `${endpoint.label} prompt:`, prompt);
+
+  const response = await postChatCompletion(endpoint, prompt, options, false);
+  const data = await response.json();
+  const text = data.choices[0]?.message?.content || "";
+  reportUsage(options, options.model || endpoint.model || data.model, data.usage?.prompt_tokens, data.usage?.completion_tokens);
+
+  log(debug, `${endpoint.label} response:`, text);
+
+  return text;
+}
+
+/**
+ * Stream a response from a Chat Completions endpoint (stream: true)
+ * @param {ChatCompletionsEndpoint} endpoint - Where to send the request
+ * @param {string|HistoryTurn[]} prompt - The prompt, or the role-tagged history, to send to the model
+ * @param {Function} onText - Called with the accumulated text after every content delta
+ * @param {GenerationOptions} [options] - System prompt, model and sampling settings
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<string>} - The complete response text
+ */
+async function streamChatCompletion(endpoint, prompt, onText, options = {}, debug = false) {
+  log(debug, `${endpoint.label} streaming prompt:`, prompt);
+
+  const response = await postChatCompletion(endpoint, prompt, options, true);
+
+  let text = "";
+  let usageChunk;
+  for await (const { data } of readServerSentEvents(response.body)) {
+    if (data === "[DONE]") {
+      break;
+    }
+    const parsed = JSON.parse(data);
+    if (parsed.error) {
+      throw new Error(`${endpoint.label} API stream error: ${JSON.stringify(parsed.error)}`);
+    }
+    if (parsed.usage) {
+      usageChunk = parsed;
+    }
+    const content = parsed.choices?.[0]?.delta?.content;
+    if (content) {
+      text += content;
+      onText(text);
+    }
+  }
+  if (usageChunk) {
+    reportUsage(options, options.model || endpoint.model || usageChunk.model,
+      usageChunk.usage.prompt_tokens, usageChunk.usage.completion_tokens);
+  }
+
+  log(debug, `${endpoint.label} streamed response:`, text);
+
+  return text;
+}
+
+/**
+ * The OpenAI API endpoint
+ */
+const OPENAI_ENDPOINT = {
+  url: "https://api.openai.com/v1/chat/completions",
+  apiKey: OPENAI_API_KEY,
+  model: OPENAI_MODEL_NAME,
+  label: "OpenAI"
+};
+
+/**
+ * Generate a response using OpenAI's API via native fetch
+ * @param {string|HistoryTurn[]} prompt - The prompt, or the role-tagged history, to send to the model
+ * @param {GenerationOptions} [options] - System prompt, model and sampling settings
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<string>} - The generated response text
+ */
+async function generateOpenAIResponse(prompt, options = {}, debug = false) {
+  return generateChatCompletion(OPENAI_ENDPOINT, prompt, options, debug);
+}
+
+/**
+ * Stream a response from OpenAI's Chat Completions API (stream: true)
+ * @param {string|HistoryTurn[]} prompt - The prompt, or the role-tagged history, to send to the model
+ * @param {Function} onText - Called with the accumulated text after every content delta
+ * @param {GenerationOptions} [options] - System prompt, model and sampling settings
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<string>} - The complete response text
+ */
+async function streamOpenAIResponse(prompt, onText, options = {}, debug = false) {
+  return streamChatCompletion(OPENAI_ENDPOINT, prompt, onText, options, debug);
+}
+
+/**
+ * Provider adapter registered as "openai"
+ */
+const adapter = {
+  name: "openai",
+  requiredConfig: ["OPENAI_API_KEY"],
+  capabilities: { streaming: true, systemPrompt: true, vision: true },
+  maxTemperature: 2,
+  defaultModel: OPENAI_MODEL_NAME,
+  generate: generateOpenAIResponse,
+  stream: streamOpenAIResponse
+};
+
+module.exports = {
+  adapter,
+  toOpenAIMessages,
+  toOpenAIParams,
+  generateChatCompletion,
+  streamChatCompletion,
+  generateOpenAIResponse,
+  streamOpenAIResponse
+};
@@ -0,0 +1,181 @@
+/**
+ * OpenAI-compatible provider adapter
+ * Talks to any server implementing /v1/chat/completions (llama.cpp server, vLLM,
+ * Ollama, LM Studio, ...). Participants may pick an endpoint with baseUrl, but
+ * only among those the operator allows: OPENAI_COMPATIBLE_BASE_URL and the
+ * OPENAI_COMPATIBLE_ENDPOINTS allowlist. Each endpoint's key comes from the
+ * variable configured for it, so a key is only ever sent to its own server.
+ */
+
+const { generateChatCompletion, streamChatCompletion } = require('./openai.js');
+
+const OPENAI_COMPATIBLE_MODEL_NAME = process.env.OPENAI_COMPATIBLE_MODEL_NAME;
+
+/**
+ * Environment variable holding the key of OPENAI_COMPATIBLE_BASE_URL
+ */
+const DEFAULT_API_KEY_ENV = "OPENAI_COMPATIBLE_API_KEY";
+
+/**
+ * Key variables of allowlisted endpoints must have this prefix, so the
+ * allowlist cannot hand another provider's key to a self-hosted server
+ */
+const API_KEY_ENV_PATTERN = /^OPENAI_COMPATIBLE_[A-Z0-9_]{1,100}$/;
+
+const MAX_BASE_URL_LENGTH = 500;
+
+/**
+ * Normalize a base URL for comparison with the allowlist
+ * @param {string} baseUrl - The base URL
+ * @returns {string} The URL without trailing slashes
+ */
+function normalizeBaseUrl(baseUrl) {
+  return baseUrl.replace(/\/+$/, "");
+}
+
+/**
+ * Endpoints participants may use, with the variable holding each one's key
+ * OPENAI_COMPATIBLE_ENDPOINTS is a JSON object mapping base URLs to a key
+ * variable starting with OPENAI_COMPATIBLE_, or to "" for servers without a
+ * key. OPENAI_COMPATIBLE_BASE_URL is always allowed, with OPENAI_COMPATIBLE_API_KEY.
+ * @param {Object} [env] - Environment holding the settings
+ * @returns {Map<string, string|null>} Key variable (null for none) by normalized base URL
+ */
+function getAllowedEndpoints(env = process.env) {
+  const endpoints = new Map();
+  if (env.OPENAI_COMPATIBLE_ENDPOINTS) {
+    try {
+      Object.entries(JSON.parse(env.OPENAI_COMPATIBLE_ENDPOINTS)).forEach(([baseUrl, apiKeyEnv]) => {
+        if (!isHttpUrl(baseUrl)) {
+          console.error(`OPENAI_COMPATIBLE_ENDPOINTS: ignoring ${baseUrl}, not an http(s) URL`);
+        } else if (apiKeyEnv && !API_KEY_ENV_PATTERN.test(apiKeyEnv)) {
+          console.error(`OPENAI_COMPATIBLE_ENDPOINTS: ignoring ${baseUrl}, its key variable must start with OPENAI_COMPATIBLE_`);
+        } else {
+          endpoints.set(normalizeBaseUrl(baseUrl), apiKeyEnv || null);
+        }
+      });
+    } catch (error) {
+      console.error("OPENAI_COMPATIBLE_ENDPOINTS is not valid JSON:", error.message);
+    }
+  }
+  if (env.OPENAI_COMPATIBLE_BASE_URL) {
+    endpoints.set(normalizeBaseUrl(env.OPENAI_COMPATIBLE_BASE_URL), DEFAULT_API_KEY_ENV);
+  }
+  return endpoints;
+}
+
+/**
+ * Check whether a value is an http(s) URL of acceptable length
+ * @param {any} value - The value to check
+ * @returns {boolean} True for a valid base URL
+ */
+function isHttpUrl(value) {
+  if (typeof value !== 'string' || value.length > MAX_BASE_URL_LENGTH) {
+    return false;
+  }
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validates the endpoint settings of an openai-compatible participant
+ * @param {Object} participant - The participant
+ * @param {Object} [env] - Environment holding the allowlist
+ * @throws {Error} If baseUrl is not an allowed endpoint or apiKeyEnv is not that endpoint's key variable
+ */
+function validateParticipant(participant, env = process.env) {
+  if (participant.baseUrl !== undefined && !isHttpUrl(participant.baseUrl)) {
+    throw new Error(`Participant baseUrl must be an http(s) URL of at most ${MAX_BASE_URL_LENGTH} characters`);
+  }
+
+  const endpoints = getAllowedEndpoints(env);
+  if (participant.baseUrl !== undefined && !endpoints.has(normalizeBaseUrl(participant.baseUrl))) {
+    throw new Error('Participant baseUrl must be OPENAI_COMPATIBLE_BASE_URL or listed in OPENAI_COMPATIBLE_ENDPOINTS');
+  }
+
+  if (participant.apiKeyEnv !== undefined) {
+    const baseUrl = participant.baseUrl || env.OPENAI_COMPATIBLE_BASE_URL;
+    if (!baseUrl || participant.apiKeyEnv !== endpoints.get(normalizeBaseUrl(baseUrl))) {
+      throw new Error('Participant apiKeyEnv must be the key variable configured for its baseUrl');
+    }
+  }
+}
+
+/**
+ * Resolve the endpoint a request goes to
+ * The key is the one configured for the endpoint; a participant's apiKeyEnv
+ * cannot attach any other.
+ * @param {GenerationOptions} options - Generation options with the participant's baseUrl
+ * @param {Object} [env] - Environment holding the allowlist and keys
+ * @returns {ChatCompletionsEndpoint} The endpoint
+ * @throws {Error} If no base URL is set or it is not an allowed endpoint
+ */
+function resolveEndpoint(options, env = process.env) {
+  const baseUrl = options.baseUrl || env.OPENAI_COMPATIBLE_BASE_URL;
+  if (!baseUrl) {
+    throw new Error("OPENAI_COMPATIBLE_BASE_URL environment variable is not set and the participant has no baseUrl");
+  }
+  const endpoints = getAllowedEndpoints(env);
+  if (!endpoints.has(normalizeBaseUrl(baseUrl))) {
+    throw new Error(`OpenAI-compatible endpoint ${baseUrl} is not allowed`);
+  }
+  const apiKeyEnv = endpoints.get(normalizeBaseUrl(baseUrl));
+  return {
+    url: `${normalizeBaseUrl(baseUrl)}/chat/completions`,
+    apiKey: apiKeyEnv ? env[apiKeyEnv] : undefined,
+    model: OPENAI_COMPATIBLE_MODEL_NAME,
+    label: "OpenAI-compatible"
+  };
+}
+
+/**
+ * Generate a response from an OpenAI-compatible server
+ * @param {string|HistoryTurn[]} prompt - The prompt, or the role-tagged history, to send to the model
+ * @param {GenerationOptions} [options] - Endpoint, system prompt, model and sampling settings
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<string>} - The generated response text
+ */
+async function generateOpenAICompatibleResponse(prompt, options = {}, debug = false) {
+  return generateChatCompletion(resolveEndpoint(options), prompt, options, debug);
+}
+
+/**
+ * Stream a response from an OpenAI-compatible server
+ * @param {string|HistoryTurn[]} prompt - The prompt, or the role-tagged history, to send to the model
+ * @param {Function} onText - Called with the accumulated text after every content delta
+ * @param {GenerationOptions} [options] - Endpoint, system prompt, model and sampling settings
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<string>} - The complete response text
+ */
+async function streamOpenAICompatibleResponse(prompt, onText, options = {}, debug = false) {
+  return streamChatCompletion(resolveEndpoint(options), prompt, onText, options, debug);
+}
+
+/**
+ * Provider adapter registered as "openai-compatible"
+ * Nothing is required up front: local servers often need neither a key nor a
+ * model name, and the base URL may come from the participant.
+ */
+const adapter = {
+  name: "openai-compatible",
+  requiredConfig: [],
+  capabilities: { streaming: true, systemPrompt: true, vision: false },
+  maxTemperature: 2,
+  defaultModel: OPENAI_COMPATIBLE_MODEL_NAME,
+  participantSettings: ["baseUrl", "apiKeyEnv"],
+  validateParticipant,
+  generate: generateOpenAICompatibleResponse,
+  stream: streamOpenAICompatibleResponse
+};
+
+module.exports = {
+  adapter,
+  resolveEndpoint,
+  getAllowedEndpoints,
+  generateOpenAICompatibleResponse,
+  streamOpenAICompatibleResponse,
+  DEFAULT_API_KEY_ENV
+};
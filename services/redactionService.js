@@ -0,0 +1,219 @@
+/**
+ * Redaction Service
+ * Removes personal data from text before it is sent to an LLM provider. A
+ * room's metadata.redaction chooses how:
+ *
+ *   token  each value becomes a numbered placeholder ("[EMAIL_1]"); the same
+ *          value gets the same placeholder throughout one prompt, so the model
+ *          can still tell two people apart
+ *   mask   every value becomes its type's placeholder ("[EMAIL]")
+ *   off    text is sent unchanged
+ *
+ * and which types (PII_TYPES) are detected. Rooms without settings use
+ * PII_REDACTION_MODE and every type. Stored messages are never changed; only
+ * the copies in prompts are.
+ */
+
+const { PII_REDACTION_MODE } = require('../config.js');
+
+/**
+ * Redaction modes
+ */
+const REDACTION_MODES = ['token', 'mask', 'off'];
+
+/**
+ * Check a card number with the Luhn checksum
+ * @param {string} digits - The number's digits
+ * @returns {boolean} True if the checksum is valid
+ */
+function isLuhnValid(digits) {
+  let sum = 0;
+  for (let index = 0; index < digits.length; index++) {
+    let digit = Number(digits[digits.length - 1 - index]);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Check an IBAN with its ISO 7064 mod-97 checksum
+ * @param {string} iban - The IBAN without spaces
+ * @returns {boolean} True if the checksum is valid
+ */
+function isIbanValid(iban) {
+  const rearranged = `${iban.slice(4)}${iban.slice(0, 4)}`;
+  let remainder = 0;
+  for (const char of rearranged) {
+    const value = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55);
+    for (const digit of value) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+}
+
+/**
+ * Detected kinds of personal data, in the order they are replaced
+ * Each has a pattern, an optional check of a match (to drop look-alikes such
+ * as dates or numbers failing a checksum) and a normalization, so one value
+ * written two ways gets one token.
+ */
+const PII_TYPES = {
+  email: {
+    label: 'EMAIL',
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g,
+    normalize: value => value.toLowerCase()
+  },
+  iban: {
+    label: 'IBAN',
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g,
+    isMatch: value => isIbanValid(value.replace(/ /g, '')),
+    normalize: value => value.replace(/ /g, '')
+  },
+  card: {
+    label: 'CARD',
+    pattern: /(?<!\d)\d(?:[ -]?\d){12,18}(?!\d)/g,
+    isMatch: value => isLuhnValid(value.replace(/\D/g, '')),
+    normalize: value => value.replace(/\D/g, '')
+  },
+  ssn: {
+    label: 'SSN',
+    pattern: /(?<!\d)\d{3}-\d{2}-\d{4}(?!\d)/g,
+    isMatch: value => !/^(?:000|666|9\d\d)/.test(value)
+  },
+  phone: {
+    label: 'PHONE',
+    pattern: /(?<![\w+])(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{2,4}(?:[ .-]?\d{2,4}){1,4}(?![\w])/g,
+    // 7-15 digits; a bare digit run needs at least 10 (or a leading +), and dates are not phones
+    isMatch: value => {
+      const digits = value.replace(/\D/g, '');
+      if (digits.length < 7 || digits.length > 15 || /^\d{4}[-./]\d{1,2}[-./]\d{1,2}$/.test(value)) {
+        return false;
+      }
+      return /[ .()-]/.test(value) || value.startsWith('+') || digits.length >= 10;
+    },
+    normalize: value => value.replace(/[^\d+]/g, '')
+  },
+  ipAddress: {
+    label: 'IP',
+    pattern: /(?<![\d.])(?:\d{1,3}\.){3}\d{1,3}(?![\d.])/g,
+    isMatch: value => value.split('.').every(octet => Number(octet) <= 255)
+  }
+};
+
+/**
+ * Redaction settings of rooms that do not set them
+ */
+const DEFAULT_REDACTION = {
+  mode: PII_REDACTION_MODE,
+  types: Object.keys(PII_TYPES)
+};
+
+/**
+ * Validates a room's redaction settings
+ * @param {Object} redaction - { mode, types? }
+ * @throws {Error} If the mode or a type is unknown
+ */
+function validateRedaction(redaction) {
+  if (!redaction || typeof redaction !== 'object' || Array.isArray(redaction)) {
+    throw new Error('Room redaction must be an object');
+  }
+
+  if (!REDACTION_MODES.includes(redaction.mode)) {
+    throw new Error(`Room redaction.mode must be one of: ${REDACTION_MODES.join(', ')}`);
+  }
+
+  if (redaction.types !== undefined &&
+      (!Array.isArray(redaction.types) || !redaction.types.every(type => Object.keys(PII_TYPES).includes(type)))) {
+    throw new Error(`Room redaction.types must be an array of: ${Object.keys(PII_TYPES).join(', ')}`);
+  }
+}
+
+/**
+ * The room's redaction settings with defaults filled in
+ * @param {Object} [metadata] - The ChatMetadata object
+ * @returns {{mode: string, types: string[]}} Complete redaction settings
+ */
+function resolveRedaction(metadata) {
+  return { ...DEFAULT_REDACTION, ...(metadata && metadata.redaction) };
+}
+
+/**
+ * Create a redactor for the texts of one prompt
+ * In token mode the redactor remembers the values it has seen, so every text
+ * it redacts uses the same placeholder for the same value.
+ * @param {{mode: string, types: string[]}} settings - Complete redaction settings (see resolveRedaction)
+ * @returns {{redact: Function, redactMessage: Function, counts: Function}} redact(text) returns the
+ *   redacted text, redactMessage(message) a copy with message and email redacted, counts() the
+ *   number of values replaced by type
+ */
+function createRedactor(settings) {
+  const tokens = new Map();
+  const counts = {};
+  const types = settings.mode === 'off'
+    ? []
+    : Object.keys(PII_TYPES).filter(type => settings.types.includes(type));
+
+  const placeholder = (type, value) => {
+    const { label, normalize } = PII_TYPES[type];
+    counts[type] = (counts[type] || 0) + 1;
+    if (settings.mode === 'mask') {
+      return `[${label}]`;
+    }
+    const key = `${type}:${normalize ? normalize(value) : value}`;
+    if (!tokens.has(key)) {
+      const number = [...tokens.keys()].filter(existing => existing.startsWith(`${type}:`)).length + 1;
+      tokens.set(key, `[${label}_${number}]`);
+    }
+    return tokens.get(key);
+  };
+
+  const redact = text => types.reduce((redacted, type) => {
+    const { pattern, isMatch } = PII_TYPES[type];
+    return redacted.replace(pattern, match => (!isMatch || isMatch(match) ? placeholder(type, match) : match));
+  }, text);
+
+  return {
+    redact,
+
+    redactMessage(message) {
+      return {
+        ...message,
+        message: redact(message.message),
+        ...(message.email && { email: redact(message.email) })
+      };
+    },
+
+    counts() {
+      return { ...counts };
+    }
+  };
+}
+
+/**
+ * Redact a single text
+ * @param {string} text - Text to redact
+ * @param {Object} [settings] - Complete redaction settings (default: DEFAULT_REDACTION)
+ * @returns {string} The redacted text
+ */
+function redactText(text, settings = DEFAULT_REDACTION) {
+  return createRedactor(settings).redact(text);
+}
+
+module.exports = {
+  validateRedaction,
+  resolveRedaction,
+  createRedactor,
+  redactText,
+  isLuhnValid,
+  isIbanValid,
+  PII_TYPES,
+  REDACTION_MODES,
+  DEFAULT_REDACTION
+};
@@ -0,0 +1,122 @@
+/**
+ * Retry Service
+ * Retries failed LLM calls that are likely to succeed on a later attempt
+ * (rate limits, overloaded or failing servers, dropped connections) with
+ * exponential backoff and full jitter, honoring the provider's Retry-After.
+ */
+
+const {
+  log,
+  LLM_MAX_RETRIES,
+  LLM_RETRY_BASE_DELAY_MS,
+  LLM_RETRY_MAX_DELAY_MS
+} = require('../config.js');
+const { isTimeoutError } = require('./timeoutService.js');
+
+/**
+ * HTTP statuses worth retrying: timeouts, rate limits and server errors
+ * (529 is Anthropic's "overloaded")
+ */
+const RETRYABLE_STATUS_CODES = [408, 429, 500, 502, 503, 504, 529];
+
+/**
+ * Node network error codes worth retrying
+ */
+const RETRYABLE_NETWORK_CODES = [
+  'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN',
+  'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'
+];
+
+/**
+ * Check whether a failed call may succeed when repeated
+ * A call that timed out is, unless it was cut short by the invocation's time budget.
+ * @param {Error} error - Error thrown by a provider (error.status is the HTTP status, if any)
+ * @returns {boolean} True for retryable statuses, network failures and timeouts
+ */
+function isRetryableError(error) {
+  if (!error) {
+    return false;
+  }
+  if (isTimeoutError(error)) {
+    return !error.budgetExceeded;
+  }
+  if (typeof error.status === 'number') {
+    return RETRYABLE_STATUS_CODES.includes(error.status);
+  }
+  const code = error.code || (error.cause && error.cause.code);
+  return RETRYABLE_NETWORK_CODES.includes(code) ||
+    (error.name === 'TypeError' && error.message === 'fetch failed');
+}
+
+/**
+ * Delay before the next attempt
+ * Full jitter: a random delay up to baseDelayMs * 2^attempt (capped at maxDelayMs),
+ * but never shorter than the provider's Retry-After.
+ * @param {Error} error - The error of the failed attempt
+ * @param {number} attempt - Number of the failed attempt, starting at 0
+ * @param {{baseDelayMs: number, maxDelayMs: number}} settings - Backoff settings
+ * @param {Function} [random] - Returns a number in [0, 1)
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelayMs(error, attempt, settings, random = Math.random) {
+  const backoffMs = Math.min(settings.maxDelayMs, settings.baseDelayMs * 2 ** attempt);
+  const jitteredMs = Math.floor(random() * backoffMs);
+  return typeof error.retryAfterMs === 'number' ? Math.max(error.retryAfterMs, jitteredMs) : jitteredMs;
+}
+
+/**
+ * Run an operation, retrying retryable failures
+ * Gives up early when the provider asks to wait longer than maxDelayMs, or
+ * the wait would reach the deadline, since the invocation cannot afford it.
+ * The error finally thrown carries the number of attempts made (error.attempts).
+ * @param {Function} operation - Async function receiving the attempt number (0-based)
+ * @param {boolean} debug - Enable debug logging
+ * @param {Object} [options] - Options
+ * @param {string} [options.label] - Name used in log messages
+ * @param {number} [options.maxRetries] - Retries after the first attempt (default LLM_MAX_RETRIES)
+ * @param {number} [options.baseDelayMs] - First backoff delay (default LLM_RETRY_BASE_DELAY_MS)
+ * @param {number} [options.maxDelayMs] - Longest delay (default LLM_RETRY_MAX_DELAY_MS)
+ * @param {number} [options.deadline] - Epoch ms after which no retry is started
+ * @param {Function} [options.sleep] - Async function waiting the given milliseconds
+ * @param {Function} [options.random] - Returns a number in [0, 1)
+ * @returns {Promise<any>} The operation's result
+ * @throws {Error} The last error, when it is not retryable or retries are exhausted
+ */
+async function withRetry(operation, debug, options = {}) {
+  const label = options.label || 'LLM call';
+  const maxRetries = options.maxRetries ?? LLM_MAX_RETRIES;
+  const settings = {
+    baseDelayMs: options.baseDelayMs ?? LLM_RETRY_BASE_DELAY_MS,
+    maxDelayMs: options.maxDelayMs ?? LLM_RETRY_MAX_DELAY_MS
+  };
+  const sleep = options.sleep || (delayMs => new Promise(resolve => setTimeout(resolve, delayMs)));
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      error.attempts = attempt + 1;
+      if (attempt >= maxRetries || !isRetryableError(error)) {
+        throw error;
+      }
+      const delayMs = getRetryDelayMs(error, attempt, settings, options.random);
+      if (delayMs > settings.maxDelayMs) {
+        log(debug, `${label} asked to retry after ${delayMs} ms, longer than ${settings.maxDelayMs} ms. Giving up.`);
+        throw error;
+      }
+      if (options.deadline !== undefined && Date.now() + delayMs >= options.deadline) {
+        log(debug, `${label} failed (${error.message}) and no time is left to retry.`);
+        throw error;
+      }
+      log(debug, `${label} failed (${error.message}). Retry ${attempt + 1}/${maxRetries} in ${delayMs} ms.`);
+      await sleep(delayMs);
+    }
+  }
+}
+
+module.exports = {
+  isRetryableError,
+  getRetryDelayMs,
+  withRetry,
+  RETRYABLE_STATUS_CODES
+};
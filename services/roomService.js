@@ -0,0 +1,226 @@
+/**
+ * Room Service
+ * Creates, lists, configures and archives rooms (independent conversations).
+ * Each room is a partition of the chat table whose metadata item (SK=0)
+ * holds its participants, speaker index and room attributes.
+ */
+
+const crypto = require('crypto');
+const { DEFAULT_ROOM_ID, ADMIN_EMAILS, log } = require('../config.js');
+const {
+  getChatMetadata,
+  getLatestMessage,
+  createRoomMetadata,
+  updateRoomMetadata,
+  listRoomMetadata
+} = require('./dynamoDbService.js');
+const { createChatMetadata, validateRoomAttributes } = require('../models/chatMetadata.js');
+const { isValidRoomId } = require('../models/chatMessage.js');
+const { DEFAULT_SPEAKER_STRATEGY } = require('./speakerService.js');
+const { resolveAutonomy } = require('./autonomyService.js');
+const { resolveRedaction } = require('./redactionService.js');
+const { llmParticipants: defaultParticipants } = require('../scripts/init-chat-metadata.js');
+
+/**
+ * Room attributes that may be changed through updateRoom
+ */
+const UPDATABLE_ROOM_FIELDS = ['name', 'archived', 'speakerStrategy', 'autonomy', 'redaction'];
+
+/**
+ * Build an error carrying the HTTP status the handler should respond with
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} Error with a statusCode property
+ */
+function roomError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Check whether a user may manage a room (its attributes and participants)
+ * @param {Object} metadata - ChatMetadata item of the room
+ * @param {string} email - Email of the authenticated user
+ * @returns {boolean} True for admins (ADMIN_EMAILS) and the room's creator
+ */
+function canManageRoom(metadata, email) {
+  if (!email) {
+    return false;
+  }
+  const normalized = email.toLowerCase();
+  return ADMIN_EMAILS.includes(normalized) ||
+    (typeof metadata.createdBy === 'string' && metadata.createdBy.toLowerCase() === normalized);
+}
+
+/**
+ * Build the public summary of a room
+ * @param {Object} metadata - ChatMetadata item of the room
+ * @param {Object|null} latestMessage - Newest item of the room partition
+ * @returns {Object} Room summary with participant names and last activity
+ */
+function toRoomSummary(metadata, latestMessage) {
+  const lastActivity = latestMessage && latestMessage.datetime > 0 ? latestMessage.datetime : null;
+
+  return {
+    roomId: metadata.id,
+    name: metadata.name || metadata.id,
+    archived: metadata.archived === true,
+    speakerStrategy: metadata.speakerStrategy || DEFAULT_SPEAKER_STRATEGY,
+    autonomy: resolveAutonomy(metadata),
+    redaction: resolveRedaction(metadata),
+    participants: (metadata.llmParticipants || []).map(participant => participant.name),
+    createdBy: metadata.createdBy || null,
+    createdAt: metadata.createdAt || null,
+    lastActivity
+  };
+}
+
+/**
+ * Create a new room with its own metadata item
+ * @param {Object} request - Room creation request
+ * @param {string} [request.roomId] - Requested room id; generated when omitted
+ * @param {string} [request.name] - Display name
+ * @param {string} [request.speakerStrategy] - Speaker strategy used when the orchestrator names nobody
+ * @param {Object} [request.autonomy] - AI-to-AI dialogue settings (see autonomyService)
+ * @param {Object} [request.redaction] - Personal data redaction settings (see redactionService)
+ * @param {Array} [request.llmParticipants] - Participants; defaults to the standard personas
+ * @param {string} creatorEmail - Email of the authenticated creator
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<Object>} Summary of the created room
+ * @throws {Error} With statusCode 400 on invalid input or 409 if the room already exists
+ */
+async function createRoom(request, creatorEmail, debug) {
+  const roomId = request.roomId !== undefined ? request.roomId : crypto.randomUUID();
+  if (!isValidRoomId(roomId)) {
+    throw roomError(400, 'roomId must be 1-64 letters, digits, underscores or hyphens');
+  }
+
+  const attributes = {
+    archived: false,
+    createdAt: Date.now()
+  };
+  if (request.name !== undefined) {
+    attributes.name = request.name;
+  }
+  if (request.speakerStrategy !== undefined) {
+    attributes.speakerStrategy = request.speakerStrategy;
+  }
+  if (request.autonomy !== undefined) {
+    attributes.autonomy = request.autonomy;
+  }
+  if (request.redaction !== undefined) {
+    attributes.redaction = request.redaction;
+  }
+  if (creatorEmail) {
+    attributes.createdBy = creatorEmail;
+  }
+
+  let metadata;
+  try {
+    metadata = createChatMetadata(request.llmParticipants || defaultParticipants, roomId, attributes);
+  } catch (error) {
+    throw roomError(400, error.message);
+  }
+
+  const created = await createRoomMetadata(metadata, debug);
+  if (!created) {
+    throw roomError(409, `Room ${roomId} already exists`);
+  }
+
+  log(debug, 'Created room:', roomId);
+  return toRoomSummary(metadata, null);
+}
+
+/**
+ * List rooms with their participants and last activity
+ * The default room is included even if its metadata predates the RoomIndex.
+ * @param {Object} [options] - Listing options
+ * @param {boolean} [options.includeArchived=false] - Include archived rooms
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<Object[]>} Room summaries, most recently active first
+ */
+async function listRooms(options = {}, debug) {
+  const rooms = await listRoomMetadata(debug);
+
+  if (!rooms.some(room => room.id === DEFAULT_ROOM_ID)) {
+    const defaultRoom = await getChatMetadata(DEFAULT_ROOM_ID, debug);
+    if (defaultRoom) {
+      rooms.push(defaultRoom);
+    }
+  }
+
+  const visibleRooms = options.includeArchived ? rooms : rooms.filter(room => room.archived !== true);
+
+  const summaries = await Promise.all(
+    visibleRooms.map(async (room) => toRoomSummary(room, await getLatestMessage(room.id, debug)))
+  );
+
+  return summaries.sort((a, b) => (b.lastActivity || 0) - (a.lastActivity || 0));
+}
+
+/**
+ * Change the configurable attributes of a room (admins and the room's creator)
+ * @param {string} roomId - The room to update
+ * @param {Object} updates - Any of name, archived, speakerStrategy, autonomy, redaction
+ * @param {string} email - Email of the authenticated user
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<Object|null>} Updated room summary, or null if the room does not exist
+ * @throws {Error} With statusCode 400 if the updates are invalid, 403 if the user may not manage the room
+ */
+async function updateRoom(roomId, updates, email, debug) {
+  const unknownFields = Object.keys(updates).filter(key => !UPDATABLE_ROOM_FIELDS.includes(key));
+  if (unknownFields.length > 0) {
+    throw roomError(400, `Unsupported room fields: ${unknownFields.join(', ')}. ` +
+      `Updatable fields: ${UPDATABLE_ROOM_FIELDS.join(', ')}`);
+  }
+
+  if (Object.keys(updates).length === 0) {
+    throw roomError(400, 'No room fields to update');
+  }
+
+  try {
+    validateRoomAttributes(updates);
+  } catch (error) {
+    throw roomError(400, error.message);
+  }
+
+  const current = await getChatMetadata(roomId, debug);
+  if (!current) {
+    return null;
+  }
+  if (!canManageRoom(current, email)) {
+    throw roomError(403, `Not allowed to manage room ${roomId}`);
+  }
+
+  const metadata = await updateRoomMetadata(roomId, updates, debug);
+  if (!metadata) {
+    return null;
+  }
+
+  return toRoomSummary(metadata, await getLatestMessage(roomId, debug));
+}
+
+/**
+ * Archive a room so the orchestrator stops ticking it and it no longer accepts messages
+ * Messages are kept; the room can be restored with updateRoom({ archived: false }).
+ * @param {string} roomId - The room to archive
+ * @param {string} email - Email of the authenticated user (an admin or the room's creator)
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<Object|null>} Archived room summary, or null if the room does not exist
+ * @throws {Error} With statusCode 403 if the user may not manage the room
+ */
+async function archiveRoom(roomId, email, debug) {
+  return updateRoom(roomId, { archived: true }, email, debug);
+}
+
+module.exports = {
+  createRoom,
+  listRooms,
+  updateRoom,
+  archiveRoom,
+  toRoomSummary,
+  canManageRoom,
+  roomError,
+  UPDATABLE_ROOM_FIELDS
+};
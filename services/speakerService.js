@@ -1,6 +1,8 @@
 /**
  * Speaker Selection Service
- * Implements round-robin speaker selection logic for multi-LLM chat
+ * Implements speaker selection logic for multi-LLM chat: the orchestrator's
+ * choice when it names valid participants, otherwise the room's speaker
+ * strategy (metadata.speakerStrategy, round-robin by default)
  * Requirements: 6.1, 6.5, 7.1, 7.2
  */
 
@@ -53,7 +55,219 @@ function incrementSpeakerIndex(currentIndex, participantCount) {
   return (currentIndex + 1) % participantCount;
 }
 
+/**
+ * Strategy used when a room does not name one
+ */
+const DEFAULT_SPEAKER_STRATEGY = 'round-robin';
+
+/**
+ * Weight of a participant without a weight, for weighted-random
+ */
+const DEFAULT_PARTICIPANT_WEIGHT = 1;
+
+/**
+ * Pick an index from weights using a random number in [0, 1)
+ * @param {number[]} weights - Non-negative weights, at least one positive
+ * @param {Function} random - Random source
+ * @returns {number} Chosen index
+ */
+function pickWeighted(weights, random) {
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  let threshold = random() * total;
+  for (let index = 0; index < weights.length; index++) {
+    threshold -= weights[index];
+    if (threshold < 0) {
+      return index;
+    }
+  }
+  return weights.length - 1;
+}
+
+/**
+ * Participant indexes in round-robin order, starting at nextSpeakerIndex
+ * @param {Object} metadata - The ChatMetadata object
+ * @returns {number[]} Indexes
+ */
+function roundRobinOrder(metadata) {
+  const count = metadata.llmParticipants.length;
+  const start = metadata.nextSpeakerIndex % count;
+  return Array.from({ length: count }, (_, offset) => (start + offset) % count);
+}
+
+/**
+ * Name of the AI participant who sent the most recent message, if any
+ * @param {Object} metadata - The ChatMetadata object
+ * @param {Object[]} messages - Recent messages, oldest first
+ * @returns {string|null} Participant name
+ */
+function lastAiSpeaker(metadata, messages) {
+  const names = metadata.llmParticipants.map(participant => participant.name);
+  for (let index = messages.length - 1; index >= 0; index--) {
+    if (names.includes(messages[index].sender)) {
+      return messages[index].sender;
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse explicit "@name" mentions of participants from a message
+ * Names match case-insensitively as whole words; "@claudette" does not mention "claude".
+ * @param {string} text - Message text
+ * @param {Object[]} participants - Participants that can be mentioned
+ * @returns {{name: string, offset: number, length: number}[]} One entry per mention, in text
+ *   order, with the participant's name as configured and the position of "@name" in the text
+ */
+function parseMentions(text, participants) {
+  if (typeof text !== 'string' || !Array.isArray(participants)) {
+    return [];
+  }
+  const mentions = [];
+  participants.forEach(participant => {
+    const name = participant.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`(^|[^\\w@])(@${name})(?![\\w])`, 'gi');
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      mentions.push({
+        name: participant.name,
+        offset: match.index + match[1].length,
+        length: match[2].length
+      });
+    }
+  });
+  return mentions.sort((a, b) => a.offset - b.offset);
+}
+
+/**
+ * Speaker strategies: (metadata, messages, random) => participant index
+ * messages are the room's recent messages, oldest first; random returns [0, 1).
+ */
+const SPEAKER_STRATEGIES = {
+  // Participants take turns in list order
+  'round-robin': (metadata) => metadata.nextSpeakerIndex % metadata.llmParticipants.length,
+
+  // Participants are picked at random in proportion to their weight
+  'weighted-random': (metadata, messages, random) => pickWeighted(
+    metadata.llmParticipants.map(participant => participant.weight ?? DEFAULT_PARTICIPANT_WEIGHT),
+    random
+  ),
+
+  // The participant whose last message is oldest (or who never spoke) goes next;
+  // ties are broken in round-robin order
+  'least-recently-spoken': (metadata, messages) => {
+    const lastSpoke = new Map();
+    messages.forEach(message => lastSpoke.set(message.sender, message.datetime));
+    return roundRobinOrder(metadata).reduce((best, index) => {
+      const spoke = lastSpoke.get(metadata.llmParticipants[index].name) ?? -Infinity;
+      const bestSpoke = lastSpoke.get(metadata.llmParticipants[best].name) ?? -Infinity;
+      return spoke < bestSpoke ? index : best;
+    });
+  },
+
+  // The first participant @mentioned in the message being answered (see parseMentions);
+  // round-robin when nobody is mentioned or an AI wrote it, so the mentioned
+  // persona does not go on answering its own replies
+  'mention-driven': (metadata, messages) => {
+    const names = metadata.llmParticipants.map(participant => participant.name);
+    const latest = messages[messages.length - 1];
+    const mentions = latest && !names.includes(latest.sender)
+      ? latest.mentions || parseMentions(latest.message, metadata.llmParticipants)
+      : [];
+    const mentioned = mentions.map(mention => names.indexOf(mention.name)).find(index => index !== -1);
+    return mentioned !== undefined ? mentioned : SPEAKER_STRATEGIES['round-robin'](metadata);
+  },
+
+  // Anyone but the participant who spoke last, picked at random
+  'never-twice-in-a-row': (metadata, messages, random) => {
+    const previous = lastAiSpeaker(metadata, messages);
+    const candidates = metadata.llmParticipants
+      .map((participant, index) => index)
+      .filter(index => metadata.llmParticipants[index].name !== previous);
+    if (candidates.length === 0) {
+      return 0;
+    }
+    return candidates[Math.floor(random() * candidates.length)];
+  }
+};
+
+/**
+ * Names of the available speaker strategies
+ */
+const SPEAKER_STRATEGY_NAMES = Object.keys(SPEAKER_STRATEGIES);
+
+/**
+ * Select the next speaker with the room's strategy
+ * When the strategy picks an unavailable participant, the next available one
+ * in round-robin order after it speaks instead.
+ * @param {Object} metadata - The ChatMetadata object (speakerStrategy optional)
+ * @param {Object[]} [messages] - Recent messages, oldest first
+ * @param {Function} [random] - Random source returning [0, 1)
+ * @param {Function} [isAvailable] - Whether a participant can answer now
+ * @returns {{participant: Object, index: number, strategy: string}|null} The chosen speaker,
+ *   or null when no participant is available
+ * @throws {Error} If the metadata is invalid or names an unknown strategy
+ */
+function selectSpeaker(metadata, messages = [], random = Math.random, isAvailable = () => true) {
+  getNextSpeaker(metadata);
+
+  const strategy = metadata.speakerStrategy || DEFAULT_SPEAKER_STRATEGY;
+  const pick = SPEAKER_STRATEGIES[strategy];
+  if (!pick) {
+    throw new Error(`Unknown speaker strategy: ${strategy}. Available strategies: ${SPEAKER_STRATEGY_NAMES.join(', ')}`);
+  }
+
+  const picked = pick(metadata, messages, random);
+  const count = metadata.llmParticipants.length;
+  const index = Array.from({ length: count }, (_, offset) => (picked + offset) % count)
+    .find(candidate => isAvailable(metadata.llmParticipants[candidate]));
+  if (index === undefined) {
+    return null;
+  }
+  return { participant: metadata.llmParticipants[index], index, strategy };
+}
+
+/**
+ * Resolve who speaks for an orchestrator RESPOND / RESPOND_MANY decision
+ * Named speakers are looked up in metadata.llmParticipants; when the decision
+ * names none that exist, the room's speaker strategy picks one.
+ * Unavailable participants (e.g. whose providers' circuits are all open) are
+ * skipped; when none of the named speakers is available, the strategy picks.
+ * @param {Object} metadata - The ChatMetadata object
+ * @param {Object} decision - Parsed orchestrator decision (speaker / speakers)
+ * @param {Object[]} [messages] - Recent messages, oldest first (for history-based strategies)
+ * @param {Function} [random] - Random source returning [0, 1)
+ * @param {Function} [isAvailable] - Whether a participant can answer now
+ * @returns {{speakers: {participant: Object, index: number}[], source: string}} Speakers in
+ *   speaking order with their participant index (none when nobody is available), and where
+ *   the choice came from ("orchestrator" or the strategy name)
+ */
+function resolveSpeakers(metadata, decision, messages = [], random = Math.random, isAvailable = () => true) {
+  const names = decision.speakers || (decision.speaker ? [decision.speaker] : []);
+  const speakers = names
+    .map(name => {
+      const index = metadata.llmParticipants.findIndex(participant => participant.name === name);
+      return index === -1 ? null : { participant: metadata.llmParticipants[index], index };
+    })
+    .filter(speaker => speaker && isAvailable(speaker.participant));
+
+  if (speakers.length > 0) {
+    return { speakers, source: 'orchestrator' };
+  }
+
+  const selected = selectSpeaker(metadata, messages, random, isAvailable);
+  return {
+    speakers: selected ? [{ participant: selected.participant, index: selected.index }] : [],
+    source: metadata.speakerStrategy || DEFAULT_SPEAKER_STRATEGY
+  };
+}
+
 module.exports = {
   getNextSpeaker,
-  incrementSpeakerIndex
+  incrementSpeakerIndex,
+  selectSpeaker,
+  resolveSpeakers,
+  parseMentions,
+  SPEAKER_STRATEGIES,
+  SPEAKER_STRATEGY_NAMES,
+  DEFAULT_SPEAKER_STRATEGY
 };
@@ -0,0 +1,145 @@
+/**
+ * Streaming Service
+ * Persists a persona reply while it is being generated, so clients see the
+ * text grow. Partial text is written to the reply's own item (status "streaming")
+ * at most once per STREAM_WRITE_INTERVAL_MS; the finished message replaces it.
+ */
+
+const { log } = require('../config.js');
+const { storeStreamingMessage, deleteMessage } = require('./dynamoDbService.js');
+const { buildProviderChain, generateWithFallback } = require('./llmService.js');
+
+/**
+ * Minimum delay between two partial writes of the same reply
+ */
+const STREAM_WRITE_INTERVAL_MS = 1000;
+
+/**
+ * A streaming item not updated for this long belongs to a stream that died
+ * (e.g. the Lambda timed out) and may be discarded
+ */
+const STREAM_STALE_MS = 5 * 60 * 1000;
+
+/**
+ * Check whether a streaming item has stopped receiving updates
+ * @param {Object} message - Message item with status "streaming"
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {boolean} True if the stream behind the item is considered dead
+ */
+function isStaleStreamingMessage(message, now = Date.now()) {
+  const updatedAt = message.updatedAt || message.datetime;
+  return now - updatedAt > STREAM_STALE_MS;
+}
+
+/**
+ * Create a writer that throttles partial writes of a streaming reply
+ * Only one write is in flight at a time; text arriving meanwhile is written
+ * once the interval has passed. Partial write failures are logged and skipped,
+ * since the finished message is written separately.
+ * @param {Object} message - Reply's id (room), datetime, sender and isProcessed; the text is filled in
+ * @param {boolean} debug - Enable debug logging
+ * @param {Object} [options] - Test hooks
+ * @param {number} [options.intervalMs] - Delay between partial writes
+ * @param {Function} [options.now] - Clock returning milliseconds
+ * @param {Function} [options.write] - Async function persisting a partial message
+ * @returns {{update: Function, flush: Function}} update(text) records the text so far;
+ *   flush() waits for pending writes and must be awaited before the final write
+ */
+function createStreamingMessageWriter(message, debug, options = {}) {
+  const intervalMs = options.intervalMs ?? STREAM_WRITE_INTERVAL_MS;
+  const now = options.now || Date.now;
+  const write = options.write || storeStreamingMessage;
+
+  let latestText = null;
+  let writtenText = null;
+  let lastWriteAt = -Infinity;
+  let inFlight = null;
+  let closed = false;
+
+  const writeLatest = () => {
+    const text = latestText;
+    lastWriteAt = now();
+    inFlight = write({ ...message, message: text }, debug)
+      .then(() => {
+        writtenText = text;
+      })
+      .catch(error => {
+        console.error('Error writing streaming message:', error.message);
+      })
+      .finally(() => {
+        inFlight = null;
+      });
+  };
+
+  return {
+    update(text) {
+      if (closed || !text) {
+        return;
+      }
+      latestText = text;
+      if (!inFlight && latestText !== writtenText && now() - lastWriteAt >= intervalMs) {
+        writeLatest();
+      }
+    },
+
+    async flush() {
+      closed = true;
+      if (inFlight) {
+        await inFlight;
+      }
+      log(debug, `Streaming writer for ${message.datetime} flushed`);
+    }
+  };
+}
+
+/**
+ * Generate a reply, writing it to the chat as it streams
+ * The speaker's provider chain is tried in order (see generateWithFallback);
+ * a retried or fallback stream overwrites the partial text from the start.
+ * If every provider fails the partial item is deleted and the error rethrown,
+ * so the message being answered stays unprocessed and is retried.
+ * @param {Object} message - Reply's id (room), datetime, sender and isProcessed
+ * @param {Object} speaker - Participant with provider, fallbackProviders and generation settings
+ * @param {string|Object[]} prompt - The message to respond to, or the role-tagged history
+ * @param {boolean} debug - Enable debug logging
+ * @param {Object} [options] - Options
+ * @param {Object} [options.generationOptions] - Options for every provider of the chain (e.g. systemPrompt)
+ * @param {Object} [options.circuitBreaker] - Circuit breaker skipping and recording providers
+ * @param {Object} [options.budget] - Budget state skipping providers over budget (see createBudgetState)
+ * @param {Object} [options.writerOptions] - Passed to createStreamingMessageWriter
+ * @returns {Promise<{text: string, provider: string, fallbackFrom?: string[]}>} The complete reply
+ *   and the provider that wrote it
+ */
+async function streamReply(message, speaker, prompt, debug, options = {}) {
+  const writer = createStreamingMessageWriter(message, debug, options.writerOptions);
+
+  try {
+    const reply = await generateWithFallback(
+      buildProviderChain(speaker, options.generationOptions),
+      prompt,
+      debug,
+      {
+        onText: partialText => writer.update(partialText),
+        circuitBreaker: options.circuitBreaker,
+        budget: options.budget
+      }
+    );
+    await writer.flush();
+    return reply;
+  } catch (error) {
+    await writer.flush();
+    console.error(`Streaming reply from ${speaker.provider} failed:`, error.message);
+    await deleteMessage(message.id, message.datetime, debug).catch(deleteError => {
+      console.error('Error deleting partial message:', deleteError.message);
+    });
+    throw error;
+  }
+}
+
+module.exports = {
+  createStreamingMessageWriter,
+  streamReply,
+  isStaleStreamingMessage,
+  STREAM_WRITE_INTERVAL_MS,
+  STREAM_STALE_MS
+};
@@ -0,0 +1,122 @@
+/**
+ * Timeout Service
+ * Bounds every LLM call in time. A call is aborted (AbortController) after
+ * the shorter of its own timeout and what is left of the invocation's time
+ * budget, and fails with an LLMTimeoutError the callers can tell apart from
+ * provider errors.
+ *
+ * Timeouts, most specific first: the participant's timeoutMs, the provider's
+ * entry in LLM_PROVIDER_TIMEOUTS_MS, LLM_TIMEOUT_MS.
+ */
+
+const {
+  LLM_TIMEOUT_MS,
+  LLM_PROVIDER_TIMEOUTS_MS,
+  LAMBDA_TIME_MARGIN_MS
+} = require('../config.js');
+
+/**
+ * Error thrown when an LLM call runs out of time
+ * budgetExceeded tells a call cut short by the invocation's remaining time
+ * (nothing wrong with the provider) from one that hit its own timeout.
+ */
+class LLMTimeoutError extends Error {
+  /**
+   * @param {string} label - Name of the call, e.g. the provider
+   * @param {number} timeoutMs - Time the call was given
+   * @param {boolean} budgetExceeded - The limit came from the invocation's time budget
+   */
+  constructor(label, timeoutMs, budgetExceeded) {
+    super(budgetExceeded
+      ? `${label} stopped after ${timeoutMs} ms: the invocation is out of time`
+      : `${label} timed out after ${timeoutMs} ms`);
+    this.name = 'LLMTimeoutError';
+    this.code = 'LLM_TIMEOUT';
+    this.timeoutMs = timeoutMs;
+    this.budgetExceeded = budgetExceeded;
+  }
+}
+
+/**
+ * Check whether an error is an LLM timeout
+ * @param {Error} error - Any error
+ * @returns {boolean} True for LLMTimeoutError
+ */
+function isTimeoutError(error) {
+  return error instanceof LLMTimeoutError;
+}
+
+/**
+ * Timeout of a call to a provider
+ * @param {string} provider - Provider name
+ * @param {number} [participantTimeoutMs] - The participant's own timeout
+ * @returns {number} Timeout in milliseconds
+ */
+function getProviderTimeoutMs(provider, participantTimeoutMs) {
+  return participantTimeoutMs ?? LLM_PROVIDER_TIMEOUTS_MS[provider] ?? LLM_TIMEOUT_MS;
+}
+
+/**
+ * Time by which an invocation's LLM work must be done
+ * Keeps LAMBDA_TIME_MARGIN_MS of the remaining time for writing results.
+ * @param {Object} [context] - Lambda context
+ * @param {number} [now] - Current time (ms)
+ * @returns {number|undefined} Deadline (epoch ms), or undefined without a Lambda context
+ */
+function getInvocationDeadline(context, now = Date.now()) {
+  if (!context || typeof context.getRemainingTimeInMillis !== 'function') {
+    return undefined;
+  }
+  return now + context.getRemainingTimeInMillis() - LAMBDA_TIME_MARGIN_MS;
+}
+
+/**
+ * Run an operation with a time limit
+ * The operation receives an AbortSignal it should pass to its requests; the
+ * returned promise fails with LLMTimeoutError when time is up, even if the
+ * operation ignores the signal.
+ * @param {Function} operation - Async function receiving an AbortSignal
+ * @param {Object} options - Limits
+ * @param {string} [options.label] - Name used in the error message
+ * @param {number} options.timeoutMs - Time the operation may take
+ * @param {number} [options.deadline] - Epoch ms the operation must finish by
+ * @param {Function} [options.now] - Returns the current time (ms)
+ * @returns {Promise<any>} The operation's result
+ * @throws {LLMTimeoutError} When the time is up (immediately if the deadline has passed)
+ */
+async function withTimeout(operation, options) {
+  const label = options.label || 'LLM call';
+  const now = options.now || Date.now;
+  const budgetMs = options.deadline !== undefined ? options.deadline - now() : Infinity;
+  const budgetExceeded = budgetMs < options.timeoutMs;
+  const limitMs = Math.max(Math.min(options.timeoutMs, budgetMs), 0);
+  if (limitMs === 0) {
+    throw new LLMTimeoutError(label, 0, budgetExceeded);
+  }
+
+  const controller = new AbortController();
+  let timer;
+  const timedOut = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new LLMTimeoutError(label, limitMs, budgetExceeded);
+      controller.abort(error);
+      reject(error);
+    }, limitMs);
+  });
+
+  try {
+    return await Promise.race([operation(controller.signal), timedOut]);
+  } catch (error) {
+    throw controller.signal.aborted ? controller.signal.reason : error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = {
+  LLMTimeoutError,
+  isTimeoutError,
+  getProviderTimeoutMs,
+  getInvocationDeadline,
+  withTimeout
+};
@@ -0,0 +1,208 @@
+/**
+ * Usage Service
+ * Token usage and estimated cost of LLM calls. Adapters report the tokens of
+ * every call (see reportUsage in services/providers/common.js); replies store
+ * them with their price, and each call is added to its provider's counters for
+ * the UTC day (see addProviderUsage), which GET /usage reports.
+ *
+ * Prices are USD per million tokens, looked up by model name: an exact entry
+ * first, else the longest entry the model name starts with, so
+ * "gemini-2.0-flash-lite" also prices "gemini-2.0-flash-lite-preview-02-05".
+ * LLM_MODEL_PRICES adds entries and overrides the defaults below. Models
+ * without a price are counted without a cost.
+ */
+
+const { log, LLM_MODEL_PRICES } = require('../config.js');
+const { addProviderUsage, getProviderUsage } = require('./dynamoDbService.js');
+const { getProviderNames, hasProvider } = require('./providers/index.js');
+const { roomError } = require('./roomService.js');
+
+/**
+ * Built-in prices (USD per million tokens) of the default models
+ */
+const DEFAULT_MODEL_PRICES = {
+  'gemini-2.0-flash-lite': { input: 0.075, output: 0.3 },
+  'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+  'gemini-1.5-pro': { input: 1.25, output: 5 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'mock': { input: 0, output: 0 }
+};
+
+/**
+ * Longest date range, in days, a usage report may cover
+ */
+const MAX_USAGE_REPORT_DAYS = 366;
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Price of a model
+ * @param {string} model - Model name
+ * @param {Object<string, {input: number, output: number}>} [prices] - Price table
+ * @returns {{input: number, output: number}|undefined} USD per million tokens, or undefined if unknown
+ */
+function getModelPrice(model, prices = { ...DEFAULT_MODEL_PRICES, ...LLM_MODEL_PRICES }) {
+  if (prices[model]) {
+    return prices[model];
+  }
+  const prefix = Object.keys(prices)
+    .filter(name => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? prices[prefix] : undefined;
+}
+
+/**
+ * Add the estimated cost to a call's token usage
+ * @param {TokenUsage} usage - Tokens reported by the adapter
+ * @param {Object} [prices] - Price table (see getModelPrice)
+ * @returns {TokenUsage & {costUsd?: number}} The usage with costUsd, unless the model has no price
+ */
+function priceUsage(usage, prices) {
+  const price = getModelPrice(usage.model, prices);
+  if (!price) {
+    return { ...usage };
+  }
+  const costUsd = (usage.inputTokens * price.input + usage.outputTokens * price.output) / 1e6;
+  return { ...usage, costUsd: Number(costUsd.toFixed(8)) };
+}
+
+/**
+ * UTC day of a time as the counters' sort key
+ * @param {number} time - Epoch ms
+ * @returns {number} YYYYMMDD
+ */
+function toUsageDay(time) {
+  return Number(new Date(time).toISOString().slice(0, 10).replace(/-/g, ''));
+}
+
+/**
+ * Format a counters' day for clients
+ * @param {number} day - YYYYMMDD
+ * @returns {string} YYYY-MM-DD
+ */
+function formatUsageDay(day) {
+  const digits = String(day);
+  return `${digits.slice(0, 4)}-${digits.slice(4, 6)}-${digits.slice(6, 8)}`;
+}
+
+/**
+ * Parse a YYYY-MM-DD query parameter
+ * @param {string} value - The date
+ * @param {string} name - Parameter name for the error message
+ * @returns {number} Epoch ms of the day's start (UTC)
+ * @throws {Error} 400 if the value is not a valid date
+ */
+function parseUsageDate(value, name) {
+  const match = DATE_PATTERN.exec(value);
+  const time = match ? Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : NaN;
+  if (Number.isNaN(time) || new Date(time).toISOString().slice(0, 10) !== value) {
+    throw roomError(400, `${name} must be a date in the form YYYY-MM-DD`);
+  }
+  return time;
+}
+
+/**
+ * Add a call's usage to its provider's counters for today
+ * Best effort: a failed write is logged and never fails the reply.
+ * @param {string} provider - Provider that answered (after LLM_PROVIDER_OVERRIDE)
+ * @param {TokenUsage & {costUsd?: number}} usage - Priced usage (see priceUsage)
+ * @param {boolean} debug - Enable debug logging
+ * @param {number} [now] - Current time (ms)
+ * @returns {Promise<void>}
+ */
+async function recordUsage(provider, usage, debug, now = Date.now()) {
+  try {
+    await addProviderUsage(provider, toUsageDay(now), usage, debug);
+  } catch (error) {
+    console.error(`Error recording usage of provider ${provider}:`, error.message);
+  }
+}
+
+/**
+ * Sum counter items
+ * @param {Object[]} items - Counter items or report days
+ * @returns {{calls: number, inputTokens: number, outputTokens: number, costUsd: number, unpricedCalls: number}} Totals
+ */
+function sumUsage(items) {
+  const totals = { calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0, unpricedCalls: 0 };
+  items.forEach(item => {
+    Object.keys(totals).forEach(counter => {
+      totals[counter] += item[counter] || 0;
+    });
+  });
+  totals.costUsd = Number(totals.costUsd.toFixed(8));
+  return totals;
+}
+
+/**
+ * Daily usage per provider over a range of days
+ * @param {Object} [query] - Query string parameters
+ * @param {string} [query.from] - First day (YYYY-MM-DD); defaults to the first day of to's month
+ * @param {string} [query.to] - Last day (YYYY-MM-DD, inclusive); defaults to today (UTC)
+ * @param {string} [query.provider] - Only this provider
+ * @param {boolean} debug - Enable debug logging
+ * @param {number} [now] - Current time (ms)
+ * @returns {Promise<Object>} { from, to, days: [{ date, provider, calls, inputTokens, outputTokens,
+ *   costUsd, unpricedCalls }], providers: { <name>: totals }, total }
+ * @throws {Error} 400 for malformed dates, a reversed or too long range, or an unknown provider
+ */
+async function getUsageReport(query = {}, debug, now = Date.now()) {
+  const toTime = query.to !== undefined ? parseUsageDate(query.to, 'to') : now - (now % DAY_MS);
+  const fromTime = query.from !== undefined
+    ? parseUsageDate(query.from, 'from')
+    : Date.UTC(new Date(toTime).getUTCFullYear(), new Date(toTime).getUTCMonth(), 1);
+  if (fromTime > toTime) {
+    throw roomError(400, 'from must not be after to');
+  }
+  if ((toTime - fromTime) / DAY_MS + 1 > MAX_USAGE_REPORT_DAYS) {
+    throw roomError(400, `A usage report covers at most ${MAX_USAGE_REPORT_DAYS} days`);
+  }
+  if (query.provider !== undefined && !hasProvider(query.provider)) {
+    throw roomError(400, `Unknown provider: ${query.provider}`);
+  }
+
+  const providers = query.provider !== undefined ? [query.provider.toLowerCase()] : getProviderNames();
+  const itemsByProvider = await Promise.all(providers.map(provider =>
+    getProviderUsage(provider, toUsageDay(fromTime), toUsageDay(toTime), debug)));
+
+  const days = [];
+  const providerTotals = {};
+  providers.forEach((provider, index) => {
+    const items = itemsByProvider[index];
+    if (items.length === 0) {
+      return;
+    }
+    items.forEach(item => {
+      days.push({ date: formatUsageDay(item.datetime), provider, ...sumUsage([item]) });
+    });
+    providerTotals[provider] = sumUsage(items);
+  });
+  days.sort((a, b) => a.date.localeCompare(b.date) || a.provider.localeCompare(b.provider));
+
+  const report = {
+    from: formatUsageDay(toUsageDay(fromTime)),
+    to: formatUsageDay(toUsageDay(toTime)),
+    days,
+    providers: providerTotals,
+    total: sumUsage(days)
+  };
+  log(debug, 'Usage report:', report);
+  return report;
+}
+
+module.exports = {
+  getModelPrice,
+  priceUsage,
+  toUsageDay,
+  recordUsage,
+  getUsageReport,
+  DEFAULT_MODEL_PRICES,
+  MAX_USAGE_REPORT_DAYS
+};
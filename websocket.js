@@ -0,0 +1,142 @@
+/**
+ * WebSocket Lambda Handler
+ * Live push of chat messages over an API Gateway WebSocket API.
+ *
+ * Routes:
+ * - $connect: authenticates (?token=<access token> or Authorization header) and
+ *   subscribes the connection to ?roomId=<room> (default room when omitted)
+ * - $disconnect: forgets the connection
+ * - $default: client actions {"action": "subscribe", "roomId": "..."} and {"action": "ping"}
+ *
+ * Messages are pushed by storeChatMessage and batchWriteResponseAndUpdate
+ * (see services/connectionService.js broadcastChatMessage).
+ */
+
+const { DEFAULT_ROOM_ID, log } = require('./config.js');
+const { verifyAccessToken } = require('./auth.js');
+const { isValidRoomId } = require('./models/chatMessage.js');
+const {
+  saveConnection,
+  deleteConnection,
+  getConnection,
+  postToConnection
+} = require('./services/connectionService.js');
+
+/**
+ * Handle $connect
+ * @param {Object} event - API Gateway WebSocket CONNECT event
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<Object>} Response with statusCode (non-2xx rejects the connection)
+ */
+async function connectHandler(event, debug) {
+  const { connectionId } = event.requestContext;
+  const query = event.queryStringParameters || {};
+  const roomId = query.roomId || DEFAULT_ROOM_ID;
+
+  if (!isValidRoomId(roomId)) {
+    return { statusCode: 400, body: 'Invalid roomId' };
+  }
+
+  const authHeader = event.headers?.Authorization || event.headers?.authorization;
+  const token = query.token || (authHeader && authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null);
+  if (!token) {
+    return { statusCode: 401, body: 'Missing access token' };
+  }
+
+  let tokenInfo;
+  try {
+    tokenInfo = await verifyAccessToken(token, debug);
+  } catch (error) {
+    return { statusCode: 401, body: error.message };
+  }
+
+  await saveConnection(connectionId, roomId, tokenInfo.email, debug);
+  log(debug, `Connection ${connectionId} subscribed to room ${roomId}`);
+  return { statusCode: 200, body: 'Connected' };
+}
+
+/**
+ * Handle $disconnect
+ * @param {Object} event - API Gateway WebSocket DISCONNECT event
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<Object>} Response with statusCode
+ */
+async function disconnectHandler(event, debug) {
+  const { connectionId } = event.requestContext;
+  await deleteConnection(connectionId, debug);
+  return { statusCode: 200, body: 'Disconnected' };
+}
+
+/**
+ * Handle $default (client-sent frames)
+ * Replies are pushed back to the sender as {type: "subscribed" | "pong" | "error", ...}.
+ * @param {Object} event - API Gateway WebSocket MESSAGE event
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<Object>} Response with statusCode
+ */
+async function defaultHandler(event, debug) {
+  const { connectionId } = event.requestContext;
+
+  let frame;
+  try {
+    frame = event.body ? JSON.parse(event.body) : {};
+  } catch (parseError) {
+    await postToConnection(connectionId, { type: 'error', error: 'Invalid JSON payload' }, debug);
+    return { statusCode: 400, body: 'Invalid JSON payload' };
+  }
+
+  if (frame.action === 'ping') {
+    await postToConnection(connectionId, { type: 'pong' }, debug);
+    return { statusCode: 200, body: 'pong' };
+  }
+
+  if (frame.action === 'subscribe') {
+    if (!isValidRoomId(frame.roomId)) {
+      await postToConnection(connectionId, { type: 'error', error: 'Invalid roomId' }, debug);
+      return { statusCode: 400, body: 'Invalid roomId' };
+    }
+
+    const connection = await getConnection(connectionId, debug);
+    if (!connection) {
+      return { statusCode: 410, body: 'Unknown connection' };
+    }
+
+    await saveConnection(connectionId, frame.roomId, connection.email, debug);
+    await postToConnection(connectionId, { type: 'subscribed', roomId: frame.roomId }, debug);
+    return { statusCode: 200, body: 'Subscribed' };
+  }
+
+  await postToConnection(connectionId, { type: 'error', error: `Unsupported action: ${frame.action}` }, debug);
+  return { statusCode: 400, body: 'Unsupported action' };
+}
+
+/**
+ * Main WebSocket handler, dispatching on the route key
+ * @param {Object} event - API Gateway WebSocket event
+ * @returns {Promise<Object>} Response with statusCode
+ */
+exports.handler = async (event) => {
+  const debug = process.env.DEBUG === 'true';
+  const routeKey = event.requestContext?.routeKey;
+
+  log(debug, `WebSocket ${routeKey} from ${event.requestContext?.connectionId}`);
+
+  try {
+    switch (routeKey) {
+      case '$connect':
+        return await connectHandler(event, debug);
+      case '$disconnect':
+        return await disconnectHandler(event, debug);
+      default:
+        return await defaultHandler(event, debug);
+    }
+  } catch (error) {
+    console.error(`WebSocket ${routeKey} error:`, error.message);
+    return { statusCode: 500, body: 'Internal Server Error' };
+  }
+};
+
+// Export internal functions for testing
+module.exports.connectHandler = connectHandler;
+module.exports.disconnectHandler = disconnectHandler;
+module.exports.defaultHandler = defaultHandler;